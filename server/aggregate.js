@@ -0,0 +1,60 @@
+// Combine quotes from several providers into one reference price.
+
+export const AGGREGATE_METHODS = ['median', 'vwap'];
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Drop quotes deviating more than `maxDeviationPct` from the median of all quotes, then take the
+ * median or volume-weighted average of the rest. VWAP only weighs sources that report 24h volume
+ * and falls back to the median when none do.
+ */
+export function aggregateQuotes(quotes, { method = 'median', maxDeviationPct = 1 } = {}) {
+  const valid = quotes.filter((quote) => Number.isFinite(quote.price) && quote.price > 0);
+  if (!valid.length) return null;
+
+  const reference = median(valid.map((quote) => quote.price));
+  const withDeviation = valid.map((quote) => ({
+    provider: quote.provider,
+    price: quote.price,
+    volume: quote.volume ?? null,
+    deviationPct: ((quote.price - reference) / reference) * 100,
+  }));
+  const kept = withDeviation.filter((quote) => Math.abs(quote.deviationPct) <= maxDeviationPct);
+  const rejected = withDeviation.filter((quote) => Math.abs(quote.deviationPct) > maxDeviationPct);
+
+  if (!kept.length) {
+    // Every source disagrees with the consensus (e.g. two quotes far apart); there is no safe answer.
+    return { price: null, method, spread: null, kept, rejected };
+  }
+
+  const weighted = kept.filter((quote) => quote.volume > 0);
+  let price = median(kept.map((quote) => quote.price));
+  let appliedMethod = 'median';
+  if (method === 'vwap' && weighted.length) {
+    const totalVolume = weighted.reduce((sum, quote) => sum + quote.volume, 0);
+    price = weighted.reduce((sum, quote) => sum + quote.price * quote.volume, 0) / totalVolume;
+    appliedMethod = 'vwap';
+  }
+
+  const keptPrices = kept.map((quote) => quote.price);
+  const high = Math.max(...keptPrices);
+  const low = Math.min(...keptPrices);
+
+  return {
+    price,
+    method: appliedMethod,
+    spread: {
+      absolute: high - low,
+      pct: ((high - low) / price) * 100,
+      high,
+      low,
+    },
+    kept,
+    rejected,
+  };
+}
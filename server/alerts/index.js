@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import { INTERVALS } from '../klines.js';
+import { AlertError, evaluateRule, normalizeRule } from './rules.js';
+
+export { AlertError, RULE_TYPES } from './rules.js';
+export { createAlertStore } from './store.js';
+export { createWebhookDispatcher, signPayload } from './webhook.js';
+
+// Price samples older than the longest allowed percent_move window are dropped.
+const SAMPLE_RETENTION_MS = 24 * 60 * 60_000;
+
+/**
+ * Alert rules CRUD plus a background evaluator. Each tick fetches one quote per watched market
+ * (through the price service, so the /price cache and single-flight apply), evaluates every
+ * enabled rule, and hands triggers to the webhook dispatcher without waiting for delivery.
+ */
+export function createAlertService({
+  store,
+  catalog,
+  priceService,
+  historyService,
+  dispatcher,
+  defaultWebhookUrl,
+  intervalMs = 15_000,
+  logger = console,
+}) {
+  const states = new Map(); // rule id -> runtime state (e.g. which side of a level the price is on)
+  const samples = new Map(); // `${symbol}:${currency}` -> [{ t, price }], oldest first
+  let timer = null;
+  let evaluating = false;
+  let lastRunAt = null;
+
+  function withState(rule) {
+    return { ...rule, state: states.get(rule.id) ?? null };
+  }
+
+  function findRule(id) {
+    const rule = store.get(id);
+    if (!rule) throw new AlertError(404, `Alert ${id} not found`);
+    return rule;
+  }
+
+  function dispatch(rule, event, { value = null, message }) {
+    const deliveryId = crypto.randomUUID();
+    const { webhookUrl: _url, ...alert } = rule;
+    dispatcher
+      .deliver({
+        url: rule.webhookUrl || defaultWebhookUrl,
+        ruleId: rule.id,
+        event,
+        payload: { event, deliveryId, alert, value, message, triggeredAt: Date.now() },
+      })
+      .catch((error) => logger.warn?.(`Alert ${rule.id} delivery crashed: ${error.message}`));
+    return deliveryId;
+  }
+
+  function recordSample(key, price, now) {
+    const series = (samples.get(key) || []).filter((sample) => sample.t >= now - SAMPLE_RETENTION_MS);
+    series.push({ t: now, price });
+    samples.set(key, series);
+    return series;
+  }
+
+  // Candles for every volume_spike interval watched on one market, fetched once per tick.
+  async function candlesFor(rules, { symbol, currency }, now) {
+    const quoteAsset = catalog.route(symbol, currency)?.quoteAsset;
+    const byInterval = new Map();
+    for (const rule of rules.filter((item) => item.type === 'volume_spike')) {
+      const lookback = Math.max(rule.lookback, byInterval.get(rule.interval)?.lookback ?? 0);
+      byInterval.set(rule.interval, { lookback });
+    }
+    const candles = {};
+    for (const [interval, { lookback }] of byInterval) {
+      try {
+        const result = await historyService.getCandles({
+          symbol,
+          currency,
+          quoteAsset,
+          interval,
+          startTime: now - (lookback + 2) * INTERVALS[interval],
+          endTime: now,
+        });
+        candles[interval] = result.candles;
+      } catch (error) {
+        logger.warn?.(`Alert candles for ${symbol}/${currency} ${interval} unavailable: ${error.message}`);
+      }
+    }
+    return candles;
+  }
+
+  async function evaluate() {
+    if (evaluating) return;
+    evaluating = true;
+    try {
+      const now = Date.now();
+      const markets = new Map();
+      store
+        .list()
+        .filter((rule) => rule.enabled)
+        .forEach((rule) => {
+          const key = `${rule.symbol}:${rule.currency}`;
+          markets.set(key, [...(markets.get(key) || []), rule]);
+        });
+
+      for (const [key, rules] of markets) {
+        const { symbol, currency } = rules[0];
+        let quote;
+        try {
+          quote = await priceService.getQuote(symbol, currency);
+        } catch (error) {
+          logger.warn?.(`Alert quote for ${key} unavailable: ${error.message}`);
+          continue;
+        }
+        const series = recordSample(key, quote.price, now);
+        const candles = await candlesFor(rules, { symbol, currency }, now);
+
+        rules.forEach((rule) => {
+          const { state, trigger } = evaluateRule(rule, states.get(rule.id) ?? {}, {
+            price: quote.price,
+            samples: series,
+            candles: candles[rule.interval],
+            now,
+          });
+          states.set(rule.id, state);
+          if (!trigger) return;
+          const fired = store.save({ ...rule, lastTriggeredAt: now, lastValue: trigger.value });
+          dispatch(fired, 'alert.triggered', trigger);
+        });
+      }
+      lastRunAt = now;
+    } finally {
+      evaluating = false;
+    }
+  }
+
+  return {
+    list: () => store.list().map(withState),
+    get: (id) => withState(findRule(id)),
+    create(input) {
+      const rule = normalizeRule(input, { catalog, defaultWebhookUrl });
+      return withState(store.save({ ...rule, id: crypto.randomUUID() }));
+    },
+    update(id, input) {
+      const rule = normalizeRule(input, { existing: findRule(id), catalog, defaultWebhookUrl });
+      // Thresholds may have changed, so start over rather than fire on a stale side or candle.
+      states.delete(id);
+      return withState(store.save(rule));
+    },
+    remove(id) {
+      findRule(id);
+      states.delete(id);
+      store.remove(id);
+    },
+    /** Send a sample payload to the rule's webhook, e.g. to check the receiver's signature handling. */
+    test(id) {
+      const rule = findRule(id);
+      return dispatch(rule, 'alert.test', { message: `Test delivery for ${rule.name}` });
+    },
+    deliveries: (options) => store.deliveries(options),
+    evaluate,
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        evaluate().catch((error) => logger.warn?.(`Alert evaluation failed: ${error.message}`));
+      }, intervalMs);
+      timer.unref?.();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    stats: () => ({
+      rules: store.list().length,
+      enabled: store.list().filter((rule) => rule.enabled).length,
+      intervalMs,
+      lastRunAt,
+    }),
+  };
+}
@@ -0,0 +1,186 @@
+import { INTERVALS, parseInterval } from '../klines.js';
+import { problemDetails } from '../problem.js';
+import { isInternalHost } from './targets.js';
+
+/** Error carrying the HTTP status an alerts route should respond with. */
+export class AlertError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AlertError';
+    this.status = status;
+  }
+
+  toJSON() {
+    return problemDetails(this.status, { detail: this.message });
+  }
+}
+
+export const RULE_TYPES = ['price_cross', 'percent_move', 'volume_spike'];
+const DIRECTIONS = ['above', 'below', 'either'];
+const DEFAULT_COOLDOWN_MS = 5 * 60_000;
+const MAX_WINDOW_MS = 24 * 60 * 60_000;
+
+function positive(value, name) {
+  const number = Number(value);
+  if (!(number > 0) || !Number.isFinite(number)) {
+    throw new AlertError(400, `${name} must be a positive number`);
+  }
+  return number;
+}
+
+function oneOf(value, allowed, name) {
+  if (!allowed.includes(value)) {
+    throw new AlertError(400, `${name} must be one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+function webhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new AlertError(400, 'webhookUrl must be an absolute http(s) URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new AlertError(400, 'webhookUrl must be an absolute http(s) URL');
+  }
+  // Names that resolve inward are caught at delivery; ALERT_WEBHOOK_URL is the only trusted target.
+  if (isInternalHost(url.hostname)) {
+    throw new AlertError(400, 'webhookUrl must not point at a loopback, link-local or private address');
+  }
+  return url.toString();
+}
+
+// Type-specific fields, validated and defaulted.
+const TYPE_FIELDS = {
+  price_cross: (input) => ({
+    level: positive(input.level, 'level'),
+    direction: oneOf(input.direction ?? 'either', DIRECTIONS, 'direction'),
+    // The price must move this far back through the level before the rule can fire again.
+    hysteresisPct: input.hysteresisPct === undefined ? 0.1 : positive(input.hysteresisPct, 'hysteresisPct'),
+  }),
+  percent_move: (input) => {
+    const windowMs = positive(input.windowMs ?? 60 * 60_000, 'windowMs');
+    if (windowMs > MAX_WINDOW_MS) throw new AlertError(400, 'windowMs may be at most 24 hours');
+    return {
+      pct: positive(input.pct, 'pct'),
+      windowMs,
+      direction: oneOf(input.direction ?? 'either', ['up', 'down', 'either'], 'direction'),
+    };
+  },
+  volume_spike: (input) => {
+    const interval = parseInterval(input.interval ?? '1h');
+    if (!interval) throw new AlertError(400, `Unsupported interval: ${input.interval}`);
+    return {
+      multiplier: positive(input.multiplier ?? 3, 'multiplier'),
+      interval,
+      lookback: Math.round(positive(input.lookback ?? 24, 'lookback')),
+    };
+  },
+};
+
+/**
+ * Validate a create or update body into a stored rule. Updates are merged over `existing`, so a
+ * PATCH only needs the fields it changes; symbol, currency and type are fixed once created.
+ */
+export function normalizeRule(input, { existing, catalog, defaultWebhookUrl, now = Date.now() }) {
+  if (!input || typeof input !== 'object') throw new AlertError(400, 'Request body must be a JSON object');
+  const merged = { ...existing, ...input };
+  const symbol = String(existing?.symbol ?? input.symbol ?? '').toUpperCase();
+  const currency = String(existing?.currency ?? input.currency ?? 'USD').toUpperCase();
+  const type = existing?.type ?? input.type;
+
+  if (!symbol) throw new AlertError(400, 'symbol is required');
+  oneOf(type, RULE_TYPES, 'type');
+  if (!catalog.route(symbol, currency)) throw new AlertError(400, 'Unsupported symbol or currency');
+  const url = merged.webhookUrl || defaultWebhookUrl;
+  if (!url) throw new AlertError(400, 'webhookUrl is required (or set ALERT_WEBHOOK_URL)');
+
+  return {
+    id: existing?.id,
+    name: merged.name ? String(merged.name).slice(0, 200) : `${symbol}/${currency} ${type}`,
+    symbol,
+    currency,
+    type,
+    ...TYPE_FIELDS[type](merged),
+    webhookUrl: merged.webhookUrl ? webhookUrl(merged.webhookUrl) : null,
+    cooldownMs: merged.cooldownMs === undefined ? DEFAULT_COOLDOWN_MS : positive(merged.cooldownMs, 'cooldownMs'),
+    enabled: merged.enabled === undefined ? true : Boolean(merged.enabled),
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now,
+    lastTriggeredAt: existing?.lastTriggeredAt ?? null,
+    lastValue: existing?.lastValue ?? null,
+  };
+}
+
+// Which side of the level a price is on, keeping the previous side inside the hysteresis band.
+function sideOf(rule, price, previous) {
+  const band = (rule.level * rule.hysteresisPct) / 100;
+  if (price >= rule.level + (previous === 'below' ? band : 0)) return 'above';
+  if (price <= rule.level - (previous === 'above' ? band : 0)) return 'below';
+  return previous;
+}
+
+const EVALUATORS = {
+  price_cross(rule, state, { price }) {
+    const side = sideOf(rule, price, state.side);
+    const crossed = state.side && side !== state.side && [side, 'either'].includes(rule.direction);
+    return {
+      state: { ...state, side },
+      trigger: crossed
+        ? { value: price, message: `${rule.symbol}/${rule.currency} crossed ${side} ${rule.level} at ${price}` }
+        : null,
+    };
+  },
+
+  percent_move(rule, state, { price, samples, now }) {
+    const reference = samples.find((sample) => sample.t >= now - rule.windowMs);
+    if (!reference || reference.t === now) return { state, trigger: null };
+    const movePct = ((price - reference.price) / reference.price) * 100;
+    const direction = movePct >= 0 ? 'up' : 'down';
+    const fires = Math.abs(movePct) >= rule.pct && [direction, 'either'].includes(rule.direction);
+    return {
+      state,
+      trigger: fires
+        ? {
+            value: movePct,
+            message: `${rule.symbol}/${rule.currency} moved ${movePct.toFixed(2)}% in ${Math.round(rule.windowMs / 60_000)}m (${reference.price} -> ${price})`,
+          }
+        : null,
+    };
+  },
+
+  // Compares the last closed candle's volume with the average of the `lookback` candles before it.
+  volume_spike(rule, state, { candles, now }) {
+    const closed = (candles || []).filter((candle) => candle.t + INTERVALS[rule.interval] <= now);
+    const last = closed[closed.length - 1];
+    const prior = closed.slice(-rule.lookback - 1, -1).filter((candle) => candle.volume !== null);
+    if (!last || !prior.length || last.t === state.candleT) return { state, trigger: null };
+    const average = prior.reduce((sum, candle) => sum + candle.volume, 0) / prior.length;
+    const ratio = average ? last.volume / average : 0;
+    return {
+      state: { ...state, candleT: last.t },
+      trigger:
+        ratio >= rule.multiplier
+          ? {
+              value: ratio,
+              message: `${rule.symbol}/${rule.currency} ${rule.interval} volume ${ratio.toFixed(1)}x the ${prior.length}-candle average`,
+            }
+          : null,
+    };
+  },
+};
+
+/**
+ * Evaluate one rule against the latest observation. Returns the next runtime state and, when the
+ * rule fires and is outside its cooldown, a trigger to deliver.
+ */
+export function evaluateRule(rule, state, observation) {
+  const outcome = EVALUATORS[rule.type](rule, state, observation);
+  if (!outcome.trigger) return outcome;
+  if (rule.lastTriggeredAt && observation.now - rule.lastTriggeredAt < rule.cooldownMs) {
+    return { state: outcome.state, trigger: null, suppressed: true };
+  }
+  return outcome;
+}
@@ -0,0 +1,54 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Alert rules and the webhook delivery log, kept in memory and written to one JSON file.
+ * The log is capped at `maxDeliveries` entries, newest first.
+ */
+export function createAlertStore({ filePath, maxDeliveries = 500, logger = console }) {
+  let rules = new Map();
+  let deliveries = [];
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    rules = new Map((raw.rules || []).map((rule) => [rule.id, rule]));
+    deliveries = raw.deliveries || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') logger.warn?.(`Alert store ${filePath} unreadable: ${error.message}`);
+  }
+
+  function persist() {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ rules: [...rules.values()], deliveries }));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      logger.warn?.(`Alert store ${filePath} not saved: ${error.message}`);
+    }
+  }
+
+  return {
+    list: () => [...rules.values()].sort((a, b) => a.createdAt - b.createdAt),
+    get: (id) => rules.get(id) ?? null,
+    save(rule) {
+      rules.set(rule.id, rule);
+      persist();
+      return rule;
+    },
+    remove(id) {
+      const removed = rules.delete(id);
+      if (removed) persist();
+      return removed;
+    },
+    /** Insert or replace a delivery by id, so retries update the entry they started. */
+    recordDelivery(delivery) {
+      deliveries = [delivery, ...deliveries.filter((item) => item.id !== delivery.id)].slice(0, maxDeliveries);
+      persist();
+      return delivery;
+    },
+    deliveries({ ruleId, limit = 100 } = {}) {
+      return deliveries.filter((item) => !ruleId || item.ruleId === ruleId).slice(0, limit);
+    },
+  };
+}
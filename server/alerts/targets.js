@@ -0,0 +1,55 @@
+import dns from 'dns';
+import net from 'net';
+
+// Loopback, RFC 1918, CGNAT, link-local (cloud metadata lives at 169.254.169.254), unspecified and
+// their IPv6 counterparts. IPv4 subnets also match IPv4-mapped IPv6 addresses.
+const INTERNAL = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+].forEach(([prefix, bits]) => INTERNAL.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+].forEach(([prefix, bits]) => INTERNAL.addSubnet(prefix, bits, 'ipv6'));
+
+/** Error for webhook targets on this host or its private network. */
+export class InternalTargetError extends Error {
+  constructor(target) {
+    super(`Webhook target ${target} is a loopback, link-local or private address`);
+    this.name = 'InternalTargetError';
+    this.code = 'EINTERNALTARGET';
+  }
+}
+
+export function isInternalAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && INTERNAL.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/** True for `localhost` names and literal internal IPs; URL hostnames keep IPv6 brackets, so they're dropped. */
+export function isInternalHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  return host === 'localhost' || host.endsWith('.localhost') || isInternalAddress(host);
+}
+
+/**
+ * `dns.lookup` replacement for outgoing webhooks: fails when a name resolves to an internal address,
+ * so a public-looking hostname can't be pointed at the metadata service or the LAN.
+ */
+export function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const internal = addresses.find(({ address }) => isInternalAddress(address));
+    if (internal) return callback(new InternalTargetError(`${hostname} (${internal.address})`));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
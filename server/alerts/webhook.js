@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { InternalTargetError, isInternalHost, publicOnlyLookup } from './targets.js';
+
+/**
+ * Sign a webhook body. Receivers recompute HMAC-SHA256 over `${timestamp}.${body}` with the shared
+ * secret and compare it to the `X-Alert-Signature` header; the timestamp guards against replays.
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Client errors mean the receiver rejected the payload; retrying won't change that.
+function isRetryable(status) {
+  return !status || status >= 500 || status === 408 || status === 429;
+}
+
+/**
+ * POSTs alert payloads with exponential backoff between attempts. Every attempt is reported
+ * through `onUpdate(delivery)` so the delivery log reflects retries while they are pending.
+ * Only `trustedUrls` (the operator's ALERT_WEBHOOK_URL) may reach internal addresses; other
+ * targets are resolved through `publicOnlyLookup` and never follow redirects.
+ */
+export function createWebhookDispatcher({
+  secret,
+  trustedUrls = [],
+  maxAttempts = 5,
+  baseDelayMs = 1000,
+  timeoutMs = 5000,
+  onUpdate = () => {},
+  logger = console,
+}) {
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms).unref?.());
+
+  const trusted = new Set(trustedUrls.filter(Boolean));
+
+  function post(url, body, headers) {
+    if (trusted.has(url)) return axios.post(url, body, { headers, timeout: timeoutMs });
+    const { hostname } = new URL(url);
+    if (isInternalHost(hostname)) return Promise.reject(new InternalTargetError(hostname));
+    return axios.post(url, body, { headers, timeout: timeoutMs, lookup: publicOnlyLookup, maxRedirects: 0 });
+  }
+
+  async function deliver({ url, ruleId, event, payload }) {
+    const body = JSON.stringify(payload);
+    const delivery = {
+      id: payload.deliveryId,
+      ruleId,
+      event,
+      url,
+      status: 'pending',
+      attempts: [],
+      createdAt: Date.now(),
+      completedAt: null,
+    };
+    const report = () => onUpdate({ ...delivery, attempts: [...delivery.attempts] });
+    report();
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+      const timestamp = Date.now();
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Z6X-Market-Data-Node/1.0',
+        'X-Alert-Event': event,
+        'X-Alert-Delivery': delivery.id,
+        'X-Alert-Timestamp': String(timestamp),
+      };
+      if (secret) headers['X-Alert-Signature'] = signPayload(secret, timestamp, body);
+
+      let status = null;
+      let error = null;
+      let blocked = false;
+      try {
+        const response = await post(url, body, headers);
+        status = response.status;
+      } catch (err) {
+        status = err.response?.status ?? null;
+        error = err.message;
+        blocked = err.code === 'EINTERNALTARGET' || err.cause?.code === 'EINTERNALTARGET';
+      }
+      delivery.attempts.push({ at: timestamp, status, error, durationMs: Date.now() - timestamp });
+
+      if (!error) {
+        delivery.status = 'delivered';
+        break;
+      }
+      if (blocked || !isRetryable(status) || attempt === maxAttempts) {
+        delivery.status = 'failed';
+        logger.warn?.(`Webhook ${delivery.id} to ${url} failed after ${attempt} attempt(s): ${error}`);
+        break;
+      }
+      report();
+      await sleep(baseDelayMs * 2 ** (attempt - 1));
+    }
+
+    delivery.completedAt = Date.now();
+    report();
+    return delivery;
+  }
+
+  return { deliver };
+}
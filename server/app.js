@@ -0,0 +1,1402 @@
+import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig, publicConfig } from './config.js';
+import { createSymbolCatalog } from './symbolCatalog.js';
+import { combineLegPrices, pointsToCandles } from './quotes.js';
+import { DAY_MS, INTERVALS, parseInterval, parseTimestamp } from './klines.js';
+import {
+  buildProviders,
+  createBinanceAuthClient,
+  createProviderRegistry,
+  createUpstreamScheduler,
+} from './providers/index.js';
+import { AGGREGATE_METHODS, aggregateQuotes } from './aggregate.js';
+import { createAlertService, createAlertStore, createWebhookDispatcher } from './alerts/index.js';
+import { createPortfolioService, createPortfolioStore } from './portfolio/index.js';
+import { createWatchlistStore } from './watchlists.js';
+import {
+  createApiKeyStore,
+  createAuthMiddleware,
+  createRateLimiter,
+  normalizeKeyInput,
+  requireAdmin,
+} from './auth/index.js';
+import {
+  CANDLE_COLUMNS,
+  EXPORT_FORMATS,
+  QUOTE_COLUMNS,
+  exportFilename,
+  filenameTime,
+  streamExport,
+} from './export/index.js';
+import { createCache, createSingleFlight } from './cache/index.js';
+import { candleSeriesKey, createCandleStore, parseCandleSeriesKey } from './candleStore.js';
+import { createHistoryService } from './historyService.js';
+import { problemDetails, sendProblem } from './problem.js';
+import { buildOpenApiSpec, createOpenApiValidator, renderDocsPage } from './openapi/index.js';
+import { INDICATORS, MAX_INDICATORS, computeIndicators, parseIndicators } from './indicators.js';
+import { createPriceService, priceCacheKey } from './priceService.js';
+import { DEPTH_LIMIT, TRADES_LIMIT, createOrderBookService } from './orderBook.js';
+import { binanceTickerFeed, createPriceStream, fakeTickerFeed } from './priceStream.js';
+import { REPLAY_PROVIDER, createMetaBuilders, upstreamStatus } from './freshness.js';
+import {
+  createFixtureRecorder,
+  createReplayClock,
+  createReplayProvider,
+  createTransientCandleStore,
+  loadFixtures,
+  recordingFeed,
+  recordingRegistry,
+  replayTickerFeed,
+} from './replay/index.js';
+import {
+  PROMETHEUS_CONTENT_TYPE,
+  createLogger,
+  createReadinessCheck,
+  createServerMetrics,
+  requestObserver,
+} from './observability/index.js';
+
+const DIST_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'dist');
+
+const USER_AGENT = 'Z6X-Market-Data-Node/1.0';
+
+function buildHeaders() {
+  return {
+    Accept: 'application/json',
+    'User-Agent': USER_AGENT,
+  };
+}
+
+/**
+ * Build the proxy: every service, background job and route, configured from `config` (see
+ * loadConfig; parsed from `env`, normally process.env, when not given). `http` is the axios-style
+ * client upstream requests go through and `now` the clock behind cache ages and rate-limit windows,
+ * so tests can run it against a fake upstream. Listening is left to the caller; `ready` settles
+ * once the symbol catalog has loaded and `close()` stops the background jobs and flushes file caches.
+ */
+export function createApp({
+  env = process.env,
+  config = loadConfig(env),
+  http,
+  now = Date.now,
+  logger: injectedLogger,
+} = {}) {
+  const app = express();
+  const {
+    PRICE_API_BASE,
+    AVG_PRICE_API_BASE,
+    API_KEY,
+    API_SECRET,
+    API_AUTH,
+    TICKER_24H_API_BASE,
+    CACHE_TTL_MS,
+    HISTORY_API_BASE,
+    HISTORY_CACHE_TTL_MS,
+    HISTORY_MAX_POINTS,
+    DEPTH_API_BASE,
+    TRADES_API_BASE,
+    ORDERBOOK_CACHE_TTL_MS,
+    EXCHANGE_INFO_URL,
+    BINANCE_PING_URL,
+    COINBASE_API_BASE,
+    KRAKEN_API_BASE,
+    COINGECKO_API_BASE,
+    SYMBOLS_REFRESH_MS,
+    STREAM_BASE,
+    STREAM_SOURCE,
+    MARKET_PROVIDERS,
+    PROVIDER_FAILURE_THRESHOLD,
+    PROVIDER_COOLDOWN_MS,
+    BINANCE_WEIGHT_LIMIT,
+    UPSTREAM_BUDGET_MARGIN_PCT,
+    UPSTREAM_MAX_WAIT_MS,
+    AGGREGATE_MAX_DEVIATION_PCT,
+    AGGREGATE_MIN_SOURCES,
+    MAX_BATCH_SYMBOLS,
+    CACHE_BACKEND,
+    CACHE_DIR,
+    PRICE_CACHE_MAX_ENTRIES,
+    HISTORY_CACHE_MAX_ENTRIES,
+    CANDLE_STORE_DIR,
+    ALERTS_FILE,
+    ALERT_EVAL_INTERVAL_MS,
+    ALERT_WEBHOOK_URL,
+    ALERT_WEBHOOK_SECRET,
+    ALERT_WEBHOOK_MAX_ATTEMPTS,
+    PORTFOLIO_FILE,
+    PORTFOLIO_CURRENCY,
+    WATCHLISTS_FILE,
+    EXPORT_MAX_CANDLES,
+    BACKFILL_MAX_CANDLES,
+    API_KEYS_FILE,
+    REQUIRE_API_KEY,
+    ADMIN_TOKEN,
+    RATE_LIMIT_KEY_CAPACITY,
+    RATE_LIMIT_KEY_REFILL_PER_SEC,
+    RATE_LIMIT_IP_CAPACITY,
+    RATE_LIMIT_IP_REFILL_PER_SEC,
+    TRUST_PROXY,
+    LOG_LEVEL,
+    READINESS_CACHE_MS,
+    OPENAPI_RESPONSE_VALIDATION,
+    REPLAY_MODE,
+    FIXTURES_DIR,
+    REPLAY_SPEED,
+  } = config;
+  const ORDERBOOK_CACHE_MAX_ENTRIES = 200;
+  const STREAM_HEARTBEAT_MS = 15_000;
+  // Exports stream the requested range this many candles at a time.
+  const EXPORT_CHUNK_CANDLES = 5000;
+
+  const logger = injectedLogger ?? createLogger({ level: LOG_LEVEL, base: { service: 'market-data-node' } });
+  const metrics = createServerMetrics();
+  const { dataMeta, fetchedMeta } = createMetaBuilders(now);
+  app.use(requestObserver({ logger, metrics }));
+  app.use(express.json());
+
+  // Every route is described in /openapi.json; query and path parameters (and, when
+  // OPENAPI_RESPONSE_VALIDATION is on, JSON responses) are checked against it.
+  const openApiDocument = buildOpenApiSpec(config);
+  app.use(createOpenApiValidator({ document: openApiDocument, responses: OPENAPI_RESPONSE_VALIDATION, logger }));
+
+  // Binance requests carry API_KEY (and a signature in API_AUTH=signed) once a key is configured.
+  const binanceHttp = API_KEY
+    ? createBinanceAuthClient({ apiKey: API_KEY, apiSecret: API_SECRET, mode: API_AUTH, http, now })
+    : http;
+
+  // One scheduler per upstream host. Binance reports the weight used this minute in a response header;
+  // the others publish plain request-rate limits.
+  const UPSTREAM_LIMITS = {
+    binance: {
+      limit: BINANCE_WEIGHT_LIMIT,
+      windowMs: 60_000,
+      weightHeader: 'x-mbx-used-weight-1m',
+      http: binanceHttp,
+    },
+    coinbase: { limit: 10, windowMs: 1000 },
+    kraken: { limit: 60, windowMs: 60_000 },
+    coingecko: { limit: 30, windowMs: 60_000 },
+  };
+  const upstreams = Object.fromEntries(
+    Object.entries(UPSTREAM_LIMITS).map(([name, limits]) => [
+      name,
+      createUpstreamScheduler({
+        name,
+        http,
+        ...limits,
+        marginPct: UPSTREAM_BUDGET_MARGIN_PCT,
+        maxWaitMs: UPSTREAM_MAX_WAIT_MS,
+        now,
+        onResult: (result) => metrics.recordUpstream(name, result),
+      }),
+    ]),
+  );
+
+  // Replay answers from recorded fixtures alone; record mode serves upstream as usual and keeps a copy.
+  const fixtures = REPLAY_MODE === 'replay' ? loadFixtures(FIXTURES_DIR) : null;
+  const replayClock = fixtures
+    ? createReplayClock({ start: fixtures.start, end: fixtures.end, speed: REPLAY_SPEED, now })
+    : null;
+  const recorder = REPLAY_MODE === 'record' ? createFixtureRecorder({ dir: FIXTURES_DIR, logger }) : null;
+  if (fixtures) {
+    logger.info(`Replaying fixtures from ${FIXTURES_DIR}`, {
+      recordedFrom: new Date(fixtures.start).toISOString(),
+      recordedTo: new Date(fixtures.end).toISOString(),
+      speed: REPLAY_SPEED,
+    });
+  }
+
+  // Tradable pairs come from exchange info and refresh in the background.
+  const symbolCatalog = createSymbolCatalog({
+    url: EXCHANGE_INFO_URL,
+    refreshMs: SYMBOLS_REFRESH_MS,
+    headers: buildHeaders(),
+    http: upstreams.binance,
+    markets: fixtures?.markets,
+    onRefresh: recorder?.markets,
+    logger,
+  });
+  const catalogReady = fixtures ? Promise.resolve() : symbolCatalog.start();
+
+  const registry = createProviderRegistry({
+    providers: fixtures
+      ? [createReplayProvider({ fixtures, clock: replayClock })]
+      : buildProviders(MARKET_PROVIDERS, {
+          binance: {
+            catalog: symbolCatalog,
+            priceUrl: PRICE_API_BASE,
+            avgPriceUrl: AVG_PRICE_API_BASE,
+            ticker24hUrl: TICKER_24H_API_BASE,
+            klinesUrl: HISTORY_API_BASE,
+            depthUrl: DEPTH_API_BASE,
+            tradesUrl: TRADES_API_BASE,
+            pingUrl: BINANCE_PING_URL,
+            headers: buildHeaders,
+            http: upstreams.binance,
+            now,
+          },
+          coinbase: {
+            baseUrl: COINBASE_API_BASE,
+            headers: buildHeaders,
+            http: upstreams.coinbase,
+            now,
+          },
+          kraken: {
+            baseUrl: KRAKEN_API_BASE,
+            headers: buildHeaders,
+            http: upstreams.kraken,
+            now,
+          },
+          coingecko: {
+            baseUrl: COINGECKO_API_BASE,
+            headers: buildHeaders,
+            http: upstreams.coingecko,
+            now,
+          },
+        }),
+    breaker: { failureThreshold: PROVIDER_FAILURE_THRESHOLD, cooldownMs: PROVIDER_COOLDOWN_MS, now },
+    now,
+    logger,
+  });
+  const providers = recorder ? recordingRegistry(registry, recorder) : registry;
+
+  // Caches avoid hammering upstream and hitting 429s; stale entries are kept for fallbacks.
+  // Replayed data is shifted to the present, so it is never written to a persistent backend.
+  const cacheBackend = fixtures ? 'memory' : CACHE_BACKEND;
+  const priceCache = createCache({
+    name: 'price',
+    backend: cacheBackend,
+    maxEntries: PRICE_CACHE_MAX_ENTRIES,
+    dir: CACHE_DIR,
+    logger,
+  });
+  const historyCache = createCache({
+    name: 'history',
+    backend: cacheBackend,
+    maxEntries: HISTORY_CACHE_MAX_ENTRIES,
+    dir: CACHE_DIR,
+    logger,
+  });
+  const orderBookCache = createCache({
+    name: 'orderbook',
+    backend: cacheBackend,
+    maxEntries: ORDERBOOK_CACHE_MAX_ENTRIES,
+    dir: CACHE_DIR,
+    logger,
+  });
+  // Concurrent misses for the same key share one upstream request.
+  const inflight = createSingleFlight();
+
+  const priceService = createPriceService({
+    catalog: symbolCatalog,
+    providers,
+    cache: priceCache,
+    inflight,
+    ttlMs: CACHE_TTL_MS,
+    now,
+  });
+
+  const orderBookService = createOrderBookService({
+    catalog: symbolCatalog,
+    providers,
+    cache: orderBookCache,
+    inflight,
+    ttlMs: ORDERBOOK_CACHE_TTL_MS,
+    now,
+  });
+
+  const candleStore =
+    REPLAY_MODE === 'off' ? createCandleStore({ dir: CANDLE_STORE_DIR, logger }) : createTransientCandleStore();
+  const historyService = createHistoryService({
+    providers,
+    store: candleStore,
+    maxPoints: HISTORY_MAX_POINTS,
+    now,
+    logger,
+  });
+
+  const alertStore = createAlertStore({ filePath: ALERTS_FILE, logger });
+  const alertService = createAlertService({
+    store: alertStore,
+    catalog: symbolCatalog,
+    priceService,
+    historyService,
+    dispatcher: createWebhookDispatcher({
+      secret: ALERT_WEBHOOK_SECRET,
+      trustedUrls: [ALERT_WEBHOOK_URL],
+      maxAttempts: ALERT_WEBHOOK_MAX_ATTEMPTS,
+      onUpdate: alertStore.recordDelivery,
+      logger,
+    }),
+    defaultWebhookUrl: ALERT_WEBHOOK_URL,
+    intervalMs: ALERT_EVAL_INTERVAL_MS,
+    logger,
+  });
+  alertService.start();
+
+  const portfolioService = createPortfolioService({
+    store: createPortfolioStore({ filePath: PORTFOLIO_FILE, logger }),
+    catalog: symbolCatalog,
+    priceService,
+    historyService,
+    currency: PORTFOLIO_CURRENCY,
+    logger,
+  });
+
+  const watchlists = createWatchlistStore({ filePath: WATCHLISTS_FILE, catalog: symbolCatalog, logger });
+
+  const apiKeys = createApiKeyStore({ filePath: API_KEYS_FILE, logger });
+  const rateLimiter = createRateLimiter({ now });
+  if (TRUST_PROXY !== undefined) app.set('trust proxy', TRUST_PROXY);
+  // Market data and per-user state routes; /health, diagnostics and static assets stay open, and /admin
+  // routes check ADMIN_TOKEN instead.
+  app.use(
+    [
+      '/price',
+      '/prices',
+      '/depth',
+      '/trades',
+      '/history',
+      '/ticker',
+      '/symbols',
+      '/stream',
+      '/alerts',
+      '/portfolio',
+      '/watchlists',
+    ],
+    createAuthMiddleware({
+      store: apiKeys,
+      limiter: rateLimiter,
+      requireKey: REQUIRE_API_KEY,
+      keyLimit: { capacity: RATE_LIMIT_KEY_CAPACITY, refillPerSec: RATE_LIMIT_KEY_REFILL_PER_SEC },
+      ipLimit: { capacity: RATE_LIMIT_IP_CAPACITY, refillPerSec: RATE_LIMIT_IP_REFILL_PER_SEC },
+    }),
+  );
+
+  // Latest known price of a single market, taken from any cached /price payload that used it.
+  function lastLegPrice(pair) {
+    for (const payload of priceCache.values()) {
+      const leg = payload.legs?.find((item) => item.pair === pair);
+      if (leg) return leg.price;
+    }
+    return null;
+  }
+
+  function createTickerFeed(pair, handlers) {
+    if (fixtures) {
+      return replayTickerFeed(pair, { ...handlers, ticks: fixtures.ticks.get(pair) ?? [], clock: replayClock });
+    }
+    return STREAM_SOURCE === 'fake'
+      ? fakeTickerFeed(pair, { ...handlers, seedPrice: lastLegPrice(pair) || 100 })
+      : binanceTickerFeed(pair, { ...handlers, url: STREAM_BASE });
+  }
+
+  const priceStream = createPriceStream({
+    createFeed: recorder ? recordingFeed(createTickerFeed, recorder) : createTickerFeed,
+    logger,
+  });
+
+  // Who streamed prices come from, for their payloads and `meta`.
+  const STREAM_ORIGINS = {
+    replay: { provider: REPLAY_PROVIDER, source: `replay:${FIXTURES_DIR}`, provenance: 'replay' },
+    fake: {
+      provider: 'fake',
+      source: 'fake-stream',
+      provenance: 'mock',
+      reason: 'STREAM_SOURCE=fake; prices are a local random walk.',
+    },
+    binance: { provider: 'binance', source: STREAM_BASE, provenance: 'live' },
+  };
+  const streamOrigin = STREAM_ORIGINS[fixtures ? 'replay' : STREAM_SOURCE] ?? STREAM_ORIGINS.binance;
+
+  metrics.collectFrom({
+    caches: { price: priceCache, history: historyCache, orderbook: orderBookCache },
+    inflight,
+    upstreams,
+    providers,
+    priceStream,
+  });
+  const checkReadiness = createReadinessCheck({
+    providers,
+    caches: { price: priceCache, history: historyCache, orderbook: orderBookCache },
+    catalog: symbolCatalog,
+    ttlMs: READINESS_CACHE_MS,
+    now,
+  });
+
+  const HISTORY_FORMATS = ['points', 'ohlcv', ...EXPORT_FORMATS];
+
+  function badRequest(res, detail) {
+    sendProblem(res, problemDetails(400, { detail }));
+  }
+
+  // Upstream failures of routes without a service error of their own (history, exports, backfill).
+  function sendUpstreamProblem(res, error, detail) {
+    sendProblem(
+      res,
+      problemDetails(error.status || error.response?.status || 500, {
+        kind: 'upstream',
+        detail,
+        upstreamError: error.details ?? error.response?.data ?? null,
+        failover: error.attempts,
+      }),
+    );
+  }
+
+  // History payloads always carry candles internally; only `format=ohlcv` returns them.
+  // Requested indicators are computed from those candles on the way out, so cached payloads serve any set.
+  function shapeHistory(payload, { format, indicators }) {
+    const shaped = indicators
+      ? { ...payload, indicators: computeIndicators(payload.candles, indicators) }
+      : payload;
+    if (format === 'ohlcv') return { ...shaped, format };
+    const { candles: _candles, ...rest } = shaped;
+    return { ...rest, format };
+  }
+
+  // Walks an export range one chunk at a time straight from the providers. Chunks skip the candle
+  // store: merging each into a series that can reach EXPORT_MAX_CANDLES would rewrite its file every time.
+  async function* exportCandleBatches({ symbol, currency, interval, startTime, endTime }) {
+    const span = INTERVALS[interval] * EXPORT_CHUNK_CANDLES;
+    for (let from = startTime; from <= endTime; from += span) {
+      const { candles } = await providers.execute('getCandles', {
+        symbol,
+        currency,
+        interval,
+        startTime: from,
+        endTime: Math.min(from + span - 1, endTime),
+        maxPoints: EXPORT_CHUNK_CANDLES,
+      });
+      yield candles;
+    }
+  }
+
+  // Liveness: the process is up and serving. Dependencies are checked by /health/ready.
+  app.get('/health', (_, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  // Readiness: 503 only when no provider answers or a cache backend can't be written.
+  app.get('/health/ready', async (_, res) => {
+    const readiness = await checkReadiness();
+    res.status(readiness.status === 'unavailable' ? 503 : 200).json(readiness);
+  });
+
+  // Non-secret runtime settings for the dashboard; credentials only show up as the auth mode in use.
+  app.get('/config', (_, res) => {
+    res.json(publicConfig(config));
+  });
+
+  app.get('/openapi.json', (_, res) => {
+    res.json(openApiDocument);
+  });
+
+  app.get('/docs', (_, res) => {
+    res.type('html').send(renderDocsPage({ title: openApiDocument.info.title, specUrl: 'openapi.json' }));
+  });
+
+  app.get('/metrics', (_, res) => {
+    res.type(PROMETHEUS_CONTENT_TYPE).send(metrics.registry.render());
+  });
+
+  // The dashboard's telemetry card; the same series as /metrics, reduced to headline numbers.
+  app.get('/metrics/summary', (_, res) => {
+    res.json(metrics.summary());
+  });
+
+  app.get('/providers', (_, res) => {
+    res.json({ providers: providers.stats() });
+  });
+
+  // Outbound budget per upstream: weight used this window, queue depth, blocks after 418/429.
+  app.get('/upstream', (_, res) => {
+    res.json({ upstreams: Object.values(upstreams).map((scheduler) => scheduler.stats()) });
+  });
+
+  app.get('/cache/stats', (_, res) => {
+    res.json({
+      price: priceCache.stats(),
+      history: historyCache.stats(),
+      orderbook: orderBookCache.stats(),
+      inflight: inflight.stats(),
+    });
+  });
+
+  app.get('/symbols', (req, res) => {
+    const quote = req.query.quote || req.query.currency;
+    const symbols = symbolCatalog
+      .list({ search: req.query.q || req.query.search, quote, status: req.query.status })
+      .map((market) => ({
+        symbol: market.baseAsset,
+        pair: market.pair,
+        baseAsset: market.baseAsset,
+        quoteAsset: market.quoteAsset,
+        status: market.status,
+        baseAssetPrecision: market.baseAssetPrecision,
+        quotePrecision: market.quotePrecision,
+        tickSize: market.tickSize,
+        stepSize: market.stepSize,
+      }));
+
+    res.json({
+      count: symbols.length,
+      symbols,
+      updatedAt: symbolCatalog.updatedAt,
+      source: symbolCatalog.source,
+    });
+  });
+
+  app.get('/history', async (req, res) => {
+    const symbol = (req.query.symbol || 'BTC').toUpperCase();
+    const days = req.query.days || 1;
+    const interval = req.query.interval || 'hourly';
+    const currency = (req.query.currency || 'USD').toUpperCase();
+    const format = req.query.format || 'points';
+    const from = parseTimestamp(req.query.from);
+    const to = parseTimestamp(req.query.to);
+    const indicators = req.query.indicators === undefined ? null : parseIndicators(req.query.indicators);
+    const view = { format, indicators };
+    const isExport = EXPORT_FORMATS.includes(format);
+    const binanceInterval = parseInterval(interval);
+    const quoteRoute = symbolCatalog.route(symbol, currency);
+    // Relative windows are keyed by `days` so they keep hitting the cache as time moves on.
+    const rangeKey = from === null && to === null ? `${days}d` : `${from}-${to}`;
+    const cacheKey = `${symbol}:${quoteRoute?.quoteAsset}:${binanceInterval}:${rangeKey}`;
+    const requestedAt = now();
+    if (!HISTORY_FORMATS.includes(format)) {
+      return badRequest(res, `Unsupported format. Use one of: ${HISTORY_FORMATS.join(', ')}`);
+    }
+    if (!binanceInterval) {
+      return badRequest(res, `Unsupported interval: ${interval}`);
+    }
+    if (req.query.indicators !== undefined && !indicators) {
+      return badRequest(
+        res,
+        `Unsupported indicators. Use up to ${MAX_INDICATORS} of ${Object.keys(INDICATORS).join(', ')}, e.g. sma:20,rsi:14,macd:12:26:9,bb:20:2`,
+      );
+    }
+    if (!(Number(days) > 0)) {
+      return badRequest(res, 'days must be a positive number');
+    }
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return badRequest(res, 'from/to must be epoch milliseconds or ISO dates');
+    }
+    const endTime = to ?? requestedAt;
+    const startTime = from ?? endTime - Number(days) * DAY_MS;
+    if (startTime >= endTime) {
+      return badRequest(res, 'from must be earlier than to');
+    }
+    if (isExport && indicators) {
+      return badRequest(res, `indicators are not included in ${format} exports`);
+    }
+    if (isExport && (endTime - startTime) / INTERVALS[binanceInterval] > EXPORT_MAX_CANDLES) {
+      return badRequest(
+        res,
+        `Export range exceeds ${EXPORT_MAX_CANDLES} candles; use a coarser interval or a shorter range`,
+      );
+    }
+    if (!quoteRoute) {
+      return badRequest(res, 'Unsupported symbol or currency');
+    }
+
+    // Exports bypass the history cache and the HISTORY_MAX_POINTS cap: rows go out as each chunk arrives.
+    if (isExport) {
+      try {
+        await streamExport(res, {
+          format,
+          filename: exportFilename(
+            `${symbol}-${currency}`,
+            binanceInterval,
+            filenameTime(startTime),
+            filenameTime(endTime),
+          ),
+          columns: CANDLE_COLUMNS,
+          batches: exportCandleBatches({
+            symbol,
+            currency,
+            interval: binanceInterval,
+            startTime,
+            endTime,
+          }),
+          logger,
+        });
+      } catch (error) {
+        sendUpstreamProblem(res, error, 'History export failed');
+      }
+      return;
+    }
+
+    const cached = historyCache.get(cacheKey);
+    const isCacheFresh = cached && now() - cached.timestamp < HISTORY_CACHE_TTL_MS;
+    if (isCacheFresh) {
+      return res.json(
+        shapeHistory(
+          {
+            ...cached.payload,
+            cached: true,
+            meta: dataMeta({
+              provenance: 'cache',
+              asOf: cached.timestamp,
+              upstream: { status: 'not_contacted', provider: cached.payload.provider },
+            }),
+          },
+          view,
+        ),
+      );
+    }
+
+    try {
+      const result = await inflight.run(`history:${cacheKey}`, () =>
+        historyService.getCandles({
+          symbol,
+          currency,
+          quoteAsset: quoteRoute.quoteAsset,
+          interval: binanceInterval,
+          startTime,
+          endTime,
+        }),
+      );
+
+      const { candles } = result;
+      const series = candles.map((candle) => ({ t: candle.t, price: candle.close }));
+
+      if (!series.length) {
+        return sendProblem(res, problemDetails(502, { kind: 'unavailable', detail: 'History not available' }));
+      }
+
+      const volume24h = candles.some((candle) => candle.quoteVolume !== null)
+        ? candles.reduce((sum, candle) => sum + Number(candle.quoteVolume || 0), 0)
+        : null;
+
+      const payload = {
+        symbol,
+        currency,
+        days,
+        interval: result.interval,
+        from: startTime,
+        to: endTime,
+        points: series,
+        candles,
+        volume24h,
+        route: result.route,
+        legs: result.legs,
+        pages: result.pages,
+        truncated: result.truncated,
+        provider: result.provider,
+        failover: result.attempts,
+        store: result.store,
+        source: result.source,
+      };
+      if (result.truncated) {
+        payload.warning = `Range exceeds ${HISTORY_MAX_POINTS} candles; results were truncated.`;
+      } else if (result.warning) {
+        payload.warning = result.warning;
+      }
+
+      const failure = result.upstreamFailure;
+      // Store-only answers are retried on the next request rather than cached as if they were complete.
+      if (!failure) historyCache.set(cacheKey, { payload, timestamp: now() });
+
+      const meta = failure
+        ? dataMeta({
+            provenance: 'cache',
+            asOf: now(),
+            upstream: { status: upstreamStatus(failure.status), httpStatus: failure.status },
+            reason: result.warning,
+          })
+        : fetchedMeta({ provider: result.provider, asOf: now() });
+      res.json(shapeHistory({ ...payload, meta }, view));
+    } catch (error) {
+      const status = error.status || error.response?.status || 500;
+
+      if ((status === 429 || status === 401 || status === 403) && cached) {
+        const warning =
+          status === 429
+            ? 'Upstream rate limit hit, serving cached history.'
+            : 'Upstream rejected request, serving cached history. Set API_KEY if needed.';
+        return res.json(
+          shapeHistory(
+            {
+              ...cached.payload,
+              cached: true,
+              warning,
+              meta: dataMeta({
+                provenance: 'cache',
+                asOf: cached.timestamp,
+                upstream: { status: upstreamStatus(status), httpStatus: status },
+                reason: warning,
+              }),
+            },
+            view,
+          ),
+        );
+      }
+
+      if (status === 429 && !cached) {
+        // Fall back to a flat series using the latest spot price to avoid empty charts.
+        const spot = priceCache.get(priceCacheKey(quoteRoute));
+        if (spot?.price) {
+          const latest = now();
+          const points = Array.from({ length: 12 }, (_, idx) => ({
+            t: latest - (11 - idx) * 5 * 60 * 1000, // 5-minute steps back
+            price: spot.price,
+          }));
+          return res.json(
+            shapeHistory(
+              {
+                symbol,
+                currency,
+                days,
+                interval,
+                points,
+                candles: pointsToCandles(points),
+                volume24h: null,
+                source: `${spot.source} (fallback)`,
+                cached: false,
+                warning: 'Upstream rate limit hit, serving flat fallback from latest spot.',
+                meta: dataMeta({
+                  provenance: 'fallback',
+                  asOf: spot.quotedAt ?? spot.timestamp,
+                  upstream: { status: upstreamStatus(status), httpStatus: status },
+                  reason: 'Upstream rate limited and no history cached; this flat series is the last spot price.',
+                }),
+              },
+              view,
+            ),
+          );
+        }
+      }
+
+      sendUpstreamProblem(
+        res,
+        error,
+        status === 401
+          ? 'Unauthorized with upstream. Provide API_KEY if required by provider.'
+          : 'History request failed',
+      );
+    }
+  });
+
+  // Everything under /admin needs `Authorization: Bearer <ADMIN_TOKEN>`.
+  const adminOnly = requireAdmin(ADMIN_TOKEN);
+
+  // Candle store administration: coverage per series and on-demand backfill.
+  app.get('/admin/candles', adminOnly, (_, res) => {
+    const series = candleStore.keys().map((key) => {
+      const { symbol, quoteAsset, interval } = parseCandleSeriesKey(key);
+      const { count, first, last, gaps } = candleStore.coverage(key, INTERVALS[interval]);
+      return { key, symbol, quoteAsset, interval, count, first, last, gaps: gaps.length };
+    });
+    res.json({ dir: CANDLE_STORE_DIR, series });
+  });
+
+  app.get('/admin/candles/:symbol/:currency/:interval', adminOnly, (req, res) => {
+    const quoteRoute = symbolCatalog.route(req.params.symbol, req.params.currency);
+    const interval = parseInterval(req.params.interval);
+    const from = parseTimestamp(req.query.from);
+    const to = parseTimestamp(req.query.to);
+    if (!quoteRoute || !interval) {
+      return badRequest(res, 'Unsupported symbol, currency or interval');
+    }
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return badRequest(res, 'from/to must be epoch milliseconds or ISO dates');
+    }
+    const key = candleSeriesKey(quoteRoute.baseAsset, quoteRoute.quoteAsset, interval);
+    res.json(
+      candleStore.coverage(key, INTERVALS[interval], {
+        startTime: from ?? -Infinity,
+        endTime: to ?? Infinity,
+      }),
+    );
+  });
+
+  app.post('/admin/candles/backfill', adminOnly, async (req, res) => {
+    const { symbol, currency = 'USD', interval: rawInterval = '1h' } = req.body || {};
+    const quoteRoute = symbolCatalog.route(symbol, currency);
+    const interval = parseInterval(rawInterval);
+    const startTime = parseTimestamp(req.body?.from);
+    const endTime = parseTimestamp(req.body?.to) ?? now();
+    if (!quoteRoute || !interval) {
+      return badRequest(res, 'Unsupported symbol, currency or interval');
+    }
+    if (startTime === null || Number.isNaN(startTime) || Number.isNaN(endTime) || startTime >= endTime) {
+      return badRequest(res, 'Backfill needs a valid from (and optional to) range');
+    }
+    if ((endTime - startTime) / INTERVALS[interval] > BACKFILL_MAX_CANDLES) {
+      return badRequest(
+        res,
+        `Backfill range exceeds ${BACKFILL_MAX_CANDLES} candles; split it into shorter ranges`,
+      );
+    }
+
+    try {
+      const result = await historyService.backfill({
+        symbol: quoteRoute.baseAsset,
+        currency: String(currency).toUpperCase(),
+        quoteAsset: quoteRoute.quoteAsset,
+        interval,
+        startTime,
+        endTime,
+      });
+      res.json(result);
+    } catch (error) {
+      sendUpstreamProblem(res, error, 'Backfill failed');
+    }
+  });
+
+  // Client API key administration. Plaintext keys are only ever returned by POST.
+
+  app.get('/admin/keys', adminOnly, (_, res) => {
+    res.json({ keys: apiKeys.list(), rateLimiter: rateLimiter.stats() });
+  });
+
+  app.post('/admin/keys', adminOnly, (req, res) => {
+    try {
+      res.status(201).json(apiKeys.create(normalizeKeyInput(req.body)));
+    } catch (error) {
+      sendServiceError(res, error);
+    }
+  });
+
+  app.get('/admin/keys/:id', adminOnly, (req, res) => {
+    const record = apiKeys.get(req.params.id);
+    if (!record) return sendProblem(res, problemDetails(404, { detail: `API key ${req.params.id} not found` }));
+    res.json(record);
+  });
+
+  app.delete('/admin/keys/:id', adminOnly, (req, res) => {
+    const record = apiKeys.revoke(req.params.id);
+    if (!record) return sendProblem(res, problemDetails(404, { detail: `API key ${req.params.id} not found` }));
+    res.json(record);
+  });
+
+  // Reference price from every available provider, with outliers dropped before averaging.
+  async function sendAggregatePrice(req, res, { symbol, currency, quoteRoute }) {
+    const method = req.query.method || 'median';
+    const maxDeviationPct =
+      req.query.maxDeviation !== undefined ? Number(req.query.maxDeviation) : AGGREGATE_MAX_DEVIATION_PCT;
+
+    if (!AGGREGATE_METHODS.includes(method)) {
+      return badRequest(res, `Unsupported method. Use one of: ${AGGREGATE_METHODS.join(', ')}`);
+    }
+    if (!(maxDeviationPct > 0)) {
+      return badRequest(res, 'maxDeviation must be a positive percentage');
+    }
+
+    const cacheKey = `${priceCacheKey(quoteRoute)}:aggregate:${method}:${maxDeviationPct}`;
+    const cached = priceCache.get(cacheKey);
+    if (cached && now() - cached.timestamp < CACHE_TTL_MS) {
+      return res.json({
+        ...cached,
+        cached: true,
+        meta: dataMeta({
+          provenance: 'cache',
+          asOf: cached.timestamp,
+          upstream: { status: 'not_contacted', provider: 'aggregate' },
+        }),
+      });
+    }
+
+    const { results, attempts } = await inflight.run(`aggregate:${cacheKey}`, () =>
+      providers.executeAll('getPrice', { symbol, currency }),
+    );
+    const aggregate = aggregateQuotes(results, { method, maxDeviationPct });
+
+    if (!aggregate?.price) {
+      if (cached) {
+        const warning = 'No consistent quotes from providers, serving cached price.';
+        return res.json({
+          ...cached,
+          cached: true,
+          warning,
+          meta: dataMeta({
+            provenance: 'cache',
+            asOf: cached.timestamp,
+            upstream: { status: 'unavailable', provider: 'aggregate' },
+            reason: warning,
+          }),
+        });
+      }
+      return sendProblem(
+        res,
+        problemDetails(502, {
+          kind: 'upstream',
+          detail: 'No consistent quotes from providers',
+          kept: aggregate?.kept || [],
+          rejected: aggregate?.rejected || [],
+          failed: attempts,
+        }),
+      );
+    }
+
+    const payload = {
+      symbol,
+      currency,
+      mode: 'aggregate',
+      price: aggregate.price,
+      method: aggregate.method,
+      maxDeviationPct,
+      spread: aggregate.spread,
+      sources: {
+        kept: aggregate.kept,
+        rejected: aggregate.rejected,
+        failed: attempts,
+      },
+      timestamp: now(),
+    };
+    if (aggregate.kept.length < AGGREGATE_MIN_SOURCES) {
+      payload.warning = `Only ${aggregate.kept.length} source(s) agreed; reference price is not cross-checked.`;
+    }
+
+    priceCache.set(cacheKey, payload);
+
+    res.json({
+      ...payload,
+      meta: dataMeta({ provenance: 'live', asOf: payload.timestamp, upstream: { status: 'ok', provider: 'aggregate' } }),
+    });
+  }
+
+  app.get('/price', async (req, res) => {
+    const symbol = (req.query.symbol || 'BTC').toUpperCase();
+    const currency = (req.query.currency || 'USD').toUpperCase();
+    const quoteRoute = symbolCatalog.route(symbol, currency);
+
+    if (!quoteRoute) {
+      return badRequest(res, 'Unsupported symbol or currency');
+    }
+
+    const mode = req.query.mode || 'single';
+    if (mode === 'aggregate') {
+      return sendAggregatePrice(req, res, { symbol, currency, quoteRoute });
+    }
+    if (mode !== 'single') {
+      return badRequest(res, 'Unsupported mode. Use one of: single, aggregate');
+    }
+
+    try {
+      res.json(await priceService.getQuote(symbol, currency));
+    } catch (error) {
+      sendServiceError(res, error);
+    }
+  });
+
+  // Aggregated order book: `group` buckets levels by a price step, `levels` caps each side,
+  // `limit` is how many raw levels to fetch from upstream.
+  app.get('/depth', async (req, res) => {
+    const symbol = String(req.query.symbol || 'BTC').toUpperCase();
+    const currency = String(req.query.currency || 'USD').toUpperCase();
+    const limit = Math.min(Math.floor(Number(req.query.limit)) || DEPTH_LIMIT.default, DEPTH_LIMIT.max);
+    const group = req.query.group !== undefined && req.query.group !== '' ? Number(req.query.group) : null;
+    const levels = Math.min(Math.floor(Number(req.query.levels)) || limit, limit);
+
+    if (limit < 1 || levels < 1) {
+      return badRequest(res, 'limit and levels must be positive integers');
+    }
+    if (group !== null && !(group > 0 && Number.isFinite(group))) {
+      return badRequest(res, 'group must be a positive price step, e.g. group=10');
+    }
+
+    try {
+      res.json(await orderBookService.getDepth({ symbol, currency, limit, group, levels }));
+    } catch (error) {
+      sendServiceError(res, error);
+    }
+  });
+
+  // Most recent trades, newest first; `side` is the aggressor's (buy = taker bought).
+  app.get('/trades', async (req, res) => {
+    const symbol = String(req.query.symbol || 'BTC').toUpperCase();
+    const currency = String(req.query.currency || 'USD').toUpperCase();
+    const limit = Math.min(Math.floor(Number(req.query.limit)) || TRADES_LIMIT.default, TRADES_LIMIT.max);
+
+    if (limit < 1) {
+      return badRequest(res, 'limit must be a positive integer');
+    }
+
+    try {
+      res.json(await orderBookService.getTrades({ symbol, currency, limit }));
+    } catch (error) {
+      sendServiceError(res, error);
+    }
+  });
+
+  // Batch quotes: GET /prices?symbols=BTC,ETH or POST /prices { symbols: [...], currency }.
+  // `format=csv|ndjson|parquet` returns one row per requested symbol as a download instead.
+  async function sendBatchPrices(res, { symbols: rawSymbols, currency: rawCurrency, format = 'json' }) {
+    const symbols = (Array.isArray(rawSymbols) ? rawSymbols : String(rawSymbols || '').split(','))
+      .map((symbol) => String(symbol).trim().toUpperCase())
+      .filter(Boolean);
+    const currency = String(rawCurrency || 'USD').toUpperCase();
+
+    if (!symbols.length) {
+      return badRequest(res, 'symbols is required, e.g. symbols=BTC,ETH');
+    }
+    if (symbols.length > MAX_BATCH_SYMBOLS) {
+      return badRequest(res, `At most ${MAX_BATCH_SYMBOLS} symbols per request`);
+    }
+    if (format !== 'json' && !EXPORT_FORMATS.includes(format)) {
+      return badRequest(res, `Unsupported format. Use one of: json, ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const { quotes, errors } = await priceService.getQuotes(symbols, currency);
+    if (format !== 'json') {
+      const timestamp = now();
+      return streamExport(res, {
+        format,
+        filename: exportFilename('prices', currency, filenameTime(timestamp)),
+        columns: QUOTE_COLUMNS,
+        batches: [
+          [...new Set(symbols)].map(
+            (symbol) => quotes[symbol] ?? { symbol, currency, timestamp, error: errors[symbol]?.detail },
+          ),
+        ],
+        logger,
+      });
+    }
+    res.json({ currency, count: Object.keys(quotes).length, quotes, errors, timestamp: now() });
+  }
+
+  app.get('/prices', (req, res) => sendBatchPrices(res, req.query));
+
+  app.post('/prices', (req, res) => sendBatchPrices(res, { format: req.query.format, ...req.body }));
+
+  // Rolling 24h open/high/low/last, change, volumes and weighted average from the serving provider.
+  app.get('/ticker/24h', async (req, res) => {
+    const symbol = (req.query.symbol || 'BTC').toUpperCase();
+    const currency = (req.query.currency || 'USD').toUpperCase();
+
+    try {
+      res.json(await priceService.getTicker24h(symbol, currency));
+    } catch (error) {
+      sendServiceError(res, error);
+    }
+  });
+
+  // Domain errors (AlertError, QuoteError, ...) carry their status; anything else is a bug and goes to Express.
+  function sendServiceError(res, error) {
+    if (!error.status) throw error;
+    sendProblem(res, error.toJSON?.() ?? problemDetails(error.status, { detail: error.message }));
+  }
+
+  // Alert rules: price crossing a level, percent move within a window, or a volume spike.
+
+  app.get('/alerts', (_, res) => {
+    res.json({ alerts: alertService.list(), evaluator: alertService.stats() });
+  });
+
+  app.post('/alerts', (req, res) => {
+    try {
+      res.status(201).json(alertService.create(req.body));
+    } catch (error) {
+      sendServiceError(res, error);
+    }
+  });
+
+  app.get('/alerts/deliveries', (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    res.json({ deliveries: alertService.deliveries({ ruleId: req.query.alertId, limit }) });
+  });
+
+  app.get('/alerts/:id', (req, res) => {
+    try {
+      res.json(alertService.get(req.params.id));
+    } catch (error) {
+      sendServiceError(res, error);
+    }
+  });
+
+  app.patch('/alerts/:id', (req, res) => {
+    try {
+      res.json(alertService.update(req.params.id, req.body));
+    } catch (error) {
+      sendServiceError(res, error);
+    }
+  });
+
+  app.delete('/alerts/:id', (req, res) => {
+    try {
+      alertService.remove(req.params.id);
+      res.status(204).end();
+    } catch (error) {
+      sendServiceError(res, error);
+    }
+  });
+
+  app.post('/alerts/:id/test', (req, res) => {
+    try {
+      res.status(202).json({ deliveryId: alertService.test(req.params.id) });
+    } catch (error) {
+      sendServiceError(res, error);
+    }
+  });
+
+  // Portfolio: buy/sell transactions, average-cost positions with P&L, and a value series from history.
+  app.get('/portfolio', async (_, res) => {
+    try {
+      res.json(await portfolioService.summary());
+    } catch (error) {
+      sendServiceError(res, error);
+    }
+  });
+
+  app.get('/portfolio/transactions', (_, res) => {
+    res.json({ currency: PORTFOLIO_CURRENCY, transactions: portfolioService.transactions() });
+  });
+
+  app.post('/portfolio/transactions', (req, res) => {
+    try {
+      res.status(201).json(portfolioService.addTransaction(req.body));
+    } catch (error) {
+      sendServiceError(res, error);
+    }
+  });
+
+  app.delete('/portfolio/transactions/:id', (req, res) => {
+    try {
+      portfolioService.removeTransaction(req.params.id);
+      res.status(204).end();
+    } catch (error) {
+      sendServiceError(res, error);
+    }
+  });
+
+  app.get('/portfolio/history', async (req, res) => {
+    const days = Number(req.query.days || 30);
+    const interval = parseInterval(req.query.interval || '1d');
+    if (!interval) {
+      return badRequest(res, `Unsupported interval: ${req.query.interval}`);
+    }
+    if (!(days > 0)) {
+      return badRequest(res, 'days must be a positive number');
+    }
+    const endTime = now();
+    const startTime = endTime - days * DAY_MS;
+    if ((endTime - startTime) / INTERVALS[interval] > HISTORY_MAX_POINTS) {
+      return badRequest(res, `Range exceeds ${HISTORY_MAX_POINTS} candles; use a coarser interval`);
+    }
+    res.json(await portfolioService.valueSeries({ interval, startTime, endTime }));
+  });
+
+  // Watchlists: named, ordered symbol lists rendered as an overview grid on the dashboard.
+  app.get('/watchlists', (_, res) => {
+    res.json({ watchlists: watchlists.list() });
+  });
+
+  app.post('/watchlists', (req, res) => {
+    try {
+      res.status(201).json(watchlists.create(req.body));
+    } catch (error) {
+      sendServiceError(res, error);
+    }
+  });
+
+  app.put('/watchlists/order', (req, res) => {
+    try {
+      res.json({ watchlists: watchlists.reorder(req.body?.ids) });
+    } catch (error) {
+      sendServiceError(res, error);
+    }
+  });
+
+  app.get('/watchlists/:id', (req, res) => {
+    try {
+      res.json(watchlists.get(req.params.id));
+    } catch (error) {
+      sendServiceError(res, error);
+    }
+  });
+
+  app.patch('/watchlists/:id', (req, res) => {
+    try {
+      res.json(watchlists.update(req.params.id, req.body));
+    } catch (error) {
+      sendServiceError(res, error);
+    }
+  });
+
+  app.delete('/watchlists/:id', (req, res) => {
+    try {
+      watchlists.remove(req.params.id);
+      res.status(204).end();
+    } catch (error) {
+      sendServiceError(res, error);
+    }
+  });
+
+  // One card per symbol: spot price, rolling 24h change and an hourly sparkline from the candle store.
+  app.get('/watchlists/:id/overview', async (req, res) => {
+    let watchlist;
+    try {
+      watchlist = watchlists.get(req.params.id);
+    } catch (error) {
+      return sendServiceError(res, error);
+    }
+    const { currency, symbols } = watchlist;
+    const endTime = now();
+    const { quotes, errors } = symbols.length
+      ? await priceService.getQuotes(symbols, currency)
+      : { quotes: {}, errors: {} };
+
+    const cards = await Promise.all(
+      symbols.map(async (symbol) => {
+        const quoteRoute = symbolCatalog.route(symbol, currency);
+        // Saved lists can outlive a market (a delisting, a replayed catalog); those get an error card.
+        if (!quoteRoute) {
+          const error = errors[symbol]?.detail ?? 'Unsupported symbol or currency';
+          return { symbol, currency, price: null, meta: null, changePct: null, sparkline: [], error };
+        }
+        const [ticker, history] = await Promise.allSettled([
+          priceService.getTicker24h(symbol, currency),
+          inflight.run(`sparkline:${symbol}:${currency}:${Math.floor(endTime / 60_000)}`, () =>
+            historyService.getCandles({
+              symbol,
+              currency,
+              quoteAsset: quoteRoute.quoteAsset,
+              interval: '1h',
+              startTime: endTime - DAY_MS,
+              endTime,
+            }),
+          ),
+        ]);
+        return {
+          symbol,
+          currency,
+          price: quotes[symbol]?.price ?? null,
+          meta: quotes[symbol]?.meta ?? null,
+          changePct: ticker.status === 'fulfilled' ? ticker.value.changePct : null,
+          sparkline:
+            history.status === 'fulfilled'
+              ? history.value.candles.map((candle) => ({ t: candle.t, price: candle.close }))
+              : [],
+          error: errors[symbol]?.detail ?? null,
+        };
+      }),
+    );
+
+    res.json({ ...watchlist, cards, timestamp: now() });
+  });
+
+  // Server-Sent Events: one upstream feed per market, fanned out to every connected browser.
+  app.get('/stream', (req, res) => {
+    const symbol = (req.query.symbol || 'BTC').toUpperCase();
+    const currency = (req.query.currency || 'USD').toUpperCase();
+    const quoteRoute = symbolCatalog.route(symbol, currency);
+
+    if (!quoteRoute) {
+      return badRequest(res, 'Unsupported symbol or currency');
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    // Tell EventSource how long to wait before reconnecting on its own.
+    res.write('retry: 3000\n\n');
+
+    function send(event, data) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    const legPrices = quoteRoute.legs.map(() => null);
+    const unsubscribers = quoteRoute.legs.map((leg, idx) =>
+      priceStream.subscribe(leg.pair, (event) => {
+        if (event.type === 'status') {
+          send('status', { symbol, currency, pair: event.pair, status: event.status, retryInMs: event.retryInMs });
+          return;
+        }
+        legPrices[idx] = event.price;
+        // Cross quotes only emit once every leg has reported at least once.
+        if (legPrices.some((legPrice) => legPrice === null)) return;
+
+        const payload = {
+          symbol,
+          currency,
+          price: combineLegPrices(quoteRoute.legs, legPrices),
+          route: quoteRoute.type,
+          legs: quoteRoute.legs.map((leg, legIdx) => ({ ...leg, price: legPrices[legIdx] })),
+          provider: streamOrigin.provider,
+          source: streamOrigin.source,
+          timestamp: event.t,
+        };
+        priceCache.set(priceCacheKey(quoteRoute), payload);
+        send('price', {
+          ...payload,
+          meta: dataMeta({
+            provenance: streamOrigin.provenance,
+            asOf: event.t,
+            upstream: {
+              status: streamOrigin.provenance === 'live' ? 'ok' : 'not_contacted',
+              provider: payload.provider,
+            },
+            reason: streamOrigin.reason ?? null,
+          }),
+        });
+      }),
+    );
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+    });
+  });
+
+  app.get('/stream/stats', (_, res) => {
+    res.json({ source: fixtures ? 'replay' : STREAM_SOURCE, feeds: priceStream.stats() });
+  });
+
+  // Record/replay state; in replay, where the playhead is in the recording and how far data is shifted.
+  app.get('/replay', (_, res) => {
+    if (!replayClock) {
+      return res.json({ mode: REPLAY_MODE, dir: recorder ? FIXTURES_DIR : null });
+    }
+    const { position, shift, loop } = replayClock.read();
+    res.json({
+      mode: REPLAY_MODE,
+      dir: FIXTURES_DIR,
+      speed: REPLAY_SPEED,
+      recordedFrom: fixtures.start,
+      recordedTo: fixtures.end,
+      position,
+      shift,
+      loop,
+    });
+  });
+
+  // SERVE STATIC ASSETS
+  app.use(express.static(path.join(DIST_DIR)));
+
+  // API routes are defined above, this is the fallback for SPA routing
+  app.get(/.*/, (req, res) => {
+    res.sendFile(path.join(DIST_DIR, 'index.html'));
+  });
+
+  // Whatever is left is answered as a problem: other methods on unknown paths, and errors thrown by
+  // routes or middleware (malformed JSON bodies arrive here as 400s from express.json).
+  app.use((req, res) => {
+    sendProblem(res, problemDetails(404, { detail: `No route for ${req.method} ${req.path}` }));
+  });
+
+  app.use((error, req, res, next) => {
+    if (res.headersSent) return next(error);
+    const status = error.status ?? error.statusCode ?? 500;
+    if (status >= 500) logger.error?.(`Unhandled error on ${req.method} ${req.path}`, { error });
+    const detail = status < 500 && error.expose ? error.message : undefined;
+    sendProblem(res, problemDetails(status, { detail }));
+  });
+
+  /** Stop background work (symbol refreshes, alert evaluation) and write out pending cache entries. */
+  function close() {
+    symbolCatalog.stop();
+    alertService.stop();
+    [priceCache, historyCache, orderBookCache].forEach((cache) => cache.flush?.());
+  }
+
+  return { app, logger, ready: catalogReady, close };
+}
@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import { problemDetails, sendProblem } from '../problem.js';
+import { hashKey } from './keyStore.js';
+
+export { createApiKeyStore } from './keyStore.js';
+export { createRateLimiter } from './rateLimiter.js';
+
+/** Error carrying the HTTP status a key administration route should respond with. */
+export class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+
+  toJSON() {
+    return problemDetails(this.status, { detail: this.message });
+  }
+}
+
+// Clients send their key as `X-API-Key: <key>` or `Authorization: Bearer <key>`. EventSource and
+// download links can't set headers, so `?apiKey=<key>` is accepted too (request logs redact it).
+function presentedKey(req) {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  if (match) return match[1].trim();
+  return typeof req.query.apiKey === 'string' && req.query.apiKey ? req.query.apiKey.trim() : null;
+}
+
+function positive(value, name) {
+  const number = Number(value);
+  if (!(number > 0) || !Number.isFinite(number)) {
+    throw new AuthError(400, `${name} must be a positive number`);
+  }
+  return number;
+}
+
+/** Validate a POST /admin/keys body: a name and an optional per-key rate limit override. */
+export function normalizeKeyInput(input) {
+  if (!input || typeof input !== 'object') throw new AuthError(400, 'Request body must be a JSON object');
+  const name = String(input.name ?? '').trim();
+  if (!name) throw new AuthError(400, 'name is required');
+  const rateLimit = input.rateLimit
+    ? {
+        capacity: Math.round(positive(input.rateLimit.capacity, 'rateLimit.capacity')),
+        refillPerSec: positive(input.rateLimit.refillPerSec, 'rateLimit.refillPerSec'),
+      }
+    : null;
+  return { name: name.slice(0, 100), rateLimit };
+}
+
+function setRateLimitHeaders(res, { limit, remaining, resetSec }, refillPerSec) {
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(resetSec),
+    // Burst size and the seconds an empty bucket takes to refill completely.
+    'RateLimit-Policy': `${limit};w=${Math.ceil(limit / refillPerSec)}`,
+  });
+}
+
+/**
+ * Authenticate and rate limit API requests. Requests with a key spend from that key's bucket
+ * (its own override or `keyLimit`); anonymous requests spend from a per-IP bucket (`ipLimit`)
+ * unless `requireKey` turns them away. Unknown and revoked keys are always rejected.
+ */
+export function createAuthMiddleware({ store, limiter, requireKey, keyLimit, ipLimit }) {
+  return (req, res, next) => {
+    const key = presentedKey(req);
+    let client;
+
+    if (key) {
+      const record = store.lookup(key);
+      if (!record) return sendProblem(res, problemDetails(401, { detail: 'Invalid API key' }));
+      if (record.revokedAt) return sendProblem(res, problemDetails(401, { detail: 'API key has been revoked' }));
+      client = { bucket: `key:${record.id}`, keyId: record.id, limit: record.rateLimit ?? keyLimit };
+    } else if (requireKey) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return sendProblem(
+        res,
+        problemDetails(401, { detail: 'API key required. Send it as X-API-Key, Authorization: Bearer <key> or ?apiKey=<key>' }),
+      );
+    } else {
+      client = { bucket: `ip:${req.ip}`, keyId: null, limit: ipLimit };
+    }
+
+    const result = limiter.take(client.bucket, client.limit);
+    if (client.keyId) store.recordUsage(client.keyId, { limited: !result.allowed });
+    setRateLimitHeaders(res, result, client.limit.refillPerSec);
+    req.client = { keyId: client.keyId, ip: req.ip };
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfterSec));
+      return sendProblem(
+        res,
+        problemDetails(429, { detail: 'Rate limit exceeded', retryAfter: result.retryAfterSec }),
+      );
+    }
+    next();
+  };
+}
+
+/** Guard for /admin routes: `Authorization: Bearer <ADMIN_TOKEN>`, compared in constant time. */
+export function requireAdmin(adminToken) {
+  const expected = adminToken ? Buffer.from(hashKey(adminToken)) : null;
+  return (req, res, next) => {
+    if (!expected) {
+      return sendProblem(
+        res,
+        problemDetails(503, { detail: 'Administration is disabled. Set ADMIN_TOKEN to enable it.' }),
+      );
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+    if (!match || !crypto.timingSafeEqual(Buffer.from(hashKey(match[1].trim())), expected)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return sendProblem(res, problemDetails(401, { detail: 'Admin token required' }));
+    }
+    next();
+  };
+}
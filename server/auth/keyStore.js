@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const KEY_PREFIX = 'mdn_';
+// Usage counters change on every request, so they are flushed on a timer rather than per hit.
+const USAGE_FLUSH_MS = 5000;
+
+export const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Issued client API keys, kept in memory and written to one JSON file. Only a SHA-256 hash of
+ * each key is stored; the plaintext is returned once, from `create`.
+ */
+export function createApiKeyStore({ filePath, logger = console }) {
+  let keys = new Map();
+  let flushTimer = null;
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    keys = new Map((raw.keys || []).map((record) => [record.id, record]));
+  } catch (error) {
+    if (error.code !== 'ENOENT') logger.warn?.(`API key store ${filePath} unreadable: ${error.message}`);
+  }
+  const byHash = new Map([...keys.values()].map((record) => [record.hash, record]));
+
+  function persist() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ keys: [...keys.values()] }));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      logger.warn?.(`API key store ${filePath} not saved: ${error.message}`);
+    }
+  }
+
+  function schedulePersist() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(persist, USAGE_FLUSH_MS);
+    flushTimer.unref?.();
+  }
+
+  // Records as listed by the admin routes: everything but the hash.
+  function publicView(record) {
+    const { hash: _hash, ...rest } = record;
+    return rest;
+  }
+
+  return {
+    list: () => [...keys.values()].sort((a, b) => a.createdAt - b.createdAt).map(publicView),
+    get: (id) => (keys.has(id) ? publicView(keys.get(id)) : null),
+    /** The stored record for a presented key, or null when it was never issued. */
+    lookup: (key) => byHash.get(hashKey(key)) ?? null,
+
+    create({ name, rateLimit = null }) {
+      const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+      const record = {
+        id: crypto.randomUUID(),
+        name,
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        hash: hashKey(key),
+        rateLimit,
+        createdAt: Date.now(),
+        revokedAt: null,
+        usage: { requests: 0, limited: 0, lastUsedAt: null },
+      };
+      keys.set(record.id, record);
+      byHash.set(record.hash, record);
+      persist();
+      return { ...publicView(record), key };
+    },
+
+    /** Revoked keys stay listed with their usage; they just stop authenticating. */
+    revoke(id) {
+      const record = keys.get(id);
+      if (!record) return null;
+      record.revokedAt ??= Date.now();
+      persist();
+      return publicView(record);
+    },
+
+    recordUsage(id, { limited }) {
+      const record = keys.get(id);
+      if (!record) return;
+      record.usage.requests += 1;
+      if (limited) record.usage.limited += 1;
+      record.usage.lastUsedAt = Date.now();
+      schedulePersist();
+    },
+
+    flush: () => flushTimer && persist(),
+  };
+}
@@ -0,0 +1,51 @@
+// Buckets that have refilled completely are dropped every this many calls.
+const SWEEP_EVERY = 1000;
+
+/**
+ * Token buckets keyed by client. Each bucket holds up to `capacity` tokens and refills at
+ * `refillPerSec`; a request spends one token and is refused when the bucket is empty.
+ */
+export function createRateLimiter({ now = Date.now } = {}) {
+  const buckets = new Map();
+  let calls = 0;
+
+  function refill(bucket, t) {
+    const refilled = ((t - bucket.updatedAt) / 1000) * bucket.refillPerSec;
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + refilled);
+    bucket.updatedAt = t;
+  }
+
+  function sweep(t) {
+    buckets.forEach((bucket, id) => {
+      refill(bucket, t);
+      if (bucket.tokens >= bucket.capacity) buckets.delete(id);
+    });
+  }
+
+  /**
+   * Spend `cost` tokens from `id`'s bucket. `resetSec` is how long until the bucket is full
+   * again and `retryAfterSec` how long until the refused request would fit.
+   */
+  function take(id, { capacity, refillPerSec }, cost = 1) {
+    const t = now();
+    if (++calls % SWEEP_EVERY === 0) sweep(t);
+
+    const bucket = buckets.get(id) ?? { tokens: capacity, updatedAt: t };
+    // Limits can change (a key's override was edited); keep the tokens, adopt the new shape.
+    Object.assign(bucket, { capacity, refillPerSec });
+    refill(bucket, t);
+    buckets.set(id, bucket);
+
+    const allowed = bucket.tokens >= cost;
+    if (allowed) bucket.tokens -= cost;
+    return {
+      allowed,
+      limit: capacity,
+      remaining: Math.floor(bucket.tokens),
+      resetSec: Math.ceil((capacity - bucket.tokens) / refillPerSec),
+      retryAfterSec: allowed ? 0 : Math.ceil((cost - bucket.tokens) / refillPerSec),
+    };
+  }
+
+  return { take, stats: () => ({ buckets: buckets.size }) };
+}
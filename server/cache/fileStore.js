@@ -0,0 +1,109 @@
+import fs from 'fs';
+import path from 'path';
+import { createMemoryStore } from './memoryStore.js';
+
+/**
+ * LRU store mirrored to a JSON file so entries survive restarts.
+ * Reads stay in memory; writes are flushed after `flushDelayMs`. Instances sharing the file pick up
+ * each other's entries on a miss when the file changed, and flushes merge by newest `timestamp`.
+ */
+export function createFileStore({ filePath, maxEntries = 500, flushDelayMs = 1000, logger = console }) {
+  const memory = createMemoryStore({ maxEntries });
+  let loadedMtimeMs = 0;
+  let flushTimer = null;
+  // Deleted keys are remembered until the next flush so merging doesn't bring them back.
+  const deleted = new Set();
+
+  function readFile() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return Array.isArray(raw) ? raw : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.warn?.(`Cache file ${filePath} unreadable: ${error.message}`);
+      return [];
+    }
+  }
+
+  function isNewer(incoming, current) {
+    return !current || (incoming?.timestamp ?? 0) > (current?.timestamp ?? 0);
+  }
+
+  function reloadIfChanged() {
+    let mtimeMs;
+    try {
+      ({ mtimeMs } = fs.statSync(filePath));
+    } catch {
+      return;
+    }
+    if (mtimeMs === loadedMtimeMs) return;
+    loadedMtimeMs = mtimeMs;
+    readFile().forEach(([key, value]) => {
+      if (!memory.has(key) || isNewer(value, memory.peek(key))) memory.set(key, value);
+    });
+  }
+
+  // Write pending changes now; a no-op when nothing changed since the last flush.
+  function flush() {
+    if (!flushTimer) return;
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    try {
+      const merged = new Map(readFile());
+      deleted.forEach((key) => merged.delete(key));
+      deleted.clear();
+      for (const [key, value] of memory.entries()) {
+        if (isNewer(value, merged.get(key))) merged.set(key, value);
+      }
+      // Keep the file bounded too: newest entries win.
+      const kept = [...merged.entries()]
+        .sort(([, a], [, b]) => (a?.timestamp ?? 0) - (b?.timestamp ?? 0))
+        .slice(-maxEntries);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(kept));
+      fs.renameSync(tmpPath, filePath);
+      loadedMtimeMs = fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+      logger.warn?.(`Cache flush to ${filePath} failed: ${error.message}`);
+    }
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flush, flushDelayMs);
+    flushTimer.unref?.();
+  }
+
+  reloadIfChanged();
+
+  return {
+    ...memory,
+    get(key) {
+      if (!memory.has(key)) reloadIfChanged();
+      return memory.get(key);
+    },
+    set(key, value) {
+      memory.set(key, value);
+      deleted.delete(key);
+      scheduleFlush();
+    },
+    delete(key) {
+      const removed = memory.delete(key);
+      deleted.add(key);
+      scheduleFlush();
+      return removed;
+    },
+    flush,
+    get size() {
+      return memory.size;
+    },
+    stats: () => ({ ...memory.stats(), backend: 'file', filePath }),
+    /** Readiness probe: rejects when the cache directory can't be written. */
+    async probe() {
+      const probePath = `${filePath}.${process.pid}.probe`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(probePath, '');
+      await fs.promises.unlink(probePath);
+    },
+  };
+}
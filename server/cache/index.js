@@ -0,0 +1,21 @@
+import path from 'path';
+import { createFileStore } from './fileStore.js';
+import { createMemoryStore } from './memoryStore.js';
+
+export { createSingleFlight } from './singleFlight.js';
+
+export const CACHE_BACKENDS = ['memory', 'file'];
+
+/**
+ * Build a named cache on the configured backend. Stores are Map-like (get/set/delete/values)
+ * and keep stale entries around until evicted, since routes fall back to them on upstream errors.
+ */
+export function createCache({ name, backend = 'memory', maxEntries, dir, logger }) {
+  if (backend === 'file') {
+    return createFileStore({ filePath: path.join(dir, `${name}.json`), maxEntries, logger });
+  }
+  if (backend !== 'memory') {
+    throw new Error(`Unknown cache backend "${backend}". Expected one of: ${CACHE_BACKENDS.join(', ')}`);
+  }
+  return createMemoryStore({ maxEntries });
+}
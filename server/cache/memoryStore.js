@@ -0,0 +1,47 @@
+/**
+ * Least-recently-used key/value store bounded by entry count.
+ * Map iteration order is insertion order, so re-inserting on read keeps the oldest entry first.
+ */
+export function createMemoryStore({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0 };
+
+  function get(key) {
+    if (!entries.has(key)) {
+      counters.misses += 1;
+      return undefined;
+    }
+    const value = entries.get(key);
+    entries.delete(key);
+    entries.set(key, value);
+    counters.hits += 1;
+    return value;
+  }
+
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, value);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions += 1;
+    }
+  }
+
+  return {
+    get,
+    set,
+    has: (key) => entries.has(key),
+    // Read without touching LRU order or hit counters.
+    peek: (key) => entries.get(key),
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    values: () => entries.values(),
+    entries: () => entries.entries(),
+    get size() {
+      return entries.size;
+    },
+    stats: () => ({ backend: 'memory', size: entries.size, maxEntries, ...counters }),
+    // Readiness probe; there is nothing that can fail in memory.
+    probe: async () => {},
+  };
+}
@@ -0,0 +1,25 @@
+/**
+ * Collapse concurrent calls for the same key into one in-flight promise,
+ * so N simultaneous cache misses produce exactly one upstream fetch.
+ */
+export function createSingleFlight() {
+  const inFlight = new Map();
+  let shared = 0;
+
+  function run(key, fn) {
+    if (inFlight.has(key)) {
+      shared += 1;
+      return inFlight.get(key);
+    }
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  return {
+    run,
+    stats: () => ({ inFlight: inFlight.size, shared }),
+  };
+}
@@ -0,0 +1,125 @@
+import fs from 'fs';
+import path from 'path';
+
+function sameCandle(a, b) {
+  const fields = Object.keys(b);
+  return fields.length === Object.keys(a).length && fields.every((field) => a[field] === b[field]);
+}
+
+/**
+ * Closed candles persisted per series (symbol, quote currency, interval) as JSON files.
+ * Old candles never change, so /history only needs to ask upstream for what is missing here.
+ */
+export function createCandleStore({ dir, logger = console }) {
+  const series = new Map(); // key -> Map(t -> candle), loaded lazily
+
+  function fileFor(key) {
+    return path.join(dir, `${key.replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+  }
+
+  function load(key) {
+    if (series.has(key)) return series.get(key);
+    let candles = [];
+    try {
+      candles = JSON.parse(fs.readFileSync(fileFor(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.warn?.(`Candle store ${key} unreadable: ${error.message}`);
+    }
+    const byTime = new Map(candles.map((candle) => [candle.t, candle]));
+    series.set(key, byTime);
+    return byTime;
+  }
+
+  function sorted(key) {
+    return [...load(key).values()].sort((a, b) => a.t - b.t);
+  }
+
+  function persist(key) {
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      const filePath = fileFor(key);
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(sorted(key)));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      logger.warn?.(`Candle store ${key} not saved: ${error.message}`);
+    }
+  }
+
+  /** Candles with open time in [startTime, endTime], oldest first. */
+  function range(key, startTime, endTime) {
+    return sorted(key).filter((candle) => candle.t >= startTime && candle.t <= endTime);
+  }
+
+  /**
+   * Merge candles into a series; callers pass only closed candles. Returns how many were new.
+   * The file is only rewritten when a candle was added or changed, as refetched tails mostly repeat.
+   */
+  function upsert(key, candles) {
+    const byTime = load(key);
+    let added = 0;
+    let changed = false;
+    candles.forEach((candle) => {
+      const existing = byTime.get(candle.t);
+      if (!existing) added += 1;
+      if (existing && sameCandle(existing, candle)) return;
+      byTime.set(candle.t, candle);
+      changed = true;
+    });
+    if (changed) persist(key);
+    return added;
+  }
+
+  /** First/last stored candle and any holes larger than one bucket, optionally within a range. */
+  function coverage(key, stepMs, { startTime = -Infinity, endTime = Infinity } = {}) {
+    const candles = range(key, startTime, endTime);
+    const gaps = [];
+    for (let idx = 1; idx < candles.length; idx += 1) {
+      const expected = candles[idx - 1].t + stepMs;
+      if (candles[idx].t > expected) {
+        gaps.push({
+          from: expected,
+          to: candles[idx].t - 1,
+          missing: Math.round((candles[idx].t - expected) / stepMs),
+        });
+      }
+    }
+    return {
+      key,
+      count: candles.length,
+      first: candles[0]?.t ?? null,
+      last: candles[candles.length - 1]?.t ?? null,
+      gaps,
+    };
+  }
+
+  /** Keys of every series on disk or in memory. */
+  function keys() {
+    let onDisk = [];
+    try {
+      onDisk = fs
+        .readdirSync(dir)
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => file.slice(0, -'.json'.length));
+    } catch {
+      // Directory is created on first write.
+    }
+    return [...new Set([...series.keys(), ...onDisk])].sort();
+  }
+
+  return { range, upsert, coverage, keys };
+}
+
+/**
+ * Series key shared by the history route and the admin routes, e.g. BTC_USDT_1h.
+ * The monthly interval is spelled `1mo` so it can't collide with `1m` on case-insensitive disks.
+ */
+export function candleSeriesKey(symbol, quoteAsset, interval) {
+  return `${symbol}_${quoteAsset}_${interval.replace(/M$/, 'mo')}`;
+}
+
+/** Inverse of candleSeriesKey. */
+export function parseCandleSeriesKey(key) {
+  const [symbol, quoteAsset, interval] = key.split('_');
+  return { symbol, quoteAsset, interval: interval?.replace(/mo$/, 'M') };
+}
@@ -0,0 +1,283 @@
+import { CACHE_BACKENDS } from './cache/index.js';
+import { EXPORT_FORMATS } from './export/index.js';
+import { LOG_LEVELS } from './observability/index.js';
+import { RESPONSE_VALIDATION_MODES } from './openapi/index.js';
+import { PROVIDER_IDS } from './providers/index.js';
+import { REPLAY_MODES } from './replay/index.js';
+
+/** Thrown by loadConfig with every invalid setting at once, so a bad deploy fails on its first line. */
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+export const UPSTREAM_AUTH_MODES = ['header', 'signed'];
+export const STREAM_SOURCES = ['binance', 'fake'];
+
+// Binance public API (no key needed). Each endpoint can still be pointed elsewhere on its own.
+const DEFAULT_BINANCE_API_BASE = 'https://api.binance.com/api/v3';
+
+// Setting parsers. `fallback` is used when the variable is unset or empty and may be derived from
+// settings parsed before it; `parse` throws with a message that reads after the variable name.
+function setting(parse, fallback) {
+  return { parse, fallback };
+}
+
+function text(fallback) {
+  return setting((raw) => raw, fallback);
+}
+
+// Credentials: optional, never defaulted, and left out of publicConfig.
+function secret() {
+  return setting((raw) => raw, undefined);
+}
+
+function url(fallback, protocols = ['http:', 'https:']) {
+  return setting((raw) => {
+    let parsed;
+    try {
+      parsed = new URL(raw);
+    } catch {
+      throw new Error(`must be an absolute URL (got "${raw}")`);
+    }
+    if (!protocols.includes(parsed.protocol)) {
+      throw new Error(`must use ${protocols.join(' or ')} (got "${raw}")`);
+    }
+    return raw.replace(/\/+$/, '');
+  }, fallback);
+}
+
+function number(fallback, { min = 0, max = Infinity, integer = false, positive = false } = {}) {
+  return setting((raw) => {
+    const value = Number(raw);
+    if (raw.trim() === '' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+      throw new Error(`must be ${integer ? 'an integer' : 'a number'} (got "${raw}")`);
+    }
+    if (positive ? value <= min : value < min) {
+      throw new Error(`must be ${positive ? 'greater than' : 'at least'} ${min} (got ${value})`);
+    }
+    if (value > max) throw new Error(`must be at most ${max} (got ${value})`);
+    return value;
+  }, fallback);
+}
+
+const integer = (fallback, options) => number(fallback, { ...options, integer: true });
+
+function boolean(fallback) {
+  return setting((raw) => {
+    const value = raw.trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(value)) return true;
+    if (['false', '0', 'no'].includes(value)) return false;
+    throw new Error(`must be true or false (got "${raw}")`);
+  }, fallback);
+}
+
+function oneOf(values, fallback) {
+  return setting((raw) => {
+    const value = raw.trim().toLowerCase();
+    if (!values.includes(value)) throw new Error(`must be one of ${values.join(', ')} (got "${raw}")`);
+    return value;
+  }, fallback);
+}
+
+function listOf(values, fallback) {
+  return setting((raw) => {
+    const items = raw
+      .split(',')
+      .map((item) => item.trim().toLowerCase())
+      .filter(Boolean);
+    const unknown = items.filter((item) => !values.includes(item));
+    if (unknown.length) {
+      throw new Error(`has unknown entries ${unknown.join(', ')}; expected ${values.join(', ')}`);
+    }
+    if (!items.length) throw new Error('must name at least one entry');
+    return items;
+  }, fallback);
+}
+
+// Express `trust proxy`: a hop count, true/false, or a list of trusted addresses/subnets.
+function trustProxy() {
+  return setting((raw) => {
+    if (/^\d+$/.test(raw)) return Number(raw);
+    if (raw === 'true' || raw === 'false') return raw === 'true';
+    return raw;
+  }, undefined);
+}
+
+// Fallbacks derived from a setting that failed to parse stay unset; that setting is already reported.
+function binanceUrl(endpoint) {
+  return url((config) => config.BINANCE_API_BASE && `${config.BINANCE_API_BASE}/${endpoint}`);
+}
+
+/**
+ * Every setting the server reads, in the order they are parsed. Keys are the environment
+ * variable names; values come back typed (numbers, booleans, lists) under the same names.
+ */
+const SCHEMA = {
+  PORT: integer(5000, { min: 1, max: 65_535 }),
+  // Logs are JSON lines on stdout.
+  LOG_LEVEL: oneOf(Object.keys(LOG_LEVELS), 'info'),
+
+  // Binance endpoints. The avgPrice fallback sits next to the ticker, so moving PRICE_API_BASE
+  // (e.g. to the testnet) moves both.
+  BINANCE_API_BASE: url(DEFAULT_BINANCE_API_BASE),
+  PRICE_API_BASE: binanceUrl('ticker/price'),
+  AVG_PRICE_API_BASE: url(
+    (config) => config.PRICE_API_BASE && new URL('../avgPrice', config.PRICE_API_BASE).href,
+  ),
+  TICKER_24H_API_BASE: binanceUrl('ticker/24hr'),
+  HISTORY_API_BASE: binanceUrl('klines'),
+  DEPTH_API_BASE: binanceUrl('depth'),
+  TRADES_API_BASE: binanceUrl('aggTrades'),
+  EXCHANGE_INFO_URL: binanceUrl('exchangeInfo'),
+  BINANCE_PING_URL: binanceUrl('ping'),
+  STREAM_BASE: url('wss://stream.binance.com:9443/ws', ['ws:', 'wss:']),
+  COINBASE_API_BASE: url('https://api.exchange.coinbase.com'),
+  KRAKEN_API_BASE: url('https://api.kraken.com/0/public'),
+  COINGECKO_API_BASE: url('https://api.coingecko.com/api/v3'),
+
+  // Binance credentials. `header` sends API_KEY as X-MBX-APIKEY; `signed` also adds a timestamp
+  // and an HMAC-SHA256 signature made with API_SECRET. Signing is the default once a secret is set.
+  API_KEY: secret(),
+  API_SECRET: secret(),
+  API_AUTH: oneOf(UPSTREAM_AUTH_MODES, (config) => (config.API_SECRET ? 'signed' : 'header')),
+
+  // Providers are tried in this order; a provider whose circuit is open is skipped until its cooldown ends.
+  MARKET_PROVIDERS: listOf(PROVIDER_IDS, ['binance', 'coinbase', 'kraken', 'coingecko']),
+  PROVIDER_FAILURE_THRESHOLD: integer(3, { min: 1 }),
+  PROVIDER_COOLDOWN_MS: integer(30_000),
+  // Outbound budgets: requests queue for the next window instead of running into a 429. A request that
+  // would wait longer than UPSTREAM_MAX_WAIT_MS fails at once so the route can fail over or serve stale data.
+  BINANCE_WEIGHT_LIMIT: integer(6000, { min: 1 }),
+  UPSTREAM_BUDGET_MARGIN_PCT: number(10, { max: 100 }),
+  UPSTREAM_MAX_WAIT_MS: integer(10_000),
+
+  CACHE_TTL_MS: integer(60_000),
+  HISTORY_CACHE_TTL_MS: integer(300_000),
+  // Books and trades go stale in seconds; the cache only absorbs bursts and covers 429s.
+  ORDERBOOK_CACHE_TTL_MS: integer(2000),
+  HISTORY_MAX_POINTS: integer(50_000, { min: 1 }),
+  SYMBOLS_REFRESH_MS: integer(6 * 60 * 60 * 1000, { min: 1000 }),
+  // `binance` streams live mini-tickers; `fake` runs a local random walk for offline demos and tests.
+  STREAM_SOURCE: oneOf(STREAM_SOURCES, 'binance'),
+  // mode=aggregate: quotes further than this from the cross-source median are discarded.
+  AGGREGATE_MAX_DEVIATION_PCT: number(1, { positive: true }),
+  AGGREGATE_MIN_SOURCES: integer(2, { min: 1 }),
+  MAX_BATCH_SYMBOLS: integer(100, { min: 1 }),
+
+  // `memory` is a bounded LRU; `file` mirrors it to CACHE_DIR so entries survive restarts.
+  CACHE_BACKEND: oneOf(CACHE_BACKENDS, 'memory'),
+  CACHE_DIR: text('.cache'),
+  PRICE_CACHE_MAX_ENTRIES: integer(1000, { min: 1 }),
+  HISTORY_CACHE_MAX_ENTRIES: integer(200, { min: 1 }),
+  // Closed candles are kept here per symbol/quote/interval so /history only fetches what is missing.
+  CANDLE_STORE_DIR: text('.data/candles'),
+
+  // Alert rules are checked every ALERT_EVAL_INTERVAL_MS; triggers POST to the rule's webhook or
+  // ALERT_WEBHOOK_URL, signed with ALERT_WEBHOOK_SECRET when set.
+  ALERTS_FILE: text('.data/alerts.json'),
+  ALERT_EVAL_INTERVAL_MS: integer(15_000, { min: 1000 }),
+  ALERT_WEBHOOK_URL: url(undefined),
+  ALERT_WEBHOOK_SECRET: secret(),
+  ALERT_WEBHOOK_MAX_ATTEMPTS: integer(5, { min: 1 }),
+
+  // Portfolio transactions are recorded and valued in a single currency.
+  PORTFOLIO_FILE: text('.data/portfolio.json'),
+  PORTFOLIO_CURRENCY: setting((raw) => raw.trim().toUpperCase(), 'USD'),
+  WATCHLISTS_FILE: text('.data/watchlists.json'),
+  // csv/ndjson/parquet exports stream the range in chunks instead of truncating it.
+  EXPORT_MAX_CANDLES: integer(1_000_000, { min: 1 }),
+  // Largest range one /admin/candles/backfill call may fetch into the candle store.
+  BACKFILL_MAX_CANDLES: integer(100_000, { min: 1 }),
+
+  // Client API keys. Keyed requests spend from a per-key token bucket, anonymous ones from a per-IP bucket;
+  // REQUIRE_API_KEY=true refuses anonymous requests. Keys are issued via /admin/keys with ADMIN_TOKEN.
+  // The bundled dashboard then needs one too: build it with VITE_API_KEY set to a key issued for it.
+  API_KEYS_FILE: text('.data/api-keys.json'),
+  REQUIRE_API_KEY: boolean(false),
+  ADMIN_TOKEN: secret(),
+  RATE_LIMIT_KEY_CAPACITY: integer(120, { min: 1 }),
+  RATE_LIMIT_KEY_REFILL_PER_SEC: number(2, { positive: true }),
+  RATE_LIMIT_IP_CAPACITY: integer(60, { min: 1 }),
+  RATE_LIMIT_IP_REFILL_PER_SEC: number(1, { positive: true }),
+  // Behind a load balancer (e.g. Render) set TRUST_PROXY=1 so per-IP limits see the client, not the proxy.
+  TRUST_PROXY: trustProxy(),
+  // /health/ready pings every provider; results are reused this long so probes can't drain upstream budgets.
+  READINESS_CACHE_MS: integer(5000),
+  // Check JSON responses against /openapi.json: `warn` logs mismatches, `strict` also answers 500.
+  OPENAPI_RESPONSE_VALIDATION: oneOf(RESPONSE_VALIDATION_MODES, 'off'),
+
+  // `record` writes upstream answers and stream ticks to FIXTURES_DIR; `replay` serves them with no network.
+  REPLAY_MODE: oneOf(REPLAY_MODES, 'off'),
+  // The committed ./fixtures is a short BTC/ETH sample recorded against the test double of Binance.
+  FIXTURES_DIR: text('fixtures'),
+  // Replay time acceleration: 60 plays a recorded minute every second. The recording loops at its end.
+  REPLAY_SPEED: number(1, { positive: true }),
+};
+
+// Rules that span more than one setting.
+function crossCheck(config) {
+  const problems = [];
+  if (config.API_AUTH === 'signed' && !(config.API_KEY && config.API_SECRET)) {
+    problems.push('API_AUTH=signed needs both API_KEY and API_SECRET');
+  }
+  if (config.API_SECRET && !config.API_KEY) {
+    problems.push('API_SECRET is set without API_KEY');
+  }
+  return problems;
+}
+
+/**
+ * Parse and validate settings from `env` (normally process.env). Unset or empty variables take
+ * their defaults; anything malformed is collected and thrown together as a ConfigError.
+ */
+export function loadConfig(env = process.env) {
+  const config = {};
+  const problems = [];
+  for (const [name, { parse, fallback }] of Object.entries(SCHEMA)) {
+    const raw = env[name];
+    if (raw === undefined || raw === '') {
+      config[name] = typeof fallback === 'function' ? fallback(config) : fallback;
+      continue;
+    }
+    try {
+      config[name] = parse(String(raw));
+    } catch (error) {
+      problems.push(`${name} ${error.message}`);
+    }
+  }
+  problems.push(...crossCheck(config));
+  if (problems.length) throw new ConfigError(problems);
+  return Object.freeze(config);
+}
+
+/**
+ * The runtime settings the dashboard may see, served at /config. Built from an allow-list so a
+ * new secret can't leak by default; credentials are reported only as the auth mode in use.
+ */
+export function publicConfig(config) {
+  return {
+    providers: config.MARKET_PROVIDERS,
+    upstreamAuth: config.API_KEY ? config.API_AUTH : 'none',
+    stream: { source: config.REPLAY_MODE === 'replay' ? 'replay' : config.STREAM_SOURCE },
+    cache: {
+      backend: config.CACHE_BACKEND,
+      priceTtlMs: config.CACHE_TTL_MS,
+      historyTtlMs: config.HISTORY_CACHE_TTL_MS,
+      orderBookTtlMs: config.ORDERBOOK_CACHE_TTL_MS,
+    },
+    history: { maxPoints: config.HISTORY_MAX_POINTS },
+    aggregate: {
+      maxDeviationPct: config.AGGREGATE_MAX_DEVIATION_PCT,
+      minSources: config.AGGREGATE_MIN_SOURCES,
+    },
+    batch: { maxSymbols: config.MAX_BATCH_SYMBOLS },
+    export: { formats: EXPORT_FORMATS, maxCandles: config.EXPORT_MAX_CANDLES },
+    portfolio: { currency: config.PORTFOLIO_CURRENCY },
+    auth: { requireApiKey: config.REQUIRE_API_KEY },
+    replay: { mode: config.REPLAY_MODE, speed: config.REPLAY_SPEED },
+  };
+}
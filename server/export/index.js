@@ -0,0 +1,126 @@
+import { once } from 'events';
+import { createParquetEncoder } from './parquet.js';
+
+export const EXPORT_FORMATS = ['csv', 'ndjson', 'parquet'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson',
+  parquet: 'application/vnd.apache.parquet',
+};
+
+// Column layouts for each export; `value` picks the cell from a row when it isn't `row[name]`.
+export const CANDLE_COLUMNS = [
+  { name: 'timestamp', type: 'timestamp', value: (candle) => candle.t },
+  { name: 'open', type: 'double' },
+  { name: 'high', type: 'double' },
+  { name: 'low', type: 'double' },
+  { name: 'close', type: 'double' },
+  { name: 'volume', type: 'double' },
+  { name: 'quoteVolume', type: 'double' },
+];
+
+export const QUOTE_COLUMNS = [
+  { name: 'symbol', type: 'string' },
+  { name: 'currency', type: 'string' },
+  { name: 'price', type: 'double' },
+  { name: 'provider', type: 'string' },
+  { name: 'source', type: 'string' },
+  { name: 'quotedAt', type: 'timestamp' },
+  { name: 'timestamp', type: 'timestamp' },
+  { name: 'error', type: 'string' },
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const ENCODERS = {
+  csv: (columns) => ({
+    head: () => `${columns.map((column) => csvCell(column.name)).join(',')}\n`,
+    rows: (rows) => rows.map((row) => `${row.map(csvCell).join(',')}\n`).join(''),
+    tail: () => '',
+  }),
+  ndjson: (columns) => ({
+    head: () => '',
+    rows: (rows) =>
+      rows
+        .map((row) => Object.fromEntries(columns.map((column, idx) => [column.name, row[idx]])))
+        .map((record) => `${JSON.stringify(record)}\n`)
+        .join(''),
+    tail: () => '',
+  }),
+  parquet: createParquetEncoder,
+};
+
+function toValues(columns, row) {
+  return columns.map((column) => {
+    const value = column.value ? column.value(row) : row[column.name];
+    return value === undefined || (typeof value === 'number' && !Number.isFinite(value)) ? null : value;
+  });
+}
+
+// Write with backpressure; resolves early if the client has gone away.
+async function write(res, chunk) {
+  if (!chunk.length || res.destroyed || res.write(chunk)) return;
+  // Aborting afterwards detaches whichever listener didn't fire.
+  const settled = new AbortController();
+  try {
+    await Promise.race([
+      once(res, 'drain', { signal: settled.signal }),
+      once(res, 'close', { signal: settled.signal }),
+    ]);
+  } finally {
+    settled.abort();
+  }
+}
+
+/** Build an attachment filename from its parts, e.g. BTC-USD_1h_20260101T0000. */
+export function exportFilename(...parts) {
+  return parts
+    .filter((part) => part !== null && part !== undefined && part !== '')
+    .join('_')
+    .replace(/[^\w.-]+/g, '-');
+}
+
+/** Compact UTC timestamp for filenames. */
+export const filenameTime = (t) => new Date(t).toISOString().slice(0, 16).replace(/[-:]/g, '');
+
+/**
+ * Stream `batches` (an iterable or async iterable of row arrays) to `res` as a download.
+ * The first batch is awaited before headers go out, so early failures reject and the caller can
+ * still answer with a JSON error. A failure after that can only abort the response, which leaves
+ * the client with a visibly truncated transfer rather than a file that looks complete.
+ */
+export async function streamExport(res, { format, filename, columns, batches, logger = console }) {
+  const encoder = ENCODERS[format](columns);
+  const iterator = batches[Symbol.asyncIterator]?.() ?? batches[Symbol.iterator]();
+  let next = await iterator.next();
+
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${filename}.${format}"`,
+    'Cache-Control': 'no-store',
+  });
+
+  try {
+    await write(res, encoder.head());
+    while (!next.done) {
+      if (next.value.length) {
+        await write(res, encoder.rows(next.value.map((row) => toValues(columns, row))));
+      }
+      if (res.destroyed) {
+        await iterator.return?.();
+        return;
+      }
+      next = await iterator.next();
+    }
+    await write(res, encoder.tail());
+    res.end();
+  } catch (error) {
+    logger.warn?.(`Export ${filename}.${format} aborted: ${error.message}`);
+    res.destroy();
+  }
+}
@@ -0,0 +1,203 @@
+// Minimal Parquet writer: flat schema of optional columns, PLAIN encoding, no compression.
+// Each batch becomes one row group, so a file can be streamed out without holding every row.
+
+const MAGIC = Buffer.from('PAR1');
+const VERSION = 1;
+const CREATED_BY = 'market-data-node export';
+
+// Parquet physical/converted types for the column types exports use.
+const COLUMN_TYPES = {
+  double: { physical: 5, size: 8 },
+  timestamp: { physical: 2, size: 8, converted: 9 }, // INT64, TIMESTAMP_MILLIS
+  string: { physical: 6, converted: 0 }, // BYTE_ARRAY, UTF8
+};
+const OPTIONAL = 1;
+const ENCODING_PLAIN = 0;
+const ENCODING_RLE = 3;
+const CODEC_UNCOMPRESSED = 0;
+const PAGE_DATA = 0;
+
+// Thrift compact protocol, just enough for the footer and page headers.
+const THRIFT_TYPES = { i32: 5, i64: 6, binary: 8, list: 9, struct: 12 };
+
+function writeVarint(out, value) {
+  let n = value;
+  while (n >= 0x80) {
+    out.push((n % 0x80) | 0x80);
+    n = Math.floor(n / 0x80);
+  }
+  out.push(n);
+}
+
+const zigzag = (value) => (value >= 0 ? value * 2 : -value * 2 - 1);
+
+function writeValue(out, type, value) {
+  const [kind, element] = type.split(':');
+  if (kind === 'i32' || kind === 'i64') {
+    writeVarint(out, zigzag(value));
+  } else if (kind === 'binary') {
+    const bytes = Buffer.from(value);
+    writeVarint(out, bytes.length);
+    out.push(...bytes);
+  } else if (kind === 'struct') {
+    writeStruct(out, value);
+  } else {
+    const elementType = THRIFT_TYPES[element];
+    if (value.length < 15) {
+      out.push((value.length << 4) | elementType);
+    } else {
+      out.push(0xf0 | elementType);
+      writeVarint(out, value.length);
+    }
+    value.forEach((item) => writeValue(out, element, item));
+  }
+}
+
+// `fields` is a list of [id, type, value]; null values are left out as optional fields.
+function writeStruct(out, fields) {
+  let lastId = 0;
+  fields.forEach(([id, type, value]) => {
+    if (value === null || value === undefined) return;
+    out.push(((id - lastId) << 4) | THRIFT_TYPES[type.split(':')[0]]);
+    lastId = id;
+    writeValue(out, type, value);
+  });
+  out.push(0);
+}
+
+function thrift(fields) {
+  const out = [];
+  writeStruct(out, fields);
+  return Buffer.from(out);
+}
+
+// Definition levels (1 = present) as a single bit-packed run of the RLE/bit-packing hybrid.
+function definitionLevels(values) {
+  const groups = Math.ceil(values.length / 8);
+  const header = [];
+  writeVarint(header, (groups << 1) | 1);
+  const bits = Buffer.alloc(groups);
+  values.forEach((value, idx) => {
+    if (value !== null) bits[idx >> 3] |= 1 << (idx & 7);
+  });
+  const encoded = Buffer.concat([Buffer.from(header), bits]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(encoded.length);
+  return Buffer.concat([length, encoded]);
+}
+
+function plainValues(type, values) {
+  const present = values.filter((value) => value !== null);
+  if (type === 'string') {
+    return Buffer.concat(
+      present.flatMap((value) => {
+        const bytes = Buffer.from(String(value));
+        const length = Buffer.alloc(4);
+        length.writeUInt32LE(bytes.length);
+        return [length, bytes];
+      }),
+    );
+  }
+  const buffer = Buffer.alloc(present.length * COLUMN_TYPES[type].size);
+  present.forEach((value, idx) => {
+    if (type === 'timestamp') buffer.writeBigInt64LE(BigInt(Math.round(value)), idx * 8);
+    else buffer.writeDoubleLE(Number(value), idx * 8);
+  });
+  return buffer;
+}
+
+/**
+ * Encoder for `columns` ({ name, type } with type double, timestamp or string). `head()`, then
+ * `rows(values)` per batch of row arrays, then `tail()` produce the file's bytes in order.
+ */
+export function createParquetEncoder(columns) {
+  const rowGroups = [];
+  let offset = 0;
+  let totalRows = 0;
+
+  const emit = (buffer) => {
+    offset += buffer.length;
+    return buffer;
+  };
+
+  function columnChunk(column, values) {
+    const body = Buffer.concat([definitionLevels(values), plainValues(column.type, values)]);
+    const header = thrift([
+      [1, 'i32', PAGE_DATA],
+      [2, 'i32', body.length],
+      [3, 'i32', body.length],
+      [
+        5,
+        'struct',
+        [
+          [1, 'i32', values.length],
+          [2, 'i32', ENCODING_PLAIN],
+          [3, 'i32', ENCODING_RLE],
+          [4, 'i32', ENCODING_RLE],
+        ],
+      ],
+    ]);
+    const pageOffset = offset;
+    const size = header.length + body.length;
+    const meta = [
+      [2, 'i64', pageOffset],
+      [
+        3,
+        'struct',
+        [
+          [1, 'i32', COLUMN_TYPES[column.type].physical],
+          [2, 'list:i32', [ENCODING_PLAIN, ENCODING_RLE]],
+          [3, 'list:binary', [column.name]],
+          [4, 'i32', CODEC_UNCOMPRESSED],
+          [5, 'i64', values.length],
+          [6, 'i64', size],
+          [7, 'i64', size],
+          [9, 'i64', pageOffset],
+        ],
+      ],
+    ];
+    return { bytes: emit(Buffer.concat([header, body])), meta, size };
+  }
+
+  return {
+    head: () => emit(MAGIC),
+
+    rows(rows) {
+      const chunks = columns.map((column, idx) =>
+        columnChunk(
+          column,
+          rows.map((row) => row[idx] ?? null),
+        ),
+      );
+      rowGroups.push([
+        [1, 'list:struct', chunks.map((chunk) => chunk.meta)],
+        [2, 'i64', chunks.reduce((sum, chunk) => sum + chunk.size, 0)],
+        [3, 'i64', rows.length],
+      ]);
+      totalRows += rows.length;
+      return Buffer.concat(chunks.map((chunk) => chunk.bytes));
+    },
+
+    tail() {
+      const schema = [
+        [[4, 'binary', 'schema'], [5, 'i32', columns.length]],
+        ...columns.map((column) => [
+          [1, 'i32', COLUMN_TYPES[column.type].physical],
+          [3, 'i32', OPTIONAL],
+          [4, 'binary', column.name],
+          [6, 'i32', COLUMN_TYPES[column.type].converted],
+        ]),
+      ];
+      const footer = thrift([
+        [1, 'i32', VERSION],
+        [2, 'list:struct', schema],
+        [3, 'i64', totalRows],
+        [4, 'list:struct', rowGroups],
+        [6, 'binary', CREATED_BY],
+      ]);
+      const length = Buffer.alloc(4);
+      length.writeUInt32LE(footer.length);
+      return emit(Buffer.concat([footer, length, MAGIC]));
+    },
+  };
+}
@@ -0,0 +1,77 @@
+// Every market-data response carries a `meta` block saying where its data came from and how old
+// it is, so clients never have to infer that from `cached` flags or warning strings.
+
+/**
+ * live: fetched from upstream for this request (or pushed by the stream).
+ * cache: served from cache or the candle store; degraded only when upstream could not refresh it.
+ * fallback: synthesized by the proxy (e.g. a flat series from the last spot price).
+ * mock: demo data; upstream was never contacted.
+ * replay: recorded upstream responses served from fixtures (REPLAY_MODE=replay).
+ */
+export const PROVENANCE = ['live', 'cache', 'fallback', 'mock', 'replay'];
+
+// Provider id of the fixture-backed adapter used in replay mode.
+export const REPLAY_PROVIDER = 'replay';
+
+/** Upstream state as reported in `meta.upstream.status`, derived from the HTTP status that failed. */
+export function upstreamStatus(httpStatus) {
+  if (httpStatus === 418 || httpStatus === 429) return 'rate_limited';
+  if (httpStatus === 401 || httpStatus === 403) return 'rejected';
+  return 'unavailable';
+}
+
+/**
+ * The `meta` builders, with ages measured against `now` (the app's clock, so replay and tests
+ * see the same time the rest of the proxy does).
+ */
+export function createMetaBuilders(now = Date.now) {
+  /**
+   * Build `meta`: `asOf` is when the data was observed upstream, `upstream` is
+   * `{ status, httpStatus?, provider? }` and `reason` is set exactly when the response is degraded.
+   */
+  function dataMeta({ provenance, asOf, upstream, reason = null }) {
+    return {
+      provenance,
+      asOf: asOf ?? null,
+      ageMs: asOf ? Math.max(now() - asOf, 0) : null,
+      degraded: Boolean(reason),
+      reason,
+      upstream,
+    };
+  }
+
+  // Cached payloads are stored without `meta`; these attach it on the way out so ages are current.
+
+  /** `meta` for data `provider` just answered with; replayed fixtures never pass for live data. */
+  function fetchedMeta({ provider, asOf }) {
+    const replayed = provider === REPLAY_PROVIDER;
+    return dataMeta({
+      provenance: replayed ? 'replay' : 'live',
+      asOf,
+      upstream: { status: replayed ? 'not_contacted' : 'ok', provider },
+    });
+  }
+
+  /** `meta` for a payload fetched from `payload.provider` for this request. */
+  function withLiveMeta(payload) {
+    return { ...payload, meta: fetchedMeta({ provider: payload.provider, asOf: payload.quotedAt }) };
+  }
+
+  /** `meta` for a cache hit; `failedStatus` is set when upstream was asked and failed, making it degraded. */
+  function withCacheMeta(cached, { failedStatus = null, reason = null } = {}) {
+    return {
+      ...cached,
+      cached: true,
+      meta: dataMeta({
+        provenance: 'cache',
+        asOf: cached.quotedAt ?? cached.timestamp,
+        upstream: failedStatus
+          ? { status: upstreamStatus(failedStatus), httpStatus: failedStatus, provider: cached.provider }
+          : { status: 'not_contacted', provider: cached.provider },
+        reason,
+      }),
+    };
+  }
+
+  return { dataMeta, fetchedMeta, withLiveMeta, withCacheMeta };
+}
@@ -0,0 +1,139 @@
+import { candleSeriesKey } from './candleStore.js';
+import { INTERVALS } from './klines.js';
+
+/**
+ * Serves /history candles from the local candle store and asks providers only for what is
+ * missing: the head before the first stored candle, gaps between stored candles and the tail.
+ * Closed stretches upstream has already answered for are not asked again, so exchange downtime
+ * isn't refetched on every request; an explicit backfill forgets them and asks once more.
+ */
+export function createHistoryService({ providers, store, maxPoints, now = Date.now, logger = console }) {
+  // Per series, closed stretches already fetched whose holes are upstream's (a recent listing,
+  // exchange downtime). Key -> [{ from, to }].
+  const settled = new Map();
+
+  function isSettled(key, segment) {
+    return (settled.get(key) ?? []).some((range) => range.from <= segment.from && range.to >= segment.to);
+  }
+
+  function settle(key, range) {
+    settled.set(key, [...(settled.get(key) ?? []), range]);
+  }
+
+  function persistClosed(key, candles, stepMs) {
+    const cutoff = now();
+    return store.upsert(key, candles.filter((candle) => candle.t + stepMs <= cutoff));
+  }
+
+  function missingSegments(key, stored, startTime, endTime, stepMs) {
+    if (!stored.length) return [{ from: startTime, to: endTime, kind: 'full' }];
+    const segments = [];
+    const first = stored[0].t;
+    if (first - startTime >= stepMs) segments.push({ from: startTime, to: first - 1, kind: 'head' });
+    store
+      .coverage(key, stepMs, { startTime, endTime })
+      .gaps.forEach((gap) => segments.push({ from: gap.from, to: gap.to, kind: 'gap' }));
+    const tailStart = stored[stored.length - 1].t + stepMs;
+    if (tailStart <= endTime) segments.push({ from: tailStart, to: endTime, kind: 'tail' });
+    // Heads and gaps end before a stored, closed candle, so what upstream said about them is final.
+    return segments.filter((segment) => segment.kind === 'tail' || !isSettled(key, segment));
+  }
+
+  async function fetchSegments(key, params, segments) {
+    const stepMs = INTERVALS[params.interval];
+    const fetched = [];
+    const answered = [];
+    let last = null;
+    let pages = 0;
+    let truncated = false;
+
+    for (const segment of segments) {
+      const result = await providers.execute('getCandles', {
+        ...params,
+        startTime: segment.from,
+        endTime: segment.to,
+        maxPoints,
+      });
+      pages += result.pages || 0;
+      truncated = truncated || result.truncated;
+      last = result;
+      if ((segment.kind === 'head' || segment.kind === 'gap') && !result.truncated) {
+        // Nothing before an empty head either: the series starts after it.
+        const emptyHead = segment.kind === 'head' && !result.candles.length;
+        answered.push({ from: emptyHead ? -Infinity : segment.from, to: segment.to });
+      }
+      fetched.push(...result.candles);
+    }
+
+    const added = persistClosed(key, fetched, stepMs);
+    answered.forEach((range) => settle(key, range));
+    return { fetched, added, last, pages, truncated };
+  }
+
+  async function getCandles({ symbol, currency, quoteAsset, interval, startTime, endTime }) {
+    const stepMs = INTERVALS[interval];
+    const key = candleSeriesKey(symbol, quoteAsset, interval);
+    const stored = store.range(key, startTime, endTime);
+    const segments = missingSegments(key, stored, startTime, endTime, stepMs);
+    const params = { symbol, currency, interval };
+
+    let outcome = { fetched: [], added: 0, last: null, pages: 0, truncated: false };
+    let partial = null;
+    if (segments.length) {
+      try {
+        outcome = await fetchSegments(key, params, segments);
+      } catch (error) {
+        if (!stored.length) throw error;
+        logger.warn?.(`History top-up for ${key} failed, serving stored candles: ${error.message}`);
+        partial = { status: error.status || error.response?.status || 500, message: error.message };
+      }
+    }
+
+    const byTime = new Map(stored.map((candle) => [candle.t, candle]));
+    outcome.fetched.forEach((candle) => byTime.set(candle.t, candle));
+    const merged = [...byTime.values()]
+      .filter((candle) => candle.t >= startTime && candle.t <= endTime)
+      .sort((a, b) => a.t - b.t);
+
+    const result = {
+      candles: merged.slice(0, maxPoints),
+      interval,
+      route: outcome.last?.route ?? null,
+      legs: outcome.last?.legs ?? null,
+      pages: outcome.pages,
+      truncated: outcome.truncated || merged.length > maxPoints,
+      provider: outcome.last?.provider ?? 'store',
+      attempts: outcome.last?.attempts ?? [],
+      source: outcome.last?.source ?? `candle-store:${key}`,
+      store: { key, stored: stored.length, fetched: outcome.fetched.length, added: outcome.added },
+    };
+    if (partial) {
+      result.warning = `Upstream unavailable (${partial.message}); serving stored candles only.`;
+      result.upstreamFailure = partial;
+    }
+    return result;
+  }
+
+  /** Fetch every missing stretch in a range, interior gaps included, and report the new coverage. */
+  async function backfill({ symbol, currency, quoteAsset, interval, startTime, endTime }) {
+    const stepMs = INTERVALS[interval];
+    const key = candleSeriesKey(symbol, quoteAsset, interval);
+    const stored = store.range(key, startTime, endTime);
+    settled.delete(key);
+    const segments = missingSegments(key, stored, startTime, endTime, stepMs);
+
+    const outcome = segments.length
+      ? await fetchSegments(key, { symbol, currency, interval }, segments)
+      : { fetched: [], added: 0, last: null };
+
+    return {
+      segments,
+      fetched: outcome.fetched.length,
+      added: outcome.added,
+      provider: outcome.last?.provider ?? null,
+      coverage: store.coverage(key, stepMs, { startTime, endTime }),
+    };
+  }
+
+  return { getCandles, backfill };
+}
@@ -0,0 +1,195 @@
+// Technical indicators computed from OHLCV candles. Every function is pure and returns one entry
+// per input candle (null during warm-up), so results line up with the chart and are reproducible.
+
+const MAX_PERIOD = 500;
+export const MAX_INDICATORS = 10;
+
+function closes(candles) {
+  return candles.map((candle) => candle.close);
+}
+
+function sma(values, period) {
+  let sum = 0;
+  return values.map((value, idx) => {
+    sum += value;
+    if (idx >= period) sum -= values[idx - period];
+    return idx >= period - 1 ? sum / period : null;
+  });
+}
+
+// Seeded with the SMA of the first `period` values; nulls in the input (e.g. MACD warm-up) are skipped.
+function ema(values, period) {
+  const k = 2 / (period + 1);
+  const out = new Array(values.length).fill(null);
+  let seen = 0;
+  let seedSum = 0;
+  let prev = null;
+  values.forEach((value, idx) => {
+    if (value === null) return;
+    seen += 1;
+    if (seen < period) {
+      seedSum += value;
+      return;
+    }
+    prev = seen === period ? (seedSum + value) / period : value * k + prev * (1 - k);
+    out[idx] = prev;
+  });
+  return out;
+}
+
+// Wilder's RSI: simple averages over the first `period` changes, then Wilder smoothing.
+function rsi(values, period) {
+  const out = new Array(values.length).fill(null);
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let idx = 1; idx < values.length; idx += 1) {
+    const change = values[idx] - values[idx - 1];
+    const gain = Math.max(change, 0);
+    const loss = Math.max(-change, 0);
+    if (idx <= period) {
+      avgGain += gain / period;
+      avgLoss += loss / period;
+      if (idx < period) continue;
+    } else {
+      avgGain = (avgGain * (period - 1) + gain) / period;
+      avgLoss = (avgLoss * (period - 1) + loss) / period;
+    }
+    if (avgLoss === 0) {
+      // No losses reads as maximally overbought, unless the price didn't move at all.
+      out[idx] = avgGain === 0 ? 50 : 100;
+    } else {
+      out[idx] = 100 - 100 / (1 + avgGain / avgLoss);
+    }
+  }
+  return out;
+}
+
+function macd(values, fast, slow, signal) {
+  const fastLine = ema(values, fast);
+  const slowLine = ema(values, slow);
+  const line = values.map((_, idx) =>
+    fastLine[idx] === null || slowLine[idx] === null ? null : fastLine[idx] - slowLine[idx],
+  );
+  const signalLine = ema(line, signal);
+  return line.map((value, idx) => ({
+    macd: value,
+    signal: signalLine[idx],
+    histogram: value === null || signalLine[idx] === null ? null : value - signalLine[idx],
+  }));
+}
+
+// Middle band is the SMA; the outer bands sit `multiplier` population standard deviations away.
+function bollinger(values, period, multiplier) {
+  const middle = sma(values, period);
+  return middle.map((mean, idx) => {
+    if (mean === null) return { middle: null, upper: null, lower: null };
+    const window = values.slice(idx - period + 1, idx + 1);
+    const deviation = Math.sqrt(window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / period);
+    return { middle: mean, upper: mean + multiplier * deviation, lower: mean - multiplier * deviation };
+  });
+}
+
+// Anchored at the first candle of the series; typical price (H+L+C)/3 weighted by base volume.
+function vwap(candles) {
+  let priceVolume = 0;
+  let volume = 0;
+  return candles.map((candle) => {
+    if (!(candle.volume > 0)) return volume ? priceVolume / volume : null;
+    priceVolume += ((candle.high + candle.low + candle.close) / 3) * candle.volume;
+    volume += candle.volume;
+    return priceVolume / volume;
+  });
+}
+
+/**
+ * Supported indicators. `params` lists positional parameters and their defaults as written in
+ * the `indicators=` query (e.g. `macd:12:26:9`); `pane` tells the chart where to draw it.
+ */
+export const INDICATORS = {
+  sma: {
+    pane: 'overlay',
+    params: [['period', 20]],
+    compute: (candles, { period }) => sma(closes(candles), period),
+  },
+  ema: {
+    pane: 'overlay',
+    params: [['period', 20]],
+    compute: (candles, { period }) => ema(closes(candles), period),
+  },
+  bb: {
+    pane: 'overlay',
+    params: [
+      ['period', 20],
+      ['multiplier', 2],
+    ],
+    compute: (candles, { period, multiplier }) => bollinger(closes(candles), period, multiplier),
+  },
+  vwap: {
+    pane: 'overlay',
+    params: [],
+    compute: (candles) => vwap(candles),
+  },
+  rsi: {
+    pane: 'oscillator',
+    params: [['period', 14]],
+    compute: (candles, { period }) => rsi(closes(candles), period),
+  },
+  macd: {
+    pane: 'oscillator',
+    params: [
+      ['fast', 12],
+      ['slow', 26],
+      ['signal', 9],
+    ],
+    compute: (candles, { fast, slow, signal }) => macd(closes(candles), fast, slow, signal),
+  },
+};
+
+/**
+ * Parse `sma:20,ema:50,rsi,macd:12:26:9,bb:20:2,vwap` into indicator specs, filling defaults.
+ * Returns null when any entry is unknown or has out-of-range parameters.
+ */
+export function parseIndicators(value) {
+  const entries = String(value)
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+  if (!entries.length || entries.length > MAX_INDICATORS) return null;
+
+  const specs = [];
+  for (const entry of entries) {
+    const [type, ...args] = entry.split(':');
+    const definition = INDICATORS[type];
+    if (!definition || args.length > definition.params.length) return null;
+    const params = {};
+    for (const [idx, [name, fallback]] of definition.params.entries()) {
+      const param = args[idx] === undefined || args[idx] === '' ? fallback : Number(args[idx]);
+      // Multipliers may be fractional; periods must be whole candles.
+      const valid = name === 'multiplier' ? param > 0 && param <= 10 : Number.isInteger(param) && param > 0;
+      if (!valid || param > MAX_PERIOD) return null;
+      params[name] = param;
+    }
+    if (type === 'macd' && params.fast >= params.slow) return null;
+    const key = [type, ...definition.params.map(([name]) => params[name])].join(':');
+    if (!specs.some((spec) => spec.key === key)) specs.push({ key, type, params });
+  }
+  return specs;
+}
+
+/** Compute parsed specs over candles; each series entry carries the candle's open time. */
+export function computeIndicators(candles, specs) {
+  return specs.map(({ key, type, params }) => {
+    const values = INDICATORS[type].compute(candles, params);
+    return {
+      key,
+      type,
+      params,
+      pane: INDICATORS[type].pane,
+      values: candles.map((candle, idx) =>
+        values[idx] !== null && typeof values[idx] === 'object'
+          ? { t: candle.t, ...values[idx] }
+          : { t: candle.t, value: values[idx] },
+      ),
+    };
+  });
+}
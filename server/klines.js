@@ -0,0 +1,140 @@
+// Kline intervals and range pagination for the /history route.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Every interval Binance's klines endpoint accepts, with its bucket length.
+export const INTERVALS = {
+  '1s': 1000,
+  '1m': MINUTE,
+  '3m': 3 * MINUTE,
+  '5m': 5 * MINUTE,
+  '15m': 15 * MINUTE,
+  '30m': 30 * MINUTE,
+  '1h': HOUR,
+  '2h': 2 * HOUR,
+  '4h': 4 * HOUR,
+  '6h': 6 * HOUR,
+  '8h': 8 * HOUR,
+  '12h': 12 * HOUR,
+  '1d': DAY,
+  '3d': 3 * DAY,
+  '1w': 7 * DAY,
+  '1M': 30 * DAY,
+};
+
+// Names the dashboard used before raw interval codes were accepted.
+const INTERVAL_ALIASES = {
+  hourly: '1h',
+  daily: '1d',
+  weekly: '1w',
+};
+
+export const DAY_MS = DAY;
+
+/** Map a query value to an upstream interval code, or null when it is not supported. */
+export function parseInterval(value) {
+  const raw = String(value || 'hourly');
+  const code = INTERVAL_ALIASES[raw.toLowerCase()] || raw;
+  return INTERVALS[code] ? code : null;
+}
+
+/** Accept epoch milliseconds or anything Date can parse (ISO dates); null when absent, NaN when invalid. */
+export function parseTimestamp(value) {
+  if (value === undefined || value === '') return null;
+  const numeric = Number(value);
+  if (Number.isFinite(numeric)) return numeric;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? NaN : parsed;
+}
+
+/**
+ * Page through the upstream klines endpoint from `startTime` to `endTime`.
+ * `fetchPage` receives Binance-style params and resolves to an array of klines.
+ * Stops after `maxPoints` candles and reports `truncated` so callers can say so.
+ */
+export async function fetchKlineRange({
+  fetchPage,
+  interval,
+  startTime,
+  endTime,
+  pageLimit = 1000,
+  maxPoints = 50_000,
+}) {
+  const klines = [];
+  let cursor = startTime;
+  let pages = 0;
+
+  while (cursor <= endTime && klines.length < maxPoints) {
+    const limit = Math.min(pageLimit, maxPoints - klines.length);
+    const page = await fetchPage({ interval, startTime: cursor, endTime, limit });
+    pages += 1;
+    if (!page.length) break;
+    klines.push(...page);
+    if (page.length < limit) break;
+    cursor = page[page.length - 1][0] + 1;
+  }
+
+  const truncated = klines.length >= maxPoints && cursor <= endTime;
+  return { klines, pages, truncated };
+}
+
+/**
+ * Page a time-windowed upstream (one that takes start/end rather than a cursor) across a range.
+ * `fetchWindow({ startTime, endTime })` resolves to normalized candles for that window.
+ */
+export async function fetchWindowedRange({
+  fetchWindow,
+  startTime,
+  endTime,
+  stepMs,
+  pageSize,
+  maxPoints = 50_000,
+}) {
+  // Keyed by open time: adjacent windows share their boundary bucket.
+  const candles = new Map();
+  let cursor = startTime;
+  let pages = 0;
+
+  while (cursor < endTime && candles.size < maxPoints) {
+    const windowEnd = Math.min(cursor + stepMs * pageSize, endTime);
+    const page = await fetchWindow({ startTime: cursor, endTime: windowEnd });
+    pages += 1;
+    page.forEach((candle) => candles.set(candle.t, candle));
+    cursor = windowEnd;
+  }
+
+  const sorted = [...candles.values()].sort((a, b) => a.t - b.t);
+  return {
+    candles: sorted.slice(0, maxPoints),
+    pages,
+    truncated: sorted.length > maxPoints || cursor < endTime,
+  };
+}
+
+/** Bucket raw [timestamp, price] samples into OHLC candles of `stepMs`. Volume is unknown for sampled prices. */
+export function bucketPrices(samples, stepMs) {
+  const buckets = new Map();
+  samples.forEach(([t, price]) => {
+    const bucketStart = Math.floor(t / stepMs) * stepMs;
+    const candle = buckets.get(bucketStart);
+    if (!candle) {
+      buckets.set(bucketStart, {
+        t: bucketStart,
+        open: price,
+        high: price,
+        low: price,
+        close: price,
+        volume: null,
+        quoteVolume: null,
+        trades: null,
+      });
+      return;
+    }
+    candle.high = Math.max(candle.high, price);
+    candle.low = Math.min(candle.low, price);
+    candle.close = price;
+  });
+  return [...buckets.values()].sort((a, b) => a.t - b.t);
+}
@@ -0,0 +1,238 @@
+import crypto from 'crypto';
+import { logContext } from './logger.js';
+import { createMetricsRegistry } from './metrics.js';
+
+export { LOG_LEVELS, createLogger, logContext } from './logger.js';
+export { PROMETHEUS_CONTENT_TYPE, createMetricsRegistry } from './metrics.js';
+export { createReadinessCheck } from './readiness.js';
+
+// Incoming X-Request-Id values are echoed into logs, so only accept plain tokens.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Probes and scrapes are counted like any route but kept out of the latency and traffic summary.
+const INTERNAL_ROUTES = new Set(['/metrics', '/metrics/summary', '/health', '/health/ready']);
+
+const isExternal = (labels) => !INTERNAL_ROUTES.has(labels.route);
+const isHttpOk = (status) => Number(status) >= 200 && Number(status) < 400;
+const roundMs = (seconds) => (seconds === null ? null : Math.round(seconds * 10_000) / 10);
+
+/**
+ * The proxy's metrics. Request, response and upstream series are recorded as they happen;
+ * cache, circuit, budget and process figures are read from the components' stats() at scrape time
+ * once `collectFrom` has been handed them (they are built after the schedulers that report here).
+ */
+export function createServerMetrics({ startedAt = Date.now() } = {}) {
+  const registry = createMetricsRegistry();
+
+  const httpRequests = registry.counter('http_requests_total', {
+    help: 'HTTP requests handled, by method, matched route and status.',
+    labelNames: ['method', 'route', 'status'],
+  });
+  const httpDuration = registry.histogram('http_request_duration_seconds', {
+    help: 'Time to the last response byte, by method and matched route. Event streams are excluded.',
+    labelNames: ['method', 'route'],
+  });
+  const responses = registry.counter('market_data_responses_total', {
+    help: 'Market data responses by route, provenance (live, cache, fallback, mock) and degradation.',
+    labelNames: ['route', 'provenance', 'degraded'],
+  });
+  const upstreamRequests = registry.counter('upstream_requests_total', {
+    help: 'Outbound requests by upstream and HTTP status (or timeout / network).',
+    labelNames: ['upstream', 'status'],
+  });
+  const upstreamDuration = registry.histogram('upstream_request_duration_seconds', {
+    help: 'Outbound request latency by upstream.',
+    labelNames: ['upstream'],
+  });
+
+  return {
+    registry,
+
+    collectFrom({ caches, inflight, upstreams, providers, priceStream }) {
+      const schedulerStats = () => Object.values(upstreams).map((scheduler) => scheduler.stats());
+      registry.collect('upstream_budget_rejections_total', {
+        type: 'counter',
+        help: 'Requests failed fast because the upstream request budget was exhausted.',
+        collect: () =>
+          schedulerStats().map((s) => ({ labels: { upstream: s.name }, value: s.totals.rejected })),
+      });
+      registry.collect('upstream_used_weight', {
+        help: 'Request weight spent in the current upstream rate-limit window.',
+        collect: () => schedulerStats().map((s) => ({ labels: { upstream: s.name }, value: s.usedWeight })),
+      });
+      registry.collect('upstream_queued_requests', {
+        help: 'Requests waiting for upstream budget.',
+        collect: () => schedulerStats().map((s) => ({ labels: { upstream: s.name }, value: s.queued })),
+      });
+
+      const cacheStats = () => Object.entries(caches).map(([name, cache]) => ({ name, ...cache.stats() }));
+      registry.collect('cache_lookups_total', {
+        type: 'counter',
+        help: 'Cache lookups by cache and result. Stale entries read for fallbacks count as hits.',
+        collect: () =>
+          cacheStats().flatMap((s) => [
+            { labels: { cache: s.name, result: 'hit' }, value: s.hits },
+            { labels: { cache: s.name, result: 'miss' }, value: s.misses },
+          ]),
+      });
+      registry.collect('cache_entries', {
+        help: 'Entries currently held per cache.',
+        collect: () => cacheStats().map((s) => ({ labels: { cache: s.name }, value: s.size })),
+      });
+      registry.collect('cache_evictions_total', {
+        type: 'counter',
+        help: 'LRU evictions per cache.',
+        collect: () => cacheStats().map((s) => ({ labels: { cache: s.name }, value: s.evictions })),
+      });
+      registry.collect('singleflight_shared_total', {
+        type: 'counter',
+        help: 'Cache misses that joined an in-flight upstream request instead of starting one.',
+        collect: () => [{ value: inflight.stats().shared }],
+      });
+
+      registry.collect('provider_requests_total', {
+        type: 'counter',
+        help: 'Provider operations by outcome, as seen by the failover registry.',
+        collect: () =>
+          providers.stats().flatMap((p) => [
+            { labels: { provider: p.id, outcome: 'success' }, value: p.successes },
+            { labels: { provider: p.id, outcome: 'failure' }, value: p.failures },
+          ]),
+      });
+      registry.collect('provider_circuit_open', {
+        help: '1 while a provider circuit is open (or half-open), 0 when closed.',
+        collect: () =>
+          providers.stats().map((p) => ({ labels: { provider: p.id }, value: p.circuit === 'closed' ? 0 : 1 })),
+      });
+      registry.collect('stream_subscribers', {
+        help: 'Server-sent event clients subscribed to live prices.',
+        collect: () => [{ value: priceStream.stats().reduce((sum, feed) => sum + feed.subscribers, 0) }],
+      });
+
+      registry.collect('process_resident_memory_bytes', {
+        help: 'Resident set size.',
+        collect: () => [{ value: process.memoryUsage().rss }],
+      });
+      registry.collect('process_heap_used_bytes', {
+        help: 'V8 heap in use.',
+        collect: () => [{ value: process.memoryUsage().heapUsed }],
+      });
+      registry.collect('process_uptime_seconds', {
+        help: 'Seconds since the server started.',
+        collect: () => [{ value: (Date.now() - startedAt) / 1000 }],
+      });
+    },
+
+    recordRequest({ method, route, status, durationMs, streaming }) {
+      httpRequests.inc({ method, route, status });
+      if (!streaming) httpDuration.observe({ method, route }, durationMs / 1000);
+    },
+
+    /** Count a response by the provenance in its `meta` block (see freshness.js). */
+    recordResponseMeta(route, meta) {
+      if (!meta?.provenance) return;
+      responses.inc({ route, provenance: meta.provenance, degraded: String(Boolean(meta.degraded)) });
+    },
+
+    recordUpstream(upstream, { status, durationMs }) {
+      upstreamRequests.inc({ upstream, status });
+      upstreamDuration.observe({ upstream }, durationMs / 1000);
+    },
+
+    /** Headline numbers for the dashboard's telemetry card, derived from the same series. */
+    summary() {
+      const served = (provenance) => responses.total((labels) => labels.provenance === provenance);
+      const live = served('live');
+      const cached = served('cache');
+      const upstreamErrors = {};
+      upstreamRequests.series().forEach(({ labels, value }) => {
+        if (!isHttpOk(labels.status)) {
+          upstreamErrors[labels.status] = (upstreamErrors[labels.status] ?? 0) + value;
+        }
+      });
+
+      return {
+        uptimeSec: Math.round((Date.now() - startedAt) / 1000),
+        requests: {
+          total: httpRequests.total(isExternal),
+          serverErrors: httpRequests.total(
+            (labels) => isExternal(labels) && String(labels.status).startsWith('5'),
+          ),
+        },
+        latencyMs: {
+          p50: roundMs(httpDuration.quantile(0.5, isExternal)),
+          p95: roundMs(httpDuration.quantile(0.95, isExternal)),
+          p99: roundMs(httpDuration.quantile(0.99, isExternal)),
+        },
+        cache: {
+          // Share of market data answered from cache rather than a live upstream call.
+          hitRatio: live + cached ? cached / (live + cached) : null,
+          servedFromCache: cached,
+          servedLive: live,
+        },
+        fallbacks: served('fallback'),
+        degraded: responses.total((labels) => labels.degraded === 'true'),
+        upstream: {
+          requests: upstreamRequests.total(),
+          errors: upstreamErrors,
+          p95Ms: roundMs(upstreamDuration.quantile(0.95)),
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Assign each request an ID (a well-formed incoming X-Request-Id is kept), echo it in the response,
+ * make it part of every log line written while the request is handled, then log and count the
+ * request once the response ends.
+ */
+export function requestObserver({ logger, metrics }) {
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    // Keep the `meta` block of JSON responses so provenance can be counted per route.
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.locals.meta = body?.meta;
+      return json(body);
+    };
+
+    let recorded = false;
+    const record = () => {
+      if (recorded) return;
+      recorded = true;
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      // Requests answered by middleware (auth, static files) never match a route.
+      const unrouted = res.statusCode === 404 ? 'unmatched' : 'other';
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : unrouted;
+      const streaming = String(res.get('content-type') || '').startsWith('text/event-stream');
+      // 499 (client closed request) when the client went away before the response was complete.
+      const status = res.writableFinished || streaming ? res.statusCode : 499;
+
+      metrics.recordRequest({ method: req.method, route, status, durationMs, streaming });
+      metrics.recordResponseMeta(route, res.locals.meta);
+      // Scrapes and probes arrive every few seconds; keep them out of the info log.
+      const level = status >= 500 ? 'error' : INTERNAL_ROUTES.has(route) ? 'debug' : 'info';
+      logger[level]('request', {
+        requestId,
+        method: req.method,
+        url: req.originalUrl.replace(/([?&]apiKey=)[^&]*/g, '$1[redacted]'),
+        route,
+        status,
+        durationMs: Math.round(durationMs * 10) / 10,
+        ip: req.ip,
+        keyId: req.client?.keyId ?? undefined,
+        provenance: res.locals.meta?.provenance,
+      });
+    };
+    res.once('finish', record);
+    res.once('close', record);
+
+    logContext.run({ requestId }, next);
+  };
+}
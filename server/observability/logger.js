@@ -0,0 +1,55 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Per-request fields (the request ID) that every log line written while handling it picks up,
+// including lines from services that were handed the root logger at startup.
+export const logContext = new AsyncLocalStorage();
+
+function serializeError(error) {
+  return {
+    message: error.message,
+    name: error.name,
+    status: error.status ?? error.response?.status,
+    stack: error.stack,
+  };
+}
+
+/**
+ * One JSON object per line on `stream`. Drop-in for the `logger = console` services take:
+ * `logger.warn(message)` works, and `logger.warn(message, { ...fields })` adds structured fields.
+ */
+export function createLogger({
+  level = 'info',
+  base = {},
+  stream = process.stdout,
+  now = () => new Date(),
+} = {}) {
+  if (!LOG_LEVELS[level]) {
+    throw new Error(`Unknown log level "${level}". Expected one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+  }
+  const threshold = LOG_LEVELS[level];
+
+  function write(entryLevel, message, fields = {}) {
+    if (LOG_LEVELS[entryLevel] < threshold) return;
+    const entry = {
+      time: now().toISOString(),
+      level: entryLevel,
+      msg: message instanceof Error ? message.message : String(message),
+      ...base,
+      ...logContext.getStore(),
+      ...fields,
+    };
+    if (entry.error instanceof Error) entry.error = serializeError(entry.error);
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    level,
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    child: (fields) => createLogger({ level, base: { ...base, ...fields }, stream, now }),
+  };
+}
@@ -0,0 +1,150 @@
+// Seconds; spans cache hits (single-digit ms) to slow upstream history pulls.
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  return pairs.length ? `{${pairs.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+const formatValue = (value) => (Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : 'NaN');
+
+// Label sets are keyed by their values in `labelNames` order, so callers can pass labels in any order.
+function seriesKey(labelNames, labels) {
+  return labelNames.map((name) => String(labels[name] ?? '')).join('\u0000');
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? '']));
+}
+
+function createCounter({ help, labelNames = [] }) {
+  const series = new Map();
+  return {
+    type: 'counter',
+    help,
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) ?? { labels: pickLabels(labelNames, labels), value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+    /** Sum over the series whose labels pass `filter`. */
+    total: (filter = () => true) =>
+      [...series.values()].filter(({ labels }) => filter(labels)).reduce((sum, { value }) => sum + value, 0),
+    series: () => [...series.values()],
+    samples: (name) => [...series.values()].map(({ labels, value }) => ({ name, labels, value })),
+  };
+}
+
+function createHistogram({ help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = new Map();
+
+  // Bucket counts across every series passing `filter`, not yet cumulative.
+  function merged(filter) {
+    const counts = new Array(bounds.length + 1).fill(0);
+    let count = 0;
+    series.forEach((entry) => {
+      if (!filter(entry.labels)) return;
+      entry.counts.forEach((value, idx) => {
+        counts[idx] += value;
+      });
+      count += entry.count;
+    });
+    return { counts, count };
+  }
+
+  return {
+    type: 'histogram',
+    help,
+    observe(labels = {}, value) {
+      const key = seriesKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        const counts = new Array(bounds.length + 1).fill(0);
+        entry = { labels: pickLabels(labelNames, labels), counts, count: 0, sum: 0 };
+        series.set(key, entry);
+      }
+      const idx = bounds.findIndex((bound) => value <= bound);
+      entry.counts[idx === -1 ? bounds.length : idx] += 1;
+      entry.count += 1;
+      entry.sum += value;
+    },
+    /**
+     * Estimate the `q` quantile the way PromQL's histogram_quantile does: find the bucket holding
+     * the rank and interpolate linearly inside it. Observations past the last bound report that bound.
+     */
+    quantile(q, filter = () => true) {
+      const { counts, count } = merged(filter);
+      if (!count) return null;
+      const rank = q * count;
+      let seen = 0;
+      for (let idx = 0; idx < counts.length; idx += 1) {
+        if (seen + counts[idx] >= rank && counts[idx] > 0) {
+          if (idx === bounds.length) return bounds[bounds.length - 1];
+          const lower = idx === 0 ? 0 : bounds[idx - 1];
+          return lower + (bounds[idx] - lower) * ((rank - seen) / counts[idx]);
+        }
+        seen += counts[idx];
+      }
+      return bounds[bounds.length - 1];
+    },
+    samples(name) {
+      return [...series.values()].flatMap(({ labels, counts, count, sum }) => {
+        let cumulative = 0;
+        const bucketSamples = [...bounds, Infinity].map((bound, idx) => {
+          cumulative += counts[idx];
+          return { name: `${name}_bucket`, labels: { ...labels, le: formatValue(bound) }, value: cumulative };
+        });
+        return [
+          ...bucketSamples,
+          { name: `${name}_sum`, labels, value: sum },
+          { name: `${name}_count`, labels, value: count },
+        ];
+      });
+    },
+  };
+}
+
+// Values read from existing stats() at scrape time, so no extra bookkeeping on the hot path.
+function createCollected({ type, help, collect }) {
+  return {
+    type,
+    help,
+    samples: (name) => collect().map(({ labels = {}, value }) => ({ name, labels, value })),
+  };
+}
+
+/** Minimal Prometheus registry: counters, histograms and collected gauges/counters, text format 0.0.4. */
+export function createMetricsRegistry() {
+  const metrics = new Map();
+
+  function register(name, metric) {
+    if (metrics.has(name)) throw new Error(`Metric ${name} registered twice`);
+    metrics.set(name, metric);
+    return metric;
+  }
+
+  return {
+    counter: (name, options) => register(name, createCounter(options)),
+    histogram: (name, options) => register(name, createHistogram(options)),
+    /** `collect()` returns `[{ labels, value }]`; `type` is 'gauge' or 'counter'. */
+    collect: (name, { type = 'gauge', help, collect }) =>
+      register(name, createCollected({ type, help, collect })),
+
+    render() {
+      const lines = [];
+      metrics.forEach((metric, name) => {
+        lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+        metric.samples(name).forEach((sample) => {
+          lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+        });
+      });
+      return `${lines.join('\n')}\n`;
+    },
+  };
+}
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
@@ -0,0 +1,64 @@
+// Worst status wins: any `down` check makes the service unavailable, any `degraded` one degraded.
+function overallStatus(checks) {
+  const statuses = Object.values(checks).map((check) => check.status);
+  if (statuses.includes('down')) return 'unavailable';
+  return statuses.includes('degraded') ? 'degraded' : 'ok';
+}
+
+async function probeCache(name, cache) {
+  const { backend } = cache.stats();
+  try {
+    await cache.probe();
+    return { name, backend, ok: true };
+  } catch (error) {
+    return { name, backend, ok: false, error: error.message };
+  }
+}
+
+/**
+ * Deep readiness check: pings every upstream provider (one with an open circuit counts as down),
+ * probes each cache backend and reports whether the symbol catalog has loaded. Results are reused
+ * for `ttlMs` and concurrent callers share one probe, so an aggressive orchestrator can't spend
+ * the upstream request budget.
+ */
+export function createReadinessCheck({ providers, caches, catalog, ttlMs = 5000, now = Date.now }) {
+  let last = null;
+  let pending = null;
+
+  async function run() {
+    const [upstream, cacheResults] = await Promise.all([
+      providers.ping(),
+      Promise.all(Object.entries(caches).map(([name, cache]) => probeCache(name, cache))),
+    ]);
+    // Failover skips a provider while its circuit is open, however well it answers a ping.
+    const usable = upstream.filter((provider) => provider.ok && provider.circuit !== 'open').length;
+    const checks = {
+      upstream: {
+        // One usable provider is enough to serve quotes; failover covers the rest.
+        status: usable === upstream.length ? 'ok' : usable ? 'degraded' : 'down',
+        providers: upstream,
+      },
+      cache: { status: cacheResults.every((cache) => cache.ok) ? 'ok' : 'down', caches: cacheResults },
+      symbols: {
+        // Seed markets cover the majors, so a failed exchangeInfo load degrades rather than fails.
+        status: catalog.source === 'seed' ? 'degraded' : 'ok',
+        source: catalog.source,
+        updatedAt: catalog.updatedAt,
+      },
+    };
+    return { status: overallStatus(checks), checkedAt: now(), checks };
+  }
+
+  return function check() {
+    if (last && now() - last.checkedAt < ttlMs) return Promise.resolve(last);
+    pending ??= run()
+      .then((result) => {
+        last = result;
+        return result;
+      })
+      .finally(() => {
+        pending = null;
+      });
+    return pending;
+  };
+}
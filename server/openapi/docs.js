@@ -0,0 +1,39 @@
+// Swagger UI from a CDN, so the docs page needs no bundled assets. Pinned to an exact release
+// with Subresource Integrity, so a changed file on the CDN is refused instead of run. Bumping the
+// version means recomputing both hashes from the package, e.g.
+// `openssl dgst -sha384 -binary swagger-ui.css | openssl base64 -A`.
+const SWAGGER_UI = 'https://unpkg.com/swagger-ui-dist@5.33.1';
+const INTEGRITY = {
+  css: 'sha384-Ov4/wv3j2bmct8cDc5X4ngJZohVPzEmc6uDPH8WeljUxO5vtoykvMEfbu9Vh6RaW',
+  bundle: 'sha384-ZPehFMQommnnuaZ4rpxgkgTT2DKFVp4hZC/7pLit+9Lek9T1YGSo23eHFbvNkXkw',
+};
+
+/** HTML for /docs: interactive documentation rendered from the document at `specUrl`. */
+export function renderDocsPage({ title, specUrl }) {
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${title} · API docs</title>
+    <link
+      rel="stylesheet"
+      href="${SWAGGER_UI}/swagger-ui.css"
+      integrity="${INTEGRITY.css}"
+      crossorigin="anonymous"
+    />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script
+      src="${SWAGGER_UI}/swagger-ui-bundle.js"
+      integrity="${INTEGRITY.bundle}"
+      crossorigin="anonymous"
+    ></script>
+    <script>
+      window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui', deepLinking: true });
+    </script>
+  </body>
+</html>
+`;
+}
@@ -0,0 +1,8 @@
+export { renderDocsPage } from './docs.js';
+export { createSchemaValidator } from './schema.js';
+export { buildOpenApiSpec } from './spec.js';
+export { createOpenApiValidator } from './validator.js';
+
+// off: responses go out unchecked; warn: mismatches with the API document are logged;
+// strict: they are logged and replaced by a 500 problem (what the test suite runs with).
+export const RESPONSE_VALIDATION_MODES = ['off', 'warn', 'strict'];
@@ -0,0 +1,112 @@
+// The subset of JSON Schema (2020-12, as used by OpenAPI 3.1) that the API document relies on:
+// type (single or list), enum, const, numeric and length bounds, pattern, properties/required/
+// additionalProperties, items, anyOf/oneOf/allOf and local `#/components/schemas/...` refs.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describe(value) {
+  return value === undefined ? 'undefined' : JSON.stringify(value)?.slice(0, 60);
+}
+
+/**
+ * Validator bound to an OpenAPI document, so `$ref`s resolve against its components.
+ * `validate(schema, value, path)` returns a list of `{ path, message }`; empty means valid.
+ */
+export function createSchemaValidator(document) {
+  function resolve(schema) {
+    let resolved = schema;
+    while (resolved?.$ref) {
+      const name = resolved.$ref.replace('#/components/schemas/', '');
+      resolved = document.components?.schemas?.[name];
+      if (!resolved) throw new Error(`Unresolved schema reference ${schema.$ref}`);
+    }
+    return resolved;
+  }
+
+  function validate(rawSchema, value, path = '') {
+    const schema = resolve(rawSchema);
+    if (!schema || schema === true) return [];
+    const errors = [];
+    const fail = (message) => errors.push({ path: path || '/', message });
+
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.some((type) => matchesType(value, type))) {
+        fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+        return errors;
+      }
+    }
+    if (schema.enum && !schema.enum.some((option) => option === value)) {
+      fail(`must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+    }
+    if ('const' in schema && schema.const !== value) fail(`must be ${JSON.stringify(schema.const)}`);
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        fail(`must be > ${schema.exclusiveMinimum}`);
+      }
+    }
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        fail(`must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        fail(`must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail(`must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        fail(`must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, idx) => errors.push(...validate(schema.items, item, `${path}/${idx}`)));
+      }
+    }
+
+    if (typeOf(value) === 'object') {
+      const properties = schema.properties ?? {};
+      (schema.required ?? []).forEach((name) => {
+        if (value[name] === undefined) fail(`missing required property ${name}`);
+      });
+      Object.entries(value).forEach(([name, child]) => {
+        if (child === undefined) return;
+        if (properties[name]) {
+          errors.push(...validate(properties[name], child, `${path}/${name}`));
+        } else if (schema.additionalProperties === false) {
+          fail(`has unexpected property ${name}`);
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(...validate(schema.additionalProperties, child, `${path}/${name}`));
+        }
+      });
+    }
+
+    if (schema.allOf) schema.allOf.forEach((part) => errors.push(...validate(part, value, path)));
+    if (schema.anyOf && !schema.anyOf.some((option) => !validate(option, value, path).length)) {
+      fail(`must match one of the allowed shapes, got ${describe(value)}`);
+    }
+    if (schema.oneOf) {
+      const matches = schema.oneOf.filter((option) => !validate(option, value, path).length).length;
+      if (matches !== 1) fail(`must match exactly one allowed shape (matched ${matches})`);
+    }
+    return errors;
+  }
+
+  return { validate, resolve };
+}
@@ -0,0 +1,984 @@
+import { AGGREGATE_METHODS } from '../aggregate.js';
+import { EXPORT_FORMATS } from '../export/index.js';
+import { PROVENANCE } from '../freshness.js';
+import { INTERVALS } from '../klines.js';
+import { INDICATORS, MAX_INDICATORS } from '../indicators.js';
+import { DEPTH_LIMIT, TRADES_LIMIT } from '../orderBook.js';
+import { PROBLEM_CONTENT_TYPE, PROBLEM_TYPES } from '../problem.js';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (type) => ({ type: [type, 'null'] });
+const arrayOf = (items) => ({ type: 'array', items });
+const object = (properties, required = []) => ({ type: 'object', properties, required });
+
+function json(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+function problem(description) {
+  return { description, content: { [PROBLEM_CONTENT_TYPE]: { schema: ref('Problem') } } };
+}
+
+// JSON, or one of the EXPORT_FORMATS as a file download when `format` asks for it.
+function jsonOrDownload(description, schema) {
+  const file = { schema: { type: 'string', format: 'binary' } };
+  return {
+    description,
+    content: {
+      'application/json': { schema },
+      'text/csv': file,
+      'application/x-ndjson': file,
+      'application/vnd.apache.parquet': file,
+    },
+  };
+}
+
+function query(name, schema, description, required = false) {
+  return { name, in: 'query', required, schema, description };
+}
+
+function pathParam(name, description) {
+  return { name, in: 'path', required: true, schema: { type: 'string' }, description };
+}
+
+const body = (schema) => ({ required: true, content: { 'application/json': { schema } } });
+
+const MARKET_PARAMS = [
+  query('symbol', { type: 'string', default: 'BTC' }, 'Base asset, e.g. BTC.'),
+  query('currency', { type: 'string', default: 'USD' }, 'Quote currency; USD resolves to USDT markets.'),
+];
+const TIMESTAMP = {
+  type: 'string',
+  description: 'Epoch milliseconds or an ISO 8601 date.',
+  examples: ['1767225600000', '2026-01-01'],
+};
+const INTERVAL = {
+  type: 'string',
+  description: `Candle interval: ${Object.keys(INTERVALS).join(', ')}, or hourly, daily, weekly.`,
+};
+
+// Errors every market-data route can answer with.
+const UPSTREAM_ERRORS = {
+  400: problem('Invalid parameters or an unsupported market.'),
+  401: problem('Upstream wants credentials, or the API key presented here is missing or invalid.'),
+  429: problem('Upstream, or this API, is rate limiting and nothing usable is cached.'),
+  default: problem('Upstream failure after trying every provider (`failover` lists the attempts).'),
+};
+const CLIENT_ERRORS = {
+  400: problem('Invalid parameters or body.'),
+  404: problem('No such resource.'),
+  default: problem('Unexpected error.'),
+};
+
+const TAGS = ['Market data', 'Alerts', 'Portfolio', 'Watchlists', 'Operations', 'Administration'];
+
+const SCHEMAS = {
+  Problem: {
+    type: 'object',
+    description:
+      'RFC 7807 problem details. Types: ' +
+      Object.values(PROBLEM_TYPES)
+        .map(({ type, title }) => `\`${type}\` (${title})`)
+        .join(', ') +
+      '; anything else is `about:blank`, titled with the HTTP status phrase.',
+    required: ['type', 'title', 'status', 'detail'],
+    properties: {
+      type: { type: 'string' },
+      title: { type: 'string' },
+      status: { type: 'integer' },
+      detail: { type: 'string' },
+      instance: { type: 'string', description: 'Path and query of the request that failed.' },
+      errors: {
+        description: 'Each invalid parameter, or each schema mismatch of a response.',
+        ...arrayOf(object({ in: { type: 'string' }, name: { type: 'string' }, message: { type: 'string' } })),
+      },
+      failover: { description: 'Providers tried, in order, and why each failed.', ...arrayOf(ref('Attempt')) },
+      upstreamError: { description: 'Error body returned by the last upstream that failed.' },
+      retryAfter: { type: 'number', description: 'Seconds until the rate limit bucket refills.' },
+    },
+  },
+  Attempt: object(
+    {
+      provider: { type: 'string' },
+      status: { type: 'integer' },
+      skipped: { enum: ['circuit-open', 'unsupported'] },
+      error: { type: 'string' },
+      details: {},
+    },
+    ['provider'],
+  ),
+  Meta: {
+    ...object(
+      {
+        provenance: { enum: PROVENANCE },
+        asOf: { ...nullable('integer'), description: 'When the data was observed upstream.' },
+        ageMs: nullable('number'),
+        degraded: { type: 'boolean' },
+        reason: { ...nullable('string'), description: 'Set exactly when the response is degraded.' },
+        upstream: object(
+          {
+            status: { enum: ['ok', 'not_contacted', 'rate_limited', 'rejected', 'unavailable'] },
+            httpStatus: { type: 'integer' },
+            provider: { type: 'string' },
+          },
+          ['status'],
+        ),
+      },
+      ['provenance', 'asOf', 'ageMs', 'degraded', 'reason', 'upstream'],
+    ),
+    description: 'Where the data came from and how old it is.',
+  },
+  Leg: object(
+    { pair: { type: 'string' }, invert: { type: 'boolean' }, price: { type: 'number' } },
+    ['pair', 'invert'],
+  ),
+  Quote: object(
+    {
+      symbol: { type: 'string' },
+      currency: { type: 'string' },
+      price: { type: 'number' },
+      route: { enum: ['direct', 'inverse', 'cross'] },
+      legs: arrayOf(ref('Leg')),
+      provider: { type: 'string' },
+      failover: arrayOf(ref('Attempt')),
+      source: { type: 'string', description: 'Upstream URL, or a marker such as `fake-stream` or `replay:...`.' },
+      quotedAt: { type: 'integer' },
+      timestamp: { type: 'integer' },
+      cached: { type: 'boolean' },
+      warning: { type: 'string', description: 'Present when a stale or degraded answer was served.' },
+      meta: ref('Meta'),
+    },
+    ['symbol', 'currency', 'price', 'provider', 'timestamp', 'meta'],
+  ),
+  AggregateQuote: object(
+    {
+      symbol: { type: 'string' },
+      currency: { type: 'string' },
+      mode: { const: 'aggregate' },
+      price: { type: 'number' },
+      method: { enum: AGGREGATE_METHODS },
+      maxDeviationPct: { type: 'number' },
+      spread: object({
+        absolute: { type: 'number' },
+        pct: { type: 'number' },
+        high: { type: 'number' },
+        low: { type: 'number' },
+      }),
+      sources: object(
+        {
+          kept: arrayOf({ type: 'object' }),
+          rejected: arrayOf({ type: 'object' }),
+          failed: arrayOf(ref('Attempt')),
+        },
+        ['kept', 'rejected', 'failed'],
+      ),
+      timestamp: { type: 'integer' },
+      cached: { type: 'boolean' },
+      warning: { type: 'string' },
+      meta: ref('Meta'),
+    },
+    ['symbol', 'currency', 'mode', 'price', 'sources', 'timestamp', 'meta'],
+  ),
+  Candle: object(
+    {
+      t: { type: 'integer', description: 'Open time, epoch ms.' },
+      open: { type: 'number' },
+      high: { type: 'number' },
+      low: { type: 'number' },
+      close: { type: 'number' },
+      volume: nullable('number'),
+      quoteVolume: nullable('number'),
+      trades: nullable('integer'),
+    },
+    ['t', 'open', 'high', 'low', 'close'],
+  ),
+  History: object(
+    {
+      symbol: { type: 'string' },
+      currency: { type: 'string' },
+      days: { type: ['string', 'number'] },
+      interval: { type: 'string' },
+      format: { enum: ['points', 'ohlcv'] },
+      from: { type: 'integer' },
+      to: { type: 'integer' },
+      points: arrayOf(object({ t: { type: 'integer' }, price: { type: 'number' } }, ['t', 'price'])),
+      candles: { ...arrayOf(ref('Candle')), description: 'Only with format=ohlcv.' },
+      indicators: arrayOf(
+        object(
+          {
+            key: { type: 'string' },
+            type: { type: 'string' },
+            params: { type: 'object' },
+            pane: { enum: ['overlay', 'oscillator'] },
+            values: arrayOf({ type: 'object' }),
+          },
+          ['key', 'type', 'values'],
+        ),
+      ),
+      volume24h: nullable('number'),
+      route: { ...nullable('string'), description: 'null when every candle came from the candle store.' },
+      legs: { type: ['array', 'null'], items: ref('Leg') },
+      pages: { type: 'integer' },
+      truncated: { type: 'boolean' },
+      provider: { type: 'string', description: '`store` when upstream was not needed.' },
+      failover: arrayOf(ref('Attempt')),
+      store: { type: 'object', description: 'Candle store bookkeeping: stored, fetched and added counts.' },
+      source: { type: 'string', description: 'Upstream URL, or `<spot source> (fallback)` for a flat series.' },
+      cached: { type: 'boolean' },
+      warning: { type: 'string' },
+      meta: ref('Meta'),
+    },
+    ['symbol', 'currency', 'interval', 'format', 'points', 'meta'],
+  ),
+  Ticker24h: object(
+    {
+      symbol: { type: 'string' },
+      currency: { type: 'string' },
+      open: { type: 'number' },
+      high: { type: 'number' },
+      low: { type: 'number' },
+      last: { type: 'number' },
+      change: { type: 'number' },
+      changePct: nullable('number'),
+      volume: nullable('number'),
+      quoteVolume: nullable('number'),
+      weightedAvgPrice: nullable('number'),
+      provider: { type: 'string' },
+      cached: { type: 'boolean' },
+      warning: { type: 'string' },
+      meta: ref('Meta'),
+    },
+    ['symbol', 'currency', 'last', 'meta'],
+  ),
+  Depth: object(
+    {
+      symbol: { type: 'string' },
+      currency: { type: 'string' },
+      bestBid: nullable('number'),
+      bestAsk: nullable('number'),
+      mid: nullable('number'),
+      spread: nullable('number'),
+      spreadPct: nullable('number'),
+      group: nullable('number'),
+      bids: arrayOf(ref('Level')),
+      asks: arrayOf(ref('Level')),
+      cached: { type: 'boolean' },
+      warning: { type: 'string' },
+      meta: ref('Meta'),
+    },
+    ['symbol', 'currency', 'bids', 'asks', 'meta'],
+  ),
+  Level: object(
+    {
+      price: { type: 'number' },
+      quantity: { type: 'number' },
+      total: { type: 'number', description: 'Cumulative quantity from the top of the book.' },
+    },
+    ['price', 'quantity', 'total'],
+  ),
+  Trades: object(
+    {
+      symbol: { type: 'string' },
+      currency: { type: 'string' },
+      trades: arrayOf(
+        object({
+          id: { type: 'string' },
+          price: { type: 'number' },
+          quantity: { type: 'number' },
+          side: { enum: ['buy', 'sell'], description: "The aggressor's side." },
+          time: { type: 'integer' },
+        }),
+      ),
+      buyVolume: { type: 'number' },
+      sellVolume: { type: 'number' },
+      cached: { type: 'boolean' },
+      warning: { type: 'string' },
+      meta: ref('Meta'),
+    },
+    ['symbol', 'currency', 'trades', 'meta'],
+  ),
+  Market: object(
+    {
+      symbol: { type: 'string' },
+      pair: { type: 'string' },
+      baseAsset: { type: 'string' },
+      quoteAsset: { type: 'string' },
+      status: { type: 'string' },
+      baseAssetPrecision: nullable('integer'),
+      quotePrecision: nullable('integer'),
+      tickSize: nullable('number'),
+      stepSize: nullable('number'),
+    },
+    ['symbol', 'pair', 'baseAsset', 'quoteAsset'],
+  ),
+  Alert: object(
+    {
+      id: { type: 'string' },
+      type: { enum: ['price_cross', 'percent_move', 'volume_spike'] },
+      symbol: { type: 'string' },
+      currency: { type: 'string' },
+      enabled: { type: 'boolean' },
+    },
+    ['id', 'type', 'symbol', 'currency'],
+  ),
+  AlertInput: {
+    type: 'object',
+    description:
+      'price_cross: level, direction (above|below|either), hysteresisPct. percent_move: pct, windowMs, ' +
+      'direction (up|down|either). volume_spike: interval, multiplier, lookback. ' +
+      'Optional: name, webhookUrl (public hosts only; ALERT_WEBHOOK_URL when omitted), cooldownMs, enabled.',
+    properties: {
+      type: { enum: ['price_cross', 'percent_move', 'volume_spike'] },
+      symbol: { type: 'string' },
+      currency: { type: 'string' },
+    },
+  },
+  Transaction: object(
+    {
+      id: { type: 'string' },
+      symbol: { type: 'string' },
+      side: { enum: ['buy', 'sell'] },
+      quantity: { type: 'number' },
+      price: { type: 'number' },
+      fee: { type: 'number' },
+      timestamp: { type: 'integer' },
+      note: nullable('string'),
+    },
+    ['id', 'symbol', 'side', 'quantity', 'price', 'timestamp'],
+  ),
+  TransactionInput: object(
+    {
+      symbol: { type: 'string' },
+      side: { enum: ['buy', 'sell'] },
+      quantity: { type: 'number', exclusiveMinimum: 0 },
+      price: { type: 'number', exclusiveMinimum: 0 },
+      fee: { type: 'number', minimum: 0 },
+      timestamp: { type: ['integer', 'string'] },
+      note: { type: 'string', maxLength: 500 },
+    },
+    ['symbol', 'side', 'quantity', 'price'],
+  ),
+  Watchlist: object(
+    {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      currency: { type: 'string' },
+      symbols: arrayOf({ type: 'string' }),
+      createdAt: { type: 'integer' },
+      updatedAt: { type: 'integer' },
+    },
+    ['id', 'name', 'currency', 'symbols'],
+  ),
+  Watchlists: object({ watchlists: arrayOf(ref('Watchlist')) }, ['watchlists']),
+  WatchlistInput: object({
+    name: { type: 'string' },
+    currency: { type: 'string' },
+    symbols: arrayOf({ type: 'string' }),
+  }),
+  ApiKey: object(
+    {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      createdAt: { type: 'integer' },
+      revokedAt: nullable('integer'),
+      rateLimit: nullable('object'),
+    },
+    ['id', 'name'],
+  ),
+  Coverage: object({
+    count: { type: 'integer' },
+    first: nullable('integer'),
+    last: nullable('integer'),
+    gaps: arrayOf({ type: 'object' }),
+  }),
+};
+
+/**
+ * The OpenAPI 3.1 description of every route. Limits that come from configuration (batch size,
+ * export size) are filled in from `config`, so the document always matches the running server.
+ */
+export function buildOpenApiSpec(config) {
+  const historyFormats = ['points', 'ohlcv', ...EXPORT_FORMATS];
+  const batchFormat = query('format', { enum: ['json', ...EXPORT_FORMATS], default: 'json' }, 'json or a file.');
+  const priceQuery = [
+    ...MARKET_PARAMS,
+    query('mode', { enum: ['single', 'aggregate'], default: 'single' }, 'aggregate cross-checks every provider.'),
+    query('method', { enum: AGGREGATE_METHODS, default: 'median' }, 'mode=aggregate: how quotes are combined.'),
+    query(
+      'maxDeviation',
+      { type: 'number', exclusiveMinimum: 0, default: config.AGGREGATE_MAX_DEVIATION_PCT },
+      'mode=aggregate: percent from the median beyond which a quote is dropped.',
+    ),
+  ];
+
+  const paths = {
+    '/price': {
+      get: {
+        tags: ['Market data'],
+        summary: 'Spot price for a pair',
+        description:
+          'Served from cache within CACHE_TTL_MS. On an upstream 429 a cached quote is returned with ' +
+          '`cached: true`, a `warning` and `meta.degraded`; 401/403 are passed through as problems.',
+        parameters: priceQuery,
+        responses: {
+          200: json('A live, cached or aggregate quote.', { anyOf: [ref('Quote'), ref('AggregateQuote')] }),
+          ...UPSTREAM_ERRORS,
+          502: problem(
+            'mode=aggregate and no usable consensus; `kept`, `rejected` and `failed` list what each provider said.',
+          ),
+        },
+      },
+    },
+    '/prices': {
+      get: {
+        tags: ['Market data'],
+        summary: 'Batch quotes',
+        parameters: [
+          query(
+            'symbols',
+            { type: 'string' },
+            `Comma-separated base assets, at most ${config.MAX_BATCH_SYMBOLS}.`,
+            true,
+          ),
+          query('currency', { type: 'string', default: 'USD' }, 'Quote currency for every symbol.'),
+          batchFormat,
+        ],
+        responses: {
+          200: jsonOrDownload('Quotes by symbol; failed symbols are in `errors` as problems.', ref('BatchQuotes')),
+          ...CLIENT_ERRORS,
+        },
+      },
+      post: {
+        tags: ['Market data'],
+        summary: 'Batch quotes for a long symbol list',
+        parameters: [batchFormat],
+        requestBody: body(
+          object(
+            {
+              symbols: { type: ['array', 'string'], items: { type: 'string' }, maxItems: config.MAX_BATCH_SYMBOLS },
+              currency: { type: 'string' },
+            },
+            ['symbols'],
+          ),
+        ),
+        responses: { 200: json('Quotes by symbol.', ref('BatchQuotes')), ...CLIENT_ERRORS },
+      },
+    },
+    '/history': {
+      get: {
+        tags: ['Market data'],
+        summary: 'Price history and candles',
+        description:
+          'Relative windows (`days`) are cached for HISTORY_CACHE_TTL_MS; closed candles are kept in the ' +
+          'candle store so only missing ranges go upstream. On 429/401/403 cached history is served with a ' +
+          '`warning`; on a 429 with nothing cached but a spot price known, a flat `fallback` series is ' +
+          `returned. csv/ndjson/parquet stream the whole range (at most ${config.EXPORT_MAX_CANDLES} candles) ` +
+          'as a download.',
+        parameters: [
+          ...MARKET_PARAMS,
+          query('days', { type: 'number', exclusiveMinimum: 0, default: 1 }, 'Window ending now, without from.'),
+          query('interval', { ...INTERVAL, default: 'hourly' }, 'Candle interval.'),
+          query('from', TIMESTAMP, 'Range start; overrides days.'),
+          query('to', TIMESTAMP, 'Range end; defaults to now.'),
+          query('format', { enum: historyFormats, default: 'points' }, 'points, ohlcv (adds candles) or a file.'),
+          query(
+            'indicators',
+            { type: 'string', examples: ['sma:20,rsi:14'] },
+            `Up to ${MAX_INDICATORS} of ${Object.keys(INDICATORS).join(', ')}, ` +
+              'e.g. sma:20,rsi:14,macd:12:26:9,bb:20:2.',
+          ),
+        ],
+        responses: {
+          200: jsonOrDownload('History, or a download for export formats.', ref('History')),
+          ...UPSTREAM_ERRORS,
+          403: problem('Upstream refused the request and nothing is cached.'),
+          502: problem('Upstream has no candles for the range.'),
+        },
+      },
+    },
+    '/ticker/24h': {
+      get: {
+        tags: ['Market data'],
+        summary: 'Rolling 24h statistics',
+        parameters: MARKET_PARAMS,
+        responses: {
+          200: json('Open, high, low, last, change and volumes.', ref('Ticker24h')),
+          ...UPSTREAM_ERRORS,
+        },
+      },
+    },
+    '/depth': {
+      get: {
+        tags: ['Market data'],
+        summary: 'Aggregated order book',
+        parameters: [
+          ...MARKET_PARAMS,
+          query(
+            'limit',
+            { type: 'integer', minimum: 1, default: DEPTH_LIMIT.default },
+            `Raw levels fetched, at most ${DEPTH_LIMIT.max}.`,
+          ),
+          query('group', { type: 'number', exclusiveMinimum: 0 }, 'Price step to bucket levels by.'),
+          query('levels', { type: 'integer', minimum: 1 }, 'Grouped levels returned per side.'),
+        ],
+        responses: { 200: json('Best bid/ask, spread and both sides.', ref('Depth')), ...UPSTREAM_ERRORS },
+      },
+    },
+    '/trades': {
+      get: {
+        tags: ['Market data'],
+        summary: 'Recent trades, newest first',
+        parameters: [
+          ...MARKET_PARAMS,
+          query(
+            'limit',
+            { type: 'integer', minimum: 1, default: TRADES_LIMIT.default },
+            `At most ${TRADES_LIMIT.max}.`,
+          ),
+        ],
+        responses: { 200: json('Trades with the aggressor side.', ref('Trades')), ...UPSTREAM_ERRORS },
+      },
+    },
+    '/symbols': {
+      get: {
+        tags: ['Market data'],
+        summary: 'Tradable markets',
+        parameters: [
+          query('q', { type: 'string' }, 'Search by base asset.'),
+          query('search', { type: 'string' }, 'Alias of q.'),
+          query('quote', { type: 'string' }, 'Only markets quoted in this currency.'),
+          query('currency', { type: 'string' }, 'Alias of quote.'),
+          query('status', { type: 'string', examples: ['TRADING'] }, 'Only markets in this state.'),
+        ],
+        responses: {
+          200: json(
+            'Markets from the symbol catalog.',
+            object(
+              {
+                count: { type: 'integer' },
+                symbols: arrayOf(ref('Market')),
+                updatedAt: nullable('integer'),
+                source: { type: 'string' },
+              },
+              ['count', 'symbols'],
+            ),
+          ),
+        },
+      },
+    },
+    '/stream': {
+      get: {
+        tags: ['Market data'],
+        summary: 'Live prices as Server-Sent Events',
+        description: '`price` events carry a Quote; `status` events report the upstream feed state.',
+        parameters: MARKET_PARAMS,
+        responses: {
+          200: { description: 'Event stream.', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+          400: problem('Unsupported symbol or currency.'),
+        },
+      },
+    },
+    '/stream/stats': {
+      get: {
+        tags: ['Operations'],
+        summary: 'Upstream stream feeds',
+        responses: { 200: json('Feed source and per-pair state.', { type: 'object' }) },
+      },
+    },
+    '/alerts': {
+      get: {
+        tags: ['Alerts'],
+        summary: 'Alert rules and evaluator state',
+        responses: {
+          200: json(
+            'Rules.',
+            object({ alerts: arrayOf(ref('Alert')), evaluator: { type: 'object' } }, ['alerts']),
+          ),
+        },
+      },
+      post: {
+        tags: ['Alerts'],
+        summary: 'Create an alert rule',
+        requestBody: body(ref('AlertInput')),
+        responses: { 201: json('The new rule.', ref('Alert')), ...CLIENT_ERRORS },
+      },
+    },
+    '/alerts/deliveries': {
+      get: {
+        tags: ['Alerts'],
+        summary: 'Recent webhook deliveries',
+        parameters: [
+          query('alertId', { type: 'string' }, 'Only deliveries for this rule.'),
+          query('limit', { type: 'integer', minimum: 1, default: 100 }, 'At most 500.'),
+        ],
+        responses: {
+          200: json('Deliveries, newest first.', object({ deliveries: arrayOf({ type: 'object' }) })),
+        },
+      },
+    },
+    '/alerts/{id}': {
+      parameters: [pathParam('id', 'Alert rule id.')],
+      get: {
+        tags: ['Alerts'],
+        summary: 'One alert rule',
+        responses: { 200: json('The rule.', ref('Alert')), ...CLIENT_ERRORS },
+      },
+      patch: {
+        tags: ['Alerts'],
+        summary: 'Update an alert rule',
+        requestBody: body(ref('AlertInput')),
+        responses: { 200: json('The updated rule.', ref('Alert')), ...CLIENT_ERRORS },
+      },
+      delete: {
+        tags: ['Alerts'],
+        summary: 'Delete an alert rule',
+        responses: { 204: { description: 'Deleted.' }, ...CLIENT_ERRORS },
+      },
+    },
+    '/alerts/{id}/test': {
+      parameters: [pathParam('id', 'Alert rule id.')],
+      post: {
+        tags: ['Alerts'],
+        summary: 'Send a test delivery',
+        responses: { 202: json('Queued.', object({ deliveryId: { type: 'string' } })), ...CLIENT_ERRORS },
+      },
+    },
+    '/portfolio': {
+      get: {
+        tags: ['Portfolio'],
+        summary: 'Positions, P&L and totals',
+        responses: {
+          200: json(
+            'Valued at live prices.',
+            object(
+              {
+                currency: { type: 'string' },
+                positions: arrayOf({ type: 'object' }),
+                totals: { type: 'object' },
+                errors: { type: 'object', additionalProperties: ref('Problem') },
+              },
+              ['currency', 'positions', 'totals'],
+            ),
+          ),
+          default: problem('Unexpected error.'),
+        },
+      },
+    },
+    '/portfolio/transactions': {
+      get: {
+        tags: ['Portfolio'],
+        summary: 'Recorded transactions',
+        responses: {
+          200: json(
+            'Oldest first.',
+            object({ currency: { type: 'string' }, transactions: arrayOf(ref('Transaction')) }),
+          ),
+        },
+      },
+      post: {
+        tags: ['Portfolio'],
+        summary: 'Record a buy or sell',
+        requestBody: body(ref('TransactionInput')),
+        responses: { 201: json('The transaction.', ref('Transaction')), ...CLIENT_ERRORS },
+      },
+    },
+    '/portfolio/transactions/{id}': {
+      parameters: [pathParam('id', 'Transaction id.')],
+      delete: {
+        tags: ['Portfolio'],
+        summary: 'Remove a transaction',
+        responses: { 204: { description: 'Removed.' }, ...CLIENT_ERRORS },
+      },
+    },
+    '/portfolio/history': {
+      get: {
+        tags: ['Portfolio'],
+        summary: 'Portfolio value over time',
+        parameters: [
+          query('days', { type: 'number', exclusiveMinimum: 0, default: 30 }, 'Window ending now.'),
+          query('interval', { ...INTERVAL, default: '1d' }, 'Step of the value series.'),
+        ],
+        responses: { 200: json('Value series.', { type: 'object' }), ...CLIENT_ERRORS },
+      },
+    },
+    '/watchlists': {
+      get: {
+        tags: ['Watchlists'],
+        summary: 'Watchlists in display order',
+        responses: { 200: json('Watchlists.', ref('Watchlists')) },
+      },
+      post: {
+        tags: ['Watchlists'],
+        summary: 'Create a watchlist',
+        requestBody: body(ref('WatchlistInput')),
+        responses: { 201: json('The new watchlist.', ref('Watchlist')), ...CLIENT_ERRORS },
+      },
+    },
+    '/watchlists/order': {
+      put: {
+        tags: ['Watchlists'],
+        summary: 'Reorder watchlists',
+        requestBody: body(object({ ids: arrayOf({ type: 'string' }) }, ['ids'])),
+        responses: { 200: json('Watchlists in the new order.', ref('Watchlists')), ...CLIENT_ERRORS },
+      },
+    },
+    '/watchlists/{id}': {
+      parameters: [pathParam('id', 'Watchlist id.')],
+      get: {
+        tags: ['Watchlists'],
+        summary: 'One watchlist',
+        responses: { 200: json('The watchlist.', ref('Watchlist')), ...CLIENT_ERRORS },
+      },
+      patch: {
+        tags: ['Watchlists'],
+        summary: 'Rename, re-quote or edit symbols',
+        requestBody: body(ref('WatchlistInput')),
+        responses: { 200: json('The updated watchlist.', ref('Watchlist')), ...CLIENT_ERRORS },
+      },
+      delete: {
+        tags: ['Watchlists'],
+        summary: 'Delete a watchlist',
+        responses: { 204: { description: 'Deleted.' }, ...CLIENT_ERRORS },
+      },
+    },
+    '/watchlists/{id}/overview': {
+      parameters: [pathParam('id', 'Watchlist id.')],
+      get: {
+        tags: ['Watchlists'],
+        summary: 'Price, 24h change and sparkline per symbol',
+        responses: {
+          200: json('The watchlist with one card per symbol.', {
+            allOf: [
+              ref('Watchlist'),
+              object({ cards: arrayOf({ type: 'object' }), timestamp: { type: 'integer' } }, ['cards']),
+            ],
+          }),
+          ...CLIENT_ERRORS,
+        },
+      },
+    },
+    '/health': {
+      get: {
+        tags: ['Operations'],
+        summary: 'Liveness',
+        responses: { 200: json('The process is up.', object({ status: { const: 'ok' } }, ['status'])) },
+      },
+    },
+    '/health/ready': {
+      get: {
+        tags: ['Operations'],
+        summary: 'Readiness: providers, caches and the symbol catalog',
+        responses: {
+          200: json(
+            'Ready or degraded.',
+            object({ status: { type: 'string' }, checks: { type: 'object' } }, ['status']),
+          ),
+          503: json('No provider answers or a cache backend is unwritable.', { type: 'object' }),
+        },
+      },
+    },
+    '/config': {
+      get: {
+        tags: ['Operations'],
+        summary: 'Non-secret runtime settings',
+        responses: {
+          200: json(
+            'Providers, cache TTLs, limits and export formats.',
+            object(
+              { providers: arrayOf({ type: 'string' }), upstreamAuth: { enum: ['none', 'header', 'signed'] } },
+              ['providers'],
+            ),
+          ),
+        },
+      },
+    },
+    '/metrics': {
+      get: {
+        tags: ['Operations'],
+        summary: 'Prometheus metrics',
+        responses: {
+          200: { description: 'Text exposition format.', content: { 'text/plain': { schema: { type: 'string' } } } },
+        },
+      },
+    },
+    '/metrics/summary': {
+      get: {
+        tags: ['Operations'],
+        summary: 'Headline numbers from /metrics',
+        responses: { 200: json('Requests, latency, cache and upstream figures.', { type: 'object' }) },
+      },
+    },
+    '/providers': {
+      get: {
+        tags: ['Operations'],
+        summary: 'Provider health and circuit state',
+        responses: {
+          200: json('One entry per provider.', object({ providers: arrayOf({ type: 'object' }) }, ['providers'])),
+        },
+      },
+    },
+    '/upstream': {
+      get: {
+        tags: ['Operations'],
+        summary: 'Outbound request budgets',
+        responses: {
+          200: json('One per upstream host.', object({ upstreams: arrayOf({ type: 'object' }) }, ['upstreams'])),
+        },
+      },
+    },
+    '/cache/stats': {
+      get: {
+        tags: ['Operations'],
+        summary: 'Cache sizes and hit counts',
+        responses: { 200: json('Per cache.', { type: 'object' }) },
+      },
+    },
+    '/replay': {
+      get: {
+        tags: ['Operations'],
+        summary: 'Record/replay state',
+        responses: {
+          200: json('Mode, and the playhead when replaying.', object({ mode: { type: 'string' } }, ['mode'])),
+        },
+      },
+    },
+    '/admin/candles': {
+      get: {
+        tags: ['Administration'],
+        summary: 'Candle store series and coverage',
+        security: [{ adminToken: [] }],
+        responses: {
+          200: json('Stored series.', object({ dir: { type: 'string' }, series: arrayOf({ type: 'object' }) })),
+          ...CLIENT_ERRORS,
+        },
+      },
+    },
+    '/admin/candles/{symbol}/{currency}/{interval}': {
+      parameters: [
+        pathParam('symbol', 'Base asset.'),
+        pathParam('currency', 'Quote currency.'),
+        pathParam('interval', 'Candle interval.'),
+      ],
+      get: {
+        tags: ['Administration'],
+        summary: 'Coverage and gaps of one series',
+        security: [{ adminToken: [] }],
+        parameters: [query('from', TIMESTAMP, 'Range start.'), query('to', TIMESTAMP, 'Range end.')],
+        responses: { 200: json('Coverage.', ref('Coverage')), ...CLIENT_ERRORS },
+      },
+    },
+    '/admin/candles/backfill': {
+      post: {
+        tags: ['Administration'],
+        summary: 'Fill a range of the candle store',
+        description: `At most ${config.BACKFILL_MAX_CANDLES} candles per call.`,
+        security: [{ adminToken: [] }],
+        requestBody: body(
+          object(
+            {
+              symbol: { type: 'string' },
+              currency: { type: 'string' },
+              interval: { type: 'string' },
+              from: { type: ['integer', 'string'] },
+              to: { type: ['integer', 'string'] },
+            },
+            ['symbol', 'from'],
+          ),
+        ),
+        responses: {
+          200: json('What was fetched and the resulting coverage.', { type: 'object' }),
+          ...UPSTREAM_ERRORS,
+        },
+      },
+    },
+    '/admin/keys': {
+      get: {
+        tags: ['Administration'],
+        summary: 'Client API keys',
+        security: [{ adminToken: [] }],
+        responses: {
+          200: json('Keys without their secrets.', object({ keys: arrayOf(ref('ApiKey')) })),
+          ...CLIENT_ERRORS,
+        },
+      },
+      post: {
+        tags: ['Administration'],
+        summary: 'Issue a client API key',
+        security: [{ adminToken: [] }],
+        requestBody: body(object({ name: { type: 'string' }, rateLimit: { type: 'object' } }, ['name'])),
+        responses: {
+          201: json('The key, including its plaintext secret (shown once).', { type: 'object' }),
+          ...CLIENT_ERRORS,
+        },
+      },
+    },
+    '/admin/keys/{id}': {
+      parameters: [pathParam('id', 'Key id.')],
+      get: {
+        tags: ['Administration'],
+        summary: 'One client API key',
+        security: [{ adminToken: [] }],
+        responses: { 200: json('The key.', ref('ApiKey')), ...CLIENT_ERRORS },
+      },
+      delete: {
+        tags: ['Administration'],
+        summary: 'Revoke a client API key',
+        security: [{ adminToken: [] }],
+        responses: { 200: json('The revoked key.', ref('ApiKey')), ...CLIENT_ERRORS },
+      },
+    },
+    '/openapi.json': {
+      get: {
+        tags: ['Operations'],
+        summary: 'This document',
+        responses: { 200: json('OpenAPI 3.1 document.', { type: 'object' }) },
+      },
+    },
+  };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Market Data Node',
+      version: '1.0.0',
+      description:
+        'Proxy for crypto market data with provider failover, caching and a candle store. Every market-data ' +
+        'response has a `meta` block giving provenance and age. Errors are RFC 7807 problem details.',
+    },
+    tags: TAGS.map((name) => ({ name })),
+    paths,
+    components: {
+      schemas: {
+        ...SCHEMAS,
+        BatchQuotes: object(
+          {
+            currency: { type: 'string' },
+            count: { type: 'integer' },
+            quotes: { type: 'object', additionalProperties: ref('Quote') },
+            errors: { type: 'object', additionalProperties: ref('Problem') },
+            timestamp: { type: 'integer' },
+          },
+          ['currency', 'count', 'quotes', 'errors'],
+        ),
+      },
+      securitySchemes: {
+        apiKey: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'A client key from /admin/keys; `Authorization: Bearer <key>` works too.',
+        },
+        apiKeyQuery: {
+          type: 'apiKey',
+          in: 'query',
+          name: 'apiKey',
+          description: 'The same key as a query parameter, for EventSource streams and download links.',
+        },
+        adminToken: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN, for the /admin routes.' },
+      },
+    },
+    security: config.REQUIRE_API_KEY
+      ? [{ apiKey: [] }, { apiKeyQuery: [] }]
+      : [{}, { apiKey: [] }, { apiKeyQuery: [] }],
+  };
+}
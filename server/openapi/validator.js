@@ -0,0 +1,141 @@
+import { PROBLEM_CONTENT_TYPE, problemDetails, sendProblem } from '../problem.js';
+import { createSchemaValidator } from './schema.js';
+
+const METHODS = ['get', 'put', 'post', 'patch', 'delete'];
+
+// `/alerts/{id}` -> /^\/alerts\/([^/]+)$/, with the parameter names in order.
+function compilePath(template) {
+  const names = [];
+  const source = template
+    .split(/(\{[^}]+\})/)
+    .map((part) => {
+      const name = part.match(/^\{(.+)\}$/)?.[1];
+      if (!name) return part.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+      names.push(name);
+      return '([^/]+)';
+    })
+    .join('');
+  return { template, names, regex: new RegExp(`^${source}/?$`) };
+}
+
+// Literal paths are tried before templated ones, so /alerts/deliveries never matches /alerts/{id}.
+function compilePaths(paths) {
+  return Object.keys(paths)
+    .map(compilePath)
+    .sort((a, b) => a.names.length - b.names.length);
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+/**
+ * Query and path values arrive as strings; turn one into what its schema expects. Empty values
+ * count as absent for non-string parameters, the way the routes have always read them.
+ */
+function coerce(raw, schema) {
+  const types = [].concat(schema.type ?? []);
+  if (types.includes('string') || !types.length) return raw;
+  if (raw === '') return undefined;
+  if (types.includes('boolean')) return raw === 'true' ? true : raw === 'false' ? false : raw;
+  const number = Number(raw);
+  return Number.isNaN(number) ? raw : number;
+}
+
+/**
+ * Checks traffic against the OpenAPI document. Query and path parameters of every documented
+ * operation are validated before the route runs (400 problem listing each bad parameter). With
+ * `responses` set to warn or strict, JSON responses are checked against the documented schema for
+ * their status: mismatches are logged, and in strict mode replaced by a 500 problem.
+ */
+export function createOpenApiValidator({ document, responses = 'off', logger = console }) {
+  const schemas = createSchemaValidator(document);
+  const routes = compilePaths(document.paths);
+
+  function findOperation(method, path) {
+    const verb = method === 'HEAD' ? 'get' : method.toLowerCase();
+    if (!METHODS.includes(verb)) return null;
+    for (const route of routes) {
+      const match = route.regex.exec(path);
+      const pathItem = document.paths[route.template];
+      if (!match || !pathItem[verb]) continue;
+      const params = Object.fromEntries(route.names.map((name, idx) => [name, decodeSegment(match[idx + 1])]));
+      const operation = pathItem[verb];
+      const parameters = [...(pathItem.parameters ?? []), ...(operation.parameters ?? [])];
+      return { template: route.template, operation, params, parameters };
+    }
+    return null;
+  }
+
+  function checkParameters({ parameters, params }, query) {
+    const errors = [];
+    parameters.forEach(({ name, in: location, required, schema = {} }) => {
+      const raw = location === 'path' ? params[name] : query[name];
+      const resolved = schemas.resolve(schema);
+      if (Array.isArray(raw) && resolved.type !== 'array') {
+        errors.push({ in: location, name, message: 'must be given once' });
+        return;
+      }
+      const value = raw === undefined ? undefined : coerce(raw, resolved);
+      if (value === undefined) {
+        if (required) errors.push({ in: location, name, message: 'is required' });
+        return;
+      }
+      schemas.validate(schema, value).forEach(({ message }) => errors.push({ in: location, name, message }));
+    });
+    return errors;
+  }
+
+  // The documented schema for a status: exact code, then 2XX-style ranges, then `default`.
+  function responseSchema(operation, status, contentType) {
+    const documented =
+      operation.responses?.[status] ?? operation.responses?.[`${String(status)[0]}XX`] ?? operation.responses?.default;
+    const content = documented?.content;
+    if (!content) return null;
+    const type = String(contentType ?? 'application/json').split(';')[0].trim();
+    return content[type]?.schema ?? null;
+  }
+
+  function checkResponses(req, res, { template, operation }) {
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      const schema = responseSchema(operation, res.statusCode, res.get('Content-Type'));
+      const errors = schema ? schemas.validate(schema, JSON.parse(JSON.stringify(body ?? null))) : [];
+      if (!errors.length) return send(body);
+
+      const where = `${req.method} ${template} ${res.statusCode}`;
+      const summary = errors.map((error) => `${error.path} ${error.message}`).join('; ');
+      if (responses === 'warn') {
+        logger.warn?.(`Response to ${where} does not match the API schema: ${summary}`);
+        return send(body);
+      }
+      logger.error?.(`Response to ${where} does not match the API schema: ${summary}`);
+      res.status(500).type(PROBLEM_CONTENT_TYPE);
+      return send({
+        ...problemDetails(500, {
+          kind: 'response',
+          detail: `The response to ${where} did not match the API schema`,
+          errors: errors.map(({ path, message }) => ({ in: 'response', name: path, message })),
+        }),
+        instance: req.originalUrl,
+      });
+    };
+  }
+
+  return function openApiValidator(req, res, next) {
+    const found = findOperation(req.method, req.path);
+    if (!found) return next();
+
+    const errors = checkParameters(found, req.query);
+    if (responses !== 'off') checkResponses(req, res, found);
+    if (errors.length) {
+      const detail = errors.map(({ in: location, name, message }) => `${location} parameter ${name} ${message}`);
+      return sendProblem(res, problemDetails(400, { detail: detail.join('; '), errors }));
+    }
+    next();
+  };
+}
@@ -0,0 +1,141 @@
+import { createMetaBuilders } from './freshness.js';
+import { QuoteError, priceCacheKey } from './priceService.js';
+
+// Raw levels fetched per side and trades fetched per call: defaults and upper bounds.
+export const DEPTH_LIMIT = { default: 100, max: 1000 };
+export const TRADES_LIMIT = { default: 50, max: 500 };
+
+// Decimal places needed to print `step` exactly, so grouped prices don't pick up float noise.
+function stepDecimals(step) {
+  const [mantissa, exponent = '0'] = String(step).split('e');
+  const fraction = mantissa.split('.')[1] || '';
+  return Math.max(0, fraction.length - Number(exponent));
+}
+
+// Bids round down and asks round up, so a grouped bid never crosses a grouped ask.
+function bucketPrice(price, step, side, decimals) {
+  const units = price / step;
+  const nearest = Math.round(units);
+  if (Math.abs(units - nearest) < 1e-9) return Number((nearest * step).toFixed(decimals));
+  const whole = side === 'bid' ? Math.floor(units) : Math.ceil(units);
+  return Number((whole * step).toFixed(decimals));
+}
+
+/**
+ * Sum [price, quantity] levels into buckets that are multiples of `step` (no grouping when it is
+ * falsy). Levels must be best first; they come back best first with a running `total`, the
+ * cumulative quantity from the top of the book that a depth chart plots.
+ */
+export function groupLevels(levels, step, side) {
+  const decimals = step ? stepDecimals(step) : 0;
+  const buckets = new Map();
+  levels.forEach(([price, quantity]) => {
+    const bucket = step ? bucketPrice(price, step, side, decimals) : price;
+    buckets.set(bucket, (buckets.get(bucket) ?? 0) + quantity);
+  });
+  let total = 0;
+  return [...buckets].map(([price, quantity]) => {
+    total += quantity;
+    return { price, quantity, total };
+  });
+}
+
+/** Top of book, measured on the raw levels so grouping never widens the spread. */
+export function summarizeBook({ bids, asks }) {
+  const bestBid = bids[0]?.[0] ?? null;
+  const bestAsk = asks[0]?.[0] ?? null;
+  if (bestBid === null || bestAsk === null) {
+    return { bestBid, bestAsk, mid: null, spread: null, spreadPct: null };
+  }
+  const mid = (bestBid + bestAsk) / 2;
+  const spread = bestAsk - bestBid;
+  return { bestBid, bestAsk, mid, spread, spreadPct: (spread / mid) * 100 };
+}
+
+/**
+ * Order book depth and recent trades for /depth and /trades, on the same footing as spot quotes:
+ * provider failover, single-flight upstream calls, a short-lived cache and stale entries on 429.
+ * Books are cached raw; grouping and trimming happen per request on the way out.
+ */
+export function createOrderBookService({ catalog, providers, cache, inflight, ttlMs, now = Date.now }) {
+  const { withCacheMeta, withLiveMeta } = createMetaBuilders(now);
+
+  async function fetchCached({ symbol, currency, kind, operation, limit, label }) {
+    const quoteRoute = catalog.route(symbol, currency);
+    if (!quoteRoute) {
+      throw new QuoteError(400, 'Unsupported symbol or currency');
+    }
+    const cacheKey = `${priceCacheKey(quoteRoute)}:${kind}:${limit}`;
+    const cached = cache.get(cacheKey);
+    if (cached && now() - cached.timestamp < ttlMs) {
+      return withCacheMeta(cached);
+    }
+
+    try {
+      const result = await inflight.run(`${kind}:${cacheKey}:${currency}`, () =>
+        providers.execute(operation, { symbol, currency, limit }),
+      );
+      const { attempts, timestamp, ...data } = result;
+      const payload = {
+        symbol,
+        currency,
+        ...data,
+        failover: attempts,
+        quotedAt: timestamp,
+        timestamp: now(),
+      };
+      cache.set(cacheKey, payload);
+      return withLiveMeta(payload);
+    } catch (error) {
+      const status = error.status || error.response?.status || 500;
+
+      if (status === 429 && cached) {
+        const warning = `Upstream rate limit hit, serving cached ${label}.`;
+        return { ...withCacheMeta(cached, { failedStatus: status, reason: warning }), warning };
+      }
+
+      throw new QuoteError(status, `No provider could serve the ${label} for ${symbol}/${currency}`, {
+        kind: 'upstream',
+        details: error.details ?? error.response?.data ?? null,
+        failover: error.attempts,
+      });
+    }
+  }
+
+  /** `group` is the price step to bucket by; `levels` caps the grouped levels returned per side. */
+  async function getDepth({ symbol, currency, limit = DEPTH_LIMIT.default, group = null, levels }) {
+    const book = await fetchCached({
+      symbol,
+      currency,
+      kind: 'depth',
+      operation: 'getDepth',
+      limit,
+      label: 'order book',
+    });
+    const { bids, asks, ...rest } = book;
+    return {
+      ...rest,
+      ...summarizeBook(book),
+      group,
+      bids: groupLevels(bids, group, 'bid').slice(0, levels ?? limit),
+      asks: groupLevels(asks, group, 'ask').slice(0, levels ?? limit),
+    };
+  }
+
+  /** Most recent trades, newest first, with the aggressor side and buy/sell volume totals. */
+  async function getTrades({ symbol, currency, limit = TRADES_LIMIT.default }) {
+    const payload = await fetchCached({
+      symbol,
+      currency,
+      kind: 'trades',
+      operation: 'getTrades',
+      limit,
+      label: 'trades',
+    });
+    const volume = (side) =>
+      payload.trades.filter((trade) => trade.side === side).reduce((sum, trade) => sum + trade.quantity, 0);
+    return { ...payload, buyVolume: volume('buy'), sellVolume: volume('sell') };
+  }
+
+  return { getDepth, getTrades };
+}
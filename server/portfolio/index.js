@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+import { INTERVALS } from '../klines.js';
+import { problemDetails } from '../problem.js';
+import { SIDES, byTime, computePositions } from './positions.js';
+
+export { createPortfolioStore } from './store.js';
+
+/** Error carrying the HTTP status a portfolio route should respond with. */
+export class PortfolioError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'PortfolioError';
+    this.status = status;
+  }
+
+  toJSON() {
+    return problemDetails(this.status, { detail: this.message });
+  }
+}
+
+function positive(value, name) {
+  const number = Number(value);
+  if (!(number > 0) || !Number.isFinite(number)) {
+    throw new PortfolioError(400, `${name} must be a positive number`);
+  }
+  return number;
+}
+
+/**
+ * Transactions, positions and P&L for a single portfolio priced in `currency`. Live valuations use
+ * the price service (so /price caching applies); the value series is built from /history candles.
+ */
+export function createPortfolioService({
+  store,
+  catalog,
+  priceService,
+  historyService,
+  currency,
+  logger = console,
+}) {
+  function normalizeTransaction(input) {
+    if (!input || typeof input !== 'object') {
+      throw new PortfolioError(400, 'Request body must be a JSON object');
+    }
+    const symbol = String(input.symbol || '').toUpperCase();
+    if (!symbol || !catalog.route(symbol, currency)) {
+      throw new PortfolioError(400, `Unsupported symbol for a ${currency} portfolio`);
+    }
+    if (!SIDES.includes(input.side)) {
+      throw new PortfolioError(400, `side must be one of: ${SIDES.join(', ')}`);
+    }
+    const timestamp = input.timestamp === undefined ? Date.now() : new Date(input.timestamp).getTime();
+    if (!Number.isFinite(timestamp) || timestamp > Date.now() + 60_000) {
+      throw new PortfolioError(400, 'timestamp must be a past epoch-ms or ISO date');
+    }
+    const fee = input.fee === undefined ? 0 : Number(input.fee);
+    if (!(fee >= 0)) throw new PortfolioError(400, 'fee must be zero or a positive number');
+
+    return {
+      id: crypto.randomUUID(),
+      symbol,
+      side: input.side,
+      quantity: positive(input.quantity, 'quantity'),
+      price: positive(input.price, 'price'),
+      fee,
+      timestamp,
+      note: input.note ? String(input.note).slice(0, 500) : null,
+      createdAt: Date.now(),
+    };
+  }
+
+  // Every change is replayed first so a sell can never exceed what was held at the time.
+  function replay(transactions) {
+    const { positions, error } = computePositions(transactions);
+    if (error) throw new PortfolioError(400, error);
+    return positions;
+  }
+
+  async function summary() {
+    const positions = replay(store.list());
+    const open = positions.filter((position) => position.quantity > 0);
+    const { quotes, errors } = open.length
+      ? await priceService.getQuotes(open.map((position) => position.symbol), currency)
+      : { quotes: {}, errors: {} };
+
+    const valued = positions.map((position) => {
+      const price = quotes[position.symbol]?.price ?? null;
+      const marketValue = price === null ? null : position.quantity * price;
+      const unrealizedPnl = marketValue === null ? null : marketValue - position.costBasis;
+      return {
+        ...position,
+        price,
+        marketValue,
+        unrealizedPnl,
+        unrealizedPnlPct:
+          unrealizedPnl !== null && position.costBasis ? (unrealizedPnl / position.costBasis) * 100 : null,
+      };
+    });
+    const totalValue = valued.reduce((sum, position) => sum + (position.marketValue ?? 0), 0);
+    const totals = valued.reduce(
+      (acc, position) => ({
+        costBasis: acc.costBasis + position.costBasis,
+        realizedPnl: acc.realizedPnl + position.realizedPnl,
+        unrealizedPnl: acc.unrealizedPnl + (position.unrealizedPnl ?? 0),
+        fees: acc.fees + position.fees,
+      }),
+      { costBasis: 0, realizedPnl: 0, unrealizedPnl: 0, fees: 0 },
+    );
+
+    return {
+      currency,
+      positions: valued.map((position) => ({
+        ...position,
+        allocationPct:
+          totalValue && position.marketValue !== null ? (position.marketValue / totalValue) * 100 : null,
+      })),
+      totals: { ...totals, marketValue: totalValue },
+      // Positions whose quote failed are valued at null and left out of the totals.
+      errors,
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Portfolio value at each candle in [startTime, endTime]: holdings at that time times the
+   * symbol's close. Each point also carries `invested`, the net cash put in so far (buys plus fees,
+   * less sales), for comparison. Closes are carried forward across gaps.
+   */
+  async function valueSeries({ interval, startTime, endTime }) {
+    const transactions = store.list().sort(byTime);
+    const symbols = [...new Set(transactions.map((tx) => tx.symbol))];
+    const closes = {};
+    const warnings = [];
+
+    for (const symbol of symbols) {
+      try {
+        const result = await historyService.getCandles({
+          symbol,
+          currency,
+          quoteAsset: catalog.route(symbol, currency)?.quoteAsset,
+          interval,
+          startTime,
+          endTime,
+        });
+        closes[symbol] = new Map(result.candles.map((candle) => [candle.t, candle.close]));
+      } catch (error) {
+        logger.warn?.(`Portfolio history for ${symbol} unavailable: ${error.message}`);
+        warnings.push(`No ${interval} history for ${symbol}; it is left out of the value series.`);
+      }
+    }
+
+    const times = [...new Set(Object.values(closes).flatMap((series) => [...series.keys()]))].sort(
+      (a, b) => a - b,
+    );
+    const holdings = {};
+    const lastClose = {};
+    let invested = 0;
+    let next = 0;
+
+    const points = times.map((t) => {
+      // Candles are stamped with their open time; count trades made before the candle closes.
+      while (next < transactions.length && transactions[next].timestamp < t + INTERVALS[interval]) {
+        const tx = transactions[next];
+        const sign = tx.side === 'buy' ? 1 : -1;
+        holdings[tx.symbol] = (holdings[tx.symbol] ?? 0) + sign * tx.quantity;
+        invested += sign * tx.quantity * tx.price + tx.fee;
+        next += 1;
+      }
+      let value = 0;
+      Object.entries(holdings).forEach(([symbol, quantity]) => {
+        const close = closes[symbol]?.get(t) ?? lastClose[symbol];
+        if (close === undefined) return;
+        lastClose[symbol] = close;
+        value += quantity * close;
+      });
+      return { t, value, invested };
+    });
+
+    return { currency, interval, from: startTime, to: endTime, points, warnings };
+  }
+
+  return {
+    summary,
+    valueSeries,
+    transactions: () => store.list().sort(byTime),
+    addTransaction(input) {
+      const tx = normalizeTransaction(input);
+      replay([...store.list(), tx]);
+      return store.add(tx);
+    },
+    removeTransaction(id) {
+      if (!store.get(id)) throw new PortfolioError(404, `Transaction ${id} not found`);
+      replay(store.list().filter((tx) => tx.id !== id));
+      store.remove(id);
+    },
+  };
+}
@@ -0,0 +1,61 @@
+// Position accounting for a list of transactions, using the average-cost method: sells realize
+// P&L against the running average cost and leave the average of the remaining units unchanged.
+
+export const SIDES = ['buy', 'sell'];
+
+// Quantities below this are treated as a closed position (float dust from partial sells).
+const DUST = 1e-12;
+
+export function byTime(a, b) {
+  return a.timestamp - b.timestamp || a.createdAt - b.createdAt;
+}
+
+/**
+ * Replay transactions in time order into per-symbol positions. Returns `{ positions, error }`,
+ * where `error` names the first sell that exceeds the quantity held at that point.
+ */
+export function computePositions(transactions) {
+  const positions = new Map();
+
+  for (const tx of [...transactions].sort(byTime)) {
+    const position = positions.get(tx.symbol) ?? {
+      symbol: tx.symbol,
+      quantity: 0,
+      costBasis: 0,
+      realizedPnl: 0,
+      fees: 0,
+      transactions: 0,
+    };
+    position.transactions += 1;
+    position.fees += tx.fee;
+
+    if (tx.side === 'buy') {
+      position.quantity += tx.quantity;
+      position.costBasis += tx.quantity * tx.price + tx.fee;
+    } else {
+      if (tx.quantity > position.quantity + DUST) {
+        return {
+          positions: null,
+          error: `Sell of ${tx.quantity} ${tx.symbol} on ${new Date(tx.timestamp).toISOString()} exceeds the ${position.quantity} held`,
+        };
+      }
+      const averageCost = position.quantity ? position.costBasis / position.quantity : 0;
+      position.realizedPnl += tx.quantity * (tx.price - averageCost) - tx.fee;
+      position.quantity -= tx.quantity;
+      position.costBasis -= tx.quantity * averageCost;
+      if (position.quantity < DUST) {
+        position.quantity = 0;
+        position.costBasis = 0;
+      }
+    }
+    positions.set(tx.symbol, position);
+  }
+
+  return {
+    positions: [...positions.values()].map((position) => ({
+      ...position,
+      averageCost: position.quantity ? position.costBasis / position.quantity : null,
+    })),
+    error: null,
+  };
+}
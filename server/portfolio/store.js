@@ -0,0 +1,40 @@
+import fs from 'fs';
+import path from 'path';
+
+/** Portfolio transactions, kept in memory and written to one JSON file on every change. */
+export function createPortfolioStore({ filePath, logger = console }) {
+  let transactions = [];
+
+  try {
+    transactions = JSON.parse(fs.readFileSync(filePath, 'utf8')).transactions || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') logger.warn?.(`Portfolio store ${filePath} unreadable: ${error.message}`);
+  }
+
+  function persist() {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ transactions }));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      logger.warn?.(`Portfolio store ${filePath} not saved: ${error.message}`);
+    }
+  }
+
+  return {
+    list: () => [...transactions],
+    get: (id) => transactions.find((tx) => tx.id === id) ?? null,
+    add(tx) {
+      transactions.push(tx);
+      persist();
+      return tx;
+    },
+    remove(id) {
+      const before = transactions.length;
+      transactions = transactions.filter((tx) => tx.id !== id);
+      if (transactions.length !== before) persist();
+      return transactions.length !== before;
+    },
+  };
+}
@@ -0,0 +1,188 @@
+import { createMetaBuilders } from './freshness.js';
+import { problemDetails } from './problem.js';
+
+/** Error carrying the HTTP status and upstream details a quote route should respond with. */
+export class QuoteError extends Error {
+  constructor(status, message, { kind, details = null, failover } = {}) {
+    super(message);
+    this.name = 'QuoteError';
+    this.status = status;
+    this.kind = kind;
+    this.details = details;
+    this.failover = failover;
+  }
+
+  toJSON() {
+    const upstream = this.kind === 'upstream' ? { upstreamError: this.details, failover: this.failover } : {};
+    return problemDetails(this.status, { kind: this.kind, detail: this.message, ...upstream });
+  }
+}
+
+/** Cache key for a resolved quote route; USD and USDT share entries since both resolve to USDT markets. */
+export function priceCacheKey(quoteRoute) {
+  return `${quoteRoute.baseAsset}:${quoteRoute.quoteAsset}`;
+}
+
+/**
+ * Spot quotes for /price and /prices: cache first, then providers with failover, with
+ * concurrent misses collapsed into one upstream call and stale entries served on rate limits.
+ */
+export function createPriceService({ catalog, providers, cache, inflight, ttlMs, now = Date.now }) {
+  const { withCacheMeta, withLiveMeta } = createMetaBuilders(now);
+
+  function toPayload(symbol, currency, result) {
+    return {
+      symbol,
+      currency,
+      price: result.price,
+      route: result.route,
+      legs: result.legs,
+      provider: result.provider,
+      failover: result.attempts,
+      source: result.source,
+      quotedAt: result.timestamp,
+      timestamp: now(),
+    };
+  }
+
+  function resolve(symbol, currency) {
+    const quoteRoute = catalog.route(symbol, currency);
+    if (!quoteRoute) {
+      throw new QuoteError(400, 'Unsupported symbol or currency');
+    }
+    const cacheKey = priceCacheKey(quoteRoute);
+    const cached = cache.get(cacheKey);
+    const fresh = cached && now() - cached.timestamp < ttlMs;
+    return { quoteRoute, cacheKey, cached, fresh };
+  }
+
+  async function getQuote(symbol, currency) {
+    const { cacheKey, cached, fresh } = resolve(symbol, currency);
+    if (fresh) {
+      return withCacheMeta(cached);
+    }
+
+    try {
+      const result = await inflight.run(`price:${cacheKey}:${currency}`, () =>
+        providers.execute('getPrice', { symbol, currency }),
+      );
+      const payload = toPayload(symbol, currency, result);
+      cache.set(cacheKey, payload);
+      return withLiveMeta(payload);
+    } catch (error) {
+      const status = error.status || error.response?.status || 500;
+
+      if (status === 429 && cached) {
+        // Serve slightly stale data when upstream is rate-limiting.
+        const warning = 'Upstream rate limit hit, serving cached price.';
+        return { ...withCacheMeta(cached, { failedStatus: status, reason: warning }), warning };
+      }
+
+      throw new QuoteError(status, `No provider could quote ${symbol}/${currency}`, {
+        kind: 'upstream',
+        details: error.details ?? error.response?.data ?? null,
+        failover: error.attempts,
+      });
+    }
+  }
+
+  /** Rolling 24h statistics, cached alongside spot quotes under their own key. */
+  async function getTicker24h(symbol, currency) {
+    const { cacheKey: quoteKey } = resolve(symbol, currency);
+    const cacheKey = `${quoteKey}:24h`;
+    const cached = cache.get(cacheKey);
+    if (cached && now() - cached.timestamp < ttlMs) {
+      return withCacheMeta(cached);
+    }
+
+    try {
+      const result = await inflight.run(`ticker24h:${cacheKey}:${currency}`, () =>
+        providers.execute('getTicker24h', { symbol, currency }),
+      );
+      const { attempts, timestamp, ...stats } = result;
+      const payload = {
+        symbol,
+        currency,
+        ...stats,
+        failover: attempts,
+        quotedAt: timestamp,
+        timestamp: now(),
+      };
+      cache.set(cacheKey, payload);
+      return withLiveMeta(payload);
+    } catch (error) {
+      const status = error.status || error.response?.status || 500;
+
+      if (status === 429 && cached) {
+        const warning = 'Upstream rate limit hit, serving cached 24h stats.';
+        return { ...withCacheMeta(cached, { failedStatus: status, reason: warning }), warning };
+      }
+
+      throw new QuoteError(status, `No provider could serve 24h stats for ${symbol}/${currency}`, {
+        kind: 'upstream',
+        details: error.details ?? error.response?.data ?? null,
+        failover: error.attempts,
+      });
+    }
+  }
+
+  /**
+   * Quotes for many symbols in one go. Cache hits are served directly, misses go to a provider
+   * with a batched ticker call when one is available, and anything still missing falls back to
+   * per-symbol lookups. Failures are reported per symbol instead of failing the whole batch.
+   */
+  async function getQuotes(symbols, currency) {
+    const quotes = {};
+    const errors = {};
+    const pending = [];
+
+    [...new Set(symbols)].forEach((symbol) => {
+      try {
+        const { cached, fresh } = resolve(symbol, currency);
+        if (fresh) {
+          quotes[symbol] = withCacheMeta(cached);
+        } else {
+          pending.push(symbol);
+        }
+      } catch (error) {
+        errors[symbol] = error.toJSON();
+      }
+    });
+
+    if (pending.length) {
+      try {
+        const batchKey = `prices:${currency}:${[...pending].sort().join(',')}`;
+        const batch = await inflight.run(batchKey, () =>
+          providers.execute('getPrices', { symbols: pending, currency }),
+        );
+        Object.entries(batch.quotes).forEach(([symbol, quote]) => {
+          const payload = toPayload(symbol, currency, {
+            ...quote,
+            provider: batch.provider,
+            attempts: batch.attempts,
+          });
+          cache.set(priceCacheKey(catalog.route(symbol, currency)), payload);
+          quotes[symbol] = withLiveMeta(payload);
+        });
+      } catch {
+        // No provider could batch; the per-symbol pass below handles failover and stale cache.
+      }
+
+      await Promise.all(
+        pending
+          .filter((symbol) => !quotes[symbol])
+          .map(async (symbol) => {
+            try {
+              quotes[symbol] = await getQuote(symbol, currency);
+            } catch (error) {
+              errors[symbol] = error.toJSON();
+            }
+          }),
+      );
+    }
+
+    return { quotes, errors };
+  }
+
+  return { getQuote, getQuotes, getTicker24h };
+}
@@ -0,0 +1,102 @@
+import WebSocket from 'ws';
+
+const MIN_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30_000;
+
+/**
+ * Binance mini-ticker stream for one pair. Calls `onTick({ price, t })` per update
+ * and `onClose()` when the socket drops; reconnecting is left to the hub.
+ */
+export function binanceTickerFeed(pair, { url, onOpen, onTick, onClose }) {
+  const socket = new WebSocket(`${url}/${pair.toLowerCase()}@miniTicker`);
+  socket.on('open', onOpen);
+  socket.on('message', (raw) => {
+    try {
+      const event = JSON.parse(raw.toString());
+      onTick({ price: Number(event.c), t: event.E });
+    } catch {
+      // Ignore malformed frames; the next tick will arrive within a second.
+    }
+  });
+  socket.on('error', () => socket.terminate());
+  socket.on('close', onClose);
+  return { close: () => socket.close() };
+}
+
+/** Offline random-walk feed used for local demos and tests (STREAM_SOURCE=fake). */
+export function fakeTickerFeed(pair, { onOpen, onTick, intervalMs = 1000, seedPrice = 100 }) {
+  let price = seedPrice;
+  queueMicrotask(onOpen);
+  const timer = setInterval(() => {
+    price = Math.max(price * (1 + (Math.random() - 0.5) * 0.002), Number.EPSILON);
+    onTick({ price, t: Date.now() });
+  }, intervalMs);
+  return { close: () => clearInterval(timer) };
+}
+
+/**
+ * Shares one upstream feed per pair across all subscribers.
+ * Feeds open on the first subscribe, close after the last unsubscribe, and reconnect with
+ * exponential backoff when they drop while anyone is still listening.
+ */
+export function createPriceStream({ createFeed, logger = console }) {
+  const feeds = new Map();
+
+  function notify(entry, event) {
+    entry.listeners.forEach((listener) => listener(event));
+  }
+
+  function connect(pair, entry) {
+    entry.feed = createFeed(pair, {
+      onOpen: () => {
+        entry.attempts = 0;
+        entry.status = 'live';
+        notify(entry, { type: 'status', pair, status: 'live' });
+      },
+      onTick: (tick) => {
+        if (!Number.isFinite(tick.price)) return;
+        entry.last = tick;
+        notify(entry, { type: 'tick', pair, ...tick });
+      },
+      onClose: () => {
+        if (!entry.listeners.size) return;
+        const delay = Math.min(MIN_BACKOFF_MS * 2 ** entry.attempts, MAX_BACKOFF_MS);
+        entry.attempts += 1;
+        entry.status = 'reconnecting';
+        notify(entry, { type: 'status', pair, status: 'reconnecting', retryInMs: delay });
+        logger.warn?.(`Ticker stream for ${pair} closed; reconnecting in ${delay}ms`);
+        entry.retryTimer = setTimeout(() => connect(pair, entry), delay);
+      },
+    });
+  }
+
+  function subscribe(pair, listener) {
+    let entry = feeds.get(pair);
+    if (!entry) {
+      entry = { listeners: new Set(), attempts: 0, status: 'connecting', last: null };
+      feeds.set(pair, entry);
+      connect(pair, entry);
+    }
+    entry.listeners.add(listener);
+    if (entry.last) listener({ type: 'tick', pair, ...entry.last });
+
+    return () => {
+      entry.listeners.delete(listener);
+      if (entry.listeners.size) return;
+      clearTimeout(entry.retryTimer);
+      feeds.delete(pair);
+      entry.feed?.close();
+    };
+  }
+
+  function stats() {
+    return [...feeds.entries()].map(([pair, entry]) => ({
+      pair,
+      status: entry.status,
+      subscribers: entry.listeners.size,
+      lastTick: entry.last?.t ?? null,
+    }));
+  }
+
+  return { subscribe, stats };
+}
@@ -0,0 +1,35 @@
+import { STATUS_CODES } from 'http';
+
+// Error responses are RFC 7807 problem details: `type`, `title`, `status` and a human `detail`, plus
+// extension members for context (`errors` for invalid parameters, `failover` and `upstreamError`
+// when upstream failed). `instance` is the request path that produced it.
+export const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * Problem types with a meaning beyond their HTTP status. Anything else is `about:blank`, titled
+ * with the status phrase. The URIs are relative to the API and documented in /openapi.json.
+ */
+export const PROBLEM_TYPES = {
+  validation: { type: '/problems/validation', title: 'Invalid request' },
+  upstream: { type: '/problems/upstream', title: 'Upstream request failed' },
+  unavailable: { type: '/problems/data-unavailable', title: 'Data not available' },
+  response: { type: '/problems/response-validation', title: 'Response does not match the API schema' },
+};
+
+/**
+ * Build a problem body. `kind` picks one of PROBLEM_TYPES; without one, 400s are validation
+ * problems and every other status is `about:blank`.
+ */
+export function problemDetails(status, { kind, detail, ...extensions } = {}) {
+  const known = PROBLEM_TYPES[kind ?? (status === 400 ? 'validation' : null)];
+  const { type, title } = known ?? { type: 'about:blank', title: STATUS_CODES[status] ?? 'Error' };
+  return { type, title, status, detail: detail ?? title, ...extensions };
+}
+
+/** Send `problem` (from problemDetails or a domain error's toJSON) as application/problem+json. */
+export function sendProblem(res, problem) {
+  res
+    .status(problem.status)
+    .type(PROBLEM_CONTENT_TYPE)
+    .json({ ...problem, instance: res.req.originalUrl });
+}
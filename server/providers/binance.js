@@ -0,0 +1,232 @@
+import axios from 'axios';
+import { fetchKlineRange } from '../klines.js';
+import { combineLegCandles, combineLegPrices, combineLegTickers, invertBook, invertTrades } from '../quotes.js';
+import { UnsupportedByProviderError } from './errors.js';
+
+// Request weights Binance charges per call; `http` (the upstream scheduler) budgets against them.
+const WEIGHTS = { price: 2, prices: 4, avgPrice: 2, ticker24h: 2, klines: 2, aggTrades: 4, ping: 1 };
+
+// Order book weight grows with the number of levels requested.
+function depthWeight(limit) {
+  if (limit <= 100) return 5;
+  if (limit <= 500) return 25;
+  return limit <= 1000 ? 50 : 250;
+}
+
+/**
+ * Binance spot adapter. Pairs are resolved through the symbol catalog, so direct, inverse
+ * and USDT-cross quotes all work; every leg is fetched and recombined here.
+ */
+export function createBinanceProvider({
+  catalog,
+  priceUrl,
+  avgPriceUrl,
+  ticker24hUrl,
+  klinesUrl,
+  depthUrl,
+  tradesUrl,
+  pingUrl,
+  headers,
+  http = axios,
+  now = Date.now,
+}) {
+  const id = 'binance';
+
+  function routeFor(symbol, currency) {
+    const quoteRoute = catalog.route(symbol, currency);
+    if (!quoteRoute) {
+      throw new UnsupportedByProviderError(id, `no market for ${symbol}/${currency}`);
+    }
+    return quoteRoute;
+  }
+
+  async function requestLegPrice(pair) {
+    let response;
+    try {
+      response = await http.get(
+        priceUrl,
+        { params: { symbol: pair }, headers: headers(), timeout: 5000 },
+        { weight: WEIGHTS.price },
+      );
+    } catch (error) {
+      // Rate limits are the scheduler's business; falling back would only spend more weight.
+      if ([418, 429].includes(error.status || error.response?.status)) throw error;
+      // Binance may return validation errors; retry with avgPrice endpoint.
+      response = await http.get(
+        avgPriceUrl,
+        { params: { symbol: pair }, headers: headers(), timeout: 5000 },
+        { weight: WEIGHTS.avgPrice },
+      );
+    }
+    return Number(response.data?.price || response.data?.priceAvg || response.data?.avgPrice);
+  }
+
+  async function getPrice({ symbol, currency }) {
+    const quoteRoute = routeFor(symbol, currency);
+    const legPrices = await Promise.all(quoteRoute.legs.map((leg) => requestLegPrice(leg.pair)));
+    if (legPrices.some((legPrice) => !Number.isFinite(legPrice) || legPrice <= 0)) {
+      throw Object.assign(new Error('Price not available'), { status: 502 });
+    }
+    return {
+      price: combineLegPrices(quoteRoute.legs, legPrices),
+      timestamp: now(),
+      route: quoteRoute.type,
+      legs: quoteRoute.legs.map((leg, idx) => ({ ...leg, price: legPrices[idx] })),
+      source: priceUrl,
+    };
+  }
+
+  /** One ticker call for every leg of every requested symbol; symbols without a market are left out. */
+  async function getPrices({ symbols, currency }) {
+    const routes = symbols
+      .map((symbol) => [symbol, catalog.route(symbol, currency)])
+      .filter(([, quoteRoute]) => quoteRoute);
+    if (!routes.length) {
+      throw new UnsupportedByProviderError(id, `no markets for ${symbols.join(',')}/${currency}`);
+    }
+    const pairs = [...new Set(routes.flatMap(([, quoteRoute]) => quoteRoute.legs.map((leg) => leg.pair)))];
+    const { data } = await http.get(
+      priceUrl,
+      { params: { symbols: JSON.stringify(pairs) }, headers: headers(), timeout: 5000 },
+      { weight: WEIGHTS.prices },
+    );
+    const byPair = new Map((Array.isArray(data) ? data : []).map((row) => [row.symbol, Number(row.price)]));
+
+    const quotes = {};
+    routes.forEach(([symbol, quoteRoute]) => {
+      const legPrices = quoteRoute.legs.map((leg) => byPair.get(leg.pair));
+      if (legPrices.some((legPrice) => !Number.isFinite(legPrice) || legPrice <= 0)) return;
+      quotes[symbol] = {
+        price: combineLegPrices(quoteRoute.legs, legPrices),
+        timestamp: now(),
+        route: quoteRoute.type,
+        legs: quoteRoute.legs.map((leg, idx) => ({ ...leg, price: legPrices[idx] })),
+        source: `${priceUrl} (batched)`,
+      };
+    });
+    return { quotes };
+  }
+
+  async function getTicker24h({ symbol, currency }) {
+    const quoteRoute = routeFor(symbol, currency);
+    const rows = await Promise.all(
+      quoteRoute.legs.map(async (leg) => {
+        const { data } = await http.get(
+          ticker24hUrl,
+          { params: { symbol: leg.pair }, headers: headers(), timeout: 5000 },
+          { weight: WEIGHTS.ticker24h },
+        );
+        return data;
+      }),
+    );
+    return {
+      ...combineLegTickers(quoteRoute.legs, rows),
+      openTime: Math.max(...rows.map((row) => row.openTime)),
+      closeTime: Math.min(...rows.map((row) => row.closeTime)),
+      trades: quoteRoute.legs.length === 1 ? rows[0].count : null,
+      approximate: quoteRoute.legs.length > 1,
+      timestamp: now(),
+      route: quoteRoute.type,
+      legs: quoteRoute.legs,
+      source: `${ticker24hUrl}?symbol=${quoteRoute.legs.map((leg) => leg.pair).join(',')}`,
+    };
+  }
+
+  async function getCandles({ symbol, currency, interval, startTime, endTime, maxPoints }) {
+    const quoteRoute = routeFor(symbol, currency);
+    const pairs = quoteRoute.legs.map((leg) => leg.pair);
+
+    // Page each leg through the requested range; cross quotes are recombined bucket by bucket.
+    const results = await Promise.all(
+      pairs.map((pair) =>
+        fetchKlineRange({
+          interval,
+          startTime,
+          endTime,
+          maxPoints,
+          fetchPage: async (params) => {
+            const response = await http.get(
+              klinesUrl,
+              { params: { ...params, symbol: pair }, headers: headers(), timeout: 5000 },
+              { weight: WEIGHTS.klines },
+            );
+            return response.data || [];
+          },
+        }),
+      ),
+    );
+
+    return {
+      candles: combineLegCandles(
+        quoteRoute.legs,
+        results.map((result) => result.klines),
+      ),
+      interval,
+      route: quoteRoute.type,
+      legs: quoteRoute.legs,
+      pages: results.reduce((sum, result) => sum + result.pages, 0),
+      truncated: results.some((result) => result.truncated),
+      source: `${klinesUrl}?symbol=${pairs.join(',')}&interval=${interval}&startTime=${startTime}&endTime=${endTime}`,
+    };
+  }
+
+  // Books and trades can't be multiplied across legs, so only single-market routes are offered.
+  function singleLegFor(symbol, currency) {
+    const quoteRoute = routeFor(symbol, currency);
+    if (quoteRoute.legs.length !== 1) {
+      throw new UnsupportedByProviderError(id, `no single market for ${symbol}/${currency}`);
+    }
+    return { quoteRoute, leg: quoteRoute.legs[0] };
+  }
+
+  async function getDepth({ symbol, currency, limit }) {
+    const { quoteRoute, leg } = singleLegFor(symbol, currency);
+    const { data } = await http.get(
+      depthUrl,
+      { params: { symbol: leg.pair, limit }, headers: headers(), timeout: 5000 },
+      { weight: depthWeight(limit) },
+    );
+    const toLevels = (rows) => (rows || []).map(([price, quantity]) => [Number(price), Number(quantity)]);
+    const book = { bids: toLevels(data?.bids), asks: toLevels(data?.asks) };
+    return {
+      ...(leg.invert ? invertBook(book) : book),
+      timestamp: now(),
+      route: quoteRoute.type,
+      legs: quoteRoute.legs,
+      source: `${depthUrl}?symbol=${leg.pair}&limit=${limit}`,
+    };
+  }
+
+  async function getTrades({ symbol, currency, limit }) {
+    const { quoteRoute, leg } = singleLegFor(symbol, currency);
+    const { data } = await http.get(
+      tradesUrl,
+      { params: { symbol: leg.pair, limit }, headers: headers(), timeout: 5000 },
+      { weight: WEIGHTS.aggTrades },
+    );
+    // `m` is true when the buyer was the maker, i.e. the aggressor sold.
+    const trades = (Array.isArray(data) ? data : [])
+      .map((row) => ({
+        id: String(row.a),
+        price: Number(row.p),
+        quantity: Number(row.q),
+        side: row.m ? 'sell' : 'buy',
+        time: row.T,
+      }))
+      .reverse();
+    return {
+      trades: leg.invert ? invertTrades(trades) : trades,
+      timestamp: now(),
+      route: quoteRoute.type,
+      legs: quoteRoute.legs,
+      source: `${tradesUrl}?symbol=${leg.pair}`,
+    };
+  }
+
+  /** Connectivity check for readiness probes; the cheapest call Binance offers. */
+  async function ping() {
+    await http.get(pingUrl, { headers: headers(), timeout: 3000 }, { weight: WEIGHTS.ping });
+  }
+
+  return { id, getPrice, getPrices, getTicker24h, getCandles, getDepth, getTrades, ping };
+}
@@ -0,0 +1,60 @@
+/**
+ * Per-provider circuit breaker: opens after `failureThreshold` consecutive failures,
+ * lets one trial request through after `cooldownMs`, and closes again on success.
+ * While that trial is in flight every other caller is refused, as when open. A trial whose
+ * outcome says nothing about the provider's health must be handed back with `releaseTrial`.
+ */
+export function createCircuitBreaker({ failureThreshold = 3, cooldownMs = 30_000, now = Date.now } = {}) {
+  let state = 'closed'; // closed | open | half-open
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  function canRequest() {
+    if (state === 'open' && now() - openedAt >= cooldownMs) {
+      state = 'half-open';
+    }
+    if (state === 'open') return false;
+    if (state === 'half-open') {
+      if (trialInFlight) return false;
+      trialInFlight = true;
+    }
+    return true;
+  }
+
+  function releaseTrial() {
+    trialInFlight = false;
+  }
+
+  function recordSuccess() {
+    trialInFlight = false;
+    state = 'closed';
+    consecutiveFailures = 0;
+    openedAt = null;
+  }
+
+  function recordFailure() {
+    trialInFlight = false;
+    consecutiveFailures += 1;
+    if (state === 'half-open' || consecutiveFailures >= failureThreshold) {
+      state = 'open';
+      openedAt = now();
+    }
+  }
+
+  return {
+    canRequest,
+    recordSuccess,
+    recordFailure,
+    releaseTrial,
+    get state() {
+      return state;
+    },
+    get consecutiveFailures() {
+      return consecutiveFailures;
+    },
+    get openedAt() {
+      return openedAt;
+    },
+  };
+}
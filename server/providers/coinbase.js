@@ -0,0 +1,159 @@
+import axios from 'axios';
+import { DAY_MS, INTERVALS, fetchWindowedRange } from '../klines.js';
+import { withChange } from '../quotes.js';
+import { UnsupportedByProviderError } from './errors.js';
+
+// Coinbase Exchange only offers these candle granularities (seconds).
+const GRANULARITIES = {
+  '1m': 60,
+  '5m': 300,
+  '15m': 900,
+  '1h': 3600,
+  '6h': 21_600,
+  '1d': 86_400,
+};
+const MAX_CANDLES_PER_REQUEST = 300;
+
+/** Coinbase Exchange public market data, products named like BTC-USD. */
+export function createCoinbaseProvider({ baseUrl, headers, http = axios, now = Date.now }) {
+  const id = 'coinbase';
+
+  async function request(path, params) {
+    try {
+      const { data } = await http.get(`${baseUrl}${path}`, {
+        params,
+        headers: headers(),
+        timeout: 5000,
+      });
+      return data;
+    } catch (error) {
+      if (error.response?.status === 404 || error.response?.status === 400) {
+        throw new UnsupportedByProviderError(id, error.response.data?.message || 'product not found');
+      }
+      throw error;
+    }
+  }
+
+  async function getPrice({ symbol, currency }) {
+    const product = `${symbol}-${currency}`;
+    const data = await request(`/products/${product}/ticker`);
+    return {
+      price: Number(data.price),
+      timestamp: data.time ? Date.parse(data.time) : now(),
+      volume: data.volume ? Number(data.volume) : null,
+      route: 'direct',
+      legs: [{ pair: product, invert: false, price: Number(data.price) }],
+      source: `${baseUrl}/products/${product}/ticker`,
+    };
+  }
+
+  // Coinbase stats don't include a weighted average or quote volume.
+  async function getTicker24h({ symbol, currency }) {
+    const product = `${symbol}-${currency}`;
+    const data = await request(`/products/${product}/stats`);
+    const closeTime = now();
+    return {
+      ...withChange({
+        open: Number(data.open),
+        high: Number(data.high),
+        low: Number(data.low),
+        last: Number(data.last),
+        weightedAvgPrice: null,
+        volume: Number(data.volume),
+        quoteVolume: null,
+      }),
+      openTime: closeTime - DAY_MS,
+      closeTime,
+      trades: null,
+      approximate: false,
+      timestamp: closeTime,
+      route: 'direct',
+      legs: [{ pair: product, invert: false }],
+      source: `${baseUrl}/products/${product}/stats`,
+    };
+  }
+
+  async function getCandles({ symbol, currency, interval, startTime, endTime, maxPoints }) {
+    const granularity = GRANULARITIES[interval];
+    if (!granularity) {
+      throw new UnsupportedByProviderError(id, `interval ${interval} not offered`);
+    }
+    const product = `${symbol}-${currency}`;
+    const { candles, pages, truncated } = await fetchWindowedRange({
+      startTime,
+      endTime,
+      stepMs: INTERVALS[interval],
+      pageSize: MAX_CANDLES_PER_REQUEST,
+      maxPoints,
+      fetchWindow: async (window) => {
+        const rows = await request(`/products/${product}/candles`, {
+          granularity,
+          start: new Date(window.startTime).toISOString(),
+          end: new Date(window.endTime).toISOString(),
+        });
+        // Rows: [time (s), low, high, open, close, volume]; quote volume is approximated from the close.
+        return (rows || []).map(([time, low, high, open, close, volume]) => ({
+          t: time * 1000,
+          open,
+          high,
+          low,
+          close,
+          volume,
+          quoteVolume: volume * close,
+          trades: null,
+        }));
+      },
+    });
+
+    return {
+      candles,
+      interval,
+      route: 'direct',
+      legs: [{ pair: product, invert: false }],
+      pages,
+      truncated,
+      source: `${baseUrl}/products/${product}/candles?granularity=${granularity}`,
+    };
+  }
+
+  // Level 2 is the full aggregated book; Coinbase has no depth parameter, so it is cut here.
+  async function getDepth({ symbol, currency, limit }) {
+    const product = `${symbol}-${currency}`;
+    const data = await request(`/products/${product}/book`, { level: 2 });
+    const toLevels = (rows) =>
+      (rows || []).slice(0, limit).map(([price, size]) => [Number(price), Number(size)]);
+    return {
+      bids: toLevels(data.bids),
+      asks: toLevels(data.asks),
+      timestamp: data.time ? Date.parse(data.time) : now(),
+      route: 'direct',
+      legs: [{ pair: product, invert: false }],
+      source: `${baseUrl}/products/${product}/book?level=2`,
+    };
+  }
+
+  async function getTrades({ symbol, currency, limit }) {
+    const product = `${symbol}-${currency}`;
+    const data = await request(`/products/${product}/trades`, { limit });
+    return {
+      // Coinbase reports the maker's side; the aggressor traded the other way. Newest first already.
+      trades: (Array.isArray(data) ? data : []).map((row) => ({
+        id: String(row.trade_id),
+        price: Number(row.price),
+        quantity: Number(row.size),
+        side: row.side === 'buy' ? 'sell' : 'buy',
+        time: Date.parse(row.time),
+      })),
+      timestamp: now(),
+      route: 'direct',
+      legs: [{ pair: product, invert: false }],
+      source: `${baseUrl}/products/${product}/trades`,
+    };
+  }
+
+  async function ping() {
+    await http.get(`${baseUrl}/time`, { headers: headers(), timeout: 3000 });
+  }
+
+  return { id, getPrice, getTicker24h, getCandles, getDepth, getTrades, ping };
+}
@@ -0,0 +1,94 @@
+import axios from 'axios';
+import { INTERVALS, bucketPrices } from '../klines.js';
+import { UnsupportedByProviderError } from './errors.js';
+
+// CoinGecko addresses coins by id rather than ticker; extend as the dashboard needs more.
+const COIN_IDS = {
+  BTC: 'bitcoin',
+  ETH: 'ethereum',
+  SOL: 'solana',
+  BNB: 'binancecoin',
+  XRP: 'ripple',
+  ADA: 'cardano',
+  DOGE: 'dogecoin',
+  ASTER: 'aster-2',
+  USDT: 'tether',
+  USDC: 'usd-coin',
+};
+
+// market_chart/range samples every 5 minutes at best, so finer candles cannot be built.
+const MIN_INTERVAL_MS = INTERVALS['5m'];
+
+/** CoinGecko aggregated prices. Candles are bucketed from sampled prices and carry no volume. */
+export function createCoinGeckoProvider({ baseUrl, headers, http = axios, now = Date.now }) {
+  const id = 'coingecko';
+
+  function coinId(symbol) {
+    const coin = COIN_IDS[symbol];
+    if (!coin) throw new UnsupportedByProviderError(id, `no coin id for ${symbol}`);
+    return coin;
+  }
+
+  // CoinGecko quotes stablecoins as their own coins; USD is the closest vs_currency.
+  function vsCurrency(currency) {
+    return currency === 'USDT' ? 'usd' : currency.toLowerCase();
+  }
+
+  async function getPrice({ symbol, currency }) {
+    const coin = coinId(symbol);
+    const vs = vsCurrency(currency);
+    const { data } = await http.get(`${baseUrl}/simple/price`, {
+      params: { ids: coin, vs_currencies: vs, include_last_updated_at: true, include_24hr_vol: true },
+      headers: headers(),
+      timeout: 5000,
+    });
+    const quote = data?.[coin];
+    if (!quote || quote[vs] === undefined) {
+      throw new UnsupportedByProviderError(id, `no ${vs} quote for ${coin}`);
+    }
+    const quoteVolume = quote[`${vs}_24h_vol`];
+    return {
+      price: Number(quote[vs]),
+      timestamp: quote.last_updated_at ? quote.last_updated_at * 1000 : now(),
+      // Reported in the quote currency; convert to base units so it weighs like exchange volume.
+      volume: quoteVolume ? Number(quoteVolume) / Number(quote[vs]) : null,
+      route: 'direct',
+      legs: [{ pair: `${coin}/${vs}`, invert: false, price: Number(quote[vs]) }],
+      source: `${baseUrl}/simple/price`,
+    };
+  }
+
+  async function getCandles({ symbol, currency, interval, startTime, endTime, maxPoints }) {
+    if (INTERVALS[interval] < MIN_INTERVAL_MS) {
+      throw new UnsupportedByProviderError(id, `interval ${interval} finer than sampled data`);
+    }
+    const coin = coinId(symbol);
+    const vs = vsCurrency(currency);
+    const { data } = await http.get(`${baseUrl}/coins/${coin}/market_chart/range`, {
+      params: {
+        vs_currency: vs,
+        from: Math.floor(startTime / 1000),
+        to: Math.floor(endTime / 1000),
+      },
+      headers: headers(),
+      timeout: 10_000,
+    });
+    const candles = bucketPrices(data?.prices || [], INTERVALS[interval]);
+
+    return {
+      candles: candles.slice(0, maxPoints),
+      interval,
+      route: 'direct',
+      legs: [{ pair: `${coin}/${vs}`, invert: false }],
+      pages: 1,
+      truncated: candles.length > maxPoints,
+      source: `${baseUrl}/coins/${coin}/market_chart/range?vs_currency=${vs}`,
+    };
+  }
+
+  async function ping() {
+    await http.get(`${baseUrl}/ping`, { headers: headers(), timeout: 3000 });
+  }
+
+  return { id, getPrice, getCandles, ping };
+}
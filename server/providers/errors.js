@@ -0,0 +1,22 @@
+/** Thrown by an adapter when it cannot serve a symbol/currency/interval at all; skips to the next provider without counting as a failure. */
+export class UnsupportedByProviderError extends Error {
+  constructor(provider, message) {
+    super(`${provider}: ${message}`);
+    this.name = 'UnsupportedByProviderError';
+    this.provider = provider;
+  }
+}
+
+/** Thrown by the registry when every provider in the priority list failed or was skipped. */
+export class ProvidersExhaustedError extends Error {
+  constructor(attempts) {
+    super('No market-data provider could serve the request');
+    this.name = 'ProvidersExhaustedError';
+    this.attempts = attempts;
+    // Surface the most relevant upstream failure so routes can keep their status-based fallbacks.
+    const failed = attempts.filter((attempt) => attempt.status);
+    const last = failed[failed.length - 1];
+    this.status = last?.status ?? (failed.length ? 502 : 400);
+    this.details = last?.details ?? null;
+  }
+}
@@ -0,0 +1,166 @@
+import { createBinanceProvider } from './binance.js';
+import { createCircuitBreaker } from './circuitBreaker.js';
+import { createCoinbaseProvider } from './coinbase.js';
+import { createCoinGeckoProvider } from './coingecko.js';
+import { createKrakenProvider } from './kraken.js';
+import { ProvidersExhaustedError, UnsupportedByProviderError } from './errors.js';
+
+export { ProvidersExhaustedError, UnsupportedByProviderError };
+export { UpstreamBudgetError, createUpstreamScheduler } from './scheduler.js';
+export { createBinanceAuthClient } from './binanceAuth.js';
+
+const FACTORIES = {
+  binance: (options) => createBinanceProvider(options.binance),
+  coinbase: (options) => createCoinbaseProvider(options.coinbase),
+  kraken: (options) => createKrakenProvider(options.kraken),
+  coingecko: (options) => createCoinGeckoProvider(options.coingecko),
+};
+
+export const PROVIDER_IDS = Object.keys(FACTORIES);
+
+/** Instantiate the adapters named in `order` (e.g. ['binance', 'kraken']) with their per-provider options. */
+export function buildProviders(order, options) {
+  return order.map((name) => {
+    const factory = FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown market-data provider "${name}". Expected one of: ${PROVIDER_IDS.join(', ')}`);
+    }
+    return factory(options);
+  });
+}
+
+// Failures that say something about the provider's health, as opposed to the request itself.
+function isProviderFault(status) {
+  return !status || status >= 500 || [403, 418, 429, 451].includes(status);
+}
+
+/**
+ * Walks providers in priority order for each operation, skipping any whose circuit is open.
+ * Results are annotated with the serving provider and the attempts that failed before it.
+ */
+export function createProviderRegistry({ providers, breaker = {}, now = Date.now, logger = console }) {
+  const entries = providers.map((provider) => ({
+    provider,
+    breaker: createCircuitBreaker(breaker),
+    health: {
+      successes: 0,
+      failures: 0,
+      lastLatencyMs: null,
+      lastSuccessAt: null,
+      lastErrorAt: null,
+      lastError: null,
+    },
+  }));
+
+  // Run one operation against one provider, updating its health and circuit.
+  async function attempt({ provider, breaker: circuit, health }, operation, params) {
+    if (!circuit.canRequest()) {
+      return { ok: false, attempt: { provider: provider.id, skipped: 'circuit-open' } };
+    }
+
+    const startedAt = now();
+    try {
+      const result = await provider[operation](params);
+      health.successes += 1;
+      health.lastLatencyMs = now() - startedAt;
+      health.lastSuccessAt = now();
+      circuit.recordSuccess();
+      return { ok: true, result: { ...result, provider: provider.id } };
+    } catch (error) {
+      if (error instanceof UnsupportedByProviderError) {
+        circuit.releaseTrial();
+        return {
+          ok: false,
+          attempt: { provider: provider.id, skipped: 'unsupported', error: error.message },
+        };
+      }
+      health.failures += 1;
+      health.lastLatencyMs = now() - startedAt;
+      health.lastErrorAt = now();
+      health.lastError = error.message;
+      if (isProviderFault(error.status || error.response?.status)) {
+        circuit.recordFailure();
+      } else {
+        circuit.releaseTrial();
+      }
+      logger.warn?.(`Provider ${provider.id} failed ${operation}: ${error.message}`);
+      return {
+        ok: false,
+        attempt: {
+          provider: provider.id,
+          status: error.status || error.response?.status || 500,
+          error: error.message,
+          details: error.response?.data || null,
+        },
+      };
+    }
+  }
+
+  function supporting(operation) {
+    return entries.filter(({ provider }) => typeof provider[operation] === 'function');
+  }
+
+  /** First successful provider in priority order wins. */
+  async function execute(operation, params) {
+    const attempts = [];
+
+    for (const entry of supporting(operation)) {
+      const outcome = await attempt(entry, operation, params);
+      if (outcome.ok) {
+        return { ...outcome.result, attempts };
+      }
+      attempts.push(outcome.attempt);
+    }
+
+    throw new ProvidersExhaustedError(attempts);
+  }
+
+  /** Query every available provider concurrently; used when callers want to compare sources. */
+  async function executeAll(operation, params) {
+    const outcomes = await Promise.all(
+      supporting(operation).map((entry) => attempt(entry, operation, params)),
+    );
+    return {
+      results: outcomes.filter((outcome) => outcome.ok).map((outcome) => outcome.result),
+      attempts: outcomes.filter((outcome) => !outcome.ok).map((outcome) => outcome.attempt),
+    };
+  }
+
+  /**
+   * Probe every provider's `ping` concurrently for readiness checks. Circuits are ignored and
+   * health is left alone: a probe reports reachability, it shouldn't trip or reset a breaker.
+   */
+  function ping() {
+    return Promise.all(
+      supporting('ping').map(async ({ provider, breaker: circuit }) => {
+        const startedAt = now();
+        try {
+          await provider.ping();
+          return { id: provider.id, ok: true, latencyMs: now() - startedAt, circuit: circuit.state };
+        } catch (error) {
+          return {
+            id: provider.id,
+            ok: false,
+            latencyMs: now() - startedAt,
+            circuit: circuit.state,
+            status: error.status || error.response?.status || null,
+            error: error.message,
+          };
+        }
+      }),
+    );
+  }
+
+  function stats() {
+    return entries.map(({ provider, breaker: circuit, health }, idx) => ({
+      id: provider.id,
+      priority: idx + 1,
+      circuit: circuit.state,
+      consecutiveFailures: circuit.consecutiveFailures,
+      openedAt: circuit.openedAt,
+      ...health,
+    }));
+  }
+
+  return { execute, executeAll, ping, stats };
+}
@@ -0,0 +1,169 @@
+import axios from 'axios';
+import { DAY_MS, INTERVALS } from '../klines.js';
+import { withChange } from '../quotes.js';
+import { UnsupportedByProviderError } from './errors.js';
+
+// Kraken OHLC intervals are given in minutes.
+const INTERVAL_MINUTES = {
+  '1m': 1,
+  '5m': 5,
+  '15m': 15,
+  '30m': 30,
+  '1h': 60,
+  '4h': 240,
+  '1d': 1440,
+  '1w': 10_080,
+};
+
+// Kraken still lists bitcoin under its legacy XBT code.
+const ASSET_ALIASES = { BTC: 'XBT' };
+
+function krakenPair(symbol, currency) {
+  return `${ASSET_ALIASES[symbol] || symbol}${ASSET_ALIASES[currency] || currency}`;
+}
+
+/** Kraken public REST API. Errors arrive as HTTP 200 with a non-empty `error` array. */
+export function createKrakenProvider({ baseUrl, headers, http = axios, now = Date.now }) {
+  const id = 'kraken';
+
+  async function request(path, params) {
+    const { data } = await http.get(`${baseUrl}${path}`, {
+      params,
+      headers: headers(),
+      timeout: 5000,
+    });
+    if (data?.error?.length) {
+      const message = data.error.join(', ');
+      if (message.includes('Unknown asset pair') || message.includes('Invalid arguments')) {
+        throw new UnsupportedByProviderError(id, message);
+      }
+      throw Object.assign(new Error(`kraken: ${message}`), { status: 502 });
+    }
+    // Results are keyed by Kraken's canonical pair name (e.g. XXBTZUSD), not the one we asked for.
+    const [key] = Object.keys(data.result || {}).filter((name) => name !== 'last');
+    return data.result[key];
+  }
+
+  async function getPrice({ symbol, currency }) {
+    const pair = krakenPair(symbol, currency);
+    const ticker = await request('/Ticker', { pair });
+    const price = Number(ticker.c[0]);
+    return {
+      price,
+      timestamp: now(),
+      // v[1] is the rolling 24h base-asset volume.
+      volume: ticker.v ? Number(ticker.v[1]) : null,
+      route: 'direct',
+      legs: [{ pair, invert: false, price }],
+      source: `${baseUrl}/Ticker?pair=${pair}`,
+    };
+  }
+
+  // Ticker arrays hold [today, last 24h]; `o` is today's open, so it only approximates the 24h open.
+  async function getTicker24h({ symbol, currency }) {
+    const pair = krakenPair(symbol, currency);
+    const ticker = await request('/Ticker', { pair });
+    const volume = Number(ticker.v[1]);
+    const weightedAvgPrice = Number(ticker.p[1]);
+    const closeTime = now();
+    return {
+      ...withChange({
+        open: Number(ticker.o),
+        high: Number(ticker.h[1]),
+        low: Number(ticker.l[1]),
+        last: Number(ticker.c[0]),
+        weightedAvgPrice,
+        volume,
+        quoteVolume: volume * weightedAvgPrice,
+      }),
+      openTime: closeTime - DAY_MS,
+      closeTime,
+      trades: ticker.t ? Number(ticker.t[1]) : null,
+      approximate: true,
+      timestamp: closeTime,
+      route: 'direct',
+      legs: [{ pair, invert: false }],
+      source: `${baseUrl}/Ticker?pair=${pair}`,
+    };
+  }
+
+  async function getCandles({ symbol, currency, interval, startTime, endTime, maxPoints }) {
+    const minutes = INTERVAL_MINUTES[interval];
+    if (!minutes) {
+      throw new UnsupportedByProviderError(id, `interval ${interval} not offered`);
+    }
+    const pair = krakenPair(symbol, currency);
+    // Kraken only returns the most recent 720 candles from `since`; there is no backwards paging.
+    const rows = await request('/OHLC', {
+      pair,
+      interval: minutes,
+      since: Math.floor(startTime / 1000),
+    });
+    const candles = (rows || [])
+      .map(([time, open, high, low, close, vwap, volume, count]) => ({
+        t: time * 1000,
+        open: Number(open),
+        high: Number(high),
+        low: Number(low),
+        close: Number(close),
+        volume: Number(volume),
+        quoteVolume: Number(vwap) * Number(volume),
+        trades: count,
+      }))
+      .filter((candle) => candle.t >= startTime && candle.t <= endTime)
+      .slice(0, maxPoints);
+
+    return {
+      candles,
+      interval,
+      route: 'direct',
+      legs: [{ pair, invert: false }],
+      pages: 1,
+      truncated: Boolean(candles.length) && candles[0].t > startTime + INTERVALS[interval],
+      source: `${baseUrl}/OHLC?pair=${pair}&interval=${minutes}`,
+    };
+  }
+
+  async function getDepth({ symbol, currency, limit }) {
+    const pair = krakenPair(symbol, currency);
+    // Kraken caps `count` at 500 levels per side.
+    const book = await request('/Depth', { pair, count: Math.min(limit, 500) });
+    const toLevels = (rows) => (rows || []).map(([price, volume]) => [Number(price), Number(volume)]);
+    return {
+      bids: toLevels(book.bids),
+      asks: toLevels(book.asks),
+      timestamp: now(),
+      route: 'direct',
+      legs: [{ pair, invert: false }],
+      source: `${baseUrl}/Depth?pair=${pair}`,
+    };
+  }
+
+  async function getTrades({ symbol, currency, limit }) {
+    const pair = krakenPair(symbol, currency);
+    const rows = await request('/Trades', { pair, count: limit });
+    // Rows are [price, volume, time, b|s, market|limit, misc, tradeId], oldest first.
+    const trades = (rows || [])
+      .map(([price, volume, time, side, , , tradeId]) => ({
+        id: String(tradeId ?? time),
+        price: Number(price),
+        quantity: Number(volume),
+        side: side === 'b' ? 'buy' : 'sell',
+        time: Math.round(time * 1000),
+      }))
+      .reverse();
+    return {
+      trades,
+      timestamp: now(),
+      route: 'direct',
+      legs: [{ pair, invert: false }],
+      source: `${baseUrl}/Trades?pair=${pair}`,
+    };
+  }
+
+  async function ping() {
+    await request('/Time');
+  }
+
+  return { id, getPrice, getTicker24h, getCandles, getDepth, getTrades, ping };
+}
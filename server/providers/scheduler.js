@@ -0,0 +1,188 @@
+import axios from 'axios';
+
+/** Thrown when a request would have to wait longer than `maxWaitMs` for budget; treated like a 429. */
+export class UpstreamBudgetError extends Error {
+  constructor(name, waitMs) {
+    super(`${name}: request budget exhausted, next slot in ${Math.ceil(waitMs / 1000)}s`);
+    this.name = 'UpstreamBudgetError';
+    this.status = 429;
+    this.retryAfterMs = waitMs;
+  }
+}
+
+// Retry-After is either delta-seconds or an HTTP date.
+function parseRetryAfter(value, now) {
+  if (value === undefined || value === null || value === '') return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(date - now, 0);
+}
+
+// Label for attempts that never got an HTTP response.
+function failureKind(error) {
+  return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ? 'timeout' : 'network';
+}
+
+/**
+ * Outbound request scheduler for one upstream. Requests spend `weight` from a budget of `limit`
+ * per fixed `windowMs` window (Binance resets its weight on the minute); when the next request
+ * would overrun the budget, less `marginPct`, it waits in a FIFO queue for the next window.
+ * If the upstream reports its own count in `weightHeader` the larger of the two wins, so traffic
+ * from other processes sharing the IP is accounted for.
+ *
+ * A 418/429 blocks the queue for Retry-After or an exponential backoff, whichever is longer, and
+ * the request is retried while the wait stays under `maxWaitMs`. Requests that would wait longer
+ * fail fast with a 429 so callers can fail over or serve stale data instead of hanging.
+ *
+ * `onResult({ status, durationMs })` is told about every attempt that reached the network; status
+ * is the HTTP status, or 'timeout' / 'network' when no response came back.
+ */
+export function createUpstreamScheduler({
+  name,
+  limit,
+  windowMs = 60_000,
+  weightHeader = null,
+  marginPct = 10,
+  maxWaitMs = 10_000,
+  maxRetries = 2,
+  baseBackoffMs = 1000,
+  maxBackoffMs = 5 * 60_000,
+  http = axios,
+  now = Date.now,
+  onResult = () => {},
+}) {
+  const budget = Math.max(1, Math.floor(limit * (1 - marginPct / 100)));
+  const queue = [];
+  let windowStart = 0;
+  let used = 0;
+  let reported = null;
+  let blockedUntil = 0;
+  let consecutiveLimited = 0;
+  let inFlight = 0;
+  let timer = null;
+  const totals = { requests: 0, delayed: 0, rejected: 0, limited: 0, retried: 0 };
+  let lastLimited = null;
+
+  function roll(t) {
+    const start = Math.floor(t / windowMs) * windowMs;
+    if (start !== windowStart) {
+      windowStart = start;
+      used = 0;
+      reported = null;
+    }
+  }
+
+  // How long a request of `weight` would wait behind the block and everything already queued.
+  function estimateWait(weight, t) {
+    const blockedFor = Math.max(blockedUntil - t, 0);
+    const total = used + queue.reduce((sum, job) => sum + job.weight, 0) + weight;
+    if (total <= budget) return blockedFor;
+    const extraWindows = Math.ceil((total - budget) / budget);
+    return Math.max(blockedFor, windowStart + windowMs - t + (extraWindows - 1) * windowMs);
+  }
+
+  function pump() {
+    clearTimeout(timer);
+    timer = null;
+    while (queue.length) {
+      const t = now();
+      roll(t);
+      const overBudget = used > 0 && used + queue[0].weight > budget;
+      const wait = blockedUntil > t ? blockedUntil - t : overBudget ? windowStart + windowMs - t : 0;
+      if (wait > 0) {
+        timer = setTimeout(pump, wait);
+        return;
+      }
+      const job = queue.shift();
+      used += job.weight;
+      inFlight += 1;
+      job.resolve();
+    }
+  }
+
+  function acquire(weight) {
+    const t = now();
+    roll(t);
+    const wait = estimateWait(weight, t);
+    if (wait > maxWaitMs) {
+      totals.rejected += 1;
+      return Promise.reject(new UpstreamBudgetError(name, wait));
+    }
+    if (wait > 0 || queue.length) totals.delayed += 1;
+    return new Promise((resolve) => {
+      queue.push({ weight, resolve });
+      pump();
+    });
+  }
+
+  function observe(headers, t) {
+    const value = weightHeader ? Number(headers?.[weightHeader]) : NaN;
+    if (!Number.isFinite(value)) return;
+    roll(t);
+    reported = value;
+    used = Math.max(used, value);
+  }
+
+  // Block the queue after a 418/429 and report how long for.
+  function registerLimited(status, headers, t) {
+    consecutiveLimited += 1;
+    totals.limited += 1;
+    const backoffMs = Math.min(maxBackoffMs, baseBackoffMs * 2 ** (consecutiveLimited - 1));
+    const delay = Math.max(backoffMs, parseRetryAfter(headers?.['retry-after'], t));
+    blockedUntil = Math.max(blockedUntil, t + delay);
+    lastLimited = { status, at: t, delayMs: delay };
+    return delay;
+  }
+
+  /** Drop-in for `axios.get(url, config)`; `weight` is the upstream's cost for this call. */
+  async function get(url, config = {}, { weight = 1 } = {}) {
+    for (let attempt = 0; ; attempt += 1) {
+      await acquire(weight);
+      totals.requests += 1;
+      const startedAt = now();
+      try {
+        const response = await http.get(url, config);
+        const t = now();
+        onResult({ status: response.status, durationMs: t - startedAt });
+        observe(response.headers, t);
+        consecutiveLimited = 0;
+        return response;
+      } catch (error) {
+        const t = now();
+        const status = error.response?.status;
+        onResult({ status: status ?? failureKind(error), durationMs: t - startedAt });
+        if (error.response) observe(error.response.headers, t);
+        if (status !== 429 && status !== 418) throw error;
+        const delay = registerLimited(status, error.response.headers, t);
+        if (attempt >= maxRetries || delay > maxWaitMs) throw error;
+        totals.retried += 1;
+      } finally {
+        inFlight -= 1;
+      }
+    }
+  }
+
+  function stats() {
+    const t = now();
+    roll(t);
+    return {
+      name,
+      limit,
+      budget,
+      windowMs,
+      usedWeight: used,
+      reportedWeight: reported,
+      windowResetsAt: windowStart + windowMs,
+      blockedUntil: blockedUntil > t ? blockedUntil : null,
+      consecutiveLimited,
+      queued: queue.length,
+      queuedWeight: queue.reduce((sum, job) => sum + job.weight, 0),
+      inFlight,
+      lastLimited,
+      totals: { ...totals },
+    };
+  }
+
+  return { name, get, stats };
+}
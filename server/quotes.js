@@ -0,0 +1,177 @@
+// Helpers for turning one or more market legs into a single quote in the requested currency.
+// A leg is { pair, invert }: `invert` means the market is listed the other way round (QUOTE/BASE).
+
+export const BRIDGE_ASSET = 'USDT';
+
+function legFactor(leg, price) {
+  return leg.invert ? 1 / price : price;
+}
+
+/** Multiply leg prices together, e.g. ETHUSDT * (1 / EURUSDT) = ETH priced in EUR. */
+export function combineLegPrices(legs, prices) {
+  return legs.reduce((acc, leg, idx) => acc * legFactor(leg, prices[idx]), 1);
+}
+
+// Binance kline fields: [openTime, open, high, low, close, volume, closeTime, quoteVolume, trades, ...]
+function legCandle(leg, k) {
+  const [open, high, low, close] = [1, 2, 3, 4].map((idx) => Number(k[idx]));
+  if (!leg.invert) {
+    return { open, high, low, close, volume: Number(k[5]), output: Number(k[7]) };
+  }
+  // Flipping the market swaps which extreme is the high and which side carries the volume.
+  return {
+    open: 1 / open,
+    high: 1 / low,
+    low: 1 / high,
+    close: 1 / close,
+    volume: Number(k[7]),
+    output: Number(k[5]),
+  };
+}
+
+/**
+ * Combine kline series from each leg into OHLCV candles, aligned on open time.
+ * Buckets missing from any leg are dropped rather than interpolated. For cross routes the
+ * high/low are the product of each leg's extremes, so they bound the true range rather than match it.
+ */
+export function combineLegCandles(legs, klineSets) {
+  const [primary, ...rest] = klineSets;
+  const lookups = rest.map((klines) => new Map(klines.map((k) => [k[0], k])));
+
+  return primary.reduce((candles, k) => {
+    const matched = lookups.map((lookup) => lookup.get(k[0]));
+    if (matched.some((m) => !m)) return candles;
+    const [first, ...others] = [k, ...matched].map((raw, idx) => legCandle(legs[idx], raw));
+    const candle = others.reduce(
+      (acc, leg) => ({
+        ...acc,
+        open: acc.open * leg.open,
+        high: acc.high * leg.high,
+        low: acc.low * leg.low,
+        close: acc.close * leg.close,
+        quoteVolume: acc.quoteVolume * leg.close,
+      }),
+      {
+        t: k[0],
+        open: first.open,
+        high: first.high,
+        low: first.low,
+        close: first.close,
+        volume: first.volume,
+        quoteVolume: first.output,
+        trades: Number(k[8] || 0),
+      },
+    );
+    candles.push(candle);
+    return candles;
+  }, []);
+}
+
+/** Close-price points, aligned on open time, for the area chart. */
+export function combineLegKlines(legs, klineSets) {
+  return combineLegCandles(legs, klineSets).map((candle) => ({ t: candle.t, price: candle.close }));
+}
+
+/** Synthetic candles for demo or fallback point series, where only one price per bucket is known. */
+export function pointsToCandles(points) {
+  return points.map((point, idx) => {
+    const open = idx ? points[idx - 1].price : point.price;
+    return {
+      t: point.t,
+      open,
+      high: Math.max(open, point.price),
+      low: Math.min(open, point.price),
+      close: point.price,
+      volume: null,
+      quoteVolume: null,
+      trades: null,
+    };
+  });
+}
+
+/** Add absolute and percent change to rolling-window stats that carry an open and a last price. */
+export function withChange(stats) {
+  const change = stats.last - stats.open;
+  return { ...stats, change, changePct: stats.open ? (change / stats.open) * 100 : null };
+}
+
+// Binance 24hr ticker fields, oriented like legCandle.
+function legTicker(leg, row) {
+  const [open, high, low, last, weightedAvgPrice] = [
+    row.openPrice,
+    row.highPrice,
+    row.lowPrice,
+    row.lastPrice,
+    row.weightedAvgPrice,
+  ].map(Number);
+  if (!leg.invert) {
+    return {
+      open,
+      high,
+      low,
+      last,
+      weightedAvgPrice,
+      volume: Number(row.volume),
+      output: Number(row.quoteVolume),
+    };
+  }
+  return {
+    open: 1 / open,
+    high: 1 / low,
+    low: 1 / high,
+    last: 1 / last,
+    weightedAvgPrice: 1 / weightedAvgPrice,
+    volume: Number(row.quoteVolume),
+    output: Number(row.volume),
+  };
+}
+
+/**
+ * Combine each leg's rolling 24h ticker into stats for the requested pair. As with candles, a
+ * cross route's high/low bound the true range, and its weighted average and quote volume are
+ * converted at the other legs' weighted averages, so they are approximations.
+ */
+export function combineLegTickers(legs, rows) {
+  const [first, ...others] = rows.map((row, idx) => legTicker(legs[idx], row));
+  const combined = others.reduce(
+    (acc, leg) => ({
+      ...acc,
+      open: acc.open * leg.open,
+      high: acc.high * leg.high,
+      low: acc.low * leg.low,
+      last: acc.last * leg.last,
+      weightedAvgPrice: acc.weightedAvgPrice * leg.weightedAvgPrice,
+      quoteVolume: acc.quoteVolume * leg.weightedAvgPrice,
+    }),
+    {
+      open: first.open,
+      high: first.high,
+      low: first.low,
+      last: first.last,
+      weightedAvgPrice: first.weightedAvgPrice,
+      volume: first.volume,
+      quoteVolume: first.output,
+    },
+  );
+  return withChange(combined);
+}
+
+/**
+ * View an order book from the other side of the market. A bid for BASE at `price` is an offer of
+ * QUOTE at 1/price, so bids become asks (and vice versa) with quantities converted to QUOTE units.
+ * Levels are [price, quantity] pairs, bids best (highest) first and asks best (lowest) first.
+ */
+export function invertBook({ bids, asks }) {
+  const flip = ([price, quantity]) => [1 / price, quantity * price];
+  return { bids: asks.map(flip), asks: bids.map(flip) };
+}
+
+/** Trades seen from the other side of the market: buying BASE is selling QUOTE. */
+export function invertTrades(trades) {
+  return trades.map((trade) => ({
+    ...trade,
+    price: 1 / trade.price,
+    quantity: trade.quantity * trade.price,
+    side: trade.side === 'buy' ? 'sell' : 'buy',
+  }));
+}
@@ -0,0 +1,20 @@
+/**
+ * Maps wall-clock time onto a recording. The playhead starts at the first recorded moment when
+ * the clock is created, advances `speed` times faster than real time and loops at the end.
+ * `shift` is what to add to a recorded timestamp so data at the playhead reads as "now".
+ */
+export function createReplayClock({ start, end, speed = 1, now = Date.now }) {
+  if (!(speed > 0)) {
+    throw new Error(`Replay speed must be a positive number, got ${speed}`);
+  }
+  const startedAt = now();
+  const span = end - start + 1;
+
+  function read(at = now()) {
+    const elapsed = (at - startedAt) * speed;
+    const position = start + (elapsed % span);
+    return { now: at, position, shift: at - position, loop: Math.floor(elapsed / span) };
+  }
+
+  return { start, end, speed, read };
+}
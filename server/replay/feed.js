@@ -0,0 +1,24 @@
+/**
+ * Ticker feed that plays a pair's recorded ticks back on the replay clock, with the same
+ * handlers as binanceTickerFeed. Each poll emits the latest tick the playhead has passed, so at
+ * high speeds prices jump ahead instead of flooding subscribers with every recorded tick.
+ */
+export function replayTickerFeed(pair, { ticks, clock, onOpen, onTick, intervalMs = 250 }) {
+  let cursor = clock.read().position;
+  // The tick the playhead passed most recently; after it wraps around, only ticks since the loop count.
+  const latestBetween = (from, to) => ticks.findLast((tick) => tick.t <= to && (from > to || tick.t > from));
+
+  queueMicrotask(() => {
+    onOpen();
+    const opening = ticks.findLast((tick) => tick.t <= cursor) ?? ticks[0];
+    if (opening) onTick({ price: opening.price, t: opening.t + clock.read().shift });
+  });
+
+  const timer = setInterval(() => {
+    const { position, shift } = clock.read();
+    const tick = latestBetween(cursor, position);
+    cursor = position;
+    if (tick) onTick({ price: tick.price, t: tick.t + shift });
+  }, intervalMs);
+  return { close: () => clearInterval(timer) };
+}
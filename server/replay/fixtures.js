@@ -0,0 +1,132 @@
+import fs from 'fs';
+import path from 'path';
+
+// Fixture layout under FIXTURES_DIR:
+//   markets.json   the symbol catalog as last loaded from exchange info
+//   calls.ndjson   one provider answer per line: { op, params, provider, result, recordedAt }
+//   ticks.ndjson   one stream tick per line: { pair, price, t }
+const MARKETS_FILE = 'markets.json';
+const CALLS_FILE = 'calls.ndjson';
+const TICKS_FILE = 'ticks.ndjson';
+
+// Only the parameters that select the data are recorded; ranges and limits are applied at replay.
+const KEY_PARAMS = ['symbol', 'currency', 'interval'];
+
+function pickParams(params) {
+  return Object.fromEntries(
+    KEY_PARAMS.filter((name) => params[name] !== undefined).map((name) => [name, params[name]]),
+  );
+}
+
+/** Lookup key for a recorded call, e.g. `getCandles:BTC:USD:1H`. */
+export function fixtureKey(op, params) {
+  return [op, ...Object.values(pickParams(params)).map((value) => String(value).toUpperCase())].join(':');
+}
+
+function readLines(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return raw
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * Appends what upstream answered to fixture files as it happens (REPLAY_MODE=record).
+ * Writes are synchronous appends so lines from concurrent requests never interleave.
+ */
+export function createFixtureRecorder({ dir, now = Date.now, logger = console }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  function append(file, entry) {
+    try {
+      fs.appendFileSync(path.join(dir, file), `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      logger.warn?.(`Failed to record fixture to ${file}: ${error.message}`);
+    }
+  }
+
+  /** One registry result; batched quotes are split into per-symbol getPrice entries. */
+  function call(op, params, outcome) {
+    const { attempts: _attempts, provider, ...result } = outcome;
+    const recordedAt = now();
+    if (op === 'getPrices') {
+      Object.entries(result.quotes).forEach(([symbol, quote]) => {
+        append(CALLS_FILE, {
+          op: 'getPrice',
+          params: { symbol, currency: params.currency },
+          provider,
+          result: quote,
+          recordedAt,
+        });
+      });
+      return;
+    }
+    append(CALLS_FILE, { op, params: pickParams(params), provider, result, recordedAt });
+  }
+
+  function tick(pair, { price, t }) {
+    append(TICKS_FILE, { pair, price, t });
+  }
+
+  function markets(list) {
+    const file = path.join(dir, MARKETS_FILE);
+    const tmp = `${file}.tmp`;
+    try {
+      fs.writeFileSync(tmp, JSON.stringify(list, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (error) {
+      logger.warn?.(`Failed to record markets fixture: ${error.message}`);
+    }
+  }
+
+  return { dir, call, tick, markets };
+}
+
+/**
+ * Read a recorded fixture set into memory. `calls` maps fixtureKey() to entries in recording
+ * order, `ticks` maps a pair to its ticks by time, and `start`/`end` bound everything recorded.
+ */
+export function loadFixtures(dir) {
+  const calls = new Map();
+  readLines(path.join(dir, CALLS_FILE)).forEach((entry) => {
+    const key = fixtureKey(entry.op, entry.params);
+    if (!calls.has(key)) calls.set(key, []);
+    calls.get(key).push(entry);
+  });
+  calls.forEach((entries) => entries.sort((a, b) => a.recordedAt - b.recordedAt));
+
+  const ticks = new Map();
+  readLines(path.join(dir, TICKS_FILE)).forEach(({ pair, price, t }) => {
+    if (!ticks.has(pair)) ticks.set(pair, []);
+    ticks.get(pair).push({ price, t });
+  });
+  ticks.forEach((list) => list.sort((a, b) => a.t - b.t));
+
+  let markets = null;
+  try {
+    markets = JSON.parse(fs.readFileSync(path.join(dir, MARKETS_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  let start = Infinity;
+  let end = -Infinity;
+  const span = (t) => {
+    start = Math.min(start, t);
+    end = Math.max(end, t);
+  };
+  calls.forEach((entries) => entries.forEach((entry) => span(entry.recordedAt)));
+  ticks.forEach((list) => list.forEach((tick) => span(tick.t)));
+  if (start === Infinity) {
+    throw new Error(`No fixtures found in ${dir}; capture some with REPLAY_MODE=record first`);
+  }
+
+  return { dir, calls, ticks, markets, start, end };
+}
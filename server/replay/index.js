@@ -0,0 +1,45 @@
+export { createReplayClock } from './clock.js';
+export { replayTickerFeed } from './feed.js';
+export { createFixtureRecorder, fixtureKey, loadFixtures } from './fixtures.js';
+export { createReplayProvider } from './provider.js';
+
+// off: talk to upstream as usual; record: also write what upstream says to fixtures;
+// replay: answer from fixtures only, with no network access.
+export const REPLAY_MODES = ['off', 'record', 'replay'];
+
+/** Registry whose successful `execute` results are also written to the recorder. */
+export function recordingRegistry(registry, recorder) {
+  return {
+    ...registry,
+    async execute(operation, params) {
+      const result = await registry.execute(operation, params);
+      recorder.call(operation, params, result);
+      return result;
+    },
+  };
+}
+
+/** Wrap a price-stream `createFeed` so every tick it delivers is recorded per pair. */
+export function recordingFeed(createFeed, recorder) {
+  return (pair, handlers) =>
+    createFeed(pair, {
+      ...handlers,
+      onTick: (tick) => {
+        recorder.tick(pair, tick);
+        handlers.onTick(tick);
+      },
+    });
+}
+
+/**
+ * Candle store that keeps nothing, for record and replay modes: recording needs every history
+ * request to reach upstream, and replayed candles move with the clock, so neither may be stored.
+ */
+export function createTransientCandleStore() {
+  return {
+    range: () => [],
+    upsert: () => 0,
+    coverage: (key) => ({ key, count: 0, first: null, last: null, gaps: [] }),
+    keys: () => [],
+  };
+}
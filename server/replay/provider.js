@@ -0,0 +1,127 @@
+import { REPLAY_PROVIDER } from '../freshness.js';
+import { INTERVALS } from '../klines.js';
+import { UnsupportedByProviderError } from '../providers/errors.js';
+import { fixtureKey } from './fixtures.js';
+
+// Latest entry recorded at or before the playhead; before the first entry, the first entry.
+function entryAt(entries, position) {
+  let found = entries[0];
+  for (const entry of entries) {
+    if (entry.recordedAt > position) break;
+    found = entry;
+  }
+  return found;
+}
+
+/**
+ * Market-data adapter that answers from recorded fixtures instead of an exchange
+ * (REPLAY_MODE=replay). Each call returns what upstream said at the clock's playhead, with
+ * timestamps shifted to the present; pairs that were never recorded are reported unsupported.
+ */
+export function createReplayProvider({ fixtures, clock }) {
+  const id = REPLAY_PROVIDER;
+  // Every recorded candle per series, later recordings replacing earlier copies of a bucket.
+  const candleSeries = new Map();
+
+  function recorded(op, params) {
+    const entries = fixtures.calls.get(fixtureKey(op, params));
+    if (!entries?.length) {
+      const what = [params.symbol, params.currency, params.interval].filter(Boolean).join(' ');
+      throw new UnsupportedByProviderError(id, `no ${op} fixture recorded for ${what}`);
+    }
+    return entries;
+  }
+
+  function current(op, params) {
+    const { position, shift } = clock.read();
+    const entry = entryAt(recorded(op, params), position);
+    return { result: entry.result, shift, source: `replay:${entry.provider}` };
+  }
+
+  async function getPrice(params) {
+    const { result, shift, source } = current('getPrice', params);
+    return { ...result, timestamp: result.timestamp + shift, source };
+  }
+
+  /** Symbols that were never recorded are left out, as a batch ticker leaves out unknown markets. */
+  async function getPrices({ symbols, currency }) {
+    const quotes = {};
+    symbols.forEach((symbol) => {
+      if (!fixtures.calls.has(fixtureKey('getPrice', { symbol, currency }))) return;
+      const { result, shift, source } = current('getPrice', { symbol, currency });
+      quotes[symbol] = { ...result, timestamp: result.timestamp + shift, source };
+    });
+    return { quotes };
+  }
+
+  async function getTicker24h(params) {
+    const { result, shift, source } = current('getTicker24h', params);
+    return {
+      ...result,
+      openTime: result.openTime + shift,
+      closeTime: result.closeTime + shift,
+      timestamp: result.timestamp + shift,
+      source,
+    };
+  }
+
+  /**
+   * Candles up to the playhead, moved forward by whole buckets so they stay aligned to the
+   * interval. Recordings of the same series are merged, so overlapping history pulls add up.
+   */
+  async function getCandles({ symbol, currency, interval, startTime, endTime, maxPoints }) {
+    const params = { symbol, currency, interval };
+    const key = fixtureKey('getCandles', params);
+    const entries = recorded('getCandles', params);
+    if (!candleSeries.has(key)) {
+      const byTime = new Map();
+      entries.forEach((entry) => entry.result.candles.forEach((candle) => byTime.set(candle.t, candle)));
+      candleSeries.set(key, [...byTime.values()].sort((a, b) => a.t - b.t));
+    }
+
+    const { position, shift } = clock.read();
+    const stepMs = INTERVALS[interval];
+    const offset = Math.floor(shift / stepMs) * stepMs;
+    const candles = candleSeries
+      .get(key)
+      .filter((candle) => candle.t <= position)
+      .map((candle) => ({ ...candle, t: candle.t + offset }))
+      .filter((candle) => candle.t >= startTime && candle.t <= endTime);
+    const latest = entries[entries.length - 1];
+    return {
+      candles: candles.slice(0, maxPoints),
+      interval,
+      route: latest.result.route,
+      legs: latest.result.legs,
+      pages: 0,
+      truncated: candles.length > maxPoints,
+      source: `replay:${latest.provider}`,
+    };
+  }
+
+  async function getDepth({ symbol, currency, limit }) {
+    const { result, shift, source } = current('getDepth', { symbol, currency });
+    return {
+      ...result,
+      bids: result.bids.slice(0, limit),
+      asks: result.asks.slice(0, limit),
+      timestamp: result.timestamp + shift,
+      source,
+    };
+  }
+
+  async function getTrades({ symbol, currency, limit }) {
+    const { result, shift, source } = current('getTrades', { symbol, currency });
+    return {
+      ...result,
+      trades: result.trades.slice(0, limit).map((trade) => ({ ...trade, time: trade.time + shift })),
+      timestamp: result.timestamp + shift,
+      source,
+    };
+  }
+
+  // Fixtures are always reachable.
+  async function ping() {}
+
+  return { id, getPrice, getPrices, getTicker24h, getCandles, getDepth, getTrades, ping };
+}
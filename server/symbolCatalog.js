@@ -0,0 +1,177 @@
+import axios from 'axios';
+import { BRIDGE_ASSET } from './quotes.js';
+
+// Used until the first exchange-info load succeeds so the proxy keeps serving the core pairs.
+const SEED_MARKETS = [
+  { pair: 'BTCUSDT', baseAsset: 'BTC', quoteAsset: 'USDT' },
+  { pair: 'ETHUSDT', baseAsset: 'ETH', quoteAsset: 'USDT' },
+  { pair: 'SOLUSDT', baseAsset: 'SOL', quoteAsset: 'USDT' },
+  { pair: 'ASTRUSDT', baseAsset: 'ASTER', quoteAsset: 'USDT' },
+].map((market) => ({
+  ...market,
+  status: 'TRADING',
+  baseAssetPrecision: 8,
+  quotePrecision: 8,
+  tickSize: null,
+  stepSize: null,
+}));
+
+// Fiat-style codes the dashboard uses that Binance lists under a stablecoin.
+const QUOTE_ALIASES = {
+  USD: 'USDT',
+};
+
+function findFilter(filters, type) {
+  return (filters || []).find((filter) => filter.filterType === type) || {};
+}
+
+function toMarket(raw) {
+  const priceFilter = findFilter(raw.filters, 'PRICE_FILTER');
+  const lotSize = findFilter(raw.filters, 'LOT_SIZE');
+  return {
+    pair: raw.symbol,
+    baseAsset: raw.baseAsset,
+    quoteAsset: raw.quoteAsset,
+    status: raw.status,
+    baseAssetPrecision: raw.baseAssetPrecision,
+    quotePrecision: raw.quoteAssetPrecision ?? raw.quotePrecision,
+    tickSize: priceFilter.tickSize ? Number(priceFilter.tickSize) : null,
+    stepSize: lotSize.stepSize ? Number(lotSize.stepSize) : null,
+  };
+}
+
+export function normalizeQuote(currency) {
+  const code = String(currency || 'USD').toUpperCase();
+  return QUOTE_ALIASES[code] || code;
+}
+
+/**
+ * Tradable-symbol catalog loaded from the provider's exchange-info endpoint.
+ * Falls back to SEED_MARKETS until a refresh succeeds, then re-polls every `refreshMs`.
+ * `markets` fixes the list instead (replayed fixtures); `onRefresh(list)` sees every loaded list.
+ */
+export function createSymbolCatalog({
+  url,
+  refreshMs,
+  headers,
+  http = axios,
+  markets: fixedMarkets = null,
+  onRefresh,
+  logger = console,
+}) {
+  let markets = new Map();
+  let byAssets = new Map();
+  let updatedAt = null;
+  let source = fixedMarkets ? 'fixtures' : 'seed';
+  let timer = null;
+
+  function index(list) {
+    const next = new Map();
+    const assets = new Map();
+    list.forEach((market) => {
+      next.set(market.pair, market);
+      assets.set(`${market.baseAsset}/${market.quoteAsset}`, market);
+    });
+    markets = next;
+    byAssets = assets;
+  }
+
+  index(fixedMarkets || SEED_MARKETS);
+
+  async function refresh() {
+    try {
+      // exchangeInfo costs 20 request weight on Binance.
+      const { data } = await http.get(url, { headers, timeout: 10_000 }, { weight: 20 });
+      const list = (data?.symbols || []).map(toMarket);
+      if (!list.length) {
+        throw new Error('Exchange info returned no symbols');
+      }
+      index(list);
+      updatedAt = Date.now();
+      source = url;
+      onRefresh?.(list);
+    } catch (error) {
+      logger.warn?.(`Symbol catalog refresh failed: ${error.message}`);
+    }
+    return markets.size;
+  }
+
+  /** Begin periodic refreshes; resolves once the first one has settled. */
+  function start() {
+    if (timer || fixedMarkets) return Promise.resolve(markets.size);
+    const first = refresh();
+    timer = setInterval(refresh, refreshMs);
+    timer.unref?.();
+    return first;
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  /** Find the trading market for a base asset / quote currency, e.g. ('BTC', 'USD') -> BTCUSDT. */
+  function resolve(symbol, currency) {
+    const baseAsset = String(symbol || '').toUpperCase();
+    const quoteAsset = normalizeQuote(currency);
+    const market = byAssets.get(`${baseAsset}/${quoteAsset}`);
+    return market?.status === 'TRADING' ? market : null;
+  }
+
+  /**
+   * Work out which markets price `symbol` in `currency`: a direct market, the inverse market,
+   * or a cross through BRIDGE_ASSET (e.g. ETH/EUR = ETHUSDT / EURUSDT). Returns null when no route exists.
+   */
+  function route(symbol, currency) {
+    const baseAsset = String(symbol || '').toUpperCase();
+    const quoteAsset = normalizeQuote(currency);
+    if (!baseAsset || baseAsset === quoteAsset) return null;
+
+    const direct = resolve(baseAsset, quoteAsset);
+    if (direct) {
+      return { type: 'direct', baseAsset, quoteAsset, legs: [{ pair: direct.pair, invert: false }] };
+    }
+    const inverse = resolve(quoteAsset, baseAsset);
+    if (inverse) {
+      return { type: 'inverse', baseAsset, quoteAsset, legs: [{ pair: inverse.pair, invert: true }] };
+    }
+
+    const legTo = (from, to) => {
+      const market = resolve(from, to);
+      if (market) return { pair: market.pair, invert: false };
+      const flipped = resolve(to, from);
+      return flipped ? { pair: flipped.pair, invert: true } : null;
+    };
+    const baseLeg = legTo(baseAsset, BRIDGE_ASSET);
+    const quoteLeg = legTo(BRIDGE_ASSET, quoteAsset);
+    if (!baseLeg || !quoteLeg) return null;
+
+    return { type: 'cross', baseAsset, quoteAsset, legs: [baseLeg, quoteLeg] };
+  }
+
+  function list({ search, quote, status } = {}) {
+    const term = search ? String(search).toUpperCase() : null;
+    const quoteAsset = quote ? normalizeQuote(quote) : null;
+    return [...markets.values()].filter((market) => {
+      if (quoteAsset && market.quoteAsset !== quoteAsset) return false;
+      if (status && market.status !== String(status).toUpperCase()) return false;
+      if (term && !market.pair.includes(term) && !market.baseAsset.includes(term)) return false;
+      return true;
+    });
+  }
+
+  return {
+    start,
+    stop,
+    refresh,
+    resolve,
+    route,
+    list,
+    get updatedAt() {
+      return updatedAt;
+    },
+    get source() {
+      return source;
+    },
+  };
+}
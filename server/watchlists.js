@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { problemDetails } from './problem.js';
+
+/** Error carrying the HTTP status a watchlist route should respond with. */
+export class WatchlistError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'WatchlistError';
+    this.status = status;
+  }
+
+  toJSON() {
+    return problemDetails(this.status, { detail: this.message });
+  }
+}
+
+const MAX_SYMBOLS = 50;
+// Written on first start so the dashboard has something to show.
+const SEED_WATCHLIST = { name: 'Majors', currency: 'USD', symbols: ['BTC', 'ETH', 'SOL'] };
+
+/**
+ * Named, ordered watchlists persisted to one JSON file. List order is the array order; each
+ * list's `symbols` order is the card order, so reordering is just saving a new array.
+ */
+export function createWatchlistStore({ filePath, catalog, logger = console }) {
+  let watchlists = [];
+
+  function persist() {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ watchlists }));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      logger.warn?.(`Watchlist store ${filePath} not saved: ${error.message}`);
+    }
+  }
+
+  function find(id) {
+    const watchlist = watchlists.find((item) => item.id === id);
+    if (!watchlist) throw new WatchlistError(404, `Watchlist ${id} not found`);
+    return watchlist;
+  }
+
+  function normalize(input, existing) {
+    if (!input || typeof input !== 'object') {
+      throw new WatchlistError(400, 'Request body must be a JSON object');
+    }
+    const name = String(input.name ?? existing?.name ?? '').trim();
+    if (!name) throw new WatchlistError(400, 'name is required');
+    const currency = String(input.currency ?? existing?.currency ?? 'USD').toUpperCase();
+    const rawSymbols = input.symbols ?? existing?.symbols ?? [];
+    if (!Array.isArray(rawSymbols)) throw new WatchlistError(400, 'symbols must be an array');
+    const symbols = [...new Set(rawSymbols.map((symbol) => String(symbol).trim().toUpperCase()))].filter(Boolean);
+    if (symbols.length > MAX_SYMBOLS) {
+      throw new WatchlistError(400, `A watchlist holds at most ${MAX_SYMBOLS} symbols`);
+    }
+    const unsupported = symbols.filter((symbol) => !catalog.route(symbol, currency));
+    if (unsupported.length) {
+      throw new WatchlistError(400, `Unsupported for ${currency}: ${unsupported.join(', ')}`);
+    }
+    const now = Date.now();
+    return {
+      id: existing?.id ?? crypto.randomUUID(),
+      name: name.slice(0, 100),
+      currency,
+      symbols,
+      createdAt: existing?.createdAt ?? now,
+      updatedAt: now,
+    };
+  }
+
+  try {
+    watchlists = JSON.parse(fs.readFileSync(filePath, 'utf8')).watchlists || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      // A replayed catalog may lack some of the seed markets; seed whatever it has.
+      const { currency, symbols } = SEED_WATCHLIST;
+      watchlists = [
+        normalize({ ...SEED_WATCHLIST, symbols: symbols.filter((symbol) => catalog.route(symbol, currency)) }),
+      ];
+      persist();
+    } else {
+      logger.warn?.(`Watchlist store ${filePath} unreadable: ${error.message}`);
+    }
+  }
+
+  return {
+    list: () => [...watchlists],
+    get: (id) => find(id),
+    create(input) {
+      const watchlist = normalize(input);
+      watchlists.push(watchlist);
+      persist();
+      return watchlist;
+    },
+    update(id, input) {
+      const updated = normalize(input, find(id));
+      watchlists = watchlists.map((item) => (item.id === id ? updated : item));
+      persist();
+      return updated;
+    },
+    remove(id) {
+      find(id);
+      watchlists = watchlists.filter((item) => item.id !== id);
+      persist();
+    },
+    /** Reorder lists; `ids` must name every watchlist exactly once. */
+    reorder(ids) {
+      const known = new Set(watchlists.map((item) => item.id));
+      if (!Array.isArray(ids) || ids.length !== known.size || !ids.every((id) => known.delete(id))) {
+        throw new WatchlistError(400, 'ids must list every watchlist id exactly once');
+      }
+      watchlists = ids.map((id) => find(id));
+      persist();
+      return [...watchlists];
+    },
+  };
+}
@@ -1,69 +1,184 @@
-import { useEffect, useMemo, useState } from 'react';
+import { useCallback, useEffect, useMemo, useState } from 'react';
 import axios from 'axios';
 import {
   Area,
-  AreaChart,
   CartesianGrid,
+  ComposedChart,
   ResponsiveContainer,
   Tooltip,
   XAxis,
   YAxis,
 } from 'recharts';
+import { withApiKey } from './apiKey.js';
+import CandlestickChart from './components/CandlestickChart.jsx';
+import FreshnessBadge from './components/FreshnessBadge.jsx';
+import TelemetryCard from './components/TelemetryCard.jsx';
+import { isDegraded, isReplay } from './components/freshness.js';
+import MarketDepthPanel from './components/MarketDepthPanel.jsx';
+import OscillatorPanel from './components/OscillatorPanel.jsx';
+import PortfolioPanel from './components/PortfolioPanel.jsx';
+import WatchlistPanel from './components/WatchlistPanel.jsx';
+import {
+  INDICATOR_PRESETS,
+  indicatorsByTime,
+  renderOverlayLines,
+} from './components/indicators.jsx';
+import { readLocation, useLocationState } from './hooks/useLocationState.js';
+import { usePriceStream } from './hooks/usePriceStream.js';
+import { useRuntimeConfig } from './hooks/useRuntimeConfig.js';
 
-const PAIRS = [
+// Shown until /symbols responds (or if the catalog is unreachable).
+const DEFAULT_PAIRS = [
   { symbol: 'BTC', currency: 'USD' },
   { symbol: 'ETH', currency: 'USD' },
   { symbol: 'SOL', currency: 'USD' },
   { symbol: 'ASTER', currency: 'USD' },
 ];
 
-function resolveApiBase() {
-  // Prefer explicit env override; otherwise use same-origin in production, render fallback locally.
-  if (import.meta.env.VITE_API_BASE) return import.meta.env.VITE_API_BASE;
+// VITE_API_BASE points the dashboard at a separately hosted API; otherwise it talks to its own
+// origin (the Express server in production, Vite's dev proxy locally).
+const API_BASE = import.meta.env.VITE_API_BASE || '';
 
-  if (typeof window !== 'undefined') {
-    const { origin, hostname } = window.location;
-    const isLocal = hostname === 'localhost' || hostname === '127.0.0.1';
-    if (!isLocal) return origin;
-  }
+// Until /config says otherwise.
+const EXPORT_FORMATS = ['csv', 'ndjson', 'parquet'];
 
-  return 'https://market-data-node.onrender.com';
+const CONNECTION_TONES = {
+  ok: {
+    pill: 'bg-emerald-500/10 text-emerald-200 ring-1 ring-emerald-400/30',
+    dot: 'bg-emerald-400 shadow-[0_0_10px_rgba(74,222,128,0.75)]',
+  },
+  warn: {
+    pill: 'bg-amber-500/10 text-amber-200 ring-1 ring-amber-400/30',
+    dot: 'bg-amber-400 shadow-[0_0_10px_rgba(251,191,36,0.7)]',
+  },
+  error: {
+    pill: 'bg-red-500/10 text-red-200 ring-1 ring-red-400/30',
+    dot: 'bg-red-400 shadow-[0_0_10px_rgba(248,113,113,0.7)]',
+  },
+};
+
+// Chart windows; each maps to a /history range (days) and candle interval.
+const TIMEFRAMES = [
+  { label: '4H', days: 1 / 6, interval: '5m', stepMs: 5 * 60_000 },
+  { label: '1D', days: 1, interval: '1h', stepMs: 60 * 60_000 },
+  { label: '1W', days: 7, interval: '4h', stepMs: 4 * 60 * 60_000 },
+  { label: '1M', days: 30, interval: '1d', stepMs: 24 * 60 * 60_000 },
+  { label: '1Y', days: 365, interval: '1w', stepMs: 7 * 24 * 60 * 60_000 },
+];
+
+function formatTimeLabel(t, days) {
+  return days > 1
+    ? new Date(t).toLocaleDateString([], { month: 'short', day: 'numeric' })
+    : new Date(t).toLocaleTimeString([], {
+        hour: '2-digit',
+        minute: '2-digit',
+      });
 }
 
-const API_BASE = resolveApiBase();
+// Fold a live tick into a bucketed series: extend the current bucket or open a new one.
+function appendTick(series, tick, stepMs, days, toBucket) {
+  const last = series[series.length - 1];
+  if (!last || tick.timestamp < last.t) return series;
+  if (tick.timestamp < last.t + stepMs) {
+    return [...series.slice(0, -1), toBucket(last, tick)];
+  }
+  const t = last.t + Math.floor((tick.timestamp - last.t) / stepMs) * stepMs;
+  return [...series.slice(1), toBucket(null, { ...tick, timestamp: t }, formatTimeLabel(t, days))];
+}
+
+// Quote currencies offered in the dashboard; the server resolves direct or USDT-cross markets.
+const QUOTES = ['USD', 'EUR', 'GBP', 'USDC', 'BTC', 'ETH'];
+const FIAT_CURRENCIES = new Set(['USD', 'EUR', 'GBP', 'TRY', 'BRL', 'JPY', 'AUD']);
 
+// Intl only knows ISO fiat codes; crypto quotes are rendered as "0.05321 BTC".
 function formatCurrency(value, currency) {
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency,
-    maximumFractionDigits: 2,
-  }).format(value);
+  const small = Math.abs(value) < 1;
+  if (FIAT_CURRENCIES.has(currency)) {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency,
+      ...(small ? { maximumSignificantDigits: 4 } : { maximumFractionDigits: 2 }),
+    }).format(value);
+  }
+  const digits =
+    currency.startsWith('USD') && !small
+      ? { maximumFractionDigits: 2 }
+      : { maximumSignificantDigits: 6 };
+  return `${new Intl.NumberFormat('en-US', digits).format(value)} ${currency}`;
 }
 
-function formatCompactUsd(value) {
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD',
-    notation: 'compact',
-    maximumFractionDigits: 2,
-  }).format(value);
+function formatCompact(value, currency) {
+  const compact = { notation: 'compact', maximumFractionDigits: 2 };
+  if (FIAT_CURRENCIES.has(currency)) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency, ...compact }).format(value);
+  }
+  return `${new Intl.NumberFormat('en-US', compact).format(value)} ${currency}`;
 }
 
+const INITIAL_LOCATION = readLocation();
+
 function App() {
-  const [selectedPair, setSelectedPair] = useState(PAIRS[0]);
+  const [pairs, setPairs] = useState(DEFAULT_PAIRS);
+  const [pairQuery, setPairQuery] = useState('');
+  const [selectedPair, setSelectedPair] = useState(INITIAL_LOCATION.pair || DEFAULT_PAIRS[0]);
+  const [watchlistId, setWatchlistId] = useState(INITIAL_LOCATION.watchlistId);
   const [status, setStatus] = useState('idle'); // idle | loading | success | error
   const [priceData, setPriceData] = useState(null);
   const [error, setError] = useState(null);
   const [priceHistory, setPriceHistory] = useState([]);
-  const [volume24h, setVolume24h] = useState(null);
+  const [candles, setCandles] = useState([]);
+  const [chartView, setChartView] = useState('area'); // area | candles
+  const [timeframe, setTimeframe] = useState(TIMEFRAMES[1]);
+  const [indicatorKeys, setIndicatorKeys] = useState([]);
+  const [ticker24h, setTicker24h] = useState(null);
   const [historyLoading, setHistoryLoading] = useState(false);
   const [historyError, setHistoryError] = useState(null);
+  const [historyMeta, setHistoryMeta] = useState(null);
+  // Interval the server echoed for the chart, so downloads ask for exactly the same candles.
+  const [historyInterval, setHistoryInterval] = useState(null);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const runtimeConfig = useRuntimeConfig(API_BASE);
+  const exportFormats = runtimeConfig?.export?.formats ?? EXPORT_FORMATS;
+
+  useLocationState({ watchlistId, pair: selectedPair }, (location) => {
+    setWatchlistId(location.watchlistId);
+    if (location.pair) setSelectedPair(location.pair);
+  });
 
   const pairLabel = useMemo(
     () => `${selectedPair.symbol} / ${selectedPair.currency}`,
     [selectedPair],
   );
 
+  const visiblePairs = useMemo(() => {
+    const term = pairQuery.trim().toUpperCase();
+    const matches = (term ? pairs.filter((pair) => pair.symbol.includes(term)) : pairs)
+      .filter((pair) => pair.symbol !== selectedPair.currency)
+      .map((pair) => ({ ...pair, currency: selectedPair.currency }));
+    // Keep the active pair selectable even when it doesn't match the search.
+    return matches.some((pair) => pair.symbol === selectedPair.symbol)
+      ? matches
+      : [selectedPair, ...matches];
+  }, [pairs, pairQuery, selectedPair]);
+
+  async function fetchSymbols() {
+    try {
+      const { data } = await axios.get(`${API_BASE}/symbols`, {
+        params: { quote: 'USD', status: 'TRADING' },
+        timeout: 5000,
+      });
+      const list = Array.isArray(data?.symbols) ? data.symbols : [];
+      if (!list.length) return;
+      setPairs(
+        list
+          .map((item) => ({ symbol: item.symbol, currency: 'USD' }))
+          .sort((a, b) => a.symbol.localeCompare(b.symbol)),
+      );
+    } catch {
+      // Keep the default pairs; price/history requests still validate server-side.
+    }
+  }
+
   async function fetchPrice() {
     setStatus('loading');
     setError(null);
@@ -81,11 +196,13 @@ function App() {
         price: data.price,
         timestamp: data.timestamp,
         source: data.source,
+        provider: data.provider,
+        meta: data.meta,
       });
       setStatus('success');
     } catch (err) {
       const message =
-        err.response?.data?.error ||
+        err.response?.data?.detail ||
         err.message ||
         'Unable to fetch price right now.';
       setError(message);
@@ -93,6 +210,22 @@ function App() {
     }
   }
 
+  async function fetchTicker24h() {
+    try {
+      const { data } = await axios.get(`${API_BASE}/ticker/24h`, {
+        params: {
+          symbol: selectedPair.symbol,
+          currency: selectedPair.currency,
+        },
+        timeout: 5000,
+      });
+      setTicker24h(data);
+    } catch {
+      // Stat cards fall back to '--' rather than guessing from chart points.
+      setTicker24h(null);
+    }
+  }
+
   async function fetchHistory() {
     setHistoryLoading(true);
     setHistoryError(null);
@@ -100,8 +233,11 @@ function App() {
       const { data } = await axios.get(`${API_BASE}/history`, {
         params: {
           symbol: selectedPair.symbol,
-          days: 1,
-          interval: 'hourly',
+          currency: selectedPair.currency,
+          days: timeframe.days,
+          interval: timeframe.interval,
+          format: 'ohlcv',
+          indicators: indicatorKeys.length ? indicatorKeys.join(',') : undefined,
         },
         timeout: 5000,
       });
@@ -109,37 +245,109 @@ function App() {
       if (!points.length) {
         throw new Error('History payload missing data points');
       }
+      const indicatorValues = indicatorsByTime(data.indicators);
       const formatted = points.map((pt) => ({
-        time: new Date(pt.t).toLocaleTimeString([], {
-          hour: '2-digit',
-          minute: '2-digit',
-        }),
+        t: pt.t,
+        time: formatTimeLabel(pt.t, timeframe.days),
         price: pt.price,
+        ind: indicatorValues.get(pt.t),
       }));
       setPriceHistory(formatted);
-      setVolume24h(data.volume24h || null);
+      setHistoryInterval(data.interval || timeframe.interval);
+      setHistoryMeta(data.meta ?? null);
+      setCandles(
+        (Array.isArray(data?.candles) ? data.candles : []).map((candle) => ({
+          ...candle,
+          time: formatTimeLabel(candle.t, timeframe.days),
+          ind: indicatorValues.get(candle.t),
+        })),
+      );
     } catch (err) {
       const message =
-        err.response?.data?.error ||
+        err.response?.data?.detail ||
         err.message ||
         'Unable to load history right now.';
       setHistoryError(message);
       // Keep prior history if we have any; otherwise empty.
       if (!priceHistory.length) {
         setPriceHistory([]);
+        setCandles([]);
       }
-      setVolume24h(null);
     } finally {
       setHistoryLoading(false);
     }
   }
 
+  useEffect(() => {
+    fetchSymbols();
+  }, []);
+
   useEffect(() => {
     fetchPrice();
-    fetchHistory();
+    fetchTicker24h();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [selectedPair]);
 
+  const handleLivePrice = useCallback(
+    (tick) => {
+      setPriceData({
+        price: tick.price,
+        timestamp: tick.timestamp,
+        source: tick.source,
+        provider: tick.provider,
+        meta: tick.meta,
+      });
+      setStatus('success');
+      setError(null);
+      const { stepMs, days } = timeframe;
+      setPriceHistory((prev) =>
+        appendTick(prev, tick, stepMs, days, (bucket, next, time) =>
+          bucket
+            ? { ...bucket, price: next.price }
+            : { t: next.timestamp, time, price: next.price },
+        ),
+      );
+      setCandles((prev) =>
+        appendTick(prev, tick, stepMs, days, (bucket, next, time) =>
+          bucket
+            ? {
+                ...bucket,
+                high: Math.max(bucket.high, next.price),
+                low: Math.min(bucket.low, next.price),
+                close: next.price,
+              }
+            : {
+                t: next.timestamp,
+                time,
+                open: next.price,
+                high: next.price,
+                low: next.price,
+                close: next.price,
+                volume: null,
+              },
+        ),
+      );
+    },
+    [timeframe],
+  );
+
+  const streamStatus = usePriceStream(API_BASE, selectedPair, handleLivePrice);
+
+  useEffect(() => {
+    fetchHistory();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedPair, timeframe, indicatorKeys]);
+
+  function toggleIndicator(key) {
+    setIndicatorKeys((prev) =>
+      prev.includes(key) ? prev.filter((item) => item !== key) : [...prev, key],
+    );
+  }
+
+  const oscillatorKeys = indicatorKeys.filter(
+    (key) => INDICATOR_PRESETS.find((preset) => preset.key === key)?.pane === 'oscillator',
+  );
+
   const lastUpdated = priceData?.timestamp
     ? new Date(priceData.timestamp).toLocaleTimeString()
     : '--';
@@ -150,28 +358,46 @@ function App() {
     return { min: Math.min(...prices), max: Math.max(...prices) };
   }, [priceHistory]);
 
+  // Headline and stat cards come from the provider's rolling 24h ticker, not the chart window.
   const stats = useMemo(() => {
-    if (!priceHistory.length) {
-      return {
-        current: priceData?.price || null,
-        changePct: null,
-        high: null,
-        low: null,
-      };
-    }
-    const prices = priceHistory.map((p) => p.price);
-    const first = prices[0];
-    const last = prices[prices.length - 1];
-    const high = Math.max(...prices);
-    const low = Math.min(...prices);
-    const changePct = first ? ((last - first) / first) * 100 : null;
+    const current = priceData?.price ?? ticker24h?.last ?? null;
+    const open = ticker24h?.open;
     return {
-      current: priceData?.price ?? last,
-      changePct,
-      high,
-      low,
-      };
-  }, [priceHistory, priceData]);
+      current,
+      changePct: open && current ? ((current - open) / open) * 100 : (ticker24h?.changePct ?? null),
+      high: ticker24h ? Math.max(ticker24h.high, current ?? -Infinity) : null,
+      low: ticker24h ? Math.min(ticker24h.low, current ?? Infinity) : null,
+      quoteVolume: ticker24h?.quoteVolume ?? null,
+      volume: ticker24h?.volume ?? null,
+      weightedAvgPrice: ticker24h?.weightedAvgPrice ?? null,
+    };
+  }, [ticker24h, priceData]);
+
+  // The status pill describes the data on screen, not just whether the last request succeeded.
+  const connection =
+    status === 'error'
+      ? { tone: 'error', label: 'Degraded – retry needed' }
+      : isDegraded(priceData?.meta) || isDegraded(historyMeta)
+        ? { tone: 'warn', label: 'Degraded – stale or synthetic data' }
+        : isReplay(priceData?.meta)
+          ? { tone: 'warn', label: 'Replaying recorded data' }
+          : priceData?.meta?.provenance === 'cache'
+            ? { tone: 'ok', label: 'Cached via backend proxy' }
+            : { tone: 'ok', label: 'Live via backend proxy' };
+
+  // Downloads cover exactly the candles on screen, including any the live stream appended.
+  const downloadUrl = useMemo(() => {
+    if (!priceHistory.length || !historyInterval) return null;
+    const params = new URLSearchParams({
+      symbol: selectedPair.symbol,
+      currency: selectedPair.currency,
+      interval: historyInterval,
+      from: priceHistory[0].t,
+      to: priceHistory[priceHistory.length - 1].t,
+      format: exportFormat,
+    });
+    return withApiKey(`${API_BASE}/history?${params}`);
+  }, [priceHistory, historyInterval, selectedPair, exportFormat]);
 
   return (
     <main className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950">
@@ -191,15 +417,29 @@ function App() {
           </div>
         </header>
 
-        <section className="grid gap-6 md:grid-cols-3">
+        <WatchlistPanel
+          apiBase={API_BASE}
+          activeId={watchlistId}
+          onSelectWatchlist={setWatchlistId}
+          selectedPair={selectedPair}
+          onSelectPair={(pair) => {
+            setSelectedPair(pair);
+            document.getElementById('pair-detail')?.scrollIntoView({ behavior: 'smooth' });
+          }}
+          quotes={QUOTES}
+          formatMoney={formatCurrency}
+        />
+
+        <section id="pair-detail" className="grid gap-6 md:grid-cols-3">
           <div className="col-span-2 rounded-2xl border border-white/10 bg-gradient-to-br from-emerald-900/80 via-emerald-950 to-slate-950 p-6 shadow-xl ring-1 ring-emerald-400/10 backdrop-blur">
             <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
               <div>
-                <p className="text-sm text-slate-300">{pairLabel}</p>
+                <p className="flex items-center gap-2 text-sm text-slate-300">
+                  {pairLabel}
+                  <FreshnessBadge meta={priceData?.meta} />
+                </p>
                 <p className="text-4xl font-semibold text-white">
-                  {stats.current
-                    ? formatCurrency(stats.current, selectedPair.currency)
-                    : formatCurrency(86752, selectedPair.currency)}
+                  {stats.current ? formatCurrency(stats.current, selectedPair.currency) : '--'}
                 </p>
                 <div className="mt-1 flex items-center gap-2">
                   <span
@@ -213,9 +453,9 @@ function App() {
                   >
                     {stats.changePct !== null
                       ? `${stats.changePct >= 0 ? '▲' : '▼'} ${Math.abs(stats.changePct).toFixed(2)}%`
-                      : '▲ 2.4%'}
+                      : '--'}
                   </span>
-                  <span className="text-xs text-emerald-100/70">Intraday Trend</span>
+                  <span className="text-xs text-emerald-100/70">24H Change</span>
                 </div>
                 <p className="text-xs text-slate-300/80">Updated: {lastUpdated}</p>
               </div>
@@ -224,6 +464,13 @@ function App() {
                 <label className="text-xs uppercase tracking-[0.2em] text-slate-400">
                   Pair
                 </label>
+                <input
+                  type="search"
+                  value={pairQuery}
+                  onChange={(e) => setPairQuery(e.target.value)}
+                  placeholder="Search symbol"
+                  className="w-44 rounded-lg border border-emerald-200/25 bg-[#071824]/90 px-3 py-2 text-sm text-white placeholder:text-slate-500 outline-none ring-1 ring-transparent transition hover:border-emerald-300/40 focus:ring-emerald-300/50"
+                />
                 <select
                   className="w-44 appearance-none rounded-lg border border-emerald-200/25 bg-[#071824]/90 px-3 py-2 pr-10 text-sm font-medium text-white outline-none ring-1 ring-transparent transition hover:border-emerald-300/40 focus:ring-emerald-300/50"
                   value={`${selectedPair.symbol}-${selectedPair.currency}`}
@@ -241,7 +488,7 @@ function App() {
                     colorScheme: 'dark',
                   }}
                 >
-                  {PAIRS.map((pair) => (
+                  {visiblePairs.map((pair) => (
                     <option
                       key={`${pair.symbol}-${pair.currency}`}
                       value={`${pair.symbol}-${pair.currency}`}
@@ -250,6 +497,26 @@ function App() {
                     </option>
                   ))}
                 </select>
+                <select
+                  aria-label="Quote currency"
+                  className="w-44 rounded-lg border border-emerald-200/25 bg-[#071824]/90 px-3 py-2 text-sm font-medium text-white outline-none ring-1 ring-transparent transition hover:border-emerald-300/40 focus:ring-emerald-300/50"
+                  value={selectedPair.currency}
+                  onChange={(e) =>
+                    setSelectedPair((prev) => ({
+                      symbol:
+                        prev.symbol === e.target.value
+                          ? DEFAULT_PAIRS.find((pair) => pair.symbol !== e.target.value).symbol
+                          : prev.symbol,
+                      currency: e.target.value,
+                    }))
+                  }
+                >
+                  {QUOTES.map((quote) => (
+                    <option key={quote} value={quote}>
+                      Quote: {quote}
+                    </option>
+                  ))}
+                </select>
                 <div className="flex gap-2">
                   <button
                     onClick={fetchPrice}
@@ -261,10 +528,86 @@ function App() {
               </div>
             </div>
 
-            <div className="mt-6 h-[250px] w-full rounded-xl border border-white/10 bg-gradient-to-br from-emerald-800/60 via-emerald-900/80 to-emerald-950 ring-1 ring-white/5">
-              {priceHistory.length ? (
+            <div className="mt-6 flex flex-wrap justify-between gap-2 text-xs">
+              <div className="flex gap-1">
+                {TIMEFRAMES.map((frame) => (
+                  <button
+                    key={frame.label}
+                    onClick={() => setTimeframe(frame)}
+                    className={`rounded-full px-3 py-1 font-medium ring-1 transition ${
+                      timeframe.label === frame.label
+                        ? 'bg-emerald-400/20 text-emerald-100 ring-emerald-300/40'
+                        : 'bg-white/5 text-slate-300 ring-white/10 hover:bg-white/10'
+                    }`}
+                  >
+                    {frame.label}
+                  </button>
+                ))}
+                <FreshnessBadge meta={historyMeta} className="ml-1 self-center" />
+              </div>
+              <div className="flex gap-1">
+                {[
+                  { id: 'area', label: 'Line' },
+                  { id: 'candles', label: 'Candles' },
+                ].map((view) => (
+                  <button
+                    key={view.id}
+                    onClick={() => setChartView(view.id)}
+                    className={`rounded-full px-3 py-1 font-medium ring-1 transition ${
+                      chartView === view.id
+                        ? 'bg-emerald-400/20 text-emerald-100 ring-emerald-300/40'
+                        : 'bg-white/5 text-slate-300 ring-white/10 hover:bg-white/10'
+                    }`}
+                  >
+                    {view.label}
+                  </button>
+                ))}
+                <select
+                  aria-label="Export format"
+                  value={exportFormat}
+                  onChange={(e) => setExportFormat(e.target.value)}
+                  className="rounded-full bg-white/5 px-2 py-1 font-medium text-slate-300 ring-1 ring-white/10 outline-none"
+                  style={{ colorScheme: 'dark' }}
+                >
+                  {exportFormats.map((format) => (
+                    <option key={format} value={format}>
+                      {format.toUpperCase()}
+                    </option>
+                  ))}
+                </select>
+                <a
+                  href={downloadUrl || undefined}
+                  download
+                  aria-disabled={!downloadUrl}
+                  className={`rounded-full px-3 py-1 font-medium ring-1 transition ${
+                    downloadUrl
+                      ? 'bg-white/5 text-slate-300 ring-white/10 hover:bg-white/10'
+                      : 'pointer-events-none bg-white/5 text-slate-500 ring-white/5'
+                  }`}
+                >
+                  Download
+                </a>
+              </div>
+            </div>
+
+            {isDegraded(historyMeta) && (
+              <p className="mt-2 text-xs text-amber-200/90">{historyMeta.reason}</p>
+            )}
+            <div
+              className={`mt-2 h-[250px] w-full rounded-xl border border-white/10 bg-gradient-to-br from-emerald-800/60 via-emerald-900/80 to-emerald-950 ring-1 ring-white/5 transition ${
+                isDegraded(historyMeta) ? 'opacity-50 grayscale' : ''
+              }`}
+            >
+              {chartView === 'candles' && candles.length ? (
+                <CandlestickChart
+                  data={candles}
+                  formatPrice={(value) => formatCurrency(value, selectedPair.currency)}
+                  formatVolume={(value) => formatCompact(value, selectedPair.symbol)}
+                  overlays={indicatorKeys}
+                />
+              ) : priceHistory.length ? (
                 <ResponsiveContainer width="100%" height="100%">
-                  <AreaChart data={priceHistory} margin={{ left: 6, right: 6, top: 6, bottom: 6 }}>
+                  <ComposedChart data={priceHistory} margin={{ left: 6, right: 6, top: 6, bottom: 6 }}>
                     <defs>
                       <linearGradient id="priceFill" x1="0" y1="0" x2="0" y2="1">
                         <stop offset="0%" stopColor="#34d399" stopOpacity={0.35} />
@@ -297,7 +640,10 @@ function App() {
                         borderRadius: '10px',
                       }}
                       labelStyle={{ color: '#e2e8f0' }}
-                      formatter={(value) => [formatCurrency(value, selectedPair.currency), 'Price']}
+                      formatter={(value, name) => [
+                        formatCurrency(value, selectedPair.currency),
+                        name === 'price' ? 'Price' : name,
+                      ]}
                     />
                     <Area
                       type="monotone"
@@ -308,7 +654,8 @@ function App() {
                       dot={false}
                       activeDot={{ r: 3, fill: '#38bdf8', strokeWidth: 0 }}
                     />
-                  </AreaChart>
+                    {renderOverlayLines(indicatorKeys)}
+                  </ComposedChart>
                 </ResponsiveContainer>
               ) : (
                 <div className="flex h-full flex-col items-center justify-center text-sm text-emerald-200/70 animate-pulse">
@@ -318,25 +665,58 @@ function App() {
               )}
             </div>
 
+            <div className="mt-2 flex flex-wrap gap-1 text-xs">
+              {INDICATOR_PRESETS.map((preset) => (
+                <button
+                  key={preset.key}
+                  onClick={() => toggleIndicator(preset.key)}
+                  className={`rounded-full px-3 py-1 font-medium ring-1 transition ${
+                    indicatorKeys.includes(preset.key)
+                      ? 'bg-sky-400/20 text-sky-100 ring-sky-300/40'
+                      : 'bg-white/5 text-slate-300 ring-white/10 hover:bg-white/10'
+                  }`}
+                >
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+
+            <OscillatorPanel
+              data={chartView === 'candles' && candles.length ? candles : priceHistory}
+              indicatorKeys={oscillatorKeys}
+            />
+
             <div className="mt-4 grid grid-cols-2 gap-3 text-sm text-slate-200 sm:grid-cols-4">
               <div className="rounded-lg bg-white/5 p-3 ring-1 ring-white/10">
                 <p className="text-xs uppercase tracking-[0.18em] text-slate-400">24H Volume</p>
                 <p className="text-base font-semibold">
-                  {volume24h ? `${formatCompactUsd(volume24h)}` : '--'}
+                  {stats.quoteVolume
+                    ? formatCompact(stats.quoteVolume, selectedPair.currency)
+                    : stats.volume
+                      ? formatCompact(stats.volume, selectedPair.symbol)
+                      : '--'}
                 </p>
               </div>
               <div className="rounded-lg bg-white/5 p-3 ring-1 ring-white/10">
-                <p className="text-xs uppercase tracking-[0.18em] text-slate-400">Daily High</p>
+                <p className="text-xs uppercase tracking-[0.18em] text-slate-400">24H High</p>
                 <p className="text-base font-semibold">
                   {stats.high ? formatCurrency(stats.high, selectedPair.currency) : '--'}
                 </p>
               </div>
               <div className="rounded-lg bg-white/5 p-3 ring-1 ring-white/10">
-                <p className="text-xs uppercase tracking-[0.18em] text-slate-400">Daily Low</p>
+                <p className="text-xs uppercase tracking-[0.18em] text-slate-400">24H Low</p>
                 <p className="text-base font-semibold">
                   {stats.low ? formatCurrency(stats.low, selectedPair.currency) : '--'}
                 </p>
               </div>
+              <div className="rounded-lg bg-white/5 p-3 ring-1 ring-white/10">
+                <p className="text-xs uppercase tracking-[0.18em] text-slate-400">24H Avg</p>
+                <p className="text-base font-semibold">
+                  {stats.weightedAvgPrice
+                    ? formatCurrency(stats.weightedAvgPrice, selectedPair.currency)
+                    : '--'}
+                </p>
+              </div>
             </div>
 
             {status === 'error' ? (
@@ -346,6 +726,9 @@ function App() {
             ) : (
               <p className="mt-4 text-xs text-slate-400">
                 Powered via Z6X Secure Proxy. API Keys are masked server-side.
+                {priceData?.provider && ` Quote served by ${priceData.provider}.`}
+                {runtimeConfig?.providers?.length > 1 &&
+                  ` Failover order: ${runtimeConfig.providers.join(' → ')}.`}
               </p>
             )}
           </div>
@@ -355,35 +738,38 @@ function App() {
               <p className="text-sm text-slate-300">Connection Status</p>
               <p
                 className={`mt-2 inline-flex items-center gap-2 rounded-full px-3 py-1 text-xs font-semibold ${
-                  status === 'error'
-                    ? 'bg-red-500/10 text-red-200 ring-1 ring-red-400/30'
-                    : 'bg-emerald-500/10 text-emerald-200 ring-1 ring-emerald-400/30'
+                  CONNECTION_TONES[connection.tone].pill
                 }`}
               >
-                <span
-                  className={`h-2 w-2 rounded-full ${
-                    status === 'error'
-                      ? 'bg-red-400 shadow-[0_0_10px_rgba(248,113,113,0.7)]'
-                      : 'bg-emerald-400 shadow-[0_0_10px_rgba(74,222,128,0.75)]'
-                  }`}
-                />
-                {status === 'error' ? 'Degraded – retry needed' : 'Live via backend proxy'}
+                <span className={`h-2 w-2 rounded-full ${CONNECTION_TONES[connection.tone].dot}`} />
+                {connection.label}
               </p>
               <p className="mt-2 text-xs text-slate-400">Connection: Encrypted via TLS</p>
+              <p className="mt-1 text-xs text-slate-400">
+                Live stream:{' '}
+                <span className={streamStatus === 'live' ? 'text-emerald-300' : 'text-amber-300'}>
+                  {streamStatus}
+                </span>
+              </p>
             </div>
 
-            <div className="rounded-2xl border border-white/10 bg-white/5 p-5 backdrop-blur">
-              <p className="text-sm font-semibold text-white">System Telemetry</p>
-              <ul className="mt-3 space-y-2 text-sm text-slate-300">
-                <li>Frontend: React (Vite) + Tailwind</li>
-                <li>Backend: Express.js (Secure Proxy)</li>
-                <li>Security: Proxy-routed API Calls</li>
-                <li>Latency: &lt; 150ms (Optimized)</li>
-              </ul>
-            </div>
+            <TelemetryCard apiBase={API_BASE} />
           </div>
         </section>
 
+        <MarketDepthPanel
+          key={`${selectedPair.symbol}-${selectedPair.currency}`}
+          apiBase={API_BASE}
+          pair={selectedPair}
+          formatMoney={formatCurrency}
+        />
+
+        <PortfolioPanel
+          apiBase={API_BASE}
+          symbols={pairs.map((pair) => pair.symbol)}
+          formatMoney={formatCurrency}
+        />
+
         <footer className="flex flex-col gap-3 rounded-2xl border border-white/10 bg-white/5 px-6 py-4 text-sm text-slate-300 backdrop-blur md:flex-row md:items-center md:justify-between">
           <span>Z6X Systems • Performance Demonstration • Ready for Production</span>
           <div className="flex items-center gap-4">
@@ -0,0 +1,15 @@
+import axios from 'axios';
+
+// Servers running with REQUIRE_API_KEY=true refuse anonymous requests, so the dashboard is built
+// with VITE_API_KEY set to a key issued for it via /admin/keys. Anything in the bundle is public:
+// give that key its own rate limit and revoke it like any other.
+const API_KEY = import.meta.env.VITE_API_KEY || '';
+
+// Every axios request in the dashboard carries the key as a header.
+if (API_KEY) axios.defaults.headers.common['X-API-Key'] = API_KEY;
+
+/** `url` with the key as `?apiKey=`, for EventSource streams and download links, which can't set headers. */
+export function withApiKey(url) {
+  if (!API_KEY) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}apiKey=${encodeURIComponent(API_KEY)}`;
+}
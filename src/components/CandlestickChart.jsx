@@ -0,0 +1,126 @@
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Cell,
+  ComposedChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import { renderOverlayLines } from './indicators.jsx';
+
+const UP_COLOR = '#34d399';
+const DOWN_COLOR = '#f87171';
+
+const tooltipStyle = {
+  background: 'rgba(15,23,42,0.9)',
+  border: '1px solid rgba(255,255,255,0.08)',
+  borderRadius: '10px',
+};
+
+// The bar spans low..high; the body is drawn inside it by scaling open/close onto the same pixels.
+function CandleShape({ x, y, width, height, payload }) {
+  const { open, high, low, close } = payload;
+  const color = close >= open ? UP_COLOR : DOWN_COLOR;
+  const range = high - low;
+  const toY = (value) => (range ? y + ((high - value) / range) * height : y);
+  const bodyTop = toY(Math.max(open, close));
+  const bodyHeight = Math.max(toY(Math.min(open, close)) - bodyTop, 1);
+  const center = x + width / 2;
+  const bodyWidth = Math.max(width * 0.7, 1);
+
+  return (
+    <g>
+      <line x1={center} x2={center} y1={y} y2={y + height} stroke={color} strokeWidth={1} />
+      <rect
+        x={center - bodyWidth / 2}
+        y={bodyTop}
+        width={bodyWidth}
+        height={bodyHeight}
+        fill={color}
+      />
+    </g>
+  );
+}
+
+function CandlestickChart({ data, formatPrice, formatVolume, overlays = [] }) {
+  const lows = data.map((c) => c.low);
+  const highs = data.map((c) => c.high);
+  const domain = data.length
+    ? [Math.min(...lows) * 0.995, Math.max(...highs) * 1.005]
+    : ['auto', 'auto'];
+  const hasVolume = data.some((c) => c.volume);
+
+  return (
+    <div className="flex h-full flex-col">
+      <div className={hasVolume ? 'h-3/4' : 'h-full'}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={data} syncId="candles" margin={{ left: 6, right: 6, top: 6, bottom: 0 }}>
+            <CartesianGrid stroke="rgba(255,255,255,0.05)" vertical={false} />
+            <XAxis dataKey="time" hide />
+            <YAxis
+              domain={domain}
+              tick={{ fill: '#cbd5e1', fontSize: 10 }}
+              tickLine={false}
+              axisLine={false}
+              width={52}
+            />
+            <Tooltip
+              contentStyle={tooltipStyle}
+              labelStyle={{ color: '#e2e8f0' }}
+              formatter={(value, name, item) => {
+                if (name !== 'OHLC') return [formatPrice(value), name];
+                const { open, high, low, close } = item.payload;
+                return [
+                  `O ${formatPrice(open)} H ${formatPrice(high)} L ${formatPrice(low)} C ${formatPrice(close)}`,
+                  'OHLC',
+                ];
+              }}
+            />
+            <Bar
+              name="OHLC"
+              dataKey={(c) => [c.low, c.high]}
+              shape={CandleShape}
+              isAnimationActive={false}
+            />
+            {renderOverlayLines(overlays)}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+      {hasVolume && (
+        <div className="h-1/4 border-t border-white/5">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={data} syncId="candles" margin={{ left: 6, right: 6, top: 4, bottom: 6 }}>
+              <XAxis
+                dataKey="time"
+                tick={{ fill: '#cbd5e1', fontSize: 10 }}
+                tickLine={false}
+                axisLine={false}
+                minTickGap={24}
+              />
+              <YAxis hide />
+              <Tooltip
+                contentStyle={tooltipStyle}
+                labelStyle={{ color: '#e2e8f0' }}
+                formatter={(value) => [formatVolume(value), 'Volume']}
+              />
+              <Bar dataKey="volume" isAnimationActive={false}>
+                {data.map((c) => (
+                  <Cell
+                    key={c.t}
+                    fill={c.close >= c.open ? UP_COLOR : DOWN_COLOR}
+                    fillOpacity={0.5}
+                  />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CandlestickChart;
@@ -0,0 +1,49 @@
+import { freshnessKind } from './freshness.js';
+
+// Badge for a response's `meta` block; see freshness.js.
+
+const STYLES = {
+  live: 'bg-emerald-500/10 text-emerald-200 ring-emerald-400/30',
+  cache: 'bg-sky-500/10 text-sky-200 ring-sky-400/30',
+  stale: 'bg-amber-500/10 text-amber-200 ring-amber-400/30',
+  fallback: 'bg-orange-500/10 text-orange-200 ring-orange-400/30',
+  mock: 'bg-fuchsia-500/10 text-fuchsia-200 ring-fuchsia-400/30',
+  replay: 'bg-violet-500/10 text-violet-200 ring-violet-400/30',
+};
+
+const LABELS = {
+  live: 'Live',
+  cache: 'Cached',
+  stale: 'Stale',
+  fallback: 'Fallback',
+  mock: 'Demo data',
+  replay: 'Replay',
+};
+
+function formatAge(ms) {
+  if (ms === null || ms === undefined) return null;
+  if (ms < 60_000) return `${Math.round(ms / 1000)}s old`;
+  if (ms < 3_600_000) return `${Math.round(ms / 60_000)}m old`;
+  return `${Math.round(ms / 3_600_000)}h old`;
+}
+
+function FreshnessBadge({ meta, className = '' }) {
+  const kind = freshnessKind(meta);
+  if (!kind) return null;
+  const age = kind === 'live' ? null : formatAge(meta.ageMs);
+  const title = [meta.reason, meta.upstream?.status && `Upstream: ${meta.upstream.status}`]
+    .filter(Boolean)
+    .join(' · ');
+
+  return (
+    <span
+      title={title || undefined}
+      className={`inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-[10px] font-semibold uppercase tracking-wide ring-1 ${STYLES[kind]} ${className}`}
+    >
+      {LABELS[kind]}
+      {age && <span className="font-normal normal-case opacity-80">· {age}</span>}
+    </span>
+  );
+}
+
+export default FreshnessBadge;
@@ -0,0 +1,209 @@
+import { useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import { Area, AreaChart, CartesianGrid, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import FreshnessBadge from './FreshnessBadge.jsx';
+
+const DEPTH_REFRESH_MS = 5000;
+const TRADES_REFRESH_MS = 3000;
+// Raw levels fetched per side, and grouped levels plotted per side.
+const DEPTH_LIMIT = 100;
+const DEPTH_LEVELS = 40;
+const TRADES_LIMIT = 30;
+
+// Three grouping steps around 1/10,000th of the price (1, 10, 100 for BTC near 60k), plus raw levels.
+function groupOptions(mid) {
+  if (!mid) return [];
+  const exponent = Math.floor(Math.log10(mid / 10_000));
+  return [exponent, exponent + 1, exponent + 2].map((power) => Number((10 ** power).toPrecision(1)));
+}
+
+// One row per price with cumulative bid or ask quantity, ascending, as the area chart expects.
+function depthSeries(depth) {
+  if (!depth) return [];
+  const bids = [...depth.bids].reverse().map((level) => ({ price: level.price, bid: level.total }));
+  const asks = depth.asks.map((level) => ({ price: level.price, ask: level.total }));
+  return [...bids, ...asks];
+}
+
+const TIME_FORMAT = { hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit' };
+const formatTime = (t) => new Date(t).toLocaleTimeString('en-US', TIME_FORMAT);
+
+const formatQuantity = (value) =>
+  new Intl.NumberFormat('en-US', { maximumSignificantDigits: 5 }).format(value);
+
+/**
+ * Depth chart and trade tape for the selected pair, polled from /depth and /trades.
+ * Keyed by pair in the parent: a new pair has a different price scale, so everything starts over.
+ */
+function MarketDepthPanel({ apiBase, pair, formatMoney }) {
+  const [depth, setDepth] = useState(null);
+  const [trades, setTrades] = useState(null);
+  const [group, setGroup] = useState('');
+  const [error, setError] = useState(null);
+  const { symbol, currency } = pair;
+
+  useEffect(() => {
+    let cancelled = false;
+    async function load() {
+      try {
+        const { data } = await axios.get(`${apiBase}/depth`, {
+          params: { symbol, currency, limit: DEPTH_LIMIT, group: group || undefined, levels: DEPTH_LEVELS },
+        });
+        if (!cancelled) {
+          setDepth(data);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.detail || err.message);
+      }
+    }
+    load();
+    const timer = setInterval(load, DEPTH_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [apiBase, symbol, currency, group]);
+
+  useEffect(() => {
+    let cancelled = false;
+    async function load() {
+      try {
+        const { data } = await axios.get(`${apiBase}/trades`, {
+          params: { symbol, currency, limit: TRADES_LIMIT },
+        });
+        if (!cancelled) setTrades(data);
+      } catch {
+        // The depth request reports errors; an empty tape is enough here.
+      }
+    }
+    load();
+    const timer = setInterval(load, TRADES_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [apiBase, symbol, currency]);
+
+  const series = useMemo(() => depthSeries(depth), [depth]);
+  const groups = useMemo(() => groupOptions(depth?.mid), [depth?.mid]);
+  const money = (value) => (value === null || value === undefined ? '--' : formatMoney(value, currency));
+
+  return (
+    <section className="rounded-2xl border border-white/10 bg-white/5 p-6 shadow-xl ring-1 ring-white/5 backdrop-blur">
+      <div className="flex flex-wrap items-baseline justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <h2 className="text-xl font-semibold text-white">Market Depth</h2>
+          <FreshnessBadge meta={depth?.meta} />
+        </div>
+        <div className="flex flex-wrap items-center gap-4 text-xs text-slate-300">
+          <span>
+            Mid <span className="font-semibold text-white">{money(depth?.mid)}</span>
+          </span>
+          <span>
+            Spread <span className="font-semibold text-white">{money(depth?.spread)}</span>
+            {depth?.spreadPct !== null && depth?.spreadPct !== undefined && (
+              <span className="text-slate-400"> ({depth.spreadPct.toFixed(3)}%)</span>
+            )}
+          </span>
+          <label className="flex items-center gap-2">
+            Group
+            <select
+              value={group}
+              onChange={(event) => setGroup(event.target.value)}
+              className="rounded-lg border border-white/10 bg-[#071824]/90 px-2 py-1 text-xs text-white outline-none"
+            >
+              <option value="">None</option>
+              {groups.map((step) => (
+                <option key={step} value={step}>
+                  {step}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      {error && <p className="mt-3 text-xs text-red-300">Order book unavailable: {error}</p>}
+
+      <div className="mt-4 grid gap-6 md:grid-cols-3">
+        <div className="col-span-2 h-[260px] rounded-xl border border-white/10 bg-slate-950/40 ring-1 ring-white/5">
+          {series.length ? (
+            <ResponsiveContainer width="100%" height="100%">
+              <AreaChart data={series} margin={{ left: 6, right: 6, top: 10, bottom: 6 }}>
+                <CartesianGrid stroke="rgba(255,255,255,0.05)" vertical={false} />
+                <XAxis
+                  dataKey="price"
+                  type="number"
+                  domain={['dataMin', 'dataMax']}
+                  tick={{ fill: '#94a3b8', fontSize: 11 }}
+                  tickFormatter={formatQuantity}
+                />
+                <YAxis tick={{ fill: '#94a3b8', fontSize: 11 }} tickFormatter={formatQuantity} width={56} />
+                <Tooltip
+                  contentStyle={{
+                    background: 'rgba(15,23,42,0.9)',
+                    border: '1px solid rgba(255,255,255,0.08)',
+                    borderRadius: '10px',
+                  }}
+                  labelStyle={{ color: '#e2e8f0' }}
+                  labelFormatter={(value) => money(value)}
+                  formatter={(value, name) => [
+                    formatQuantity(value),
+                    name === 'bid' ? 'Bids (cum.)' : 'Asks (cum.)',
+                  ]}
+                />
+                <Area
+                  dataKey="bid"
+                  type="stepBefore"
+                  stroke="#34d399"
+                  fill="#34d399"
+                  fillOpacity={0.2}
+                  isAnimationActive={false}
+                />
+                <Area
+                  dataKey="ask"
+                  type="stepAfter"
+                  stroke="#f87171"
+                  fill="#f87171"
+                  fillOpacity={0.2}
+                  isAnimationActive={false}
+                />
+              </AreaChart>
+            </ResponsiveContainer>
+          ) : (
+            <div className="flex h-full items-center justify-center text-sm text-slate-400">
+              {error ? 'No order book for this pair' : 'Loading order book…'}
+            </div>
+          )}
+        </div>
+
+        <div className="flex h-[260px] flex-col rounded-xl border border-white/10 bg-slate-950/40 p-3 ring-1 ring-white/5">
+          <div className="flex items-center justify-between text-xs text-slate-400">
+            <span>Recent trades</span>
+            {trades && (
+              <span>
+                <span className="text-emerald-300">{formatQuantity(trades.buyVolume)}</span>
+                {' / '}
+                <span className="text-red-300">{formatQuantity(trades.sellVolume)}</span> {symbol}
+              </span>
+            )}
+          </div>
+          <ul className="mt-2 flex-1 space-y-0.5 overflow-y-auto font-mono text-xs tabular-nums">
+            {(trades?.trades || []).map((trade) => (
+              <li key={trade.id} className="grid grid-cols-3 gap-2">
+                <span className={trade.side === 'buy' ? 'text-emerald-300' : 'text-red-300'}>
+                  {formatQuantity(trade.price)}
+                </span>
+                <span className="text-right text-slate-200">{formatQuantity(trade.quantity)}</span>
+                <span className="text-right text-slate-500">{formatTime(trade.time)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default MarketDepthPanel;
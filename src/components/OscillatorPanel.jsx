@@ -0,0 +1,142 @@
+import {
+  Bar,
+  CartesianGrid,
+  Cell,
+  ComposedChart,
+  Line,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import { indicatorValue } from './indicators.jsx';
+
+const tooltipStyle = {
+  background: 'rgba(15,23,42,0.9)',
+  border: '1px solid rgba(255,255,255,0.08)',
+  borderRadius: '10px',
+};
+
+const axisTick = { fill: '#cbd5e1', fontSize: 10 };
+
+const formatValue = (value) => (value === null ? '--' : Number(value).toFixed(2));
+
+function RsiChart({ data, indicatorKey }) {
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <ComposedChart data={data} margin={{ left: 6, right: 6, top: 6, bottom: 0 }}>
+        <CartesianGrid stroke="rgba(255,255,255,0.05)" vertical={false} />
+        <XAxis dataKey="time" hide />
+        <YAxis
+          domain={[0, 100]}
+          ticks={[30, 70]}
+          tick={axisTick}
+          tickLine={false}
+          axisLine={false}
+          width={52}
+        />
+        <ReferenceLine y={70} stroke="rgba(248,113,113,0.4)" strokeDasharray="4 3" />
+        <ReferenceLine y={30} stroke="rgba(52,211,153,0.4)" strokeDasharray="4 3" />
+        <Tooltip
+          contentStyle={tooltipStyle}
+          labelStyle={{ color: '#e2e8f0' }}
+          formatter={(value) => [formatValue(value), 'RSI']}
+        />
+        <Line
+          dataKey={(point) => indicatorValue(point, indicatorKey)}
+          stroke="#fbbf24"
+          strokeWidth={1.25}
+          dot={false}
+          connectNulls
+          isAnimationActive={false}
+        />
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+}
+
+function MacdChart({ data, indicatorKey }) {
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <ComposedChart data={data} margin={{ left: 6, right: 6, top: 6, bottom: 0 }}>
+        <CartesianGrid stroke="rgba(255,255,255,0.05)" vertical={false} />
+        <XAxis dataKey="time" hide />
+        <YAxis
+          tick={axisTick}
+          tickLine={false}
+          axisLine={false}
+          width={52}
+          tickFormatter={formatValue}
+        />
+        <ReferenceLine y={0} stroke="rgba(255,255,255,0.15)" />
+        <Tooltip
+          contentStyle={tooltipStyle}
+          labelStyle={{ color: '#e2e8f0' }}
+          formatter={(value, name) => [formatValue(value), name]}
+        />
+        <Bar
+          name="Histogram"
+          dataKey={(point) => indicatorValue(point, indicatorKey, 'histogram')}
+          isAnimationActive={false}
+        >
+          {data.map((point) => (
+            <Cell
+              key={point.t}
+              fill={indicatorValue(point, indicatorKey, 'histogram') >= 0 ? '#34d399' : '#f87171'}
+              fillOpacity={0.5}
+            />
+          ))}
+        </Bar>
+        <Line
+          name="MACD"
+          dataKey={(point) => indicatorValue(point, indicatorKey, 'macd')}
+          stroke="#38bdf8"
+          strokeWidth={1.25}
+          dot={false}
+          connectNulls
+          isAnimationActive={false}
+        />
+        <Line
+          name="Signal"
+          dataKey={(point) => indicatorValue(point, indicatorKey, 'signal')}
+          stroke="#f472b6"
+          strokeWidth={1.25}
+          dot={false}
+          connectNulls
+          isAnimationActive={false}
+        />
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+}
+
+const CHARTS = { rsi: RsiChart, macd: MacdChart };
+
+/** Sub-panels under the price chart, one per active oscillator, sharing the chart's points. */
+function OscillatorPanel({ data, indicatorKeys }) {
+  if (!indicatorKeys.length) return null;
+
+  return (
+    <div className="mt-2 flex flex-col gap-2">
+      {indicatorKeys.map((key) => {
+        const Chart = CHARTS[key.split(':')[0]];
+        return (
+          <div
+            key={key}
+            className="h-[110px] w-full rounded-xl border border-white/10 bg-slate-950/40 ring-1 ring-white/5"
+          >
+            <p className="px-3 pt-2 text-[10px] uppercase tracking-[0.18em] text-slate-400">
+              {key.replaceAll(':', ' ')}
+            </p>
+            <div className="h-[85px]">
+              <Chart data={data} indicatorKey={key} />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default OscillatorPanel;
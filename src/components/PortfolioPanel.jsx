@@ -0,0 +1,326 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import {
+  Area,
+  CartesianGrid,
+  Cell,
+  ComposedChart,
+  Line,
+  Pie,
+  PieChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+
+const SLICE_COLORS = ['#34d399', '#38bdf8', '#fbbf24', '#a78bfa', '#f472b6', '#f87171', '#94a3b8'];
+
+const tooltipStyle = {
+  background: 'rgba(15,23,42,0.9)',
+  border: '1px solid rgba(255,255,255,0.08)',
+  borderRadius: '10px',
+};
+
+const inputClass =
+  'rounded-lg border border-emerald-200/25 bg-[#071824]/90 px-3 py-2 text-sm text-white placeholder:text-slate-500 outline-none ring-1 ring-transparent transition hover:border-emerald-300/40 focus:ring-emerald-300/50';
+
+const EMPTY_FORM = { symbol: 'BTC', side: 'buy', quantity: '', price: '', fee: '', date: '' };
+
+function pnlClass(value) {
+  if (!value) return 'text-slate-200';
+  return value > 0 ? 'text-emerald-300' : 'text-red-300';
+}
+
+/** Holdings, P&L, allocation and value history from the /portfolio routes, with a trade entry form. */
+function PortfolioPanel({ apiBase, symbols, formatMoney }) {
+  const [summary, setSummary] = useState(null);
+  const [series, setSeries] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+
+  async function load() {
+    try {
+      const [summaryRes, historyRes, txRes] = await Promise.all([
+        axios.get(`${apiBase}/portfolio`, { timeout: 10000 }),
+        axios.get(`${apiBase}/portfolio/history`, {
+          params: { days: 30, interval: '1d' },
+          timeout: 10000,
+        }),
+        axios.get(`${apiBase}/portfolio/transactions`, { timeout: 5000 }),
+      ]);
+      setSummary(summaryRes.data);
+      setSeries(
+        (historyRes.data.points || []).map((point) => ({
+          ...point,
+          time: new Date(point.t).toLocaleDateString([], { month: 'short', day: 'numeric' }),
+        })),
+      );
+      setTransactions(txRes.data.transactions || []);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.detail || err.message || 'Unable to load portfolio.');
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  async function submit(event) {
+    event.preventDefault();
+    try {
+      await axios.post(
+        `${apiBase}/portfolio/transactions`,
+        {
+          symbol: form.symbol,
+          side: form.side,
+          quantity: Number(form.quantity),
+          price: Number(form.price),
+          fee: form.fee ? Number(form.fee) : undefined,
+          timestamp: form.date ? new Date(form.date).getTime() : undefined,
+        },
+        { timeout: 5000 },
+      );
+      setForm({ ...EMPTY_FORM, symbol: form.symbol });
+      load();
+    } catch (err) {
+      setError(err.response?.data?.detail || err.message);
+    }
+  }
+
+  async function remove(id) {
+    try {
+      await axios.delete(`${apiBase}/portfolio/transactions/${id}`, { timeout: 5000 });
+      load();
+    } catch (err) {
+      setError(err.response?.data?.detail || err.message);
+    }
+  }
+
+  const currency = summary?.currency || 'USD';
+  const money = (value) => (value === null || value === undefined ? '--' : formatMoney(value, currency));
+  const allocation = (summary?.positions || []).filter((position) => position.marketValue > 0);
+  const update = (field) => (event) => setForm({ ...form, [field]: event.target.value });
+
+  return (
+    <section className="rounded-2xl border border-white/10 bg-white/5 p-6 shadow-xl ring-1 ring-white/5 backdrop-blur">
+      <div className="flex flex-wrap items-baseline justify-between gap-2">
+        <h2 className="text-xl font-semibold text-white">Portfolio</h2>
+        <p className="text-xs text-slate-400">Average-cost basis, valued in {currency}</p>
+      </div>
+
+      <div className="mt-4 grid grid-cols-2 gap-3 text-sm text-slate-200 sm:grid-cols-4">
+        {[
+          ['Market Value', summary?.totals.marketValue],
+          ['Cost Basis', summary?.totals.costBasis],
+          ['Unrealized P&L', summary?.totals.unrealizedPnl],
+          ['Realized P&L', summary?.totals.realizedPnl],
+        ].map(([label, value]) => (
+          <div key={label} className="rounded-lg bg-white/5 p-3 ring-1 ring-white/10">
+            <p className="text-xs uppercase tracking-[0.18em] text-slate-400">{label}</p>
+            <p className={`text-base font-semibold ${label.includes('P&L') ? pnlClass(value) : ''}`}>
+              {money(value)}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-6 grid gap-6 md:grid-cols-3">
+        <div className="col-span-2 h-[220px] rounded-xl border border-white/10 bg-slate-950/40 ring-1 ring-white/5">
+          {series.length ? (
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={series} margin={{ left: 6, right: 6, top: 10, bottom: 6 }}>
+                <CartesianGrid stroke="rgba(255,255,255,0.05)" vertical={false} />
+                <XAxis
+                  dataKey="time"
+                  tick={{ fill: '#cbd5e1', fontSize: 10 }}
+                  tickLine={false}
+                  axisLine={false}
+                  minTickGap={24}
+                />
+                <YAxis
+                  tick={{ fill: '#cbd5e1', fontSize: 10 }}
+                  tickLine={false}
+                  axisLine={false}
+                  width={60}
+                />
+                <Tooltip
+                  contentStyle={tooltipStyle}
+                  labelStyle={{ color: '#e2e8f0' }}
+                  formatter={(value, name) => [money(value), name === 'value' ? 'Value' : 'Invested']}
+                />
+                <Area
+                  type="monotone"
+                  dataKey="value"
+                  stroke="#34d399"
+                  strokeWidth={2}
+                  fill="rgba(52,211,153,0.15)"
+                  dot={false}
+                  isAnimationActive={false}
+                />
+                <Line
+                  type="stepAfter"
+                  dataKey="invested"
+                  stroke="#94a3b8"
+                  strokeDasharray="4 3"
+                  dot={false}
+                  isAnimationActive={false}
+                />
+              </ComposedChart>
+            </ResponsiveContainer>
+          ) : (
+            <div className="flex h-full items-center justify-center text-sm text-slate-400">
+              Record a transaction to see the value history.
+            </div>
+          )}
+        </div>
+
+        <div className="flex h-[220px] flex-col rounded-xl border border-white/10 bg-slate-950/40 p-3 ring-1 ring-white/5">
+          <p className="text-xs uppercase tracking-[0.18em] text-slate-400">Allocation</p>
+          {allocation.length ? (
+            <div className="flex min-h-0 flex-1 items-center gap-3">
+              <div className="h-full w-1/2">
+                <ResponsiveContainer width="100%" height="100%">
+                  <PieChart>
+                    <Pie
+                      data={allocation}
+                      dataKey="marketValue"
+                      nameKey="symbol"
+                      innerRadius="55%"
+                      outerRadius="90%"
+                      stroke="none"
+                      isAnimationActive={false}
+                    >
+                      {allocation.map((position, idx) => (
+                        <Cell key={position.symbol} fill={SLICE_COLORS[idx % SLICE_COLORS.length]} />
+                      ))}
+                    </Pie>
+                  </PieChart>
+                </ResponsiveContainer>
+              </div>
+              <ul className="flex-1 space-y-1 text-xs text-slate-200">
+                {allocation.map((position, idx) => (
+                  <li key={position.symbol} className="flex items-center justify-between gap-2">
+                    <span className="flex items-center gap-2">
+                      <span
+                        className="h-2 w-2 rounded-full"
+                        style={{ background: SLICE_COLORS[idx % SLICE_COLORS.length] }}
+                      />
+                      {position.symbol}
+                    </span>
+                    <span>{position.allocationPct.toFixed(1)}%</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ) : (
+            <p className="m-auto text-sm text-slate-400">No open positions.</p>
+          )}
+        </div>
+      </div>
+
+      <div className="mt-6 overflow-x-auto">
+        <table className="w-full text-left text-sm text-slate-200">
+          <thead className="text-xs uppercase tracking-[0.18em] text-slate-400">
+            <tr>
+              <th className="py-2 pr-4">Asset</th>
+              <th className="py-2 pr-4">Quantity</th>
+              <th className="py-2 pr-4">Avg Cost</th>
+              <th className="py-2 pr-4">Price</th>
+              <th className="py-2 pr-4">Value</th>
+              <th className="py-2 pr-4">Unrealized</th>
+              <th className="py-2">Realized</th>
+            </tr>
+          </thead>
+          <tbody>
+            {(summary?.positions || []).map((position) => (
+              <tr key={position.symbol} className="border-t border-white/5">
+                <td className="py-2 pr-4 font-semibold">{position.symbol}</td>
+                <td className="py-2 pr-4">{position.quantity}</td>
+                <td className="py-2 pr-4">{money(position.averageCost)}</td>
+                <td className="py-2 pr-4">{money(position.price)}</td>
+                <td className="py-2 pr-4">{money(position.marketValue)}</td>
+                <td className={`py-2 pr-4 ${pnlClass(position.unrealizedPnl)}`}>
+                  {money(position.unrealizedPnl)}
+                  {position.unrealizedPnlPct !== null && ` (${position.unrealizedPnlPct.toFixed(2)}%)`}
+                </td>
+                <td className={`py-2 ${pnlClass(position.realizedPnl)}`}>{money(position.realizedPnl)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <form onSubmit={submit} className="mt-6 flex flex-wrap items-end gap-2">
+        <select className={inputClass} value={form.symbol} onChange={update('symbol')}>
+          {symbols.map((symbol) => (
+            <option key={symbol} value={symbol}>
+              {symbol}
+            </option>
+          ))}
+        </select>
+        <select className={inputClass} value={form.side} onChange={update('side')}>
+          <option value="buy">Buy</option>
+          <option value="sell">Sell</option>
+        </select>
+        <input
+          className={`${inputClass} w-28`}
+          placeholder="Quantity"
+          value={form.quantity}
+          onChange={update('quantity')}
+          required
+        />
+        <input
+          className={`${inputClass} w-28`}
+          placeholder={`Price (${currency})`}
+          value={form.price}
+          onChange={update('price')}
+          required
+        />
+        <input
+          className={`${inputClass} w-24`}
+          placeholder="Fee"
+          value={form.fee}
+          onChange={update('fee')}
+        />
+        <input className={inputClass} type="datetime-local" value={form.date} onChange={update('date')} />
+        <button
+          type="submit"
+          className="rounded-lg bg-emerald-400/20 px-4 py-2 text-sm font-medium text-emerald-100 ring-1 ring-emerald-300/40 transition hover:bg-emerald-400/30"
+        >
+          Record
+        </button>
+      </form>
+      {error && (
+        <div className="mt-3 rounded-lg border border-red-400/30 bg-red-500/10 px-4 py-3 text-sm text-red-100">
+          {error}
+        </div>
+      )}
+
+      {transactions.length > 0 && (
+        <ul className="mt-4 max-h-48 space-y-1 overflow-y-auto text-xs text-slate-300">
+          {[...transactions].reverse().map((tx) => (
+            <li key={tx.id} className="flex items-center justify-between gap-2 rounded bg-white/5 px-3 py-1.5">
+              <span>
+                {new Date(tx.timestamp).toLocaleString()} · {tx.side === 'buy' ? 'Bought' : 'Sold'}{' '}
+                {tx.quantity} {tx.symbol} @ {money(tx.price)}
+                {tx.fee ? ` (fee ${money(tx.fee)})` : ''}
+              </span>
+              <button
+                onClick={() => remove(tx.id)}
+                className="text-slate-400 transition hover:text-red-300"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default PortfolioPanel;
@@ -0,0 +1,102 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+
+const REFRESH_MS = 15_000;
+
+function formatMs(value) {
+  if (value === null || value === undefined) return '--';
+  return value < 10 ? `${value.toFixed(1)} ms` : `${Math.round(value)} ms`;
+}
+
+function formatUptime(seconds) {
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  if (seconds < 86_400) return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+  return `${Math.floor(seconds / 86_400)}d ${Math.floor((seconds % 86_400) / 3600)}h`;
+}
+
+function Row({ label, value, tone = 'text-white' }) {
+  return (
+    <li className="flex items-center justify-between gap-3">
+      <span className="text-slate-400">{label}</span>
+      <span className={`font-semibold tabular-nums ${tone}`}>{value}</span>
+    </li>
+  );
+}
+
+/** Live numbers from /metrics/summary, plus the round trip this browser measures to fetch them. */
+function TelemetryCard({ apiBase }) {
+  const [summary, setSummary] = useState(null);
+  const [roundTripMs, setRoundTripMs] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    async function load() {
+      const startedAt = performance.now();
+      try {
+        const { data } = await axios.get(`${apiBase}/metrics/summary`);
+        if (cancelled) return;
+        setRoundTripMs(performance.now() - startedAt);
+        setSummary(data);
+        setError(null);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    }
+    load();
+    const timer = setInterval(load, REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [apiBase]);
+
+  const upstreamErrors = summary
+    ? Object.entries(summary.upstream.errors).sort(([, a], [, b]) => b - a)
+    : [];
+  const upstreamErrorCount = upstreamErrors.reduce((sum, [, count]) => sum + count, 0);
+
+  return (
+    <div className="rounded-2xl border border-white/10 bg-white/5 p-5 backdrop-blur">
+      <div className="flex items-center justify-between">
+        <p className="text-sm font-semibold text-white">System Telemetry</p>
+        {summary && <span className="text-xs text-slate-400">up {formatUptime(summary.uptimeSec)}</span>}
+      </div>
+      {error && !summary && <p className="mt-3 text-xs text-red-300">Telemetry unavailable: {error}</p>}
+      {summary && (
+        <ul className="mt-3 space-y-2 text-sm">
+          <Row
+            label="API latency p50 / p95"
+            value={`${formatMs(summary.latencyMs.p50)} / ${formatMs(summary.latencyMs.p95)}`}
+          />
+          <Row label="Round trip (this browser)" value={formatMs(roundTripMs)} />
+          <Row
+            label="Cache hit ratio"
+            value={summary.cache.hitRatio === null ? '--' : `${Math.round(summary.cache.hitRatio * 100)}%`}
+          />
+          <Row label="Requests served" value={summary.requests.total.toLocaleString()} />
+          <Row
+            label="Upstream errors"
+            value={
+              upstreamErrorCount
+                ? `${upstreamErrorCount} (${upstreamErrors
+                    .slice(0, 2)
+                    .map(([status, count]) => `${status}×${count}`)
+                    .join(', ')})`
+                : '0'
+            }
+            tone={upstreamErrorCount ? 'text-amber-300' : 'text-emerald-300'}
+          />
+          <Row
+            label="Fallback / degraded responses"
+            value={`${summary.fallbacks} / ${summary.degraded}`}
+            tone={summary.degraded ? 'text-amber-300' : 'text-white'}
+          />
+        </ul>
+      )}
+      {error && summary && <p className="mt-2 text-xs text-amber-300">Last refresh failed: {error}</p>}
+    </div>
+  );
+}
+
+export default TelemetryCard;
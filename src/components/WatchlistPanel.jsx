@@ -0,0 +1,348 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { Line, LineChart, ResponsiveContainer, YAxis } from 'recharts';
+
+const REFRESH_MS = 30_000;
+
+const inputClass =
+  'rounded-lg border border-emerald-200/25 bg-[#071824]/90 px-3 py-1.5 text-xs text-white placeholder:text-slate-500 outline-none ring-1 ring-transparent transition hover:border-emerald-300/40 focus:ring-emerald-300/50';
+
+const chipClass = (active) =>
+  `rounded-full px-3 py-1 text-xs font-medium ring-1 transition ${
+    active
+      ? 'bg-emerald-400/20 text-emerald-100 ring-emerald-300/40'
+      : 'bg-white/5 text-slate-300 ring-white/10 hover:bg-white/10'
+  }`;
+
+const iconButton = 'px-1 text-slate-400 transition hover:text-white disabled:opacity-30';
+
+function move(items, index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= items.length) return items;
+  const next = [...items];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
+
+function WatchlistCard({ card, active, onOpen, onMove, onRemove, formatMoney, isFirst, isLast }) {
+  const up = (card.changePct ?? 0) >= 0;
+  const color = up ? '#34d399' : '#f87171';
+
+  return (
+    <div
+      role="button"
+      tabIndex={0}
+      onClick={onOpen}
+      onKeyDown={(event) => event.key === 'Enter' && onOpen()}
+      className={`group cursor-pointer rounded-xl border bg-white/5 p-3 ring-1 transition hover:bg-white/10 ${
+        active ? 'border-emerald-300/50 ring-emerald-300/30' : 'border-white/10 ring-white/5'
+      }`}
+    >
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <p className="text-xs text-slate-400">
+            {card.symbol} / {card.currency}
+          </p>
+          <p className="text-base font-semibold text-white">
+            {card.price !== null ? formatMoney(card.price, card.currency) : '--'}
+          </p>
+        </div>
+        <span
+          className={`text-xs font-semibold ${
+            card.changePct === null ? 'text-slate-400' : up ? 'text-emerald-300' : 'text-red-300'
+          }`}
+        >
+          {card.changePct !== null
+            ? `${up ? '▲' : '▼'} ${Math.abs(card.changePct).toFixed(2)}%`
+            : '--'}
+        </span>
+      </div>
+      <div className="mt-2 h-10">
+        {card.sparkline.length > 1 && (
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={card.sparkline}>
+              <YAxis hide domain={['dataMin', 'dataMax']} />
+              <Line
+                dataKey="price"
+                stroke={color}
+                strokeWidth={1.5}
+                dot={false}
+                isAnimationActive={false}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        )}
+      </div>
+      {/* Card controls stop propagation so they don't also open the chart. */}
+      <div
+        className="mt-1 flex justify-end gap-1 text-xs opacity-0 transition group-hover:opacity-100"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <button
+          className={iconButton}
+          disabled={isFirst}
+          onClick={() => onMove(-1)}
+          title="Move left"
+        >
+          ◀
+        </button>
+        <button
+          className={iconButton}
+          disabled={isLast}
+          onClick={() => onMove(1)}
+          title="Move right"
+        >
+          ▶
+        </button>
+        <button className={iconButton} onClick={onRemove} title="Remove">
+          ✕
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Server-side watchlists as a grid of cards. Lists can be created, renamed, reordered and
+ * deleted; cards can be added, reordered and removed. Clicking a card opens it in the main chart.
+ */
+function WatchlistPanel({
+  apiBase,
+  activeId,
+  onSelectWatchlist,
+  selectedPair,
+  onSelectPair,
+  quotes,
+  formatMoney,
+}) {
+  const [watchlists, setWatchlists] = useState([]);
+  const [overview, setOverview] = useState(null);
+  const [newSymbol, setNewSymbol] = useState('');
+  const [draft, setDraft] = useState(null); // { mode: 'create' | 'rename', name, currency }
+  const [error, setError] = useState(null);
+
+  const active = watchlists.find((item) => item.id === activeId) || null;
+
+  async function request(method, path, data) {
+    try {
+      const response = await axios({ method, url: `${apiBase}${path}`, data, timeout: 10000 });
+      setError(null);
+      // DELETE answers 204 with no body; callers only need to know it succeeded.
+      return response.data || true;
+    } catch (err) {
+      setError(err.response?.data?.detail || err.message || 'Watchlist request failed.');
+      return null;
+    }
+  }
+
+  async function loadLists() {
+    const data = await request('get', '/watchlists');
+    if (!data) return;
+    setWatchlists(data.watchlists);
+    if (!data.watchlists.some((item) => item.id === activeId) && data.watchlists.length) {
+      onSelectWatchlist(data.watchlists[0].id);
+    }
+  }
+
+  async function loadOverview() {
+    if (!activeId) return;
+    const data = await request('get', `/watchlists/${activeId}/overview`);
+    if (data) setOverview(data);
+  }
+
+  useEffect(() => {
+    loadLists();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  useEffect(() => {
+    setOverview(null);
+    loadOverview();
+    const timer = setInterval(loadOverview, REFRESH_MS);
+    return () => clearInterval(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeId]);
+
+  async function saveSymbols(symbols) {
+    const updated = await request('patch', `/watchlists/${active.id}`, { symbols });
+    if (!updated) return;
+    setWatchlists((prev) => prev.map((item) => (item.id === updated.id ? updated : item)));
+    // Reorders and removals can be shown right away; new symbols need fresh quotes.
+    setOverview((prev) =>
+      prev && symbols.every((symbol) => prev.cards.some((card) => card.symbol === symbol))
+        ? {
+            ...prev,
+            ...updated,
+            cards: symbols.map((symbol) => prev.cards.find((card) => card.symbol === symbol)),
+          }
+        : prev,
+    );
+    if (symbols.length > active.symbols.length) loadOverview();
+  }
+
+  async function moveList(offset) {
+    const index = watchlists.findIndex((item) => item.id === activeId);
+    const ids = move(watchlists, index, offset).map((item) => item.id);
+    const data = await request('put', '/watchlists/order', { ids });
+    if (data) setWatchlists(data.watchlists);
+  }
+
+  async function submitDraft(event) {
+    event.preventDefault();
+    if (draft.mode === 'create') {
+      const created = await request('post', '/watchlists', {
+        name: draft.name,
+        currency: draft.currency,
+        symbols: [],
+      });
+      if (!created) return;
+      setWatchlists((prev) => [...prev, created]);
+      onSelectWatchlist(created.id);
+    } else {
+      const updated = await request('patch', `/watchlists/${active.id}`, { name: draft.name });
+      if (!updated) return;
+      setWatchlists((prev) => prev.map((item) => (item.id === updated.id ? updated : item)));
+    }
+    setDraft(null);
+  }
+
+  async function removeList() {
+    if (!window.confirm(`Delete watchlist "${active.name}"?`)) return;
+    if (!(await request('delete', `/watchlists/${active.id}`))) return;
+    const remaining = watchlists.filter((item) => item.id !== active.id);
+    setWatchlists(remaining);
+    onSelectWatchlist(remaining[0]?.id ?? null);
+  }
+
+  function addSymbol(event) {
+    event.preventDefault();
+    const symbol = newSymbol.trim().toUpperCase();
+    if (!symbol || active.symbols.includes(symbol)) return;
+    saveSymbols([...active.symbols, symbol]);
+    setNewSymbol('');
+  }
+
+  const cards = overview?.id === activeId ? overview.cards : [];
+  const activeIndex = watchlists.findIndex((item) => item.id === activeId);
+
+  return (
+    <section className="rounded-2xl border border-white/10 bg-white/5 p-4 shadow-xl ring-1 ring-white/5 backdrop-blur">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex flex-wrap items-center gap-1">
+          {watchlists.map((item) => (
+            <button
+              key={item.id}
+              className={chipClass(item.id === activeId)}
+              onClick={() => onSelectWatchlist(item.id)}
+            >
+              {item.name}
+            </button>
+          ))}
+          <button
+            className={chipClass(false)}
+            onClick={() => setDraft({ mode: 'create', name: '', currency: 'USD' })}
+          >
+            + New list
+          </button>
+        </div>
+        {active && (
+          <div className="flex items-center gap-1 text-xs">
+            <button
+              className={iconButton}
+              disabled={activeIndex <= 0}
+              onClick={() => moveList(-1)}
+              title="Move list left"
+            >
+              ◀
+            </button>
+            <button
+              className={iconButton}
+              disabled={activeIndex === watchlists.length - 1}
+              onClick={() => moveList(1)}
+              title="Move list right"
+            >
+              ▶
+            </button>
+            <button
+              className={iconButton}
+              onClick={() => setDraft({ mode: 'rename', name: active.name })}
+            >
+              Rename
+            </button>
+            <button className={`${iconButton} hover:text-red-300`} onClick={removeList}>
+              Delete
+            </button>
+          </div>
+        )}
+      </div>
+
+      {draft && (
+        <form onSubmit={submitDraft} className="mt-3 flex flex-wrap items-center gap-2">
+          <input
+            autoFocus
+            className={inputClass}
+            placeholder="Watchlist name"
+            value={draft.name}
+            onChange={(event) => setDraft({ ...draft, name: event.target.value })}
+            required
+          />
+          {draft.mode === 'create' && (
+            <select
+              className={inputClass}
+              value={draft.currency}
+              onChange={(event) => setDraft({ ...draft, currency: event.target.value })}
+            >
+              {quotes.map((quote) => (
+                <option key={quote} value={quote}>
+                  {quote}
+                </option>
+              ))}
+            </select>
+          )}
+          <button type="submit" className={chipClass(true)}>
+            {draft.mode === 'create' ? 'Create' : 'Save'}
+          </button>
+          <button type="button" className={chipClass(false)} onClick={() => setDraft(null)}>
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {active && (
+        <div className="mt-4 grid grid-cols-2 gap-3 sm:grid-cols-3 lg:grid-cols-4">
+          {cards.map((card, idx) => (
+            <WatchlistCard
+              key={card.symbol}
+              card={card}
+              active={selectedPair.symbol === card.symbol && selectedPair.currency === card.currency}
+              onOpen={() => onSelectPair({ symbol: card.symbol, currency: card.currency })}
+              onMove={(offset) => saveSymbols(move(active.symbols, idx, offset))}
+              onRemove={() => saveSymbols(active.symbols.filter((symbol) => symbol !== card.symbol))}
+              formatMoney={formatMoney}
+              isFirst={idx === 0}
+              isLast={idx === cards.length - 1}
+            />
+          ))}
+          <form
+            onSubmit={addSymbol}
+            className="flex items-center gap-2 rounded-xl border border-dashed border-white/15 p-3"
+          >
+            <input
+              className={`${inputClass} w-full`}
+              placeholder={`Add symbol (${active.currency})`}
+              value={newSymbol}
+              onChange={(event) => setNewSymbol(event.target.value)}
+            />
+            <button type="submit" className={chipClass(false)}>
+              Add
+            </button>
+          </form>
+        </div>
+      )}
+
+      {error && <p className="mt-3 text-xs text-red-300">{error}</p>}
+    </section>
+  );
+}
+
+export default WatchlistPanel;
@@ -0,0 +1,17 @@
+// Helpers for a response's `meta` block (provenance, age and degradation reason from the server).
+
+/** A degraded cache hit is shown as stale; fallback and mock data are always flagged. */
+export function freshnessKind(meta) {
+  if (!meta) return null;
+  return meta.provenance === 'cache' && meta.degraded ? 'stale' : meta.provenance;
+}
+
+/** True for recorded fixtures, whether served just now or from the proxy's cache. */
+export function isReplay(meta) {
+  return meta?.provenance === 'replay' || meta?.upstream?.provider === 'replay';
+}
+
+/** True when the data on screen is synthetic or could not be refreshed, so charts should be dimmed. */
+export function isDegraded(meta) {
+  return Boolean(meta && (meta.degraded || meta.provenance === 'fallback' || meta.provenance === 'mock'));
+}
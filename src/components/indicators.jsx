@@ -0,0 +1,57 @@
+import { Line } from 'recharts';
+
+// Indicator presets offered in the chart toolbar; keys are passed verbatim as /history?indicators=.
+export const INDICATOR_PRESETS = [
+  { key: 'sma:20', label: 'SMA 20', pane: 'overlay', lines: [{ field: 'value', color: '#fbbf24' }] },
+  { key: 'ema:50', label: 'EMA 50', pane: 'overlay', lines: [{ field: 'value', color: '#a78bfa' }] },
+  {
+    key: 'bb:20:2',
+    label: 'Bollinger',
+    pane: 'overlay',
+    lines: [
+      { field: 'upper', color: '#38bdf8', dashed: true },
+      { field: 'middle', color: '#38bdf8' },
+      { field: 'lower', color: '#38bdf8', dashed: true },
+    ],
+  },
+  { key: 'vwap', label: 'VWAP', pane: 'overlay', lines: [{ field: 'value', color: '#f472b6' }] },
+  { key: 'rsi:14', label: 'RSI 14', pane: 'oscillator' },
+  { key: 'macd:12:26:9', label: 'MACD', pane: 'oscillator' },
+];
+
+/** Index /history indicator series by candle open time, for merging into chart points. */
+export function indicatorsByTime(indicators) {
+  const byTime = new Map();
+  (indicators || []).forEach(({ key, values }) => {
+    values.forEach(({ t, ...value }) => {
+      byTime.set(t, { ...byTime.get(t), [key]: value });
+    });
+  });
+  return byTime;
+}
+
+export function indicatorValue(point, key, field = 'value') {
+  return point.ind?.[key]?.[field] ?? null;
+}
+
+// Recharts only picks up graphical items that are direct children, so this returns elements, not a component.
+export function renderOverlayLines(activeKeys) {
+  return INDICATOR_PRESETS.filter(
+    (preset) => preset.pane === 'overlay' && activeKeys.includes(preset.key),
+  ).flatMap((preset) =>
+      preset.lines.map((line) => (
+        <Line
+          key={`${preset.key}-${line.field}`}
+          name={line.field === 'value' ? preset.label : `${preset.label} ${line.field}`}
+          dataKey={(point) => indicatorValue(point, preset.key, line.field)}
+          stroke={line.color}
+          strokeWidth={1.25}
+          strokeDasharray={line.dashed ? '4 3' : undefined}
+          dot={false}
+          activeDot={false}
+          connectNulls
+          isAnimationActive={false}
+        />
+      )),
+    );
+}
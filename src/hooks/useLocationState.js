@@ -0,0 +1,55 @@
+import { useEffect, useRef } from 'react';
+
+// Shareable dashboard URLs: /w/<watchlistId>/<SYMBOL>-<CURRENCY>, or /pair/<SYMBOL>-<CURRENCY>
+// without a watchlist. The server's SPA fallback serves index.html for both.
+
+function parsePair(segment) {
+  const match = /^([A-Z0-9]+)-([A-Z0-9]+)$/i.exec(segment || '');
+  return match ? { symbol: match[1].toUpperCase(), currency: match[2].toUpperCase() } : null;
+}
+
+export function readLocation() {
+  if (typeof window === 'undefined') return { watchlistId: null, pair: null };
+  const parts = window.location.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  if (parts[0] === 'w') return { watchlistId: parts[1] || null, pair: parsePair(parts[2]) };
+  if (parts[0] === 'pair') return { watchlistId: null, pair: parsePair(parts[1]) };
+  return { watchlistId: null, pair: null };
+}
+
+function buildPath({ watchlistId, pair }) {
+  const pairSegment = pair ? `${pair.symbol}-${pair.currency}` : '';
+  if (watchlistId) {
+    return `/w/${encodeURIComponent(watchlistId)}${pairSegment ? `/${pairSegment}` : ''}`;
+  }
+  return pairSegment ? `/pair/${pairSegment}` : '/';
+}
+
+/**
+ * Mirror the selected watchlist and pair into the URL, and report back/forward navigation
+ * through `onNavigate`. The first sync replaces the entry so loading a page doesn't add history.
+ */
+export function useLocationState({ watchlistId, pair }, onNavigate) {
+  const synced = useRef(false);
+  const navigate = useRef(onNavigate);
+
+  useEffect(() => {
+    navigate.current = onNavigate;
+  });
+
+  useEffect(() => {
+    const nextPath = buildPath({ watchlistId, pair });
+    if (nextPath === window.location.pathname) {
+      synced.current = true;
+      return;
+    }
+    const method = synced.current ? 'pushState' : 'replaceState';
+    window.history[method](null, '', `${nextPath}${window.location.search}`);
+    synced.current = true;
+  }, [watchlistId, pair]);
+
+  useEffect(() => {
+    const handlePop = () => navigate.current(readLocation());
+    window.addEventListener('popstate', handlePop);
+    return () => window.removeEventListener('popstate', handlePop);
+  }, []);
+}
@@ -0,0 +1,66 @@
+import { useEffect, useRef, useState } from 'react';
+import { withApiKey } from '../apiKey.js';
+
+const MIN_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30_000;
+
+/**
+ * Subscribe to the server's /stream SSE feed for a pair.
+ * EventSource retries transient drops itself; when it gives up (readyState CLOSED)
+ * we reopen it with exponential backoff. Returns the connection status.
+ */
+export function usePriceStream(apiBase, pair, onPrice) {
+  const [streamStatus, setStreamStatus] = useState('connecting'); // connecting | live | reconnecting | offline
+  const onPriceRef = useRef(onPrice);
+
+  useEffect(() => {
+    onPriceRef.current = onPrice;
+  }, [onPrice]);
+
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') return undefined;
+
+    let source = null;
+    let retryTimer = null;
+    let attempts = 0;
+    let disposed = false;
+
+    function open() {
+      const params = new URLSearchParams({ symbol: pair.symbol, currency: pair.currency });
+      source = new EventSource(withApiKey(`${apiBase}/stream?${params}`));
+
+      source.addEventListener('open', () => {
+        attempts = 0;
+        setStreamStatus('live');
+      });
+      source.addEventListener('price', (event) => {
+        onPriceRef.current?.(JSON.parse(event.data));
+      });
+      source.addEventListener('status', (event) => {
+        const { status } = JSON.parse(event.data);
+        setStreamStatus(status === 'live' ? 'live' : 'reconnecting');
+      });
+      source.addEventListener('error', () => {
+        if (disposed) return;
+        if (source.readyState !== EventSource.CLOSED) {
+          setStreamStatus('reconnecting');
+          return;
+        }
+        const delay = Math.min(MIN_BACKOFF_MS * 2 ** attempts, MAX_BACKOFF_MS);
+        attempts += 1;
+        setStreamStatus('offline');
+        retryTimer = setTimeout(open, delay);
+      });
+    }
+
+    open();
+
+    return () => {
+      disposed = true;
+      clearTimeout(retryTimer);
+      source?.close();
+    };
+  }, [apiBase, pair.symbol, pair.currency]);
+
+  return streamStatus;
+}
@@ -0,0 +1,25 @@
+import axios from 'axios';
+import { useEffect, useState } from 'react';
+
+/**
+ * The server's non-secret runtime settings from /config (providers, cache TTLs, export formats).
+ * Null until they load, or if the server is unreachable; callers keep their built-in defaults.
+ */
+export function useRuntimeConfig(apiBase) {
+  const [config, setConfig] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    axios
+      .get(`${apiBase}/config`, { timeout: 5000 })
+      .then(({ data }) => {
+        if (!cancelled) setConfig(data);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [apiBase]);
+
+  return config;
+}
@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { startFakeBinance } from './support/fakeBinance.js';
+import { START_TIME, startProxy } from './support/proxy.js';
+
+const HOUR_MS = 3_600_000;
+const ADMIN = { Authorization: 'Bearer admin-token' };
+
+let upstream;
+let proxy;
+
+beforeEach(async () => {
+  upstream = await startFakeBinance();
+  proxy = await startProxy({ upstream, env: { ADMIN_TOKEN: 'admin-token', BACKFILL_MAX_CANDLES: '48' } });
+});
+
+afterEach(async () => {
+  await proxy.close();
+  await upstream.close();
+});
+
+async function request(method, route, { headers = {}, body } = {}) {
+  const response = await fetch(`${proxy.baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+describe('/admin/candles', () => {
+  const backfill = (hours, headers = ADMIN) =>
+    request('POST', '/admin/candles/backfill', {
+      headers,
+      body: { symbol: 'BTC', currency: 'USD', interval: '1h', from: START_TIME - hours * HOUR_MS, to: START_TIME },
+    });
+
+  test('needs the admin token on every route', async () => {
+    const responses = await Promise.all([
+      request('GET', '/admin/candles'),
+      request('GET', '/admin/candles/BTC/USD/1h'),
+      request('GET', '/admin/candles', { headers: { Authorization: 'Bearer wrong' } }),
+      backfill(24, {}),
+    ]);
+
+    responses.forEach(({ status, body }) => {
+      assert.equal(status, 401);
+      assert.equal(body.detail, 'Admin token required');
+    });
+    assert.equal(upstream.calls('klines').length, 0);
+  });
+
+  test('backfills a range and reports its coverage', async () => {
+    const { status, body } = await backfill(24);
+    const series = await request('GET', '/admin/candles', { headers: ADMIN });
+
+    assert.equal(status, 200);
+    assert.equal(body.coverage.count, 24);
+    assert.deepEqual(body.coverage.gaps, []);
+    assert.equal(series.body.series[0].count, 24);
+  });
+
+  test('rejects backfills longer than BACKFILL_MAX_CANDLES before calling upstream', async () => {
+    const { status, body } = await backfill(49);
+
+    assert.equal(status, 400);
+    assert.match(body.detail, /exceeds 48 candles/);
+    assert.equal(upstream.calls('klines').length, 0);
+  });
+});
+
+test('admin routes are disabled without ADMIN_TOKEN', async () => {
+  const open = await startProxy({ upstream });
+  try {
+    const response = await fetch(`${open.baseUrl}/admin/candles`);
+
+    assert.equal(response.status, 503);
+  } finally {
+    await open.close();
+  }
+});
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, afterEach, before, beforeEach, describe, test } from 'node:test';
+import { createWebhookDispatcher } from '../server/alerts/index.js';
+import { publicOnlyLookup } from '../server/alerts/targets.js';
+import { startFakeBinance } from './support/fakeBinance.js';
+import { startProxy } from './support/proxy.js';
+
+describe('POST /alerts', () => {
+  let upstream;
+  let proxy;
+
+  beforeEach(async () => {
+    upstream = await startFakeBinance();
+    proxy = await startProxy({ upstream });
+  });
+
+  afterEach(async () => {
+    await proxy.close();
+    await upstream.close();
+  });
+
+  async function create(webhookUrl) {
+    const response = await fetch(`${proxy.baseUrl}/alerts`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ symbol: 'BTC', currency: 'USD', type: 'price_cross', level: 70_000, webhookUrl }),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('refuses webhook URLs on loopback, link-local and private addresses', async () => {
+    const targets = [
+      'http://127.0.0.1:8080/hook',
+      'http://localhost/hook',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://10.1.2.3/hook',
+      'http://172.16.0.1/hook',
+      'http://192.168.1.1/hook',
+      'http://[::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook',
+      'http://0x7f.1/hook',
+    ];
+
+    for (const target of targets) {
+      const { status, body } = await create(target);
+      assert.equal(status, 400, target);
+      assert.match(body.detail, /loopback, link-local or private/);
+    }
+  });
+
+  test('accepts public webhook URLs', async () => {
+    const { status, body } = await create('https://hooks.example.com/alerts');
+
+    assert.equal(status, 201);
+    assert.equal(body.webhookUrl, 'https://hooks.example.com/alerts');
+  });
+});
+
+describe('createWebhookDispatcher', () => {
+  let receiver;
+  let hookUrl;
+  let received;
+
+  before(async () => {
+    receiver = http.createServer((req, res) => {
+      received += 1;
+      res.end('ok');
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    hookUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+  });
+
+  after(() => new Promise((resolve) => receiver.close(resolve)));
+
+  function deliver(dispatcher) {
+    received = 0;
+    return dispatcher.deliver({
+      url: hookUrl,
+      ruleId: 'rule',
+      event: 'alert.test',
+      payload: { deliveryId: 'delivery' },
+    });
+  }
+
+  test('fails internal targets once, without retrying or connecting', async () => {
+    const delivery = await deliver(createWebhookDispatcher({ baseDelayMs: 0, logger: {} }));
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts.length, 1);
+    assert.match(delivery.attempts[0].error, /loopback, link-local or private/);
+    assert.equal(received, 0);
+  });
+
+  test('delivers to a trusted internal target', async () => {
+    const delivery = await deliver(createWebhookDispatcher({ trustedUrls: [hookUrl], logger: {} }));
+
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(received, 1);
+  });
+
+  test('refuses hostnames that resolve to internal addresses', async () => {
+    const error = await new Promise((resolve) => publicOnlyLookup('localhost', {}, resolve));
+
+    assert.equal(error.code, 'EINTERNALTARGET');
+  });
+});
@@ -0,0 +1,146 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, test } from 'node:test';
+import { createRateLimiter } from '../server/auth/index.js';
+import { startFakeBinance } from './support/fakeBinance.js';
+import { createTestClock, startProxy } from './support/proxy.js';
+
+const ADMIN = { Authorization: 'Bearer admin-token' };
+const PRICE = '/price?symbol=BTC&currency=USD';
+
+let upstream;
+let proxy;
+
+async function start(env = {}) {
+  upstream = await startFakeBinance();
+  proxy = await startProxy({
+    upstream,
+    env: { ADMIN_TOKEN: 'admin-token', RATE_LIMIT_IP_CAPACITY: '2', RATE_LIMIT_IP_REFILL_PER_SEC: '1', ...env },
+  });
+}
+
+async function request(route, { method = 'GET', headers = {}, body } = {}) {
+  const response = await fetch(`${proxy.baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+const issueKey = async (rateLimit) =>
+  (await request('/admin/keys', { method: 'POST', headers: ADMIN, body: { name: 'dashboard', rateLimit } })).body;
+
+describe('createRateLimiter', () => {
+  test('refuses an empty bucket until enough has refilled', () => {
+    const clock = createTestClock();
+    const limiter = createRateLimiter({ now: clock.now });
+    const limit = { capacity: 2, refillPerSec: 0.5 };
+
+    limiter.take('client', limit);
+    const last = limiter.take('client', limit);
+    const refused = limiter.take('client', limit);
+    clock.advance(1000);
+    const halfway = limiter.take('client', limit);
+    clock.advance(1000);
+    const refilled = limiter.take('client', limit);
+
+    assert.deepEqual(last, { allowed: true, limit: 2, remaining: 0, resetSec: 4, retryAfterSec: 0 });
+    assert.deepEqual(refused, { allowed: false, limit: 2, remaining: 0, resetSec: 4, retryAfterSec: 2 });
+    assert.equal(halfway.allowed, false);
+    assert.equal(halfway.retryAfterSec, 1);
+    assert.equal(refilled.allowed, true);
+  });
+});
+
+describe('API keys and rate limits', () => {
+  afterEach(async () => {
+    await proxy.close();
+    await upstream.close();
+  });
+
+  test('limits anonymous clients per IP with RateLimit headers and Retry-After', async () => {
+    await start();
+
+    const first = await request(PRICE);
+    await request(PRICE);
+    const limited = await request(PRICE);
+    proxy.clock.advance(1000);
+    const refilled = await request(PRICE);
+
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+    assert.equal(first.headers.get('ratelimit-reset'), '1');
+    assert.equal(first.headers.get('ratelimit-policy'), '2;w=2');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('retry-after'), '1');
+    assert.equal(limited.body.retryAfter, 1);
+    assert.equal(refilled.status, 200);
+  });
+
+  test('spends keyed requests from the key bucket and counts its usage', async () => {
+    await start();
+    const { id, key } = await issueKey({ capacity: 2, refillPerSec: 0.5 });
+
+    const byHeader = await request(PRICE, { headers: { 'X-API-Key': key } });
+    const byQuery = await request(`${PRICE}&apiKey=${key}`);
+    const limited = await request(PRICE, { headers: { Authorization: `Bearer ${key}` } });
+    const listed = await request('/admin/keys', { headers: ADMIN });
+
+    assert.equal(byHeader.status, 200);
+    assert.equal(byHeader.headers.get('ratelimit-limit'), '2');
+    assert.equal(byQuery.status, 200);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('retry-after'), '2');
+    const [record] = listed.body.keys;
+    assert.equal(record.id, id);
+    assert.equal(record.hash, undefined);
+    assert.equal(record.key, undefined);
+    assert.equal(record.usage.requests, 3);
+    assert.equal(record.usage.limited, 1);
+  });
+
+  test('rejects unknown and revoked keys', async () => {
+    await start();
+    const { id, key } = await issueKey();
+
+    const unknown = await request(PRICE, { headers: { 'X-API-Key': 'mdn_nope' } });
+    const revoked = await request(`/admin/keys/${id}`, { method: 'DELETE', headers: ADMIN });
+    const afterRevoke = await request(PRICE, { headers: { 'X-API-Key': key } });
+
+    assert.equal(unknown.status, 401);
+    assert.equal(unknown.body.detail, 'Invalid API key');
+    assert.equal(revoked.status, 200);
+    assert.ok(revoked.body.revokedAt);
+    assert.equal(afterRevoke.status, 401);
+    assert.equal(afterRevoke.body.detail, 'API key has been revoked');
+  });
+
+  test('turns anonymous requests away with REQUIRE_API_KEY=true', async () => {
+    await start({ REQUIRE_API_KEY: 'true' });
+    const { key } = await issueKey();
+
+    const anonymous = await request(PRICE);
+    const keyed = await request(PRICE, { headers: { 'X-API-Key': key } });
+    const health = await request('/health');
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.headers.get('www-authenticate'), 'Bearer');
+    assert.equal(keyed.status, 200);
+    assert.equal(health.status, 200);
+    assert.equal(upstream.calls('ticker/price').length, 1);
+  });
+
+  test('validates new keys', async () => {
+    await start();
+
+    const { status, body } = await request('/admin/keys', {
+      method: 'POST',
+      headers: ADMIN,
+      body: { name: 'bad', rateLimit: { capacity: 0, refillPerSec: 1 } },
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.detail, 'rateLimit.capacity must be a positive number');
+  });
+});
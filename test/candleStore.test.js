@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, describe, test } from 'node:test';
+import { createCandleStore } from '../server/candleStore.js';
+
+const KEY = 'BTC_USDT_1h';
+const PAST = new Date('2020-01-01T00:00:00Z');
+
+const candle = (t, close) => ({ t, open: close, high: close + 1, low: close - 1, close, volume: 2 });
+
+let dir;
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A store over a throwaway directory holding one saved series, its file dated in the past.
+function seededStore() {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'candle-store-test-'));
+  const store = createCandleStore({ dir, logger: {} });
+  store.upsert(KEY, [candle(0, 10), candle(3_600_000, 11)]);
+  const file = path.join(dir, `${KEY}.json`);
+  fs.utimesSync(file, PAST, PAST);
+  return { store, file };
+}
+
+describe('createCandleStore', () => {
+  test('leaves the file alone when an upsert repeats stored candles', () => {
+    const { store, file } = seededStore();
+
+    const added = store.upsert(KEY, [candle(3_600_000, 11)]);
+
+    assert.equal(added, 0);
+    assert.equal(fs.statSync(file).mtimeMs, PAST.getTime());
+  });
+
+  test('rewrites the file when a candle is added or revised', () => {
+    const { store, file } = seededStore();
+
+    assert.equal(store.upsert(KEY, [candle(3_600_000, 12)]), 0);
+    assert.notEqual(fs.statSync(file).mtimeMs, PAST.getTime());
+    fs.utimesSync(file, PAST, PAST);
+    assert.equal(store.upsert(KEY, [candle(7_200_000, 13)]), 1);
+    assert.notEqual(fs.statSync(file).mtimeMs, PAST.getTime());
+
+    const reloaded = createCandleStore({ dir, logger: {} });
+    assert.deepEqual(
+      reloaded.range(KEY, 0, Infinity).map((item) => item.close),
+      [10, 12, 13],
+    );
+  });
+});
@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { createCircuitBreaker } from '../server/providers/circuitBreaker.js';
+import { createProviderRegistry } from '../server/providers/index.js';
+import { createTestClock } from './support/proxy.js';
+
+const COOLDOWN_MS = 30_000;
+
+function openBreaker(clock) {
+  const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: COOLDOWN_MS, now: clock.now });
+  breaker.canRequest();
+  breaker.recordFailure();
+  return breaker;
+}
+
+describe('createCircuitBreaker', () => {
+  test('lets exactly one trial through after the cooldown', () => {
+    const clock = createTestClock();
+    const breaker = openBreaker(clock);
+
+    assert.equal(breaker.canRequest(), false);
+    clock.advance(COOLDOWN_MS);
+
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.state, 'half-open');
+    assert.equal(breaker.canRequest(), false);
+  });
+
+  test('closes when the trial succeeds and reopens when it fails', () => {
+    const clock = createTestClock();
+    const closing = openBreaker(clock);
+    const reopening = openBreaker(clock);
+    clock.advance(COOLDOWN_MS);
+
+    closing.canRequest();
+    closing.recordSuccess();
+    reopening.canRequest();
+    reopening.recordFailure();
+
+    assert.equal(closing.state, 'closed');
+    assert.equal(closing.canRequest(), true);
+    assert.equal(reopening.state, 'open');
+    assert.equal(reopening.canRequest(), false);
+  });
+
+  test('allows another trial once an inconclusive one is released', () => {
+    const clock = createTestClock();
+    const breaker = openBreaker(clock);
+    clock.advance(COOLDOWN_MS);
+
+    breaker.canRequest();
+    breaker.releaseTrial();
+
+    assert.equal(breaker.state, 'half-open');
+    assert.equal(breaker.canRequest(), true);
+  });
+});
+
+describe('createProviderRegistry', () => {
+  test('sends a single request to a half-open provider during a burst', async () => {
+    const clock = createTestClock();
+    let calls = 0;
+    let release;
+    const flaky = {
+      id: 'flaky',
+      async getPrice() {
+        calls += 1;
+        if (calls === 1) throw Object.assign(new Error('down'), { status: 503 });
+        await new Promise((resolve) => {
+          release = resolve;
+        });
+        return { price: 1 };
+      },
+    };
+    const backup = { id: 'backup', getPrice: async () => ({ price: 2 }) };
+    const registry = createProviderRegistry({
+      providers: [flaky, backup],
+      breaker: { failureThreshold: 1, cooldownMs: COOLDOWN_MS, now: clock.now },
+      logger: {},
+    });
+    await registry.execute('getPrice', {});
+    clock.advance(COOLDOWN_MS);
+
+    const trial = registry.execute('getPrice', {});
+    const burst = await Promise.all([registry.execute('getPrice', {}), registry.execute('getPrice', {})]);
+    release();
+
+    assert.deepEqual(
+      burst.map((result) => result.provider),
+      ['backup', 'backup'],
+    );
+    assert.deepEqual(burst[0].attempts, [{ provider: 'flaky', skipped: 'circuit-open' }]);
+    assert.equal((await trial).provider, 'flaky');
+    assert.equal(calls, 2);
+  });
+});
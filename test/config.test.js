@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { describe, test } from 'node:test';
+import { ConfigError, loadConfig } from '../server/config.js';
+import { startFakeBinance } from './support/fakeBinance.js';
+import { startProxy } from './support/proxy.js';
+
+describe('loadConfig', () => {
+  test('types every setting and fills in defaults', () => {
+    const config = loadConfig({ CACHE_TTL_MS: '30000', REQUIRE_API_KEY: 'true', API_KEY: '' });
+
+    assert.equal(config.CACHE_TTL_MS, 30_000);
+    assert.equal(config.HISTORY_CACHE_TTL_MS, 300_000);
+    assert.equal(config.REQUIRE_API_KEY, true);
+    assert.equal(config.API_KEY, undefined);
+    assert.deepEqual(config.MARKET_PROVIDERS, ['binance', 'coinbase', 'kraken', 'coingecko']);
+    assert.ok(Object.isFrozen(config));
+  });
+
+  test('derives Binance endpoints, including avgPrice, from the configured bases', () => {
+    const fromBase = loadConfig({ BINANCE_API_BASE: 'https://testnet.binance.vision/api/v3/' });
+    const fromPrice = loadConfig({ PRICE_API_BASE: 'http://127.0.0.1:9000/api/v3/ticker/price' });
+
+    assert.equal(fromBase.HISTORY_API_BASE, 'https://testnet.binance.vision/api/v3/klines');
+    assert.equal(fromBase.AVG_PRICE_API_BASE, 'https://testnet.binance.vision/api/v3/avgPrice');
+    assert.equal(fromPrice.AVG_PRICE_API_BASE, 'http://127.0.0.1:9000/api/v3/avgPrice');
+  });
+
+  test('reports every invalid setting at once', () => {
+    assert.throws(
+      () =>
+        loadConfig({
+          CACHE_TTL_MS: '60s',
+          MARKET_PROVIDERS: 'binance,bitstamp',
+          STREAM_BASE: 'https://stream.binance.com',
+          REQUIRE_API_KEY: 'sometimes',
+          API_AUTH: 'signed',
+        }),
+      (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepEqual(error.problems, [
+          'STREAM_BASE must use ws: or wss: (got "https://stream.binance.com")',
+          'MARKET_PROVIDERS has unknown entries bitstamp; expected binance, coinbase, kraken, coingecko',
+          'CACHE_TTL_MS must be an integer (got "60s")',
+          'REQUIRE_API_KEY must be true or false (got "sometimes")',
+          'API_AUTH=signed needs both API_KEY and API_SECRET',
+        ]);
+        return true;
+      },
+    );
+  });
+
+  test('signs requests by default once a secret is configured', () => {
+    assert.equal(loadConfig({ API_KEY: 'key' }).API_AUTH, 'header');
+    assert.equal(loadConfig({ API_KEY: 'key', API_SECRET: 'secret' }).API_AUTH, 'signed');
+  });
+});
+
+describe('upstream credentials and GET /config', () => {
+  test('sends API_KEY to Binance in header mode', async () => {
+    const upstream = await startFakeBinance();
+    const proxy = await startProxy({ upstream, env: { API_KEY: 'public-key' } });
+
+    await proxy.get('/price?symbol=BTC&currency=USD');
+    const [call] = upstream.calls('ticker/price');
+
+    assert.equal(call.headers['x-mbx-apikey'], 'public-key');
+    assert.equal(call.query.signature, undefined);
+    await proxy.close();
+    await upstream.close();
+  });
+
+  test('signs the query with API_SECRET in signed mode', async () => {
+    const upstream = await startFakeBinance();
+    const proxy = await startProxy({ upstream, env: { API_KEY: 'public-key', API_SECRET: 'shh' } });
+
+    await proxy.get('/price?symbol=BTC&currency=USD');
+    const [call] = upstream.calls('ticker/price');
+    const [signed, signature] = call.url.split('?')[1].split('&signature=');
+
+    assert.equal(call.headers['x-mbx-apikey'], 'public-key');
+    assert.equal(call.query.timestamp, String(proxy.clock.now()));
+    assert.equal(signature, crypto.createHmac('sha256', 'shh').update(signed).digest('hex'));
+    await proxy.close();
+    await upstream.close();
+  });
+
+  test('exposes runtime settings without any credentials', async () => {
+    const upstream = await startFakeBinance();
+    const proxy = await startProxy({
+      upstream,
+      env: { API_KEY: 'public-key', API_SECRET: 'shh', ADMIN_TOKEN: 'admin', ALERT_WEBHOOK_SECRET: 'hook' },
+    });
+
+    const { status, body } = await proxy.get('/config');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.providers, ['binance']);
+    assert.equal(body.upstreamAuth, 'signed');
+    assert.equal(body.cache.priceTtlMs, 60_000);
+    assert.deepEqual(body.export.formats, ['csv', 'ndjson', 'parquet']);
+    for (const secret of ['public-key', 'shh', 'admin', 'hook']) {
+      assert.ok(!JSON.stringify(body).includes(secret), `/config leaked ${secret}`);
+    }
+    await proxy.close();
+    await upstream.close();
+  });
+});
@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { closeAt, startFakeBinance } from './support/fakeBinance.js';
+import { readParquet } from './support/parquet.js';
+import { START_TIME, startProxy } from './support/proxy.js';
+
+const HOUR_MS = 3_600_000;
+const DAY_MS = 24 * HOUR_MS;
+const HISTORY = '/history?symbol=BTC&currency=USD&days=1&interval=hourly';
+
+let upstream;
+let proxy;
+
+beforeEach(async () => {
+  upstream = await startFakeBinance();
+  proxy = await startProxy({ upstream, env: { EXPORT_MAX_CANDLES: '10000' } });
+});
+
+afterEach(async () => {
+  await proxy.close();
+  await upstream.close();
+});
+
+async function download(route) {
+  const response = await fetch(`${proxy.baseUrl}${route}`);
+  return { response, bytes: Buffer.from(await response.arrayBuffer()) };
+}
+
+describe('GET /history exports', () => {
+  test('streams csv with a header row and one line per candle', async () => {
+    const { response, bytes } = await download(`${HISTORY}&format=csv`);
+    const [header, first, ...rest] = bytes.toString('utf8').trimEnd().split('\n');
+    const close = closeAt(60_000, START_TIME - DAY_MS, HOUR_MS);
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.equal(
+      response.headers.get('content-disposition'),
+      'attachment; filename="BTC-USD_1h_20260114T1200_20260115T1200.csv"',
+    );
+    assert.equal(header, 'timestamp,open,high,low,close,volume,quoteVolume');
+    assert.equal(first, [START_TIME - DAY_MS, close, close + 1, close - 1, close, 2, close * 2].join(','));
+    assert.equal(rest.length, 24);
+  });
+
+  test('streams ndjson across chunks without gaps or repeats', async () => {
+    // One-minute candles over four days are more than one 5000-candle chunk.
+    const { response, bytes } = await download('/history?symbol=BTC&currency=USD&days=4&interval=1m&format=ndjson');
+    const times = bytes
+      .toString('utf8')
+      .trimEnd()
+      .split('\n')
+      .map((line) => JSON.parse(line).timestamp);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/x-ndjson');
+    assert.equal(times.length, 4 * 24 * 60 + 1);
+    assert.ok(times.every((t, idx) => t === START_TIME - 4 * DAY_MS + idx * 60_000));
+  });
+
+  test('streams a parquet file', async () => {
+    const { response, bytes } = await download(`${HISTORY}&format=parquet`);
+    const file = readParquet(bytes);
+    const close = closeAt(60_000, START_TIME - DAY_MS, HOUR_MS);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/vnd.apache.parquet');
+    assert.deepEqual(file.columns, ['timestamp', 'open', 'high', 'low', 'close', 'volume', 'quoteVolume']);
+    assert.equal(file.numRows, 25);
+    assert.equal(file.rows.length, 25);
+    assert.deepEqual(file.rows[0], [START_TIME - DAY_MS, close, close + 1, close - 1, close, 2, close * 2]);
+    assert.equal(file.rows.at(-1)[0], START_TIME);
+  });
+
+  test('writes one parquet row group per chunk', async () => {
+    const { bytes } = await download('/history?symbol=BTC&currency=USD&days=4&interval=1m&format=parquet');
+    const file = readParquet(bytes);
+
+    assert.equal(file.rowGroups, 2);
+    assert.equal(file.numRows, 4 * 24 * 60 + 1);
+    assert.ok(file.rows.every(([t], idx) => t === START_TIME - 4 * DAY_MS + idx * 60_000));
+  });
+
+  test('leaves the candle store alone', async () => {
+    await download(`${HISTORY}&format=csv`);
+
+    const { body } = await proxy.get(HISTORY);
+
+    const [, history] = upstream.calls('klines');
+    assert.equal(Number(history.query.startTime), START_TIME - DAY_MS);
+    assert.equal(body.store.stored, 0);
+  });
+
+  test('rejects ranges over EXPORT_MAX_CANDLES before calling upstream', async () => {
+    const { status, body } = await proxy.get('/history?symbol=BTC&currency=USD&days=7&interval=1m&format=csv');
+
+    assert.equal(status, 400);
+    assert.match(body.detail, /exceeds 10000 candles/);
+    assert.equal(upstream.calls('klines').length, 0);
+  });
+});
@@ -0,0 +1,273 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { closeAt, startFakeBinance } from './support/fakeBinance.js';
+import { START_TIME, startProxy } from './support/proxy.js';
+
+const HOUR_MS = 3_600_000;
+const DAY_MS = 24 * HOUR_MS;
+// The proxy's default HISTORY_CACHE_TTL_MS.
+const HISTORY_TTL_MS = 300_000;
+const HISTORY = '/history?symbol=BTC&currency=USD&days=1&interval=hourly';
+
+let upstream;
+let proxy;
+
+beforeEach(async () => {
+  upstream = await startFakeBinance();
+  proxy = await startProxy({ upstream });
+});
+
+afterEach(async () => {
+  await proxy.close();
+  await upstream.close();
+});
+
+describe('GET /history', () => {
+  test('serves hourly points for the last day from klines', async () => {
+    const { status, body } = await proxy.get(HISTORY);
+
+    assert.equal(status, 200);
+    assert.equal(body.interval, '1h');
+    // Both ends of the window are included, so the still-open candle at START_TIME is the 25th.
+    assert.equal(body.points.length, 25);
+    assert.deepEqual(body.points.at(-1), { t: START_TIME, price: closeAt(60_000, START_TIME, HOUR_MS) });
+    assert.equal(body.provider, 'binance');
+    assert.equal(body.meta.provenance, 'live');
+    assert.equal(body.candles, undefined);
+    assert.equal(upstream.calls('klines').length, 1);
+  });
+
+  test('returns candles and indicators when asked for ohlcv', async () => {
+    const { body } = await proxy.get(`${HISTORY}&format=ohlcv&indicators=sma:3`);
+
+    assert.equal(body.format, 'ohlcv');
+    assert.equal(body.candles.length, 25);
+    const [sma] = body.indicators;
+    const lastCloses = body.candles.slice(-3).map((candle) => candle.close);
+    assert.equal(sma.key, 'sma:3');
+    assert.deepEqual(
+      sma.values.slice(0, 2).map((point) => point.value),
+      [null, null],
+    );
+    assert.equal(sma.values.at(-1).value, (lastCloses[0] + lastCloses[1] + lastCloses[2]) / 3);
+  });
+
+  test('serves repeat requests from cache within the TTL', async () => {
+    await proxy.get(HISTORY);
+    proxy.clock.advance(HISTORY_TTL_MS - 1);
+
+    const { body } = await proxy.get(HISTORY);
+
+    assert.equal(body.cached, true);
+    assert.equal(body.meta.provenance, 'cache');
+    assert.equal(body.meta.upstream.status, 'not_contacted');
+    assert.equal(upstream.calls('klines').length, 1);
+  });
+
+  test('collapses concurrent requests for the same series into one upstream call', async () => {
+    const release = upstream.hold('klines');
+    const responses = Promise.all(Array.from({ length: 5 }, () => proxy.get(HISTORY)));
+    // Let every request join the one in flight before klines answers.
+    while ((await proxy.get('/cache/stats')).body.inflight.shared < 4) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    release();
+
+    const bodies = (await responses).map(({ status, body }) => {
+      assert.equal(status, 200);
+      return body;
+    });
+
+    assert.equal(upstream.calls('klines').length, 1);
+    bodies.forEach((body) => assert.deepEqual(body.points, bodies[0].points));
+  });
+
+  test('evicts the least recently used series past HISTORY_CACHE_MAX_ENTRIES', async () => {
+    await proxy.close();
+    proxy = await startProxy({ upstream, env: { HISTORY_CACHE_MAX_ENTRIES: '2' } });
+    const eth = HISTORY.replace('BTC', 'ETH');
+    const eur = HISTORY.replace('BTC', 'EUR');
+
+    await proxy.get(HISTORY);
+    await proxy.get(eth);
+    // Touch BTC so ETH becomes the oldest entry, then push it out with a third series.
+    await proxy.get(HISTORY);
+    await proxy.get(eur);
+    const btcAgain = await proxy.get(HISTORY);
+    const ethAgain = await proxy.get(eth);
+    const { body: stats } = await proxy.get('/cache/stats');
+
+    assert.equal(btcAgain.body.cached, true);
+    assert.equal(ethAgain.body.cached, undefined);
+    assert.deepEqual(
+      upstream.calls('klines').map((call) => call.query.symbol),
+      ['BTCUSDT', 'ETHUSDT', 'EURUSDT', 'ETHUSDT'],
+    );
+    assert.equal(stats.history.size, 2);
+    assert.equal(stats.history.evictions, 2);
+  });
+
+  test('reloads file-cached history in a new proxy sharing CACHE_DIR', async () => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-cache-test-'));
+    const env = { CACHE_BACKEND: 'file', CACHE_DIR: cacheDir };
+    await proxy.close();
+    proxy = await startProxy({ upstream, env });
+    const first = await proxy.get(HISTORY);
+    // Closing flushes the cache file rather than waiting out the write delay.
+    await proxy.close();
+
+    proxy = await startProxy({ upstream, env });
+    proxy.clock.advance(HISTORY_TTL_MS - 1);
+    const { body } = await proxy.get(HISTORY);
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+
+    assert.equal(body.cached, true);
+    assert.deepEqual(body.points, first.body.points);
+    assert.equal(body.meta.ageMs, HISTORY_TTL_MS - 1);
+    assert.equal(upstream.calls('klines').length, 1);
+  });
+
+  test('only asks upstream for candles newer than the stored ones after the cache expires', async () => {
+    await proxy.get(HISTORY);
+    proxy.clock.advance(2 * HOUR_MS);
+
+    const { body } = await proxy.get(HISTORY);
+
+    const [, topUp] = upstream.calls('klines');
+    assert.equal(Number(topUp.query.startTime), START_TIME);
+    assert.equal(body.meta.provenance, 'live');
+    assert.equal(body.points.at(-1).t, START_TIME + 2 * HOUR_MS);
+    assert.ok(body.store.stored > 0);
+  });
+
+  test('fetches gaps between stored candles inside the requested range', async () => {
+    const range = (from, to) => `/history?symbol=BTC&currency=USD&interval=1h&from=${from}&to=${to}`;
+    await proxy.get(range(START_TIME - 7 * DAY_MS, START_TIME - 6 * DAY_MS));
+    await proxy.get(range(START_TIME - DAY_MS, START_TIME));
+
+    const { body } = await proxy.get('/history?symbol=BTC&currency=USD&days=7&interval=1h');
+    const [gap, tail] = upstream.calls('klines').slice(2);
+
+    assert.equal(body.points.length, 7 * 24 + 1);
+    assert.equal(body.warning, undefined);
+    assert.equal(Number(gap.query.startTime), START_TIME - 6 * DAY_MS + HOUR_MS);
+    assert.equal(Number(gap.query.endTime), START_TIME - DAY_MS - 1);
+    assert.equal(Number(tail.query.startTime), START_TIME);
+  });
+
+  test('serves stored candles, marked degraded, when the top-up fails', async () => {
+    await proxy.get(HISTORY);
+    proxy.clock.advance(2 * HOUR_MS);
+    upstream.fail('klines', 500);
+
+    const { status, body } = await proxy.get(HISTORY);
+    const retried = await proxy.get(HISTORY);
+
+    assert.equal(status, 200);
+    assert.match(body.warning, /serving stored candles only/);
+    assert.equal(body.meta.provenance, 'cache');
+    assert.equal(body.meta.degraded, true);
+    assert.deepEqual(body.meta.upstream, { status: 'unavailable', httpStatus: 500 });
+    // Store-only answers aren't cached, so the next request tops up again.
+    assert.equal(retried.body.meta.provenance, 'live');
+    assert.equal(upstream.calls('klines').length, 3);
+  });
+
+  test('serves cached history with a warning when upstream rate limits', async () => {
+    await proxy.get(HISTORY);
+    // Past the cached day, so nothing stored covers the new window and the fetch must succeed.
+    proxy.clock.advance(2 * DAY_MS);
+    upstream.fail('klines', 429);
+
+    const { status, body } = await proxy.get(HISTORY);
+
+    assert.equal(status, 200);
+    assert.equal(body.cached, true);
+    assert.equal(body.warning, 'Upstream rate limit hit, serving cached history.');
+    assert.equal(body.points.length, 25);
+    assert.equal(body.meta.provenance, 'cache');
+    assert.deepEqual(body.meta.upstream, { status: 'rate_limited', httpStatus: 429 });
+  });
+
+  for (const rejected of [401, 403]) {
+    test(`serves cached history with a warning when upstream answers ${rejected}`, async () => {
+      await proxy.get(HISTORY);
+      proxy.clock.advance(2 * DAY_MS);
+      upstream.fail('klines', rejected);
+
+      const { status, body } = await proxy.get(HISTORY);
+
+      assert.equal(status, 200);
+      assert.equal(body.cached, true);
+      assert.equal(body.warning, 'Upstream rejected request, serving cached history. Set API_KEY if needed.');
+      assert.deepEqual(body.meta.upstream, { status: 'rejected', httpStatus: rejected });
+    });
+  }
+
+  test('falls back to a flat series from the spot price when rate limited with nothing cached', async () => {
+    await proxy.get('/price?symbol=BTC&currency=USD');
+    upstream.fail('klines', 429);
+
+    const { status, body } = await proxy.get(HISTORY);
+
+    assert.equal(status, 200);
+    assert.equal(body.points.length, 12);
+    assert.ok(body.points.every((point) => point.price === 60_000));
+    assert.equal(body.points.at(-1).t, START_TIME);
+    assert.equal(body.meta.provenance, 'fallback');
+    assert.equal(body.meta.degraded, true);
+  });
+
+  test('returns 429 when rate limited with neither history nor a spot price cached', async () => {
+    upstream.fail('klines', 429);
+
+    const { status, body } = await proxy.get(HISTORY);
+
+    assert.equal(status, 429);
+    assert.equal(body.detail, 'History request failed');
+    assert.equal(body.failover[0].status, 429);
+  });
+
+  test('returns 401 with a hint when upstream wants credentials and nothing is cached', async () => {
+    upstream.fail('klines', 401);
+
+    const { status, body } = await proxy.get(HISTORY);
+
+    assert.equal(status, 401);
+    assert.equal(body.detail, 'Unauthorized with upstream. Provide API_KEY if required by provider.');
+  });
+
+  test('returns 403 when upstream refuses and nothing is cached', async () => {
+    upstream.fail('klines', 403);
+
+    const { status, body } = await proxy.get(HISTORY);
+
+    assert.equal(status, 403);
+    assert.equal(body.detail, 'History request failed');
+  });
+
+  test('returns 502 when upstream has no candles for the range', async () => {
+    upstream.fail('klines', 200, { body: [] });
+
+    const { status, body } = await proxy.get(HISTORY);
+
+    assert.equal(status, 502);
+    assert.equal(body.type, '/problems/data-unavailable');
+  });
+
+  test('rejects invalid parameters without calling upstream', async () => {
+    const responses = await Promise.all([
+      proxy.get('/history?symbol=BTC&interval=7x'),
+      proxy.get('/history?symbol=BTC&days=-1'),
+      proxy.get('/history?symbol=BTC&from=2026-01-02&to=2026-01-01'),
+      proxy.get('/history?symbol=BTC&format=xml'),
+      proxy.get('/history?symbol=NOPE&currency=USD'),
+    ]);
+
+    responses.forEach(({ status }) => assert.equal(status, 400));
+    assert.equal(upstream.calls('klines').length, 0);
+  });
+});
@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { computeIndicators, parseIndicators } from '../server/indicators.js';
+
+// Candles from closes, one minute apart; high/low straddle the close so VWAP has a typical price.
+function candlesFrom(closes, volume = 1) {
+  return closes.map((close, idx) => ({ t: idx * 60_000, close, high: close + 1, low: close - 1, volume }));
+}
+
+/** Values of one indicator query, without the open times computeIndicators attaches. */
+function series(query, candles) {
+  const [{ values }] = computeIndicators(candles, parseIndicators(query));
+  return values.map((point) =>
+    'value' in point ? point.value : Object.fromEntries(Object.entries(point).filter(([name]) => name !== 't')),
+  );
+}
+
+// Compares to 1e-9 and keeps nulls exact, so warm-up lengths are checked too.
+function assertSeries(actual, expected) {
+  assert.equal(actual.length, expected.length);
+  expected.forEach((value, idx) => {
+    if (value === null || actual[idx] === null) return assert.equal(actual[idx], value, `index ${idx}`);
+    assert.ok(Math.abs(actual[idx] - value) < 1e-9, `index ${idx}: ${actual[idx]} != ${value}`);
+  });
+}
+
+const RAMP = candlesFrom([1, 2, 3, 4, 5, 6]);
+const CHOPPY = candlesFrom([10, 11, 12, 11, 13, 14]);
+
+describe('indicators', () => {
+  test('SMA averages the last `period` closes after a warm-up of nulls', () => {
+    assertSeries(series('sma:3', CHOPPY), [null, null, 11, 34 / 3, 12, 38 / 3]);
+  });
+
+  test('EMA is seeded with the SMA, then smoothed by 2 / (period + 1)', () => {
+    // k = 0.5: 11, then 11 * 0.5 + 11 * 0.5, 13 * 0.5 + 11 * 0.5, 14 * 0.5 + 12 * 0.5.
+    assertSeries(series('ema:3', CHOPPY), [null, null, 11, 11, 12, 13]);
+  });
+
+  test("RSI uses Wilder's smoothing after a simple average of the first changes", () => {
+    // Changes +1 +1 -1 +2 +1. First averages: gain 2/3, loss 1/3 (RS 2); then
+    // gain (2/3 * 2 + 2) / 3 = 10/9, loss 2/9 (RS 5); gain 29/27, loss 4/27 (RS 7.25).
+    assertSeries(series('rsi:3', CHOPPY), [null, null, null, 100 - 100 / 3, 100 - 100 / 6, 100 - 100 / 8.25]);
+  });
+
+  test('RSI reads 100 without losses and 50 on a flat series', () => {
+    assertSeries(series('rsi:2', RAMP), [null, null, 100, 100, 100, 100]);
+    assertSeries(series('rsi:2', candlesFrom([5, 5, 5, 5])), [null, null, 50, 50]);
+  });
+
+  test('MACD is the fast minus slow EMA, with an EMA signal line over it', () => {
+    // On a ramp EMA(2) lags by 0.5 and EMA(3) by 1, so the line settles at 0.5 and the histogram at 0.
+    const macd = series('macd:2:3:2', RAMP);
+
+    assertSeries(
+      macd.map((point) => point.macd),
+      [null, null, 0.5, 0.5, 0.5, 0.5],
+    );
+    assertSeries(
+      macd.map((point) => point.signal),
+      [null, null, null, 0.5, 0.5, 0.5],
+    );
+    assertSeries(
+      macd.map((point) => point.histogram),
+      [null, null, null, 0, 0, 0],
+    );
+  });
+
+  test('Bollinger Bands sit `multiplier` population standard deviations around the SMA', () => {
+    const [first, , , , fifth, sixth] = series('bb:5:2', RAMP);
+
+    assert.deepEqual(first, { middle: null, upper: null, lower: null });
+    // Closes 1..5: mean 3, population variance 2.
+    assertSeries([fifth.middle, fifth.upper, fifth.lower], [3, 3 + 2 * Math.SQRT2, 3 - 2 * Math.SQRT2]);
+    assertSeries([sixth.middle, sixth.upper, sixth.lower], [4, 4 + 2 * Math.SQRT2, 4 - 2 * Math.SQRT2]);
+  });
+
+  test('VWAP weights the typical price by volume and carries over volumeless candles', () => {
+    const candles = [
+      { t: 0, high: 11, low: 9, close: 10, volume: 0 },
+      { t: 1, high: 11, low: 9, close: 10, volume: 2 },
+      { t: 2, high: 13, low: 11, close: 12, volume: 0 },
+      { t: 3, high: 14, low: 12, close: 13, volume: 6 },
+    ];
+
+    // (10 * 2 + 13 * 6) / 8 once the second volume arrives.
+    assertSeries(series('vwap', candles), [null, 10, 10, 12.25]);
+  });
+
+  test('periods longer than the series yield only nulls', () => {
+    const short = candlesFrom([1, 2, 3]);
+
+    assertSeries(series('sma:5', short), [null, null, null]);
+    assertSeries(series('ema:5', short), [null, null, null]);
+    assertSeries(series('rsi:14', short), [null, null, null]);
+    assert.ok(series('bb:20:2', short).every((point) => point.middle === null && point.upper === null));
+    assert.ok(series('macd', short).every((point) => point.macd === null && point.histogram === null));
+  });
+
+  test('parses defaults and rejects unknown or out-of-range specs', () => {
+    assert.deepEqual(
+      parseIndicators('rsi,macd,bb:10').map((spec) => spec.key),
+      ['rsi:14', 'macd:12:26:9', 'bb:10:2'],
+    );
+    assert.equal(parseIndicators('sma:0'), null);
+    assert.equal(parseIndicators('macd:26:12'), null);
+    assert.equal(parseIndicators('ichimoku'), null);
+  });
+});
@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, test } from 'node:test';
+import { startFakeBinance } from './support/fakeBinance.js';
+import { startProxy } from './support/proxy.js';
+
+// The proxy's default READINESS_CACHE_MS.
+const READINESS_TTL_MS = 5000;
+
+let upstream;
+let proxy;
+
+async function start(env = {}) {
+  upstream = await startFakeBinance();
+  proxy = await startProxy({ upstream, env });
+}
+
+afterEach(async () => {
+  await proxy.close();
+  await upstream.close();
+});
+
+// Sample lines of the Prometheus text format, keyed by series name and labels as rendered.
+async function scrape() {
+  const response = await fetch(`${proxy.baseUrl}/metrics`);
+  const text = await response.text();
+  const samples = new Map(
+    text
+      .split('\n')
+      .filter((line) => line && !line.startsWith('#'))
+      .map((line) => {
+        const split = line.lastIndexOf(' ');
+        return [line.slice(0, split), Number(line.slice(split + 1))];
+      }),
+  );
+  return { response, text, samples };
+}
+
+describe('GET /metrics', () => {
+  test('counts a request, its latency, its provenance and the upstream calls behind it', async () => {
+    await start();
+    await proxy.get('/price?symbol=BTC&currency=USD');
+    await proxy.get('/price?symbol=BTC&currency=USD');
+
+    const { response, text, samples } = await scrape();
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    assert.match(text, /^# TYPE http_requests_total counter$/m);
+    assert.match(text, /^# TYPE http_request_duration_seconds histogram$/m);
+    assert.equal(samples.get('http_requests_total{method="GET",route="/price",status="200"}'), 2);
+    assert.equal(samples.get('http_request_duration_seconds_count{method="GET",route="/price"}'), 2);
+    assert.equal(samples.get('http_request_duration_seconds_bucket{method="GET",route="/price",le="+Inf"}'), 2);
+    assert.ok(samples.get('http_request_duration_seconds_sum{method="GET",route="/price"}') > 0);
+    assert.equal(samples.get('market_data_responses_total{route="/price",provenance="live",degraded="false"}'), 1);
+    assert.equal(samples.get('market_data_responses_total{route="/price",provenance="cache",degraded="false"}'), 1);
+    // exchangeInfo at startup, then one ticker call; the repeat came from cache.
+    assert.equal(samples.get('upstream_requests_total{upstream="binance",status="200"}'), 2);
+    assert.equal(samples.get('cache_lookups_total{cache="price",result="hit"}'), 1);
+    assert.equal(samples.get('cache_lookups_total{cache="price",result="miss"}'), 1);
+    assert.equal(samples.get('provider_requests_total{provider="binance",outcome="success"}'), 1);
+    assert.equal(samples.get('provider_circuit_open{provider="binance"}'), 0);
+  });
+
+  test('counts upstream errors by status', async () => {
+    await start();
+    upstream.fail('ticker/price', 503);
+    upstream.fail('avgPrice', 503);
+    await proxy.get('/price?symbol=BTC&currency=USD');
+
+    const { samples } = await scrape();
+
+    assert.equal(samples.get('http_requests_total{method="GET",route="/price",status="503"}'), 1);
+    assert.equal(samples.get('upstream_requests_total{upstream="binance",status="503"}'), 2);
+    assert.equal(samples.get('provider_requests_total{provider="binance",outcome="failure"}'), 1);
+  });
+});
+
+describe('GET /health/ready', () => {
+  test('turns unavailable once the only provider circuit opens', async () => {
+    await start({ PROVIDER_FAILURE_THRESHOLD: '1' });
+    const before = await proxy.get('/health/ready');
+
+    upstream.fail('ticker/price', 503);
+    upstream.fail('avgPrice', 503);
+    await proxy.get('/price?symbol=BTC&currency=USD');
+    proxy.clock.advance(READINESS_TTL_MS);
+    const after = await proxy.get('/health/ready');
+    const { samples } = await scrape();
+
+    assert.equal(before.status, 200);
+    assert.equal(before.body.status, 'ok');
+    assert.equal(after.status, 503);
+    assert.equal(after.body.status, 'unavailable');
+    assert.equal(after.body.checks.upstream.status, 'down');
+    // The ping still answers; the open circuit is what takes the provider out.
+    const [binance] = after.body.checks.upstream.providers;
+    assert.equal(binance.ok, true);
+    assert.equal(binance.circuit, 'open');
+    assert.equal(samples.get('provider_circuit_open{provider="binance"}'), 1);
+  });
+});
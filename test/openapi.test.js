@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { createOpenApiValidator } from '../server/openapi/index.js';
+import { startFakeBinance } from './support/fakeBinance.js';
+import { startProxy } from './support/proxy.js';
+
+let upstream;
+let proxy;
+
+beforeEach(async () => {
+  upstream = await startFakeBinance();
+  proxy = await startProxy({ upstream, env: { MAX_BATCH_SYMBOLS: '5' } });
+});
+
+afterEach(async () => {
+  await proxy.close();
+  await upstream.close();
+});
+
+describe('GET /openapi.json and /docs', () => {
+  test('describes every route, with limits from the running config', async () => {
+    const { status, body } = await proxy.get('/openapi.json');
+
+    assert.equal(status, 200);
+    assert.equal(body.openapi, '3.1.0');
+    for (const route of ['/price', '/history', '/prices', '/alerts/{id}', '/watchlists/{id}/overview', '/config']) {
+      assert.ok(body.paths[route], `${route} is not documented`);
+    }
+    const symbols = body.paths['/prices'].get.parameters.find((parameter) => parameter.name === 'symbols');
+    assert.match(symbols.description, /at most 5/);
+  });
+
+  test('serves interactive docs pointing at the document', async () => {
+    const response = await fetch(`${proxy.baseUrl}/docs`);
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/html/);
+    const html = await response.text();
+    assert.match(html, /SwaggerUIBundle\(\{ url: "openapi.json"/);
+    // Assets come from an exact release and carry integrity hashes.
+    const assets = [...html.matchAll(/(?:href|src)="(https:[^"]+)"\s+integrity="sha384-[\w+/=]+"/g)];
+    assert.equal(assets.length, 2);
+    assets.forEach(([, url]) => assert.match(url, /swagger-ui-dist@\d+\.\d+\.\d+\//));
+  });
+});
+
+describe('request validation and problem details', () => {
+  test('rejects parameters that do not match the document before calling upstream', async () => {
+    const response = await fetch(`${proxy.baseUrl}/history?symbol=BTC&days=soon&format=xml`);
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.match(response.headers.get('content-type'), /^application\/problem\+json/);
+    assert.equal(body.type, '/problems/validation');
+    assert.equal(body.instance, '/history?symbol=BTC&days=soon&format=xml');
+    assert.deepEqual(
+      body.errors.map(({ in: location, name }) => `${location}:${name}`),
+      ['query:days', 'query:format'],
+    );
+    assert.equal(upstream.calls('klines').length, 0);
+  });
+
+  test('treats a repeated scalar parameter as invalid', async () => {
+    const { status, body } = await proxy.get('/price?symbol=BTC&symbol=ETH');
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.errors, [{ in: 'query', name: 'symbol', message: 'must be given once' }]);
+  });
+
+  test('reports domain errors and unknown routes as problems', async () => {
+    const missing = await proxy.get('/alerts/nope');
+    const unknown = await fetch(`${proxy.baseUrl}/nowhere`, { method: 'POST' });
+
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.title, 'Not Found');
+    assert.equal(missing.body.detail, 'Alert nope not found');
+    assert.equal(unknown.status, 404);
+    assert.equal((await unknown.json()).detail, 'No route for POST /nowhere');
+  });
+});
+
+describe('response validation', () => {
+  const document = {
+    paths: {
+      '/thing': {
+        get: {
+          responses: {
+            200: {
+              description: 'A thing.',
+              content: {
+                'application/json': {
+                  schema: { type: 'object', properties: { price: { type: 'number' } }, required: ['price'] },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+
+  // Just enough of Express's req/res for the middleware.
+  function run(mode, body, logged) {
+    const sent = {};
+    const res = {
+      statusCode: 200,
+      headers: {},
+      req: { originalUrl: '/thing' },
+      get: (name) => res.headers[name.toLowerCase()],
+      status(code) {
+        res.statusCode = code;
+        return res;
+      },
+      type(value) {
+        res.headers['content-type'] = value;
+        return res;
+      },
+      json(payload) {
+        Object.assign(sent, { status: res.statusCode, body: payload });
+        return res;
+      },
+    };
+    const logger = { warn: (message) => logged.push(message), error: (message) => logged.push(message) };
+    const validator = createOpenApiValidator({ document, responses: mode, logger });
+    validator({ method: 'GET', path: '/thing', query: {}, originalUrl: '/thing' }, res, () => res.json(body));
+    return sent;
+  }
+
+  test('logs mismatches in warn mode and still sends the response', () => {
+    const logged = [];
+    const sent = run('warn', { price: 'high' }, logged);
+
+    assert.equal(sent.status, 200);
+    assert.deepEqual(sent.body, { price: 'high' });
+    assert.match(logged[0], /GET \/thing 200 does not match the API schema: \/price must be number/);
+  });
+
+  test('replaces mismatches with a 500 problem in strict mode', () => {
+    const sent = run('strict', {}, []);
+
+    assert.equal(sent.status, 500);
+    assert.equal(sent.body.type, '/problems/response-validation');
+    assert.deepEqual(sent.body.errors, [{ in: 'response', name: '/', message: 'missing required property price' }]);
+  });
+});
@@ -0,0 +1,147 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { startFakeBinance } from './support/fakeBinance.js';
+import { startProxy } from './support/proxy.js';
+
+// The proxy's default ORDERBOOK_CACHE_TTL_MS.
+const ORDERBOOK_TTL_MS = 2000;
+
+let upstream;
+let proxy;
+
+beforeEach(async () => {
+  upstream = await startFakeBinance();
+  proxy = await startProxy({ upstream });
+});
+
+afterEach(async () => {
+  await proxy.close();
+  await upstream.close();
+});
+
+describe('GET /depth', () => {
+  test('serves the book best first with running totals and the top-of-book summary', async () => {
+    const { status, body } = await proxy.get('/depth?symbol=BTC&currency=USD&levels=2');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.bids, [
+      { price: 59_999, quantity: 1, total: 1 },
+      { price: 59_998, quantity: 2, total: 3 },
+    ]);
+    assert.deepEqual(body.asks, [
+      { price: 60_001, quantity: 1, total: 1 },
+      { price: 60_002, quantity: 2, total: 3 },
+    ]);
+    assert.equal(body.mid, 60_000);
+    assert.equal(body.spread, 2);
+    assert.equal(body.spreadPct, (2 / 60_000) * 100);
+    assert.equal(upstream.calls('depth')[0].query.symbol, 'BTCUSDT');
+  });
+
+  test('groups bids down and asks up to the price step', async () => {
+    upstream.fail('depth', 200, {
+      body: {
+        bids: [
+          ['100.25', '1'],
+          ['99.5', '2'],
+          ['98.75', '3'],
+        ],
+        asks: [
+          ['100.75', '1'],
+          ['101.25', '2'],
+          ['101.5', '4'],
+        ],
+      },
+    });
+
+    const { body } = await proxy.get('/depth?symbol=BTC&currency=USD&group=1');
+
+    assert.equal(body.group, 1);
+    assert.deepEqual(body.bids, [
+      { price: 100, quantity: 1, total: 1 },
+      { price: 99, quantity: 2, total: 3 },
+      { price: 98, quantity: 3, total: 6 },
+    ]);
+    assert.deepEqual(body.asks, [
+      { price: 101, quantity: 1, total: 1 },
+      { price: 102, quantity: 6, total: 7 },
+    ]);
+    // Measured on the raw levels, so grouping doesn't widen the spread.
+    assert.equal(body.bestBid, 100.25);
+    assert.equal(body.bestAsk, 100.75);
+    assert.equal(body.mid, 100.5);
+    assert.equal(body.spread, 0.5);
+  });
+
+  test('flips the book of the inverse market', async () => {
+    upstream.fail('depth', 200, { body: { bids: [['1.25', '8']], asks: [['1.6', '10']] } });
+
+    const { body } = await proxy.get('/depth?symbol=USDT&currency=EUR');
+
+    assert.equal(body.route, 'inverse');
+    assert.equal(upstream.calls('depth')[0].query.symbol, 'EURUSDT');
+    // Selling EUR for USDT at 1.6 is buying USDT at 0.625 EUR, and vice versa.
+    assert.deepEqual(body.bids, [{ price: 0.625, quantity: 16, total: 16 }]);
+    assert.deepEqual(body.asks, [{ price: 0.8, quantity: 10, total: 10 }]);
+  });
+
+  test('serves the cached book with a warning when upstream rate limits', async () => {
+    await proxy.get('/depth?symbol=BTC&currency=USD');
+    proxy.clock.advance(ORDERBOOK_TTL_MS);
+    upstream.fail('depth', 429);
+
+    const { status, body } = await proxy.get('/depth?symbol=BTC&currency=USD');
+
+    assert.equal(status, 200);
+    assert.equal(body.cached, true);
+    assert.equal(body.warning, 'Upstream rate limit hit, serving cached order book.');
+    assert.equal(body.meta.provenance, 'cache');
+    assert.equal(body.meta.upstream.status, 'rate_limited');
+    assert.equal(body.bids[0].price, 59_999);
+  });
+
+  test('returns 429 when rate limited with nothing cached', async () => {
+    upstream.fail('depth', 429);
+
+    const { status, body } = await proxy.get('/depth?symbol=BTC&currency=USD');
+
+    assert.equal(status, 429);
+    assert.equal(body.detail, 'No provider could serve the order book for BTC/USD');
+  });
+});
+
+describe('GET /trades', () => {
+  test('maps the maker flag to the aggressor side, newest first', async () => {
+    upstream.fail('aggTrades', 200, {
+      body: [
+        { a: 1, p: '100', q: '2', m: true, T: 1000 },
+        { a: 2, p: '101', q: '3', m: false, T: 2000 },
+      ],
+    });
+
+    const { status, body } = await proxy.get('/trades?symbol=BTC&currency=USD');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.trades, [
+      { id: '2', price: 101, quantity: 3, side: 'buy', time: 2000 },
+      { id: '1', price: 100, quantity: 2, side: 'sell', time: 1000 },
+    ]);
+    assert.equal(body.buyVolume, 3);
+    assert.equal(body.sellVolume, 2);
+  });
+
+  test('serves cached trades with a warning when upstream rate limits', async () => {
+    await proxy.get('/trades?symbol=BTC&currency=USD&limit=10');
+    proxy.clock.advance(ORDERBOOK_TTL_MS);
+    upstream.fail('aggTrades', 429);
+
+    const { status, body } = await proxy.get('/trades?symbol=BTC&currency=USD&limit=10');
+
+    assert.equal(status, 200);
+    assert.equal(body.warning, 'Upstream rate limit hit, serving cached trades.');
+    assert.equal(body.meta.provenance, 'cache');
+    assert.equal(body.trades.length, 10);
+    assert.equal(body.buyVolume, 2.5);
+    assert.equal(body.sellVolume, 2.5);
+  });
+});
@@ -0,0 +1,171 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { createPortfolioService } from '../server/portfolio/index.js';
+import { computePositions } from '../server/portfolio/positions.js';
+import { closeAt, startFakeBinance } from './support/fakeBinance.js';
+import { START_TIME, startProxy } from './support/proxy.js';
+
+const HOUR_MS = 3_600_000;
+const DAY_MS = 24 * HOUR_MS;
+
+let sequence = 0;
+function tx(symbol, side, quantity, price, { fee = 0, timestamp = (sequence += 1) } = {}) {
+  return { symbol, side, quantity, price, fee, timestamp, createdAt: timestamp };
+}
+
+describe('computePositions', () => {
+  test('averages cost over buys and realizes P&L on sells, fees included', () => {
+    const { positions, error } = computePositions([
+      tx('BTC', 'buy', 2, 100, { fee: 1 }),
+      tx('BTC', 'buy', 1, 130, { fee: 2 }),
+      tx('BTC', 'sell', 1.5, 150, { fee: 3 }),
+    ]);
+
+    // Cost 2 * 100 + 1 + 130 + 2 = 333 for 3 units, so 111 each. The sell realizes
+    // 1.5 * (150 - 111) - 3 = 55.5 and leaves 1.5 units still at 111.
+    assert.equal(error, null);
+    assert.deepEqual(positions, [
+      {
+        symbol: 'BTC',
+        quantity: 1.5,
+        costBasis: 166.5,
+        realizedPnl: 55.5,
+        fees: 6,
+        transactions: 3,
+        averageCost: 111,
+      },
+    ]);
+  });
+
+  test('rejects a sell of more than is held at that time', () => {
+    const { positions, error } = computePositions([
+      tx('ETH', 'buy', 1, 100, { timestamp: Date.UTC(2026, 0, 1) }),
+      tx('ETH', 'sell', 1.5, 120, { timestamp: Date.UTC(2026, 0, 2) }),
+    ]);
+
+    assert.equal(positions, null);
+    assert.equal(error, 'Sell of 1.5 ETH on 2026-01-02T00:00:00.000Z exceeds the 1 held');
+  });
+
+  test('closes a position fully when selling leaves only float dust', () => {
+    // 0.3 + 0.6 is 0.8999999999999999, a hair under the 0.9 sold.
+    const { positions, error } = computePositions([
+      tx('SOL', 'buy', 0.3, 10),
+      tx('SOL', 'buy', 0.6, 10),
+      tx('SOL', 'sell', 0.9, 12),
+    ]);
+    const [position] = positions;
+
+    assert.equal(error, null);
+    assert.equal(position.quantity, 0);
+    assert.equal(position.costBasis, 0);
+    assert.equal(position.averageCost, null);
+    assert.ok(Math.abs(position.realizedPnl - 1.8) < 1e-9);
+  });
+});
+
+describe('portfolio valueSeries', () => {
+  const CLOSES = {
+    BTC: { 0: 100, 1: 110, 3: 130 },
+    ETH: { 0: 50, 1: 50, 2: 60, 3: 70 },
+  };
+
+  function serviceFor(transactions) {
+    return createPortfolioService({
+      store: { list: () => [...transactions] },
+      catalog: { route: () => ({ quoteAsset: 'USDT' }) },
+      priceService: {},
+      historyService: {
+        async getCandles({ symbol }) {
+          if (!CLOSES[symbol]) throw new Error('no candles');
+          const candles = Object.entries(CLOSES[symbol]).map(([hour, close]) => ({ t: hour * HOUR_MS, close }));
+          return { candles };
+        },
+      },
+      currency: 'USD',
+      logger: {},
+    });
+  }
+
+  test('values holdings at each close, carrying closes across gaps', async () => {
+    const service = serviceFor([
+      tx('BTC', 'buy', 2, 100, { fee: 1, timestamp: 0.5 * HOUR_MS }),
+      tx('ETH', 'buy', 1, 55, { timestamp: 1.5 * HOUR_MS }),
+      tx('BTC', 'sell', 1, 120, { fee: 1, timestamp: 2.5 * HOUR_MS }),
+    ]);
+
+    const { points, warnings } = await service.valueSeries({ interval: '1h', startTime: 0, endTime: 3 * HOUR_MS });
+
+    assert.deepEqual(warnings, []);
+    // Trades count from the candle they fall in; BTC has no 2h candle, so its 1h close of 110 carries over.
+    assert.deepEqual(points, [
+      { t: 0, value: 200, invested: 201 },
+      { t: HOUR_MS, value: 2 * 110 + 50, invested: 256 },
+      { t: 2 * HOUR_MS, value: 110 + 60, invested: 137 },
+      { t: 3 * HOUR_MS, value: 130 + 70, invested: 137 },
+    ]);
+  });
+
+  test('leaves out symbols without history and says so', async () => {
+    const service = serviceFor([tx('BTC', 'buy', 1, 100), tx('DOGE', 'buy', 10, 1)]);
+
+    const { points, warnings } = await service.valueSeries({ interval: '1h', startTime: 0, endTime: HOUR_MS });
+
+    assert.deepEqual(warnings, ['No 1h history for DOGE; it is left out of the value series.']);
+    assert.equal(points[0].value, 100);
+  });
+});
+
+describe('/portfolio routes', () => {
+  let upstream;
+  let proxy;
+
+  beforeEach(async () => {
+    upstream = await startFakeBinance();
+    proxy = await startProxy({ upstream });
+  });
+
+  afterEach(async () => {
+    await proxy.close();
+    await upstream.close();
+  });
+
+  const record = async (transaction) => {
+    const response = await fetch(`${proxy.baseUrl}/portfolio/transactions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(transaction),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('values positions at the live price', async () => {
+    await record({ symbol: 'BTC', side: 'buy', quantity: 1, price: 50_000, fee: 10, timestamp: START_TIME - DAY_MS });
+    const oversold = await record({ symbol: 'BTC', side: 'sell', quantity: 2, price: 60_000 });
+
+    const { status, body } = await proxy.get('/portfolio');
+
+    assert.equal(oversold.status, 400);
+    assert.match(oversold.body.detail, /exceeds the 1 held/);
+    assert.equal(status, 200);
+    const [position] = body.positions;
+    assert.equal(position.price, 60_000);
+    assert.equal(position.marketValue, 60_000);
+    assert.equal(position.unrealizedPnl, 9990);
+    assert.equal(position.allocationPct, 100);
+    assert.equal(body.totals.costBasis, 50_010);
+  });
+
+  test('builds the value series from daily candles', async () => {
+    await record({ symbol: 'BTC', side: 'buy', quantity: 2, price: 50_000, timestamp: START_TIME - 2 * DAY_MS });
+
+    const { status, body } = await proxy.get('/portfolio/history?days=3&interval=1d');
+
+    assert.equal(status, 200);
+    assert.equal(body.points.length, 3);
+    body.points.forEach((point) => {
+      assert.equal(point.value, 2 * closeAt(60_000, point.t, DAY_MS));
+      assert.equal(point.invested, 100_000);
+    });
+  });
+});
@@ -0,0 +1,356 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { combineLegTickers } from '../server/quotes.js';
+import { startFakeBinance } from './support/fakeBinance.js';
+import { START_TIME, startProxy } from './support/proxy.js';
+
+// The proxy's default CACHE_TTL_MS.
+const PRICE_TTL_MS = 60_000;
+
+let upstream;
+let proxy;
+
+beforeEach(async () => {
+  upstream = await startFakeBinance();
+  proxy = await startProxy({ upstream, env: { AGGREGATE_MIN_SOURCES: '1' } });
+});
+
+afterEach(async () => {
+  await proxy.close();
+  await upstream.close();
+});
+
+describe('GET /price', () => {
+  test('serves a live quote from the ticker endpoint', async () => {
+    const { status, body } = await proxy.get('/price?symbol=BTC&currency=USD');
+
+    assert.equal(status, 200);
+    assert.equal(body.price, 60_000);
+    assert.equal(body.provider, 'binance');
+    assert.equal(body.quotedAt, START_TIME);
+    assert.deepEqual(body.legs, [{ pair: 'BTCUSDT', invert: false, price: 60_000 }]);
+    assert.equal(body.cached, undefined);
+    assert.equal(body.meta.provenance, 'live');
+    assert.equal(body.meta.degraded, false);
+    assert.deepEqual(upstream.calls('ticker/price').map((call) => call.query.symbol), ['BTCUSDT']);
+  });
+
+  test('retries on avgPrice when the ticker endpoint rejects the request', async () => {
+    upstream.fail('ticker/price', 400);
+
+    const { status, body } = await proxy.get('/price?symbol=BTC&currency=USD');
+
+    assert.equal(status, 200);
+    assert.equal(body.price, 59_999);
+    assert.equal(body.meta.provenance, 'live');
+    assert.equal(upstream.calls('avgPrice').length, 1);
+  });
+
+  test('combines both legs of a cross quote', async () => {
+    const { status, body } = await proxy.get('/price?symbol=ETH&currency=EUR');
+
+    assert.equal(status, 200);
+    assert.equal(body.route, 'cross');
+    assert.equal(body.price, 3000 / 1.1);
+  });
+
+  test('serves repeat requests from cache within the TTL', async () => {
+    await proxy.get('/price?symbol=BTC&currency=USD');
+    proxy.clock.advance(PRICE_TTL_MS - 1);
+
+    const { status, body } = await proxy.get('/price?symbol=BTC&currency=USD');
+
+    assert.equal(status, 200);
+    assert.equal(body.cached, true);
+    assert.equal(body.meta.provenance, 'cache');
+    assert.equal(body.meta.upstream.status, 'not_contacted');
+    assert.equal(body.meta.ageMs, PRICE_TTL_MS - 1);
+    assert.equal(upstream.calls('ticker/price').length, 1);
+  });
+
+  test('goes back upstream once the cached quote expires', async () => {
+    await proxy.get('/price?symbol=BTC&currency=USD');
+    proxy.clock.advance(PRICE_TTL_MS);
+
+    const { body } = await proxy.get('/price?symbol=BTC&currency=USD');
+
+    assert.equal(body.meta.provenance, 'live');
+    assert.equal(upstream.calls('ticker/price').length, 2);
+  });
+
+  test('serves the stale quote with a warning when upstream rate limits', async () => {
+    await proxy.get('/price?symbol=BTC&currency=USD');
+    proxy.clock.advance(PRICE_TTL_MS);
+    upstream.fail('ticker/price', 429);
+
+    const { status, body } = await proxy.get('/price?symbol=BTC&currency=USD');
+
+    assert.equal(status, 200);
+    assert.equal(body.price, 60_000);
+    assert.equal(body.cached, true);
+    assert.equal(body.warning, 'Upstream rate limit hit, serving cached price.');
+    assert.equal(body.meta.provenance, 'cache');
+    assert.equal(body.meta.degraded, true);
+    assert.deepEqual(body.meta.upstream, { status: 'rate_limited', httpStatus: 429, provider: 'binance' });
+    // A rate limit is not retried on avgPrice; that would only spend more weight.
+    assert.equal(upstream.calls('avgPrice').length, 0);
+  });
+
+  test('returns 429 when rate limited with nothing cached', async () => {
+    upstream.fail('ticker/price', 429, { headers: { 'Retry-After': '30' } });
+
+    const { status, body } = await proxy.get('/price?symbol=BTC&currency=USD');
+
+    assert.equal(status, 429);
+    assert.equal(body.type, '/problems/upstream');
+    assert.equal(body.detail, 'No provider could quote BTC/USD');
+    assert.equal(body.failover[0].provider, 'binance');
+    assert.equal(body.failover[0].status, 429);
+  });
+
+  test('holds further requests back while upstream asked to wait', async () => {
+    upstream.fail('ticker/price', 429, { headers: { 'Retry-After': '30' } });
+    await proxy.get('/price?symbol=BTC&currency=USD');
+
+    const blocked = await proxy.get('/price?symbol=BTC&currency=USD');
+    proxy.clock.advance(30_000);
+    const recovered = await proxy.get('/price?symbol=BTC&currency=USD');
+
+    assert.equal(blocked.status, 429);
+    assert.equal(recovered.status, 200);
+    assert.equal(upstream.calls('ticker/price').length, 2);
+  });
+
+  for (const rejected of [401, 403]) {
+    test(`passes a ${rejected} through rather than serving the stale quote`, async () => {
+      await proxy.get('/price?symbol=BTC&currency=USD');
+      proxy.clock.advance(PRICE_TTL_MS);
+      upstream.fail('ticker/price', rejected);
+      upstream.fail('avgPrice', rejected, { body: { code: -2015, msg: 'Invalid API-key' } });
+
+      const { status, body } = await proxy.get('/price?symbol=BTC&currency=USD');
+
+      assert.equal(status, rejected);
+      assert.equal(body.title, 'Upstream request failed');
+      assert.deepEqual(body.upstreamError, { code: -2015, msg: 'Invalid API-key' });
+    });
+  }
+
+  test('reports an upstream outage as a server error', async () => {
+    upstream.fail('ticker/price', 503);
+    upstream.fail('avgPrice', 503);
+
+    const { status, body } = await proxy.get('/price?symbol=BTC&currency=USD');
+
+    assert.equal(status, 503);
+    assert.equal(body.failover[0].status, 503);
+  });
+
+  test('rejects unknown pairs and modes without calling upstream', async () => {
+    const unknown = await proxy.get('/price?symbol=NOPE&currency=USD');
+    const badMode = await proxy.get('/price?symbol=BTC&mode=best');
+
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.detail, 'Unsupported symbol or currency');
+    assert.equal(badMode.status, 400);
+    assert.equal(upstream.calls('ticker/price').length, 0);
+  });
+});
+
+describe('GET and POST /prices', () => {
+  test('quotes every known symbol from one batched ticker call and reports the rest', async () => {
+    const { status, body } = await proxy.get('/prices?symbols=BTC,eth,NOPE&currency=USD');
+
+    assert.equal(status, 200);
+    assert.equal(body.count, 2);
+    assert.equal(body.quotes.BTC.price, 60_000);
+    assert.equal(body.quotes.ETH.price, 3000);
+    assert.equal(body.quotes.ETH.meta.provenance, 'live');
+    assert.deepEqual(Object.keys(body.errors), ['NOPE']);
+    assert.equal(body.errors.NOPE.status, 400);
+    assert.equal(body.errors.NOPE.detail, 'Unsupported symbol or currency');
+    const calls = upstream.calls('ticker/price');
+    assert.equal(calls.length, 1);
+    assert.deepEqual(JSON.parse(calls[0].query.symbols), ['BTCUSDT', 'ETHUSDT']);
+  });
+
+  test('takes a POSTed symbol list and shares each leg across cross quotes', async () => {
+    const response = await fetch(`${proxy.baseUrl}/prices`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ symbols: ['BTC', 'ETH', 'BTC'], currency: 'EUR' }),
+    });
+    const body = await response.json();
+    const repeat = await proxy.get('/prices?symbols=BTC,ETH&currency=EUR');
+
+    assert.equal(response.status, 200);
+    assert.equal(body.quotes.BTC.price, 60_000 / 1.1);
+    assert.equal(body.quotes.ETH.price, 3000 / 1.1);
+    assert.deepEqual(body.errors, {});
+    assert.deepEqual(JSON.parse(upstream.calls('ticker/price')[0].query.symbols), ['BTCUSDT', 'EURUSDT', 'ETHUSDT']);
+    // The repeat is served from the quotes the batch cached.
+    assert.equal(repeat.body.quotes.BTC.cached, true);
+    assert.equal(upstream.calls('ticker/price').length, 1);
+  });
+
+  test('falls back to per-symbol quotes for pairs the batch left out', async () => {
+    upstream.fail('ticker/price', 200, { body: [{ symbol: 'BTCUSDT', price: '60000' }] });
+    upstream.fail('ticker/price', 400);
+    upstream.fail('avgPrice', 400);
+
+    const { status, body } = await proxy.get('/prices?symbols=BTC,ETH');
+
+    assert.equal(status, 200);
+    assert.equal(body.quotes.BTC.price, 60_000);
+    assert.equal(body.quotes.ETH, undefined);
+    assert.equal(body.errors.ETH.status, 400);
+    assert.equal(body.errors.ETH.type, '/problems/upstream');
+    assert.deepEqual(
+      upstream.calls('ticker/price').map((call) => call.query.symbol ?? 'batch'),
+      ['batch', 'ETHUSDT'],
+    );
+  });
+
+  test('rejects a missing or oversized symbol list', async () => {
+    const missing = await proxy.get('/prices?currency=USD');
+    const tooMany = Array.from({ length: 101 }, (_, idx) => `S${idx}`);
+    const oversized = await proxy.get(`/prices?symbols=${tooMany.join(',')}`);
+
+    assert.equal(missing.status, 400);
+    assert.equal(oversized.status, 400);
+    assert.equal(upstream.calls('ticker/price').length, 0);
+  });
+});
+
+// ETH/EUR bridges ETHUSDT with EURUSDT read inverted. ETH rises from 2000 to 3000 while EUR
+// falls from 1.25 to 1 USDT, so ETH/EUR opens at 1600 and last trades at 3000.
+const ETH_TICKER = {
+  openPrice: 2000,
+  highPrice: 3200,
+  lowPrice: 1900,
+  lastPrice: 3000,
+  weightedAvgPrice: 2500,
+  volume: 100,
+  quoteVolume: 250_000,
+};
+const EUR_TICKER = {
+  openPrice: 1.25,
+  highPrice: 1.25,
+  lowPrice: 1,
+  lastPrice: 1,
+  weightedAvgPrice: 1.25,
+  volume: 5000,
+  quoteVolume: 6000,
+};
+const ETH_EUR_STATS = {
+  open: 1600,
+  // ETH's high over EUR's low, and the other way round: bounds, not observed trades.
+  high: 3200,
+  low: 1520,
+  last: 3000,
+  weightedAvgPrice: 2000,
+  volume: 100,
+  // ETH's USDT volume converted at EUR's average.
+  quoteVolume: 200_000,
+  change: 1400,
+  changePct: 87.5,
+};
+
+describe('combineLegTickers', () => {
+  test('bridges a cross pair through an inverted leg', () => {
+    const legs = [
+      { pair: 'ETHUSDT', invert: false },
+      { pair: 'EURUSDT', invert: true },
+    ];
+    // Binance sends these as strings.
+    const asStrings = (ticker) =>
+      Object.fromEntries(Object.entries(ticker).map(([field, value]) => [field, `${value}`]));
+
+    assert.deepEqual(combineLegTickers(legs, [asStrings(ETH_TICKER), asStrings(EUR_TICKER)]), ETH_EUR_STATS);
+  });
+});
+
+describe('GET /ticker/24h', () => {
+  test('serves a direct pair from its own ticker', async () => {
+    const { status, body } = await proxy.get('/ticker/24h?symbol=BTC&currency=USD');
+
+    assert.equal(status, 200);
+    assert.equal(body.last, 60_000);
+    assert.equal(body.changePct, 0);
+    assert.equal(body.quoteVolume, 600_000);
+    assert.equal(body.trades, 100);
+    assert.equal(body.approximate, false);
+    assert.equal(body.meta.provenance, 'live');
+    assert.deepEqual(upstream.calls('ticker/24hr').map((call) => call.query.symbol), ['BTCUSDT']);
+  });
+
+  test('combines both legs of a bridged cross pair', async () => {
+    await proxy.close();
+    await upstream.close();
+    upstream = await startFakeBinance({ tickers: { ETHUSDT: ETH_TICKER, EURUSDT: EUR_TICKER } });
+    proxy = await startProxy({ upstream });
+
+    const { status, body } = await proxy.get('/ticker/24h?symbol=ETH&currency=EUR');
+
+    assert.equal(status, 200);
+    assert.equal(body.route, 'cross');
+    assert.deepEqual(
+      Object.fromEntries(Object.keys(ETH_EUR_STATS).map((field) => [field, body[field]])),
+      ETH_EUR_STATS,
+    );
+    assert.equal(body.approximate, true);
+    assert.equal(body.trades, null);
+    const legsAsked = upstream.calls('ticker/24hr').map((call) => call.query.symbol);
+    assert.deepEqual(legsAsked.sort(), ['ETHUSDT', 'EURUSDT']);
+  });
+
+  test('rejects a pair no market can bridge', async () => {
+    const { status } = await proxy.get('/ticker/24h?symbol=NOPE&currency=USD');
+
+    assert.equal(status, 400);
+    assert.equal(upstream.calls('ticker/24hr').length, 0);
+  });
+});
+
+describe('GET /price?mode=aggregate', () => {
+  test('serves the reference price and caches it', async () => {
+    const first = await proxy.get('/price?symbol=BTC&currency=USD&mode=aggregate');
+    proxy.clock.advance(1500);
+    const second = await proxy.get('/price?symbol=BTC&currency=USD&mode=aggregate');
+
+    assert.equal(first.status, 200);
+    assert.equal(first.body.price, 60_000);
+    assert.equal(first.body.sources.kept.length, 1);
+    assert.equal(first.body.meta.provenance, 'live');
+    assert.equal(first.body.meta.ageMs, 0);
+    assert.equal(second.body.cached, true);
+    assert.equal(second.body.meta.provenance, 'cache');
+    // Ages are measured on the proxy's clock, the test clock here.
+    assert.equal(second.body.meta.asOf, first.body.timestamp);
+    assert.equal(second.body.meta.ageMs, 1500);
+    assert.equal(upstream.calls('ticker/price').length, 1);
+  });
+
+  test('falls back to the cached reference price when no provider answers', async () => {
+    await proxy.get('/price?symbol=BTC&currency=USD&mode=aggregate');
+    proxy.clock.advance(PRICE_TTL_MS);
+    upstream.fail('ticker/price', 429);
+
+    const { status, body } = await proxy.get('/price?symbol=BTC&currency=USD&mode=aggregate');
+
+    assert.equal(status, 200);
+    assert.equal(body.cached, true);
+    assert.equal(body.warning, 'No consistent quotes from providers, serving cached price.');
+    assert.equal(body.meta.degraded, true);
+  });
+
+  test('returns 502 when no provider answers and nothing is cached', async () => {
+    upstream.fail('ticker/price', 429);
+
+    const { status, body } = await proxy.get('/price?symbol=BTC&currency=USD&mode=aggregate');
+
+    assert.equal(status, 502);
+    assert.equal(body.detail, 'No consistent quotes from providers');
+    assert.equal(body.failed[0].status, 429);
+  });
+});
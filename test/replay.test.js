@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { fixtureKey, loadFixtures } from '../server/replay/index.js';
+import { startFakeBinance } from './support/fakeBinance.js';
+import { START_TIME, startProxy } from './support/proxy.js';
+
+const HOUR_MS = 3_600_000;
+// The sample recording committed with the repo, also what `REPLAY_MODE=replay npm start` plays.
+const FIXTURES_DIR = fileURLToPath(new URL('../fixtures', import.meta.url));
+
+let upstream;
+let proxy;
+
+beforeEach(async () => {
+  upstream = await startFakeBinance();
+  proxy = await startProxy({ upstream, env: { REPLAY_MODE: 'replay', FIXTURES_DIR } });
+});
+
+afterEach(async () => {
+  await proxy.close();
+  await upstream.close();
+});
+
+describe('REPLAY_MODE=replay', () => {
+  test('serves recorded prices shifted to the present', async () => {
+    const fixtures = loadFixtures(FIXTURES_DIR);
+    const [recorded] = fixtures.calls.get(fixtureKey('getPrice', { symbol: 'BTC', currency: 'USD' }));
+
+    const { status, body } = await proxy.get('/price?symbol=BTC&currency=USD');
+
+    assert.equal(status, 200);
+    assert.equal(body.price, recorded.result.price);
+    // The playhead starts at the first recorded moment, which the test clock now reads as.
+    assert.equal(body.quotedAt, recorded.result.timestamp + START_TIME - fixtures.start);
+    assert.equal(body.meta.provenance, 'replay');
+    assert.equal(body.meta.upstream.status, 'not_contacted');
+    assert.equal(body.meta.ageMs, fixtures.start - recorded.result.timestamp);
+  });
+
+  test('ages replayed quotes on the replay clock', async () => {
+    const first = await proxy.get('/price?symbol=BTC&currency=USD');
+    proxy.clock.advance(5000);
+    const cached = await proxy.get('/price?symbol=BTC&currency=USD');
+
+    assert.equal(cached.body.meta.provenance, 'cache');
+    assert.equal(cached.body.meta.asOf, first.body.quotedAt);
+    assert.equal(cached.body.meta.ageMs, first.body.meta.ageMs + 5000);
+  });
+
+  test('serves recorded candles moved forward by whole buckets', async () => {
+    const { status, body } = await proxy.get('/history?symbol=BTC&currency=USD&days=1&interval=1h');
+
+    assert.equal(status, 200);
+    assert.equal(body.meta.provenance, 'replay');
+    assert.equal(body.provider, 'replay');
+    assert.ok(body.points.length > 0);
+    assert.ok(body.points.every((point) => point.t % HOUR_MS === 0));
+    assert.ok(body.points.at(-1).t > START_TIME - 2 * HOUR_MS && body.points.at(-1).t <= START_TIME);
+  });
+
+  test('never calls upstream', async () => {
+    await proxy.get('/price?symbol=ETH&currency=USD');
+    await proxy.get('/history?symbol=ETH&currency=USD&days=1&interval=1h');
+
+    for (const endpoint of ['exchangeInfo', 'ticker/price', 'klines']) {
+      assert.equal(upstream.calls(endpoint).length, 0, endpoint);
+    }
+  });
+});
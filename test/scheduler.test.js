@@ -0,0 +1,182 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { UpstreamBudgetError, createUpstreamScheduler } from '../server/providers/scheduler.js';
+import { startFakeBinance } from './support/fakeBinance.js';
+import { START_TIME, createTestClock, startProxy } from './support/proxy.js';
+
+const WEIGHT_HEADER = 'x-mbx-used-weight-1m';
+
+// An axios-style client answering with `replies` in order: `{ headers }` succeeds, `{ status, headers }` throws.
+function scriptedHttp(replies) {
+  const calls = [];
+  return {
+    calls,
+    async get(url) {
+      calls.push(url);
+      const { status = 200, headers = {} } = replies.shift() ?? {};
+      if (status < 400) return { status, headers, data: {} };
+      throw Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+    },
+  };
+}
+
+function scheduler(replies, options = {}) {
+  const clock = createTestClock();
+  const http = scriptedHttp(replies);
+  const upstream = createUpstreamScheduler({
+    name: 'binance',
+    limit: 100,
+    marginPct: 10,
+    weightHeader: WEIGHT_HEADER,
+    maxRetries: 0,
+    http,
+    now: clock.now,
+    ...options,
+  });
+  return { clock, http, upstream };
+}
+
+describe('createUpstreamScheduler', () => {
+  test('budgets against the weight upstream reports using', async () => {
+    const { http, upstream } = scheduler([{ headers: { [WEIGHT_HEADER]: '85' } }], { maxWaitMs: 0 });
+
+    await upstream.get('/price', {}, { weight: 2 });
+    const stats = upstream.stats();
+
+    // 100 less the 10% margin leaves 90; 85 reported plus 10 more would overrun it.
+    assert.equal(stats.budget, 90);
+    assert.equal(stats.usedWeight, 85);
+    assert.equal(stats.reportedWeight, 85);
+    await assert.rejects(upstream.get('/klines', {}, { weight: 10 }), (error) => {
+      assert.ok(error instanceof UpstreamBudgetError);
+      assert.equal(error.status, 429);
+      assert.equal(error.retryAfterMs, 60_000);
+      return true;
+    });
+    assert.equal(upstream.stats().totals.rejected, 1);
+    assert.equal(http.calls.length, 1);
+  });
+
+  test('queues requests over the budget until the next window', async () => {
+    const { clock, http, upstream } = scheduler([{}, {}], {
+      limit: 10,
+      marginPct: 0,
+      windowMs: 50,
+      weightHeader: null,
+    });
+
+    await upstream.get('/first', {}, { weight: 10 });
+    const queued = upstream.get('/second', {}, { weight: 4 });
+    const waiting = upstream.stats();
+    clock.advance(50);
+    await queued;
+
+    assert.equal(waiting.queued, 1);
+    assert.equal(waiting.queuedWeight, 4);
+    assert.equal(waiting.totals.delayed, 1);
+    assert.deepEqual(http.calls, ['/first', '/second']);
+    assert.equal(upstream.stats().usedWeight, 4);
+    assert.equal(upstream.stats().windowResetsAt, START_TIME + 100);
+  });
+
+  for (const status of [418, 429]) {
+    test(`blocks for Retry-After after a ${status}`, async () => {
+      const { clock, upstream } = scheduler([{ status, headers: { 'retry-after': '30' } }], { maxWaitMs: 1000 });
+
+      await assert.rejects(upstream.get('/price'), (error) => error.response.status === status);
+      const blocked = upstream.stats();
+
+      assert.equal(blocked.blockedUntil, START_TIME + 30_000);
+      assert.deepEqual(blocked.lastLimited, { status, at: START_TIME, delayMs: 30_000 });
+      await assert.rejects(upstream.get('/price'), { name: 'UpstreamBudgetError', retryAfterMs: 30_000 });
+      clock.advance(30_000);
+      assert.equal(upstream.stats().blockedUntil, null);
+    });
+  }
+
+  test('accepts Retry-After as an HTTP date', async () => {
+    const retryAt = new Date(START_TIME + 45_000).toUTCString();
+    const { upstream } = scheduler([{ status: 429, headers: { 'retry-after': retryAt } }]);
+
+    await assert.rejects(upstream.get('/price'));
+
+    assert.equal(upstream.stats().blockedUntil, START_TIME + 45_000);
+  });
+
+  test('doubles the backoff on each consecutive limit, up to the cap, and resets on success', async () => {
+    const limited = { status: 429 };
+    const { clock, upstream } = scheduler([limited, limited, limited, limited, {}, limited], {
+      baseBackoffMs: 1000,
+      maxBackoffMs: 5000,
+      maxWaitMs: 0,
+    });
+    const delays = [];
+
+    for (let idx = 0; idx < 6; idx += 1) {
+      await upstream.get('/price').catch(() => {});
+      delays.push(upstream.stats().lastLimited.delayMs);
+      clock.advance(delays.at(-1));
+    }
+
+    // The fifth request succeeds and leaves lastLimited as it was.
+    assert.deepEqual(delays, [1000, 2000, 4000, 5000, 5000, 1000]);
+    assert.equal(upstream.stats().totals.limited, 5);
+  });
+
+  test('retries a limited request once the short wait is over', async () => {
+    // On the real clock: the retry waits out the 10ms backoff.
+    const { http, upstream } = scheduler([{ status: 429, headers: { 'retry-after': '0' } }, {}], {
+      baseBackoffMs: 10,
+      maxRetries: 2,
+      now: Date.now,
+    });
+
+    const response = await upstream.get('/price');
+
+    assert.equal(response.status, 200);
+    assert.equal(http.calls.length, 2);
+    assert.equal(upstream.stats().totals.retried, 1);
+    assert.equal(upstream.stats().consecutiveLimited, 0);
+  });
+});
+
+describe('GET /upstream', () => {
+  let upstream;
+  let proxy;
+
+  beforeEach(async () => {
+    upstream = await startFakeBinance();
+    proxy = await startProxy({ upstream });
+  });
+
+  afterEach(async () => {
+    await proxy.close();
+    await upstream.close();
+  });
+
+  test('reports the Binance weight budget and what was spent', async () => {
+    upstream.fail('ticker/price', 200, {
+      body: { symbol: 'BTCUSDT', price: '60000' },
+      headers: { 'X-MBX-USED-WEIGHT-1M': '42' },
+    });
+    await proxy.get('/price?symbol=BTC&currency=USD');
+
+    const { status, body } = await proxy.get('/upstream');
+    const binance = body.upstreams.find((entry) => entry.name === 'binance');
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.upstreams.map((entry) => entry.name),
+      ['binance', 'coinbase', 'kraken', 'coingecko'],
+    );
+    assert.equal(binance.limit, 6000);
+    assert.equal(binance.budget, 5400);
+    assert.equal(binance.reportedWeight, 42);
+    assert.equal(binance.usedWeight, 42);
+    assert.equal(binance.windowResetsAt, START_TIME + 60_000);
+    assert.equal(binance.blockedUntil, null);
+    // exchangeInfo at startup, then the ticker.
+    assert.equal(binance.totals.requests, 2);
+    assert.equal(binance.queued, 0);
+  });
+});
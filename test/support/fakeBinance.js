@@ -0,0 +1,200 @@
+import express from 'express';
+
+const INTERVAL_MS = {
+  '1m': 60_000,
+  '5m': 300_000,
+  '15m': 900_000,
+  '1h': 3_600_000,
+  '4h': 14_400_000,
+  '1d': 86_400_000,
+};
+
+const MARKETS = [
+  ['BTCUSDT', 'BTC', 'USDT'],
+  ['ETHUSDT', 'ETH', 'USDT'],
+  ['EURUSDT', 'EUR', 'USDT'],
+];
+
+/** Deterministic close for a bucket: the pair's base price plus a small saw-tooth. */
+export function closeAt(basePrice, t, stepMs) {
+  return basePrice + ((t / stepMs) % 10);
+}
+
+/**
+ * Local stand-in for the Binance REST endpoints the proxy calls. Prices are fixed per pair,
+ * klines are generated for whatever range is asked for, books and trades sit around the price,
+ * 24h tickers are flat at the price unless `tickers` gives a pair its own fields,
+ * and `fail()` queues error responses so tests can walk the rate-limit, auth and fallback
+ * branches without touching the network.
+ */
+export async function startFakeBinance({
+  prices = { BTCUSDT: 60_000, ETHUSDT: 3000, EURUSDT: 1.1 },
+  tickers = {},
+} = {}) {
+  const app = express();
+  const calls = [];
+  const failures = new Map();
+  const holds = new Map();
+
+  app.use(async (req, res, next) => {
+    calls.push({ path: req.path, url: req.originalUrl, query: { ...req.query }, headers: req.headers });
+    await holds.get(req.path);
+    const queue = failures.get(req.path);
+    const failure = queue?.shift();
+    if (!failure) return next();
+    if (failure.headers) res.set(failure.headers);
+    res.status(failure.status).json(failure.body ?? { code: -1, msg: `Fake failure ${failure.status}` });
+  });
+
+  app.get('/api/v3/exchangeInfo', (_, res) => {
+    res.json({
+      symbols: MARKETS.map(([symbol, baseAsset, quoteAsset]) => ({
+        symbol,
+        baseAsset,
+        quoteAsset,
+        status: 'TRADING',
+        baseAssetPrecision: 8,
+        quoteAssetPrecision: 8,
+        filters: [],
+      })),
+    });
+  });
+
+  const priceOf = (symbol) => prices[symbol];
+
+  app.get('/api/v3/ticker/price', (req, res) => {
+    // Batched form: `symbols` is a JSON array, and one unknown pair fails the whole call.
+    if (req.query.symbols) {
+      const pairs = JSON.parse(req.query.symbols);
+      if (pairs.some((pair) => priceOf(pair) === undefined)) {
+        return res.status(400).json({ code: -1121, msg: 'Invalid symbol.' });
+      }
+      return res.json(pairs.map((pair) => ({ symbol: pair, price: String(priceOf(pair)) })));
+    }
+    if (priceOf(req.query.symbol) === undefined) {
+      return res.status(400).json({ code: -1121, msg: 'Invalid symbol.' });
+    }
+    res.json({ symbol: req.query.symbol, price: String(priceOf(req.query.symbol)) });
+  });
+
+  app.get('/api/v3/avgPrice', (req, res) => {
+    if (priceOf(req.query.symbol) === undefined) {
+      return res.status(400).json({ code: -1121, msg: 'Invalid symbol.' });
+    }
+    res.json({ mins: 5, price: String(priceOf(req.query.symbol) - 1) });
+  });
+
+  app.get('/api/v3/ticker/24hr', (req, res) => {
+    const basePrice = priceOf(req.query.symbol);
+    if (basePrice === undefined) {
+      return res.status(400).json({ code: -1121, msg: 'Invalid symbol.' });
+    }
+    const fields = {
+      openPrice: basePrice,
+      highPrice: basePrice,
+      lowPrice: basePrice,
+      lastPrice: basePrice,
+      weightedAvgPrice: basePrice,
+      volume: 10,
+      quoteVolume: 10 * basePrice,
+      ...tickers[req.query.symbol],
+    };
+    const closeTime = Date.now();
+    // Prices and volumes come as strings, like every Binance decimal.
+    res.json({
+      symbol: req.query.symbol,
+      ...Object.fromEntries(Object.entries(fields).map(([field, value]) => [field, `${value}`])),
+      openTime: closeTime - INTERVAL_MS['1d'],
+      closeTime,
+      count: 100,
+    });
+  });
+
+  app.get('/api/v3/klines', (req, res) => {
+    const stepMs = INTERVAL_MS[req.query.interval];
+    const basePrice = priceOf(req.query.symbol);
+    if (!stepMs || basePrice === undefined) {
+      return res.status(400).json({ code: -1121, msg: 'Invalid symbol or interval.' });
+    }
+    const limit = Number(req.query.limit || 500);
+    const endTime = Number(req.query.endTime);
+    const rows = [];
+    for (let t = Math.ceil(Number(req.query.startTime) / stepMs) * stepMs; t <= endTime; t += stepMs) {
+      if (rows.length >= limit) break;
+      const close = closeAt(basePrice, t, stepMs);
+      // [openTime, open, high, low, close, volume, closeTime, quoteVolume, trades]
+      rows.push([t, `${close}`, `${close + 1}`, `${close - 1}`, `${close}`, '2', t + stepMs - 1, `${close * 2}`, 10]);
+    }
+    res.json(rows);
+  });
+
+  // A book one unit wide around the price: bids at price - 1, - 2, ... and asks at price + 1, + 2, ...
+  app.get('/api/v3/depth', (req, res) => {
+    const basePrice = priceOf(req.query.symbol);
+    if (basePrice === undefined) {
+      return res.status(400).json({ code: -1121, msg: 'Invalid symbol.' });
+    }
+    const levels = Array.from({ length: Math.min(Number(req.query.limit || 100), 20) }, (_, idx) => idx + 1);
+    res.json({
+      lastUpdateId: 1,
+      bids: levels.map((step) => [`${basePrice - step}`, `${step}`]),
+      asks: levels.map((step) => [`${basePrice + step}`, `${step}`]),
+    });
+  });
+
+  // Oldest first, like Binance; every other trade has the buyer as maker (`m`), i.e. was a sell.
+  app.get('/api/v3/aggTrades', (req, res) => {
+    const basePrice = priceOf(req.query.symbol);
+    if (basePrice === undefined) {
+      return res.status(400).json({ code: -1121, msg: 'Invalid symbol.' });
+    }
+    const count = Math.min(Number(req.query.limit || 500), 20);
+    res.json(
+      Array.from({ length: count }, (_, idx) => ({
+        a: idx + 1,
+        p: `${basePrice + (idx % 3)}`,
+        q: '0.5',
+        f: idx + 1,
+        l: idx + 1,
+        T: idx * 1000,
+        m: idx % 2 === 1,
+      })),
+    );
+  });
+
+  app.get('/api/v3/ping', (_, res) => res.json({}));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/v3`;
+
+  return {
+    baseUrl,
+    /** Env entries that point the proxy's Binance adapter and symbol catalog at this server. */
+    env: {
+      MARKET_PROVIDERS: 'binance',
+      BINANCE_API_BASE: baseUrl,
+    },
+    /** Answer the next `times` requests to `endpoint` (e.g. 'ticker/price') with `status`. */
+    fail(endpoint, status, { times = 1, body, headers } = {}) {
+      const path = `/api/v3/${endpoint}`;
+      const queue = failures.get(path) ?? [];
+      for (let idx = 0; idx < times; idx += 1) queue.push({ status, body, headers });
+      failures.set(path, queue);
+    },
+    /** Keep requests to `endpoint` waiting until the returned `release()` is called. */
+    hold(endpoint) {
+      const path = `/api/v3/${endpoint}`;
+      let release;
+      holds.set(path, new Promise((resolve) => (release = resolve)));
+      return () => {
+        holds.delete(path);
+        release();
+      };
+    },
+    /** Requests received for `endpoint`, oldest first. */
+    calls: (endpoint) => calls.filter((call) => call.path === `/api/v3/${endpoint}`),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,121 @@
+// Just enough of a Parquet reader to check what server/export/parquet.js writes: the Thrift
+// compact footer, PLAIN pages of optional flat columns and their definition levels.
+
+const PHYSICAL = { INT64: 2, DOUBLE: 5, BYTE_ARRAY: 6 };
+
+/** Thrift compact protocol decoder over `bytes`; structs come back as objects keyed by field id. */
+function thriftReader(bytes, start) {
+  let pos = start;
+
+  function varint() {
+    let value = 0;
+    let scale = 1;
+    for (;;) {
+      const byte = bytes[pos++];
+      value += (byte & 0x7f) * scale;
+      if (byte < 0x80) return value;
+      scale *= 0x80;
+    }
+  }
+
+  const signed = () => {
+    const n = varint();
+    return n % 2 ? -(n + 1) / 2 : n / 2;
+  };
+
+  function value(type) {
+    if (type === 1 || type === 2) return type === 1;
+    if (type === 3) return bytes[pos++];
+    if (type >= 4 && type <= 6) return signed();
+    if (type === 7) {
+      pos += 8;
+      return bytes.readDoubleLE(pos - 8);
+    }
+    if (type === 8) {
+      const length = varint();
+      pos += length;
+      return bytes.subarray(pos - length, pos);
+    }
+    if (type === 9 || type === 10) {
+      const header = bytes[pos++];
+      const size = header >> 4 === 15 ? varint() : header >> 4;
+      return Array.from({ length: size }, () => value(header & 0x0f));
+    }
+    if (type === 12) return struct();
+    throw new Error(`Unsupported Thrift type ${type}`);
+  }
+
+  function struct() {
+    const fields = {};
+    let id = 0;
+    for (let header = bytes[pos++]; header !== 0; header = bytes[pos++]) {
+      id = header >> 4 ? id + (header >> 4) : signed();
+      fields[id] = value(header & 0x0f);
+    }
+    return fields;
+  }
+
+  return { struct, varint, end: () => pos };
+}
+
+// Definition levels with bit width 1, as RLE/bit-packed hybrid runs behind a 4-byte length.
+function readPresence(bytes, start, count) {
+  const end = start + 4 + bytes.readUInt32LE(start);
+  const present = [];
+  let pos = start + 4;
+  while (present.length < count && pos < end) {
+    const reader = thriftReader(bytes, pos);
+    const header = reader.varint();
+    pos = reader.end();
+    if (header & 1) {
+      // Bit-packed: header >> 1 groups of eight levels, one bit each.
+      const groups = header >> 1;
+      for (let idx = 0; idx < groups * 8; idx += 1) present.push(Boolean(bytes[pos + (idx >> 3)] & (1 << (idx & 7))));
+      pos += groups;
+    } else {
+      present.push(...Array(header >> 1).fill(Boolean(bytes[pos])));
+      pos += 1;
+    }
+  }
+  return { present: present.slice(0, count), end };
+}
+
+/** Decode a whole file into `{ numRows, columns, rowGroups, rows }`, missing values as null. */
+export function readParquet(bytes) {
+  if (bytes.subarray(0, 4).toString('latin1') !== 'PAR1' || bytes.subarray(-4).toString('latin1') !== 'PAR1') {
+    throw new Error('Not a Parquet file');
+  }
+  const footerLength = bytes.readUInt32LE(bytes.length - 8);
+  const footer = thriftReader(bytes, bytes.length - 8 - footerLength).struct();
+  const [, ...schema] = footer[2];
+  const columns = schema.map((element) => element[4].toString('utf8'));
+
+  const rows = [];
+  footer[4].forEach((rowGroup) => {
+    const groupRows = Array.from({ length: rowGroup[3] }, () => []);
+    rowGroup[1].forEach((chunk, column) => {
+      const meta = chunk[3];
+      const page = thriftReader(bytes, meta[9]);
+      const header = page.struct();
+      const count = header[5][1];
+      const { present, end } = readPresence(bytes, page.end(), count);
+      let pos = end;
+      present.forEach((isPresent, row) => {
+        if (!isPresent) {
+          groupRows[row][column] = null;
+        } else if (meta[1] === PHYSICAL.BYTE_ARRAY) {
+          const length = bytes.readUInt32LE(pos);
+          groupRows[row][column] = bytes.toString('utf8', pos + 4, pos + 4 + length);
+          pos += 4 + length;
+        } else {
+          groupRows[row][column] =
+            meta[1] === PHYSICAL.INT64 ? Number(bytes.readBigInt64LE(pos)) : bytes.readDoubleLE(pos);
+          pos += 8;
+        }
+      });
+    });
+    rows.push(...groupRows);
+  });
+
+  return { numRows: footer[3], columns, rowGroups: footer[4].length, rows };
+}
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createApp } from '../../server/app.js';
+import { createLogger } from '../../server/observability/index.js';
+
+// A fixed, minute-aligned start so generated candles and cache ages are the same on every run.
+export const START_TIME = Date.UTC(2026, 0, 15, 12, 0);
+
+/** Clock that only moves when a test says so; hand `now` to createApp. */
+export function createTestClock(start = START_TIME) {
+  let t = start;
+  return {
+    now: () => t,
+    advance(ms) {
+      t += ms;
+    },
+  };
+}
+
+/**
+ * The proxy wired to `upstream` (a fake Binance), with its files in a throwaway directory,
+ * quiet logs and a test clock. Upstream waits are disabled so a 429 fails fast instead of
+ * sleeping through Binance-style backoff.
+ */
+export async function startProxy({ upstream, env = {}, clock = createTestClock() }) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'market-data-test-'));
+  const proxy = createApp({
+    env: {
+      ...upstream.env,
+      CACHE_BACKEND: 'memory',
+      CANDLE_STORE_DIR: path.join(dataDir, 'candles'),
+      ALERTS_FILE: path.join(dataDir, 'alerts.json'),
+      PORTFOLIO_FILE: path.join(dataDir, 'portfolio.json'),
+      WATCHLISTS_FILE: path.join(dataDir, 'watchlists.json'),
+      API_KEYS_FILE: path.join(dataDir, 'api-keys.json'),
+      UPSTREAM_MAX_WAIT_MS: '0',
+      // Any response that drifts from /openapi.json fails its test with a 500.
+      OPENAPI_RESPONSE_VALIDATION: 'strict',
+      ...env,
+    },
+    now: clock.now,
+    logger: createLogger({ level: 'error', stream: { write() {} } }),
+  });
+  // Wait for exchangeInfo so pairs beyond the built-in seed list (e.g. EURUSDT) resolve.
+  await proxy.ready;
+  const server = await new Promise((resolve) => {
+    const listening = proxy.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    clock,
+    baseUrl,
+    /** GET a proxy route; resolves to `{ status, body }` with the JSON body parsed. */
+    async get(route) {
+      const response = await fetch(`${baseUrl}${route}`);
+      return { status: response.status, body: await response.json() };
+    },
+    async close() {
+      proxy.close();
+      await new Promise((resolve) => server.close(resolve));
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
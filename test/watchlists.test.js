@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { closeAt, startFakeBinance } from './support/fakeBinance.js';
+import { START_TIME, startProxy } from './support/proxy.js';
+
+const HOUR_MS = 3_600_000;
+
+let upstream;
+let proxy;
+
+beforeEach(async () => {
+  upstream = await startFakeBinance();
+  proxy = await startProxy({ upstream });
+});
+
+afterEach(async () => {
+  await proxy.close();
+  await upstream.close();
+});
+
+async function request(route, { method = 'GET', body } = {}) {
+  const response = await fetch(`${proxy.baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: response.status === 204 ? null : await response.json() };
+}
+
+const create = async (body) => (await request('/watchlists', { method: 'POST', body })).body;
+
+describe('/watchlists', () => {
+  test('creates, reads, updates and deletes a watchlist', async () => {
+    const seeded = await request('/watchlists');
+    const created = await request('/watchlists', {
+      method: 'POST',
+      body: { name: ' Crosses ', currency: 'eur', symbols: ['btc', 'eth', 'BTC'] },
+    });
+    const { id } = created.body;
+    const read = await request(`/watchlists/${id}`);
+    const updated = await request(`/watchlists/${id}`, { method: 'PATCH', body: { symbols: ['ETH'] } });
+    const rejected = await request(`/watchlists/${id}`, { method: 'PATCH', body: { symbols: ['NOPE'] } });
+    const removed = await request(`/watchlists/${id}`, { method: 'DELETE' });
+    const gone = await request(`/watchlists/${id}`);
+
+    // The store seeds a list on first start.
+    assert.deepEqual(
+      seeded.body.watchlists.map((watchlist) => watchlist.name),
+      ['Majors'],
+    );
+    assert.equal(created.status, 201);
+    assert.equal(created.body.name, 'Crosses');
+    assert.equal(created.body.currency, 'EUR');
+    assert.deepEqual(created.body.symbols, ['BTC', 'ETH']);
+    assert.deepEqual(read.body, created.body);
+    assert.equal(updated.body.name, 'Crosses');
+    assert.deepEqual(updated.body.symbols, ['ETH']);
+    assert.equal(rejected.status, 400);
+    assert.equal(rejected.body.detail, 'Unsupported for EUR: NOPE');
+    assert.equal(removed.status, 204);
+    assert.equal(gone.status, 404);
+    assert.equal(gone.body.detail, `Watchlist ${id} not found`);
+  });
+
+  test('rejects a watchlist without a name', async () => {
+    const { status, body } = await request('/watchlists', { method: 'POST', body: { symbols: ['BTC'] } });
+
+    assert.equal(status, 400);
+    assert.equal(body.detail, 'name is required');
+  });
+
+  test('reorders watchlists when every id is given once', async () => {
+    const [seeded] = (await request('/watchlists')).body.watchlists;
+    const second = await create({ name: 'Second', symbols: ['ETH'] });
+    const third = await create({ name: 'Third', symbols: ['BTC'] });
+
+    const reordered = await request('/watchlists/order', {
+      method: 'PUT',
+      body: { ids: [third.id, seeded.id, second.id] },
+    });
+    const partial = await request('/watchlists/order', { method: 'PUT', body: { ids: [third.id, second.id] } });
+    const listed = await request('/watchlists');
+
+    assert.equal(reordered.status, 200);
+    assert.deepEqual(
+      listed.body.watchlists.map((watchlist) => watchlist.name),
+      ['Third', 'Majors', 'Second'],
+    );
+    assert.equal(partial.status, 400);
+    assert.equal(partial.body.detail, 'ids must list every watchlist id exactly once');
+  });
+});
+
+describe('GET /watchlists/:id/overview', () => {
+  test('builds a card per symbol and an error card for symbols without a market', async () => {
+    // The seeded Majors list has SOL, which the fake exchange does not list.
+    const [majors] = (await request('/watchlists')).body.watchlists;
+
+    const { status, body } = await request(`/watchlists/${majors.id}/overview`);
+    const [btc, eth, sol] = body.cards;
+
+    assert.equal(status, 200);
+    assert.deepEqual(majors.symbols, ['BTC', 'ETH', 'SOL']);
+    assert.equal(btc.price, 60_000);
+    assert.equal(btc.changePct, 0);
+    assert.equal(btc.meta.provenance, 'live');
+    assert.equal(btc.sparkline.length, 25);
+    assert.deepEqual(btc.sparkline.at(-1), { t: START_TIME, price: closeAt(60_000, START_TIME, HOUR_MS) });
+    assert.equal(btc.error, null);
+    assert.equal(eth.price, 3000);
+    assert.deepEqual(sol, {
+      symbol: 'SOL',
+      currency: 'USD',
+      price: null,
+      meta: null,
+      changePct: null,
+      sparkline: [],
+      error: 'Unsupported symbol or currency',
+    });
+    // Only the listed markets went upstream.
+    for (const endpoint of ['ticker/24hr', 'klines']) {
+      const pairs = upstream.calls(endpoint).map((call) => call.query.symbol);
+      assert.deepEqual(pairs.sort(), ['BTCUSDT', 'ETHUSDT'], endpoint);
+    }
+  });
+
+  test('answers 404 for an unknown watchlist', async () => {
+    const { status } = await request('/watchlists/missing/overview');
+
+    assert.equal(status, 404);
+  });
+});
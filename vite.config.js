@@ -1,7 +1,42 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Routes served by the Express API. In dev they're proxied to it so the dashboard can use its
+// own origin, as it does in production; /w/... and /pair/... stay with Vite as SPA routes.
+const API_ROUTES = [
+  'price',
+  'prices',
+  'history',
+  'ticker',
+  'symbols',
+  'stream',
+  'depth',
+  'trades',
+  'alerts',
+  'portfolio',
+  'watchlists',
+  'metrics',
+  'health',
+  'providers',
+  'upstream',
+  'cache',
+  'replay',
+  'config',
+  'admin',
+  'openapi\\.json',
+  'docs',
+]
+
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), '')
+  const target = env.VITE_DEV_API_TARGET || `http://localhost:${env.PORT || 5000}`
+  return {
+    plugins: [react()],
+    server: {
+      proxy: {
+        [`^/(${API_ROUTES.join('|')})(/|\\?|$)`]: { target, changeOrigin: true },
+      },
+    },
+  }
 })